@@ -0,0 +1,341 @@
+import path from "node:path";
+import {
+  BannerRenderer,
+  createHeadlessRenderer,
+  createSurfaceProvider,
+  encodePNG,
+  parseTPL,
+  parseU8,
+  processArchive,
+  processDiscImage,
+  processOpeningBnr,
+  processWAD,
+  processZipBundle,
+  renderFrames,
+  readRendererPixels,
+} from "../src/node.js";
+import { resolveAnimationSelection } from "../src/animationSelection.js";
+import { createWavArrayBuffer, exportBundle } from "../src/exportBundle.js";
+import { exportGsapBundle } from "../src/exportRendererBundle.js";
+import { formatAnimationInfo, formatByteSize, formatDuration, formatLayoutInfo } from "../src/formatters.js";
+
+const TARGETS = ["banner", "icon"];
+const NESTED_ARCHIVE_EXTENSIONS = [".arc", ".bin", ".szs"];
+export const DISC_IMAGE_EXTENSIONS = [".iso", ".gcm", ".wbfs"];
+
+function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * Parse an input file the same way the app's file picker does: .arc as a U8
+ * archive, .zip as a renderer bundle, .bnr as a disc banner, .iso/.gcm/.wbfs
+ * as a disc image, anything else as a WAD.
+ *
+ * @param {string} fileName
+ * @param {Uint8Array|{size: number, read: Function}} input - File bytes, or a byte source for disc images
+ * @param {object} logger
+ */
+export async function loadInput(fileName, input, logger) {
+  const ext = path.extname(fileName).toLowerCase();
+  let parsed;
+  if (DISC_IMAGE_EXTENSIONS.includes(ext)) {
+    parsed = await processDiscImage(input, logger);
+  } else {
+    const buffer = toArrayBuffer(input);
+    const processInput =
+      ext === ".arc" ? processArchive : ext === ".zip" ? processZipBundle : ext === ".bnr" ? processOpeningBnr : processWAD;
+    parsed = await processInput(buffer, logger);
+  }
+
+  // The pipeline logs failures and returns empty results rather than throwing.
+  const { banner, icon, audio } = parsed.results;
+  if (!parsed.archive && !banner && !icon && !audio) {
+    throw new Error(`Could not read ${fileName}; see the log for details`);
+  }
+  return parsed;
+}
+
+function selectTargets(option) {
+  if (!option || option === "all") {
+    return TARGETS;
+  }
+  if (!TARGETS.includes(option)) {
+    throw new Error(`Unknown target "${option}" (expected banner, icon or all)`);
+  }
+  return [option];
+}
+
+function formatTitleId(wad) {
+  const bytes = wad?.ticket?.titleIdBytes;
+  if (!bytes) {
+    return wad?.titleId ?? "-";
+  }
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8)} (${wad.titleId})`;
+}
+
+export function formatInfoReport(fileName, parsed) {
+  const { wad, disc, imet, results } = parsed;
+  const lines = [`File: ${fileName}`];
+  if (disc) {
+    lines.push(`Disc: ${disc.platform === "wii" ? "Wii" : "GameCube"} ${disc.container.toUpperCase()}, game ID ${disc.gameId}, "${disc.title}"`);
+  } else {
+    lines.push(`Title ID: ${formatTitleId(wad)}`);
+  }
+
+  const bannerTitles = (parsed.gameCubeBanner?.entries ?? []).map((entry) => [entry.language, entry.title || entry.shortTitle]);
+  const titles = [...Object.entries(imet?.titles ?? {}), ...bannerTitles].filter(([, title]) => title);
+  lines.push(titles.length > 0 ? "Channel names:" : "Channel names: none");
+  for (const [language, title] of titles) {
+    lines.push(`  ${language}: ${title}`);
+  }
+
+  if (wad?.contentRecords) {
+    lines.push(`Contents: ${wad.contentRecords.length}`);
+    for (const record of wad.contentRecords) {
+      lines.push(
+        `  ${record.name} index=${record.index} type=0x${record.type.toString(16).padStart(4, "0")} size=${formatByteSize(record.size)}`,
+      );
+    }
+  }
+
+  const audio = results.audio;
+  if (audio) {
+    const loopText = audio.loopFlag ? `loop starts at sample ${audio.loopStart}` : "no loop";
+    lines.push(
+      `Audio: ${audio.channelCount} channel(s), ${audio.sampleRate} Hz, ${audio.sampleCount} samples, ${formatDuration(audio.durationSeconds)}, ${loopText}`,
+    );
+  } else {
+    lines.push("Audio: none");
+  }
+
+  for (const target of TARGETS) {
+    const result = results[target];
+    const label = target[0].toUpperCase() + target.slice(1);
+    lines.push("");
+    if (!result) {
+      lines.push(`== ${label}: not found ==`);
+      continue;
+    }
+    lines.push(`== ${label} layout ==`, formatLayoutInfo(result.layout), "");
+    lines.push(`== ${label} animation ==`, formatAnimationInfo(result.anim));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export async function runInfo({ fileName, parsed, write }) {
+  const text = formatInfoReport(fileName, parsed);
+  await write("info.txt", text);
+  return { text };
+}
+
+function safeArchivePath(filePath) {
+  const segments = filePath.split("/").filter((segment) => segment && segment !== "." && segment !== "..");
+  return segments.join("/");
+}
+
+function tryParseNestedArchive(filePath, data) {
+  if (!NESTED_ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+  try {
+    const files = parseU8(data);
+    return Object.keys(files).length > 0 ? files : null;
+  } catch {
+    return null;
+  }
+}
+
+function decodeTextures(data) {
+  try {
+    return parseTPL(data);
+  } catch {
+    return [];
+  }
+}
+
+async function extractTree(files, prefix, write, depth = 0) {
+  for (const [filePath, data] of Object.entries(files)) {
+    const outPath = `${prefix}/${safeArchivePath(filePath)}`;
+    await write(outPath, new Uint8Array(data));
+
+    if (path.extname(filePath).toLowerCase() === ".tpl") {
+      const images = decodeTextures(data);
+      for (let i = 0; i < images.length; i += 1) {
+        const suffix = images.length > 1 ? `_${i}` : "";
+        await write(`${outPath}${suffix}.png`, encodePNG({ ...images[i], data: images[i].imageData }));
+      }
+    }
+
+    // banner.bin, icon.bin and layout packs are U8 archives themselves
+    // (usually LZ77/IMD5 wrapped); unpack them next to the original.
+    const nested = depth < 2 ? tryParseNestedArchive(filePath, data) : null;
+    if (nested) {
+      await extractTree(nested, `${outPath}.d`, write, depth + 1);
+    }
+  }
+}
+
+export async function runExtract({ parsed, write }) {
+  if (parsed.openingBnr) {
+    await write("opening.bnr", new Uint8Array(parsed.openingBnr));
+  }
+  if (parsed.archive?.files) {
+    await extractTree(parsed.archive.files, "files", write);
+  } else if (!parsed.openingBnr) {
+    throw new Error("No U8 archive to extract");
+  }
+
+  const wav = parsed.results.audio ? createWavArrayBuffer(parsed.results.audio) : null;
+  if (wav) {
+    await write("audio.wav", new Uint8Array(wav));
+  }
+
+  return {};
+}
+
+/**
+ * Load a Node canvas binding. Rendering needs one; parsing and extraction do not.
+ *
+ * @returns {Promise<Function|null>} createCanvas(width, height)
+ */
+export async function loadCanvasFactory() {
+  for (const moduleName of ["@napi-rs/canvas", "canvas"]) {
+    try {
+      const mod = await import(moduleName);
+      const createCanvas = mod.createCanvas ?? mod.default?.createCanvas;
+      if (createCanvas) {
+        return createCanvas;
+      }
+    } catch {
+      // try the next binding
+    }
+  }
+  return null;
+}
+
+function requireCanvas(createCanvas) {
+  if (!createCanvas) {
+    throw new Error("Rendering needs a canvas binding: npm install @napi-rs/canvas (or canvas)");
+  }
+  return createCanvas;
+}
+
+function rendererOptionsFor(result, options) {
+  const selection = resolveAnimationSelection(result, options.renderState ?? null, null);
+  return {
+    selection,
+    rendererOptions: {
+      startAnim: selection.startAnim ?? null,
+      loopAnim: selection.loopAnim ?? selection.anim,
+      renderState: selection.renderState,
+      displayAspect: options.aspect ?? "4:3",
+      tevQuality: options.tevQuality ?? "fast",
+      titleLocale: options.locale,
+    },
+  };
+}
+
+export async function runRender({ parsed, write, options, createCanvas }) {
+  const canvasFactory = requireCanvas(createCanvas);
+  const frame = Number.parseInt(options.frame ?? "0", 10) || 0;
+  const rendered = [];
+
+  for (const target of selectTargets(options.target)) {
+    const result = parsed.results[target];
+    if (!result) {
+      continue;
+    }
+
+    const { rendererOptions } = rendererOptionsFor(result, options);
+    const { renderer } = createHeadlessRenderer(result, {
+      ...rendererOptions,
+      target,
+      createCanvas: canvasFactory,
+      initialFrame: options.allFrames ? 0 : frame,
+    });
+
+    try {
+      if (options.allFrames) {
+        let index = 0;
+        for (const pixels of renderFrames(renderer)) {
+          await write(`${target}-frames/${String(index).padStart(4, "0")}.png`, encodePNG(pixels));
+          index += 1;
+        }
+      } else {
+        renderer.applyFrame(frame);
+        await write(`${target}.png`, encodePNG(readRendererPixels(renderer)));
+      }
+      rendered.push(target);
+    } finally {
+      renderer.dispose();
+    }
+  }
+
+  if (rendered.length === 0) {
+    throw new Error("Nothing to render");
+  }
+  return { rendered };
+}
+
+export async function runBundle({ fileName, parsed, write, options, createCanvas }) {
+  const kind = options.kind ?? "all";
+  if (!["all", "export", "renderer"].includes(kind)) {
+    throw new Error(`Unknown bundle kind "${kind}" (expected export, renderer or all)`);
+  }
+
+  const bannerAnimSelection = parsed.results.banner
+    ? rendererOptionsFor(parsed.results.banner, options).selection
+    : null;
+  const iconAnimSelection = parsed.results.icon ? rendererOptionsFor(parsed.results.icon, options).selection : null;
+  const rendererOptions = {
+    tevQuality: options.tevQuality ?? "fast",
+    titleLocale: options.locale,
+  };
+  const stem = path.basename(fileName, path.extname(fileName));
+
+  if (kind === "all" || kind === "export") {
+    if (options.frames) {
+      requireCanvas(createCanvas);
+    }
+    // Snapshots and frames need a canvas binding; without one the bundle
+    // still carries the manifest, textures and audio.
+    const zip = await exportBundle({
+      parsed,
+      sourceFileName: fileName,
+      options: { includeFrames: Boolean(options.frames), exportAspect: options.aspect ?? "4:3", zipType: "uint8array" },
+      BannerRenderer: createCanvas ? BannerRenderer : null,
+      bannerAnimSelection,
+      iconAnimSelection,
+      rendererOptions: {
+        ...rendererOptions,
+        surfaceProvider: createCanvas ? createSurfaceProvider({ createCanvas }) : undefined,
+      },
+    });
+    await write(`${stem}-bundle.zip`, zip);
+  }
+
+  if (kind === "all" || kind === "renderer") {
+    const zip = await exportGsapBundle({
+      parsed,
+      sourceFileName: fileName,
+      bannerAnimSelection,
+      iconAnimSelection,
+      rendererOptions,
+      exportAspect: options.aspect ?? "4:3",
+      zipType: "uint8array",
+    });
+    await write(`${stem}-renderer-bundle.zip`, zip);
+  }
+
+  return {};
+}
+
+export const COMMANDS = {
+  info: runInfo,
+  extract: runExtract,
+  render: runRender,
+  bundle: runBundle,
+};
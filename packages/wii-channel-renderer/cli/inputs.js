@@ -0,0 +1,124 @@
+import { readdir, stat } from "node:fs/promises";
+import path from "node:path";
+
+// Extensions picked up when an input is a directory. Single files are always
+// taken as given, whatever their extension.
+export const DEFAULT_INPUT_EXTENSIONS = [".wad", ".arc", ".bnr", ".iso", ".gcm", ".wbfs"];
+
+const GLOB_CHARS = /[*?[]/;
+
+export function hasGlobPattern(input) {
+  return GLOB_CHARS.test(input);
+}
+
+/**
+ * Convert a glob ("*", "?", "[abc]", "**") to a RegExp over "/"-separated paths.
+ */
+export function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories.
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end < 0) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(directory, recursive, visit) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) {
+        await walk(fullPath, recursive, visit);
+      }
+    } else if (entry.isFile()) {
+      visit(fullPath);
+    }
+  }
+}
+
+async function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join("/");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex((segment) => hasGlobPattern(segment));
+  const baseDirectory = segments.slice(0, firstGlob).join("/") || (normalized.startsWith("/") ? "/" : ".");
+  const matcher = globToRegExp(segments.slice(firstGlob).join("/"));
+  const recursive = normalized.includes("**") || segments.length - firstGlob > 1;
+
+  const matches = [];
+  await walk(baseDirectory, recursive, (filePath) => {
+    const relative = path.relative(baseDirectory, filePath).split(path.sep).join("/");
+    if (matcher.test(relative)) {
+      matches.push(filePath);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Resolve CLI inputs (files, directories and glob patterns) to a sorted list
+ * of unique file paths.
+ *
+ * @param {string[]} inputs
+ * @param {object} [options]
+ * @param {boolean} [options.recursive=false] - Descend into subdirectories of directory inputs
+ * @param {string[]} [options.extensions] - Extensions collected from directories
+ * @returns {Promise<string[]>}
+ */
+export async function expandInputs(inputs, { recursive = false, extensions = DEFAULT_INPUT_EXTENSIONS } = {}) {
+  const files = new Set();
+
+  for (const input of inputs) {
+    if (hasGlobPattern(input)) {
+      const matches = await expandGlob(input);
+      if (matches.length === 0) {
+        throw new Error(`No files match ${input}`);
+      }
+      matches.forEach((match) => files.add(path.resolve(match)));
+      continue;
+    }
+
+    let info;
+    try {
+      info = await stat(input);
+    } catch {
+      throw new Error(`No such file or directory: ${input}`);
+    }
+
+    if (info.isDirectory()) {
+      await walk(input, recursive, (filePath) => {
+        if (extensions.includes(path.extname(filePath).toLowerCase())) {
+          files.add(path.resolve(filePath));
+        }
+      });
+    } else {
+      files.add(path.resolve(input));
+    }
+  }
+
+  return [...files].sort();
+}
@@ -0,0 +1,187 @@
+import { mkdir, open, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createArrayLogger } from "../src/formatters.js";
+import { COMMANDS, DISC_IMAGE_EXTENSIONS, loadCanvasFactory, loadInput } from "./commands.js";
+import { expandInputs } from "./inputs.js";
+
+export const USAGE = `Usage: wewad <command> [options] <wad|arc|bnr|iso|wbfs|dir|glob>...
+
+Commands:
+  info      Title ID, channel names, contents, layout and animation summary
+  extract   U8 tree, TPL textures as PNG and channel audio as WAV
+  render    Render banner/icon snapshots or frame sequences to PNG (needs @napi-rs/canvas or canvas)
+  bundle    Export bundle and renderer bundle zips
+
+Options:
+  -o, --out <dir>       Output directory (default: wewad-out); one subdirectory per input
+  -r, --recursive       Descend into subdirectories of directory inputs
+      --target <t>      render: banner, icon or all (default: all)
+      --frame <n>       render: frame to snapshot (default: 0)
+      --all-frames      render: write every start + loop frame
+      --aspect <a>      render/bundle: display aspect, 4:3 or 16:9 (default: 4:3)
+      --state <s>       render/bundle: render state (RSO) to select
+      --locale <l>      render/bundle: channel title locale
+      --kind <k>        bundle: export, renderer or all (default: all)
+      --frames          bundle: include rendered frames in the export bundle
+  -h, --help            Show this help
+
+Each input gets <out>/<name>/report.json with the log, outputs and any error.`;
+
+const OPTIONS = {
+  out: { type: "string", short: "o", default: "wewad-out" },
+  recursive: { type: "boolean", short: "r", default: false },
+  target: { type: "string" },
+  frame: { type: "string" },
+  "all-frames": { type: "boolean", default: false },
+  aspect: { type: "string" },
+  state: { type: "string" },
+  locale: { type: "string" },
+  kind: { type: "string" },
+  frames: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+function uniqueStem(filePath, usedStems) {
+  const stem = path.basename(filePath, path.extname(filePath));
+  let candidate = stem;
+  for (let suffix = 2; usedStems.has(candidate); suffix += 1) {
+    candidate = `${stem}-${suffix}`;
+  }
+  usedStems.add(candidate);
+  return candidate;
+}
+
+// Disc images are read on demand rather than loaded whole (they can exceed
+// Node's maximum buffer size).
+async function createFileSource(handle) {
+  const { size } = await handle.stat();
+  return {
+    size,
+    read: async (offset, length) => {
+      const bytes = new Uint8Array(length);
+      const { bytesRead } = await handle.read(bytes, 0, length, offset);
+      return bytes.subarray(0, bytesRead);
+    },
+  };
+}
+
+async function processFile(filePath, { command, outDir, options, createCanvas }) {
+  const logs = [];
+  const logger = createArrayLogger(logs);
+  const outputs = [];
+  const fileName = path.basename(filePath);
+
+  const write = async (relativePath, content) => {
+    const target = path.join(outDir, relativePath);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, content);
+    outputs.push(relativePath);
+  };
+
+  const report = { file: filePath, command, ok: false, titleId: null, outputs };
+  let handle = null;
+  try {
+    let input;
+    if (DISC_IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+      handle = await open(filePath, "r");
+      input = await createFileSource(handle);
+    } else {
+      input = await readFile(filePath);
+    }
+    const parsed = await loadInput(fileName, input, logger);
+    report.titleId = parsed.wad?.titleId ?? parsed.disc?.gameId ?? null;
+    const result = await COMMANDS[command]({ fileName, parsed, write, options, createCanvas, logger });
+    report.ok = true;
+    return { report: { ...report, log: logs }, result };
+  } catch (error) {
+    logger.error(error.message);
+    return { report: { ...report, error: error.message, log: logs }, result: null };
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {object} [io]
+ * @param {(line: string) => void} [io.stdout]
+ * @param {(line: string) => void} [io.stderr]
+ * @param {() => Promise<Function|null>} [io.loadCanvas] - Canvas factory loader (defaults to @napi-rs/canvas, then canvas)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv, { stdout = console.log, stderr = console.error, loadCanvas = loadCanvasFactory } = {}) {
+  let parsedArgs;
+  try {
+    parsedArgs = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsedArgs;
+  const [command, ...inputs] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr)(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    stderr(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+  if (inputs.length === 0) {
+    stderr(`No inputs given\n\n${USAGE}`);
+    return 2;
+  }
+
+  let files;
+  try {
+    files = await expandInputs(inputs, { recursive: values.recursive });
+  } catch (error) {
+    stderr(error.message);
+    return 2;
+  }
+  if (files.length === 0) {
+    stderr("No input files found");
+    return 2;
+  }
+
+  const options = {
+    target: values.target,
+    frame: values.frame,
+    allFrames: values["all-frames"],
+    aspect: values.aspect,
+    renderState: values.state ?? null,
+    locale: values.locale,
+    kind: values.kind,
+    frames: values.frames,
+  };
+  const createCanvas = command === "render" || command === "bundle" ? await loadCanvas() : null;
+
+  const usedStems = new Set();
+  let failures = 0;
+  for (const filePath of files) {
+    const outDir = path.join(values.out, uniqueStem(filePath, usedStems));
+    const { report, result } = await processFile(filePath, { command, outDir, options, createCanvas });
+    await mkdir(outDir, { recursive: true });
+    await writeFile(path.join(outDir, "report.json"), `${JSON.stringify(report, null, 2)}\n`);
+
+    if (report.ok) {
+      if (command === "info") {
+        stdout(result.text);
+      } else {
+        stdout(`${path.basename(filePath)}: ${report.outputs.length} file(s) -> ${outDir}`);
+      }
+    } else {
+      failures += 1;
+      stderr(`${path.basename(filePath)}: ${report.error}`);
+    }
+  }
+
+  if (files.length > 1) {
+    stdout(`${files.length - failures}/${files.length} succeeded`);
+  }
+  return failures > 0 ? 1 : 0;
+}
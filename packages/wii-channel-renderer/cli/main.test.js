@@ -0,0 +1,227 @@
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { buildBRLYT, buildU8, buildWAD, createAnimationBuilder, encodeTPL } from "../src/index.js";
+import { loadJSZip } from "../src/exportBundle.js";
+import { decodePNG } from "../src/node.js";
+import { WII_COMMON_KEYS, encryptAesCbcNoPadding, hexToBytes, importAesCbcKey } from "../src/wadRenderer/shared/index.js";
+import { loadCanvasFactory } from "./commands.js";
+import { expandInputs, globToRegExp } from "./inputs.js";
+import { main } from "./main.js";
+
+function solidImage(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(rgba, i);
+  }
+  return { width, height, data };
+}
+
+function buildTestArchive() {
+  const banner = buildU8({ "arc/timg/back.tpl": encodeTPL([solidImage(4, 4, [255, 0, 0, 255])], { format: "RGBA8" }) }, { imd5: true });
+  return buildU8({ "meta/banner.bin": banner });
+}
+
+const TITLE_KEY = hexToBytes("00112233445566778899aabbccddeeff");
+const TITLE_ID = hexToBytes("0001000148414241"); // 00010001-HABA
+const BACK_COLOR = [40, 90, 200, 255];
+
+async function makeTicket() {
+  const ticket = new Uint8Array(0x2a4);
+  new DataView(ticket.buffer).setUint32(0, 0x10001, false);
+  ticket.set(TITLE_ID, 0x1dc);
+
+  const commonKey = await importAesCbcKey(hexToBytes(WII_COMMON_KEYS[0]));
+  const iv = new Uint8Array(16);
+  iv.set(TITLE_ID, 0);
+  ticket.set(await encryptAesCbcNoPadding(commonKey, TITLE_KEY, iv), 0x1bf);
+  return ticket;
+}
+
+function makeTmd() {
+  const tmd = new Uint8Array(0x1e4 + 36);
+  tmd.set(TITLE_ID, 0x18c);
+  new DataView(tmd.buffer).setUint16(0x1de, 1, false);
+  return tmd;
+}
+
+function pane(type, name, parent, extra = {}) {
+  return {
+    type,
+    name,
+    parent,
+    flags: 0x01,
+    origin: 4,
+    alpha: 255,
+    visible: true,
+    influencedAlpha: false,
+    widescreen: false,
+    translate: { x: 0, y: 0, z: 0 },
+    rotate: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1 },
+    size: { w: 608, h: 456 },
+    ...extra,
+  };
+}
+
+// A channel whose banner is one full-screen picture pane with a solid texture.
+async function buildTestWad() {
+  const quad = { tl: { s: 0, t: 0 }, tr: { s: 1, t: 0 }, bl: { s: 0, t: 1 }, br: { s: 1, t: 1 } };
+  const layout = {
+    width: 608,
+    height: 456,
+    drawFromCenter: true,
+    textures: ["back.tpl"],
+    fonts: [],
+    materials: [{
+      name: "mat_back",
+      color1: [0, 0, 0, 0],
+      color2: [255, 255, 255, 255],
+      color3: [255, 255, 255, 255],
+      textureMaps: [{ textureIndex: 0, wrapS: 0, wrapT: 0 }],
+    }],
+    panes: [pane("pan1", "RootPane", null), pane("pic1", "Back", "RootPane", { materialIndex: 0, texCoords: [quad] })],
+    groups: [{ name: "RootGroup", paneNames: [], parent: null }],
+  };
+  const loop = createAnimationBuilder({ frameSize: 2, loop: true });
+  loop.addTrack("Back", "alpha", [[0, 255], [2, 255]]);
+  const bannerBin = buildU8({
+    "arc/anim/banner_Loop.brlan": loop.build(),
+    "arc/blyt/banner.brlyt": buildBRLYT(layout),
+    "arc/timg/back.tpl": encodeTPL([solidImage(8, 8, BACK_COLOR)], { format: "RGBA8" }),
+  }, { lz77: true, imd5: true });
+
+  const archive = new Uint8Array(buildU8({ "meta/banner.bin": bannerBin }));
+  const meta = new Uint8Array(0x640 + archive.length);
+  const view = new DataView(meta.buffer);
+  view.setUint32(0x80, 0x494d4554, false); // "IMET"
+  view.setUint32(0x84, 0x600, false);
+  view.setUint32(0x88, 3, false);
+  meta.set(archive, 0x640);
+
+  return buildWAD({
+    ticket: await makeTicket(),
+    tmd: makeTmd(),
+    certChain: new Uint8Array(0x100),
+    contents: { "00000000.app": meta.buffer },
+  });
+}
+
+async function listFiles(directory, prefix = "") {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(path.join(directory, entry.name), relative)));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+describe("wewad CLI", () => {
+  let workDir;
+  const quiet = { stdout: () => {}, stderr: () => {}, loadCanvas: async () => null };
+
+  beforeEach(async () => {
+    workDir = await mkdtemp(path.join(tmpdir(), "wewad-cli-"));
+  });
+
+  afterEach(async () => {
+    await rm(workDir, { recursive: true, force: true });
+  });
+
+  it("expands directories and globs to sorted unique files", async () => {
+    for (const name of ["b.wad", "a.WAD", "notes.txt", "c.arc"]) {
+      await writeFile(path.join(workDir, name), "");
+    }
+
+    const fromDirectory = await expandInputs([workDir]);
+    expect(fromDirectory.map((file) => path.basename(file))).toEqual(["a.WAD", "b.wad", "c.arc"]);
+
+    const fromGlob = await expandInputs([path.join(workDir, "*.wad"), path.join(workDir, "b.wad")]);
+    expect(fromGlob.map((file) => path.basename(file))).toEqual(["b.wad"]);
+
+    expect(globToRegExp("**/*.wad").test("titles/nested/x.wad")).toBe(true);
+    expect(globToRegExp("[ab]?.arc").test("bc.arc")).toBe(true);
+    await expect(expandInputs([path.join(workDir, "*.bnr")])).rejects.toThrow("No files match");
+  });
+
+  it("extracts the U8 tree with nested archives and PNG textures", async () => {
+    const input = path.join(workDir, "channel.arc");
+    const out = path.join(workDir, "out");
+    await writeFile(input, new Uint8Array(buildTestArchive()));
+
+    expect(await main(["extract", "--out", out, input], quiet)).toBe(0);
+
+    const files = await listFiles(path.join(out, "channel"));
+    expect(files).toEqual(
+      expect.arrayContaining([
+        "files/meta/banner.bin",
+        "files/meta/banner.bin.d/arc/timg/back.tpl",
+        "files/meta/banner.bin.d/arc/timg/back.tpl.png",
+        "report.json",
+      ]),
+    );
+
+    const png = await readFile(path.join(out, "channel/files/meta/banner.bin.d/arc/timg/back.tpl.png"));
+    expect(png.readUInt32BE(16)).toBe(4);
+
+    const report = JSON.parse(await readFile(path.join(out, "channel/report.json"), "utf8"));
+    expect(report).toMatchObject({ command: "extract", ok: true, file: input });
+    expect(report.outputs).toContain("files/meta/banner.bin.d/arc/timg/back.tpl.png");
+  });
+
+  it("writes a failing report per file and keeps going", async () => {
+    const good = path.join(workDir, "good.arc");
+    const bad = path.join(workDir, "bad.arc");
+    const out = path.join(workDir, "out");
+    await writeFile(good, new Uint8Array(buildTestArchive()));
+    await writeFile(bad, "not an archive");
+
+    const lines = [];
+    const code = await main(["info", "-o", out, workDir], { ...quiet, stdout: (line) => lines.push(line) });
+    expect(code).toBe(1);
+    expect(lines.join("\n")).toContain("File: good.arc");
+    expect(lines.join("\n")).toContain("1/2 succeeded");
+
+    const badReport = JSON.parse(await readFile(path.join(out, "bad/report.json"), "utf8"));
+    expect(badReport).toMatchObject({ ok: false, error: "Could not read bad.arc; see the log for details" });
+    expect(badReport.log.some((entry) => entry.level === "error")).toBe(true);
+
+    const renderCode = await main(["render", "-o", out, good], quiet);
+    expect(renderCode).toBe(1);
+    const report = JSON.parse(await readFile(path.join(out, "good/report.json"), "utf8"));
+    expect(report.ok).toBe(false);
+    expect(report.error).toMatch(/canvas binding/);
+  });
+
+  it("renders and bundles a WAD through the real canvas binding", async () => {
+    expect(await loadCanvasFactory()).toBeTypeOf("function");
+    const input = path.join(workDir, "channel.wad");
+    const out = path.join(workDir, "out");
+    await writeFile(input, new Uint8Array(await buildTestWad()));
+    const withCanvas = { stdout: () => {}, stderr: () => {} };
+
+    expect(await main(["render", "-o", out, "--frame", "1", input], withCanvas)).toBe(0);
+    const png = decodePNG(await readFile(path.join(out, "channel/banner.png")));
+    expect(png).toMatchObject({ width: 608, height: 456 });
+    const center = (228 * 608 + 304) * 4;
+    expect(Array.from(png.data.subarray(center, center + 4))).toEqual(BACK_COLOR);
+
+    expect(await main(["bundle", "-o", out, input], withCanvas)).toBe(0);
+    const report = JSON.parse(await readFile(path.join(out, "channel/report.json"), "utf8"));
+    expect(report).toMatchObject({ command: "bundle", ok: true, titleId: "HABA" });
+    expect(report.outputs).toEqual(["channel-bundle.zip", "channel-renderer-bundle.zip"]);
+    const JSZip = await loadJSZip();
+    const bundle = await JSZip.loadAsync(await readFile(path.join(out, "channel/channel-bundle.zip")));
+    const snapshot = decodePNG(await bundle.file("banner-4x3.png").async("uint8array"));
+    expect(Array.from(snapshot.data.subarray(0, 4))).toEqual(BACK_COLOR);
+    const rendererBundle = await JSZip.loadAsync(await readFile(path.join(out, "channel/channel-renderer-bundle.zip")));
+    const manifest = JSON.parse(await rendererBundle.file("manifest.json").async("string"));
+    expect(manifest).toMatchObject({ sourceFile: "channel.wad", titleId: "HABA" });
+  });
+});
@@ -0,0 +1,27 @@
+// Browser side of the golden harness: GoldenIo over the vitest browser
+// commands from nodeIo.js, so the WebGL run shares reference/ and
+// test-results/goldens/ with the Node run.
+
+import { commands } from "vitest/browser";
+
+function serializeImage({ width, height, data }) {
+  return { width, height, data: Array.from(data) };
+}
+
+/**
+ * @returns {import("./harness.js").GoldenIo}
+ */
+export function createBrowserGoldenIo() {
+  return {
+    async readReference(path) {
+      const image = await commands.readGoldenReference(path);
+      return image && { width: image.width, height: image.height, data: Uint8ClampedArray.from(image.data) };
+    },
+    writeReference(path, image) {
+      return commands.writeGoldenReference(path, serializeImage(image));
+    },
+    writeArtifact(path, content) {
+      return commands.writeGoldenArtifact(path, typeof content === "string" ? content : serializeImage(content));
+    },
+  };
+}
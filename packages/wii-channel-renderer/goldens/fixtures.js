@@ -0,0 +1,209 @@
+// Synthetic banner fixtures for the golden-image harness.
+//
+// Layouts and animations are built in the shape parseBRLYT/parseBRLAN return;
+// textures go through encodeTPL + parseTPL so the decoders are exercised too.
+// Each fixture is small and targets one area that has regressed before: TEV
+// combiners with animated SRT, wnd1 frames, and the ch2 luma mask.
+
+import { parseTPL } from "../src/wadRenderer/parsers/tpl.js";
+import { encodeTPL } from "../src/wadRenderer/writers/tpl.js";
+
+const WHITE = { r: 255, g: 255, b: 255, a: 255 };
+
+function makeTexture(width, height, format, pixelAt) {
+  const imageData = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      imageData.set(pixelAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return parseTPL(encodeTPL([{ width, height, imageData }], { format }));
+}
+
+function pane(type, name, parent, { x = 0, y = 0, w = 0, h = 0, ...rest } = {}) {
+  return {
+    type,
+    name,
+    flags: 0x01,
+    origin: 4,
+    alpha: 255,
+    visible: true,
+    influencedAlpha: false,
+    widescreen: false,
+    parent,
+    translate: { x, y, z: 0 },
+    rotate: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1 },
+    size: { w, h },
+    materialIndex: -1,
+    ...rest,
+  };
+}
+
+function quad(materialIndex, vertexColors = [WHITE, WHITE, WHITE, WHITE]) {
+  return {
+    materialIndex,
+    vertexColors,
+    texCoords: [{ tl: { s: 0, t: 0 }, tr: { s: 1, t: 0 }, bl: { s: 0, t: 1 }, br: { s: 1, t: 1 } }],
+  };
+}
+
+function material(name, index, { textureIndex = null, ...rest } = {}) {
+  const textured = Number.isInteger(textureIndex);
+  return {
+    name,
+    index,
+    flags: 0,
+    textureMaps: textured ? [{ textureIndex, wrapS: 0, wrapT: 0 }] : [],
+    textureSRTs: textured ? [{ xTrans: 0, yTrans: 0, rotation: 0, xScale: 1, yScale: 1 }] : [],
+    textureIndices: textured ? [textureIndex] : [],
+    color1: [0, 0, 0, 255],
+    color2: [255, 255, 255, 255],
+    color3: [255, 255, 255, 255],
+    tevColors: [WHITE, WHITE, WHITE, WHITE],
+    texCoordGens: textured ? [{ texGenType: 1, texGenSrc: 4, mtxSrc: 30 }] : [],
+    tevSwapTable: null,
+    indTexMatrices: [],
+    indTexStages: [],
+    tevStages: [],
+    channelControl: { colorSource: 1, alphaSource: 1 },
+    materialColor: WHITE,
+    alphaCompare: null,
+    blendMode: null,
+    ...rest,
+  };
+}
+
+// One TEV stage in parseBRLYT's field layout. Defaults pass the texture through.
+function tevStage(overrides = {}) {
+  return {
+    texCoord: 0, colorChan: 4, texMap: 0, rasSel: 0, texSel: 0,
+    aC: 15, bC: 15, cC: 15, dC: 8, tevOpC: 0, tevBiasC: 0, tevScaleC: 0, clampC: 1, tevRegIdC: 0, kColorSelC: 0,
+    aA: 7, bA: 7, cA: 7, dA: 4, tevOpA: 0, tevBiasA: 0, tevScaleA: 0, clampA: 1, tevRegIdA: 0, kAlphaSelA: 0,
+    indTexId: 0, indBias: 0, indMtxId: 0, indWrapS: 0, indWrapT: 0,
+    indFormat: 0, indAddPrev: 0, indUtcLod: 0, indAlpha: 0,
+    ...overrides,
+  };
+}
+
+// Untextured stage that outputs the rasterized vertex colour and alpha. Without
+// it, the default combiner's lerp(C0, C1, tex) resolves to C0 (black).
+function rasterStage() {
+  return tevStage({ texMap: 0xff, aC: 15, bC: 15, cC: 15, dC: 10, aA: 7, bA: 7, cA: 7, dA: 5 });
+}
+
+function keyframes(type, points) {
+  return {
+    targetGroup: 0,
+    type,
+    dataType: 2,
+    interpolation: "hermite",
+    preExtrapolation: "clamp",
+    postExtrapolation: "clamp",
+    keyframes: points.map(([frame, value]) => ({ frame, value, blend: 0 })),
+  };
+}
+
+function layoutOf(width, height, textures, materials, panes) {
+  return { width, height, textures, fonts: [], materials, panes, groups: [] };
+}
+
+function tevModulateFixture() {
+  const checker = makeTexture(16, 16, "RGBA8", (x, y) =>
+    ((x >> 2) + (y >> 2)) % 2 ? [255, 255, 255, 255] : [40, 90, 200, 160]);
+  const gradient = [
+    { r: 20, g: 20, b: 60, a: 255 },
+    { r: 20, g: 60, b: 120, a: 255 },
+    { r: 60, g: 20, b: 60, a: 255 },
+    { r: 120, g: 60, b: 20, a: 255 },
+  ];
+  const modulate = tevStage({ aC: 15, bC: 8, cC: 2, dC: 15, aA: 7, bA: 4, cA: 5, dA: 7 });
+
+  const layout = layoutOf(
+    128,
+    96,
+    ["checker.tpl"],
+    [
+      material("M_Back", 0, { tevStages: [rasterStage()] }),
+      material("M_Tex", 1, { textureIndex: 0, color1: [255, 160, 64, 255], tevStages: [modulate] }),
+    ],
+    [
+      pane("pan1", "RootPane", null),
+      pane("pic1", "P_Back", "RootPane", { w: 128, h: 96, ...quad(0, gradient) }),
+      pane("pic1", "P_Tex", "RootPane", { w: 48, h: 48, ...quad(1) }),
+    ],
+  );
+  const anim = {
+    frameSize: 30,
+    flags: 0,
+    timgNames: [],
+    panes: [{
+      name: "P_Tex",
+      tags: [{ type: "RLPA", entries: [keyframes(0x00, [[0, -30], [30, 30]]), keyframes(0x05, [[0, 0], [30, 90]])] }],
+    }],
+  };
+  return { layout, anim, tplImages: { "checker.tpl": checker } };
+}
+
+function windowFrameFixture() {
+  // Corner with a bright outer rim and a soft inner edge, mirrored into all four corners.
+  const corner = makeTexture(8, 8, "IA8", (x, y) => {
+    const rim = Math.min(x, y) < 2 ? 255 : 140;
+    return [rim, rim, rim, 255 - Math.max(0, 5 - Math.min(x, y)) * 10];
+  });
+  const layout = layoutOf(
+    128,
+    96,
+    ["corner.tpl"],
+    [
+      material("M_Content", 0, { tevStages: [rasterStage()] }),
+      material("M_Frame", 1, { textureIndex: 0 }),
+    ],
+    [
+      pane("pan1", "RootPane", null),
+      pane("wnd1", "W_Dialog", "RootPane", {
+        w: 96,
+        h: 64,
+        ...quad(0, [{ r: 30, g: 110, b: 70, a: 255 }, WHITE, WHITE, { r: 30, g: 110, b: 70, a: 255 }]),
+        inflation: { l: -2, r: -2, t: -2, b: -2 },
+        windowFrames: [{ materialIndex: 1, textureFlip: 0 }],
+      }),
+    ],
+  );
+  return { layout, anim: null, tplImages: { "corner.tpl": corner } };
+}
+
+function lumaMaskFixture() {
+  // I8 ring: opaque border, transparent centre. As ch2 it clips what is under it.
+  const ring = makeTexture(32, 32, "I8", (x, y) => {
+    const distance = Math.hypot(x - 15.5, y - 15.5);
+    const value = distance > 10 && distance < 15 ? 255 : 0;
+    return [value, value, value, 255];
+  });
+  const stripes = makeTexture(8, 8, "RGB565", (x) => (x < 4 ? [240, 200, 40, 255] : [40, 40, 40, 255]));
+  const layout = layoutOf(
+    128,
+    96,
+    ["stripes.tpl", "ring.tpl"],
+    [
+      material("M_Stripes", 0, { textureIndex: 0 }),
+      material("M_Ring", 1, { textureIndex: 1, color1: [255, 255, 255, 0] }),
+    ],
+    [
+      pane("pan1", "RootPane", null),
+      pane("pic1", "P_Stripes", "RootPane", { w: 96, h: 80, ...quad(0) }),
+      pane("pic1", "ch2", "RootPane", { w: 80, h: 80, ...quad(1) }),
+    ],
+  );
+  return { layout, anim: null, tplImages: { "stripes.tpl": stripes, "ring.tpl": ring } };
+}
+
+/**
+ * Fixtures the golden harness renders: `build()` returns `{ layout, anim, tplImages }`
+ * and `frames` lists the frames compared against reference PNGs.
+ */
+export const GOLDEN_FIXTURES = [
+  { name: "tev-modulate", frames: [0, 15, 30], build: tevModulateFixture },
+  { name: "window-frame", frames: [0], build: windowFrameFixture },
+  { name: "luma-mask", frames: [0], build: lumaMaskFixture },
+];
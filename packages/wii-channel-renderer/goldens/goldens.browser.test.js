@@ -0,0 +1,14 @@
+import { inject } from "vitest";
+import { createBrowserGoldenIo } from "./browserIo.js";
+import { hasWebGl } from "./harness.js";
+import { describeGoldenFrames } from "./suite.js";
+
+// WebGL backend, run by the "webgl" vitest project in headless Chromium. This
+// project exists only for the GL path, so missing WebGL is always a failure.
+describeGoldenFrames("webgl", {
+  available: hasWebGl(),
+  unavailableReason: "the browser has no WebGL context",
+  required: true,
+  update: inject("updateGoldens"),
+  io: createBrowserGoldenIo(),
+});
@@ -0,0 +1,15 @@
+import { createNodeGoldenIo, loadCanvasBinding } from "./nodeIo.js";
+import { describeGoldenFrames } from "./suite.js";
+
+// Canvas backend under Node. The WebGL backend runs in goldens.browser.test.js.
+// UPDATE_GOLDENS=1 npm test re-records every reference frame.
+const binding = await loadCanvasBinding();
+
+describeGoldenFrames("canvas", {
+  available: Boolean(binding),
+  unavailableReason: "no Node canvas binding (install @napi-rs/canvas or canvas)",
+  required: Boolean(process.env.CI),
+  update: process.env.UPDATE_GOLDENS === "1",
+  io: createNodeGoldenIo(),
+  createCanvas: binding?.createCanvas,
+});
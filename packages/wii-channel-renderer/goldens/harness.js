@@ -0,0 +1,190 @@
+// Golden-image harness: render fixtures through the Canvas 2D BannerRenderer and
+// the WebGL backend, compare each frame against a stored reference PNG, and on
+// failure write the actual frame, a diff image and a per-pane blame report.
+//
+// This module runs both under Node (Canvas backend, with a canvas binding) and
+// in the browser (WebGL backend, vitest browser mode). Reference and artifact
+// files go through an injected `io` (nodeIo.js, or browserIo.js which forwards
+// to the same code over vitest browser commands).
+
+import { BannerRenderer } from "../src/wadRenderer/BannerRenderer.js";
+import { createGlBannerRenderer } from "../src/wadRenderer/glRenderer/createGlBannerRenderer.js";
+import { compareImages } from "../src/wadRenderer/shared/imageDiff.js";
+import { createSurfaceProvider } from "../src/wadRenderer/shared/surface.js";
+
+// Per-pixel YIQ tolerance, and the share of pixels allowed over it (edge
+// antialiasing differs slightly between canvas bindings and GPU drivers).
+export const GOLDEN_THRESHOLD = 0.1;
+export const GOLDEN_MAX_DIFF_RATIO = 0.002;
+
+const RENDERER_OPTIONS = {
+  playbackMode: "hold",
+  useGsap: false,
+  tevQuality: "accurate",
+  maxDevicePixelRatio: 1,
+};
+
+/**
+ * Whether the WebGL backend can run here (needs document + a WebGL context).
+ */
+export function hasWebGl() {
+  if (typeof document === "undefined") {
+    return false;
+  }
+  try {
+    const canvas = document.createElement("canvas");
+    return Boolean(canvas.getContext("webgl2") || canvas.getContext("webgl"));
+  } catch {
+    return false;
+  }
+}
+
+function readCanvasPixels(canvas) {
+  const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  return { width: canvas.width, height: canvas.height, data: new Uint8ClampedArray(imageData.data) };
+}
+
+function readGlPixels(canvas) {
+  const gl = canvas.getContext("webgl2") || canvas.getContext("webgl");
+  const { width, height } = canvas;
+  const flipped = new Uint8Array(width * height * 4);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, flipped);
+  // GL rows run bottom-up.
+  const data = new Uint8ClampedArray(flipped.length);
+  const stride = width * 4;
+  for (let y = 0; y < height; y += 1) {
+    data.set(flipped.subarray((height - 1 - y) * stride, (height - y) * stride), y * stride);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Create a renderer for a fixture on one backend.
+ *
+ * @param {{layout: object, anim: object|null, tplImages: object}} scene - fixture.build() output
+ * @param {"canvas"|"webgl"} backend
+ * @param {object} [options]
+ * @param {Function} [options.createCanvas] - Canvas factory (required for "canvas" outside a browser)
+ * @returns {{renderer: object, readPixels: () => {width: number, height: number, data: Uint8ClampedArray}}}
+ */
+export function createGoldenRenderer({ layout, anim, tplImages }, backend, { createCanvas } = {}) {
+  const options = { ...RENDERER_OPTIONS, loopAnim: anim, startAnim: null };
+
+  if (backend === "webgl") {
+    const glCanvas = document.createElement("canvas");
+    const renderer = createGlBannerRenderer(glCanvas, layout, anim, tplImages, options);
+    return { renderer, readPixels: () => readGlPixels(glCanvas) };
+  }
+
+  const surfaceProvider = createCanvas ? createSurfaceProvider({ createCanvas }) : undefined;
+  const canvas = surfaceProvider
+    ? surfaceProvider.createSurface(layout.width, layout.height)
+    : document.createElement("canvas");
+  const renderer = new BannerRenderer(canvas, layout, anim, tplImages, { ...options, surfaceProvider });
+  return { renderer, readPixels: () => readCanvasPixels(canvas) };
+}
+
+/**
+ * Golden file access, implemented by nodeIo.js and browserIo.js. Paths are
+ * relative (`<fixture>/<backend>-f<frame>.png`); writers resolve the file
+ * they wrote so failure messages can point at it.
+ *
+ * @typedef {object} GoldenIo
+ * @property {(path: string) => Promise<{width: number, height: number, data: Uint8ClampedArray}|null>} readReference
+ * @property {(path: string, image: object) => Promise<string>} writeReference
+ * @property {(path: string, content: object|string) => Promise<string>} writeArtifact - Image (as PNG) or text
+ */
+
+/**
+ * Render one fixture frame and compare it with its reference PNG.
+ *
+ * With `update` the rendered frame is recorded as the new reference. Without
+ * it a missing reference is a failure ("missing", with the rendered frame
+ * written as the `<fixture>/<backend>-f<frame>.actual.png` artifact). On
+ * mismatch the `.actual.png`, a `.diff.png` and a `.blame.json` are written.
+ *
+ * @param {{name: string, build: Function}} fixture
+ * @param {number} frame
+ * @param {"canvas"|"webgl"} backend
+ * @param {object} options
+ * @param {GoldenIo} options.io
+ * @param {Function} [options.createCanvas]
+ * @param {boolean} [options.update=false] - Overwrite the reference instead of comparing
+ * @param {number} [options.threshold]
+ * @param {number} [options.maxDiffRatio]
+ * @returns {Promise<{status: "match"|"mismatch"|"missing"|"recorded", diffCount: number, diffRatio: number,
+ *   blame: Array<{name: string, pixels: number, bounds: object}>, unowned: number, artifacts: string[]}>}
+ */
+export async function checkGoldenFrame(fixture, frame, backend, {
+  io,
+  createCanvas,
+  update = false,
+  threshold = GOLDEN_THRESHOLD,
+  maxDiffRatio = GOLDEN_MAX_DIFF_RATIO,
+}) {
+  const { renderer, readPixels } = createGoldenRenderer(fixture.build(), backend, { createCanvas });
+  const baseName = `${fixture.name}/${backend}-f${frame}`;
+
+  try {
+    renderer.applyFrame(frame);
+    const actual = readPixels();
+    const result = { status: "match", diffCount: 0, diffRatio: 0, blame: [], unowned: 0, artifacts: [] };
+
+    if (update) {
+      const referencePath = await io.writeReference(`${baseName}.png`, actual);
+      return { ...result, status: "recorded", artifacts: [referencePath] };
+    }
+    const expected = await io.readReference(`${baseName}.png`);
+    if (!expected) {
+      const actualPath = await io.writeArtifact(`${baseName}.actual.png`, actual);
+      return { ...result, status: "missing", artifacts: [actualPath] };
+    }
+
+    let comparison;
+    try {
+      comparison = compareImages(actual, expected, { threshold });
+    } catch (error) {
+      const actualPath = await io.writeArtifact(`${baseName}.actual.png`, actual);
+      throw new Error(`${baseName}: ${error.message} (actual frame: ${actualPath})`);
+    }
+
+    const diffRatio = comparison.diffCount / (actual.width * actual.height);
+    if (diffRatio <= maxDiffRatio) {
+      return { ...result, diffCount: comparison.diffCount, diffRatio };
+    }
+
+    const report = renderer.blamePaneDiff(comparison.mask, actual.width, actual.height) ?? { panes: [], unowned: 0 };
+    const blame = report.panes.map(({ name, pixels, bounds }) => ({ name, pixels, bounds }));
+    const artifacts = [
+      await io.writeArtifact(`${baseName}.actual.png`, actual),
+      await io.writeArtifact(`${baseName}.diff.png`, comparison.diffImage),
+      await io.writeArtifact(
+        `${baseName}.blame.json`,
+        `${JSON.stringify({ fixture: fixture.name, backend, frame, diffCount: comparison.diffCount, diffRatio, blame, unowned: report.unowned }, null, 2)}\n`,
+      ),
+    ];
+    return { status: "mismatch", diffCount: comparison.diffCount, diffRatio, blame, unowned: report.unowned, artifacts };
+  } finally {
+    renderer.dispose();
+  }
+}
+
+/**
+ * One-line summary of a mismatch for test failure messages.
+ */
+export function formatGoldenFailure(fixture, frame, backend, result) {
+  if (result.status === "missing") {
+    return (
+      `${fixture.name} ${backend} frame ${frame}: no reference PNG (rendered frame: ${result.artifacts[0]}); ` +
+      "run UPDATE_GOLDENS=1 npm test to record it"
+    );
+  }
+  const panes = result.blame.length > 0
+    ? result.blame.map(({ name, pixels }) => `${name} (${pixels}px)`).join(", ")
+    : "no pane";
+  const unowned = result.unowned > 0 ? `, ${result.unowned}px outside any pane` : "";
+  return (
+    `${fixture.name} ${backend} frame ${frame}: ${result.diffCount} pixels changed ` +
+    `(${(result.diffRatio * 100).toFixed(2)}%) in ${panes}${unowned}; see ${result.artifacts[1]}`
+  );
+}
@@ -0,0 +1,91 @@
+// Node side of the golden harness: the reference/artifact directories, the
+// canvas binding for the Canvas backend, and the vitest browser commands that
+// let the WebGL run (in a real browser) read and write the same files.
+
+import { existsSync } from "node:fs";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { decodePNG, encodePNG } from "../src/node.js";
+
+const here = dirname(fileURLToPath(import.meta.url));
+
+export const REFERENCE_DIR = join(here, "reference");
+// test-results/ is git-ignored at the repo root.
+export const ARTIFACT_DIR = join(here, "..", "..", "..", "test-results", "goldens");
+
+/**
+ * Load a Node canvas binding, or null when none is installed.
+ *
+ * @returns {Promise<{createCanvas: Function}|null>}
+ */
+export async function loadCanvasBinding() {
+  for (const moduleName of ["@napi-rs/canvas", "canvas"]) {
+    try {
+      const binding = await import(moduleName);
+      const createCanvas = binding.createCanvas ?? binding.default?.createCanvas;
+      if (typeof createCanvas === "function") {
+        return { createCanvas };
+      }
+    } catch {
+      // Not installed; try the next binding.
+    }
+  }
+  return null;
+}
+
+async function writeFileTo(path, bytes) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, bytes);
+  return path;
+}
+
+/**
+ * Golden file access on the local filesystem (see GoldenIo in harness.js).
+ *
+ * @param {object} [options]
+ * @param {string} [options.referenceDir]
+ * @param {string} [options.artifactDir]
+ * @returns {import("./harness.js").GoldenIo}
+ */
+export function createNodeGoldenIo({ referenceDir = REFERENCE_DIR, artifactDir = ARTIFACT_DIR } = {}) {
+  return {
+    async readReference(path) {
+      const file = join(referenceDir, path);
+      return existsSync(file) ? decodePNG(new Uint8Array(await readFile(file))) : null;
+    },
+    writeReference(path, image) {
+      return writeFileTo(join(referenceDir, path), encodePNG(image));
+    },
+    writeArtifact(path, content) {
+      return writeFileTo(join(artifactDir, path), typeof content === "string" ? content : encodePNG(content));
+    },
+  };
+}
+
+// Images cross the browser command channel as JSON, so pixels travel as plain arrays.
+function toImage({ width, height, data }) {
+  return { width, height, data: Uint8ClampedArray.from(data) };
+}
+
+/**
+ * vitest browser commands backing browserIo.js. Registered in vitest.config.js
+ * for the WebGL project; they run in Node.
+ *
+ * @param {object} [options] - Same as createNodeGoldenIo
+ */
+export function createGoldenBrowserCommands(options) {
+  const io = createNodeGoldenIo(options);
+  return {
+    async readGoldenReference(_context, path) {
+      const image = await io.readReference(path);
+      return image && { width: image.width, height: image.height, data: Array.from(image.data) };
+    },
+    writeGoldenReference(_context, path, image) {
+      return io.writeReference(path, toImage(image));
+    },
+    writeGoldenArtifact(_context, path, content) {
+      return io.writeArtifact(path, typeof content === "string" ? content : toImage(content));
+    },
+  };
+}
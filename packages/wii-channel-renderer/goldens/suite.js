@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { GOLDEN_FIXTURES } from "./fixtures.js";
+import { checkGoldenFrame, formatGoldenFailure } from "./harness.js";
+
+/**
+ * Register one test per fixture frame for a backend. An unavailable backend is
+ * skipped, unless `required` (CI, or the WebGL browser project) makes it fail.
+ *
+ * @param {"canvas"|"webgl"} backend
+ * @param {object} options
+ * @param {boolean} options.available
+ * @param {string} options.unavailableReason - Shown when a required backend is missing
+ * @param {boolean} options.required
+ * @param {boolean} options.update - Re-record references (UPDATE_GOLDENS=1)
+ * @param {import("./harness.js").GoldenIo} options.io
+ * @param {Function} [options.createCanvas]
+ */
+export function describeGoldenFrames(backend, { available, unavailableReason, required, update, io, createCanvas }) {
+  describe.skipIf(!available && !required)(`golden frames (${backend})`, () => {
+    for (const fixture of GOLDEN_FIXTURES) {
+      it.each(fixture.frames)(`${fixture.name} frame %i`, async (frame) => {
+        if (!available) {
+          expect.fail(`${backend} golden frames cannot run: ${unavailableReason}`);
+        }
+        const result = await checkGoldenFrame(fixture, frame, backend, { io, createCanvas, update });
+
+        if (result.status === "mismatch" || result.status === "missing") {
+          expect.fail(formatGoldenFailure(fixture, frame, backend, result));
+        }
+        expect(result.status).toBe(update ? "recorded" : "match");
+      });
+    }
+  });
+}
@@ -1,10 +1,10 @@
-import { interpolateKeyframes } from "@firstform/wii-channel-renderer";
+import { interpolateKeyframes } from "./wadRenderer/animations.js";
 import {
   normalizeRenderState,
   resolveAutoRenderState,
   findStateAnimationEntry,
   shouldHoldStateAnimation,
-} from "./renderState";
+} from "./renderState.js";
 
 export function clampFrame(value, max) {
   if (!Number.isFinite(value)) {
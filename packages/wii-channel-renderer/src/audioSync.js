@@ -0,0 +1,245 @@
+// Seek/drift correction threshold. Restarting a source is audible, so small
+// clock differences between the renderer and the audio device are tolerated.
+const DRIFT_TOLERANCE_SECONDS = 0.1;
+
+// One context for every controller: browsers cap the number of live AudioContexts.
+let sharedAudioContext = null;
+
+export function getSharedAudioContext() {
+  if (!sharedAudioContext) {
+    const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    sharedAudioContext = new AudioContextClass();
+  }
+  return sharedAudioContext;
+}
+
+function createPcmAudioBuffer(context, bnsMetadata) {
+  if (!bnsMetadata?.pcm16?.length || !(bnsMetadata.sampleRate > 0)) return null;
+
+  const frameCount = Math.min(...bnsMetadata.pcm16.map((channelData) => channelData.length));
+  if (!Number.isFinite(frameCount) || frameCount <= 0) return null;
+
+  const buffer = context.createBuffer(bnsMetadata.pcm16.length, frameCount, bnsMetadata.sampleRate);
+  bnsMetadata.pcm16.forEach((channelData, channel) => {
+    const output = buffer.getChannelData(channel);
+    for (let i = 0; i < frameCount; i += 1) {
+      output[i] = channelData[i] / 32768;
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Play decoded BNS audio through Web Audio, locked to the banner's frame clock.
+ *
+ * Looping streams play once from 0, then repeat [loopStart, end) sample-exactly
+ * via AudioBufferSourceNode.loopStart/loopEnd. The audio timeline is driven by
+ * the renderer's monotonic `audioFrame` (see getPlaybackInfo), so it stays in
+ * step even when the animation loop and the audio loop have different lengths.
+ *
+ * Pass either decoded BNS PCM (`pcm16`) or an AudioBuffer the caller already
+ * decoded (e.g. a bundle's audio.wav); `loopStart` is in samples at `sampleRate`
+ * either way, since decodeAudioData may resample to the context rate.
+ *
+ * @param {{pcm16?: Int16Array[], audioBuffer?: AudioBuffer, sampleRate?: number, loopFlag?: boolean, loopStart?: number}} bnsMetadata
+ * @param {number} [fps=60]
+ * @param {object} [options]
+ * @param {boolean} [options.animationLoops=false] - Whether the banner loops (otherwise audio plays once)
+ * @param {number} [options.volume=1]
+ * @param {AudioContext} [options.audioContext] - Defaults to a shared context
+ */
+export function createAudioSyncController(bnsMetadata, fps = 60, {
+  animationLoops = false,
+  volume = 1,
+  audioContext = getSharedAudioContext(),
+} = {}) {
+  if (!audioContext) return null;
+
+  const context = audioContext;
+  const buffer = bnsMetadata?.audioBuffer ?? createPcmAudioBuffer(context, bnsMetadata);
+  if (!buffer) return null;
+
+  const gainNode = context.createGain();
+  gainNode.gain.value = Math.max(0, Math.min(1, volume));
+  gainNode.connect(context.destination);
+
+  const totalDuration = buffer.length / buffer.sampleRate;
+  const loopFlag = Boolean(bnsMetadata.loopFlag);
+  const sourceSampleRate = bnsMetadata.sampleRate > 0 ? bnsMetadata.sampleRate : buffer.sampleRate;
+  const rawLoopStartTime = loopFlag ? (bnsMetadata.loopStart || 0) / sourceSampleRate : 0;
+  const loopStartTime = Math.max(0, Math.min(rawLoopStartTime, totalDuration));
+  const shouldLoop = loopFlag && animationLoops && loopStartTime < totalDuration;
+  const loopAudioDuration = shouldLoop ? (totalDuration - loopStartTime) : 0;
+
+  let source = null;
+  let sourceStartContextTime = 0;
+  let sourceStartOffset = 0;
+  let playToken = 0;
+  let shouldBePlaying = false;
+  let pausedOffset = 0;
+  let disposed = false;
+
+  function normalizePlaybackTime(rawTime) {
+    const time = Number.isFinite(rawTime) ? Math.max(0, rawTime) : 0;
+    if (!shouldLoop || loopAudioDuration <= 0) {
+      return Math.min(time, totalDuration);
+    }
+    if (time <= totalDuration) {
+      return time;
+    }
+    const overflow = time - totalDuration;
+    return loopStartTime + (overflow % loopAudioDuration);
+  }
+
+  function getCurrentTime() {
+    if (source) {
+      return normalizePlaybackTime(sourceStartOffset + (context.currentTime - sourceStartContextTime));
+    }
+    return pausedOffset;
+  }
+
+  function getExpectedAudioTime(globalFrame) {
+    const frame = Number.isFinite(globalFrame) ? Math.max(0, globalFrame) : 0;
+    return normalizePlaybackTime(frame / fps);
+  }
+
+  function hasAudioAt(time) {
+    return shouldLoop || time < totalDuration;
+  }
+
+  function stopSource() {
+    const node = source;
+    source = null;
+    if (!node) return;
+    node.onended = null;
+    try {
+      node.stop();
+    } catch {
+      // Already stopped.
+    }
+    node.disconnect();
+  }
+
+  function startSource(offset) {
+    stopSource();
+    pausedOffset = offset;
+    if (!hasAudioAt(offset)) return;
+
+    const node = context.createBufferSource();
+    node.buffer = buffer;
+    if (shouldLoop) {
+      node.loop = true;
+      node.loopStart = loopStartTime;
+      node.loopEnd = totalDuration;
+    }
+    node.connect(gainNode);
+    node.onended = () => {
+      // One-shot audio ran out; the transport keeps "playing" so a seek back restarts it.
+      if (source !== node) return;
+      source = null;
+      pausedOffset = totalDuration;
+      node.disconnect();
+    };
+    sourceStartContextTime = context.currentTime;
+    sourceStartOffset = offset;
+    node.start(0, offset);
+    source = node;
+  }
+
+  async function play(offset) {
+    if (disposed) return;
+
+    const token = ++playToken;
+    shouldBePlaying = true;
+    const target = normalizePlaybackTime(offset ?? pausedOffset);
+    pausedOffset = target;
+
+    try {
+      if (context.state === "suspended") {
+        await context.resume();
+      }
+      if (disposed || token !== playToken || !shouldBePlaying) return;
+      startSource(target);
+    } catch {
+      if (token === playToken) {
+        shouldBePlaying = false;
+      }
+    }
+  }
+
+  function pause() {
+    playToken += 1;
+    pausedOffset = getCurrentTime();
+    shouldBePlaying = false;
+    stopSource();
+  }
+
+  function stop() {
+    playToken += 1;
+    shouldBePlaying = false;
+    stopSource();
+    pausedOffset = 0;
+  }
+
+  function seekToFrame(globalFrame) {
+    const target = getExpectedAudioTime(globalFrame);
+    if (source) {
+      startSource(target);
+      return;
+    }
+    pausedOffset = target;
+    if (shouldBePlaying && !disposed) {
+      void play(target);
+    }
+  }
+
+  function syncFrame(globalFrame) {
+    if (!shouldBePlaying || disposed) return;
+
+    const expected = getExpectedAudioTime(globalFrame);
+    if (!source) {
+      // Waiting on context.resume(), or a one-shot stream that already ended.
+      if (context.state === "running" && hasAudioAt(expected)) {
+        startSource(expected);
+      }
+      return;
+    }
+
+    const actual = getCurrentTime();
+    let drift = Math.abs(actual - expected);
+    if (shouldLoop && loopAudioDuration > 0 && actual >= loopStartTime && expected >= loopStartTime) {
+      drift = Math.min(drift, Math.abs(loopAudioDuration - drift));
+    }
+    if (drift > DRIFT_TOLERANCE_SECONDS) {
+      startSource(expected);
+    }
+  }
+
+  function setVolume(value) {
+    gainNode.gain.value = Math.max(0, Math.min(1, value));
+  }
+
+  function dispose() {
+    disposed = true;
+    playToken += 1;
+    shouldBePlaying = false;
+    stopSource();
+    gainNode.disconnect();
+  }
+
+  return {
+    play,
+    pause,
+    stop,
+    seekToFrame,
+    syncFrame,
+    setVolume,
+    dispose,
+    getExpectedAudioTime,
+    get playing() { return source !== null; },
+    get duration() { return totalDuration; },
+    get currentTime() { return getCurrentTime(); },
+    get loopStart() { return shouldLoop ? loopStartTime : null; },
+  };
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { createAudioSyncController } from "./audioSync.js";
+
+// Minimal Web Audio stand-in: records the sources the controller starts.
+function createFakeAudioContext() {
+  const sources = [];
+  const context = {
+    currentTime: 0,
+    state: "running",
+    destination: {},
+    resume: async () => {},
+    createGain: () => ({ gain: { value: 1 }, connect() {}, disconnect() {} }),
+    createBuffer: (channels, length, sampleRate) => {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { length, sampleRate, numberOfChannels: channels, getChannelData: (index) => data[index] };
+    },
+    createBufferSource: () => {
+      const source = {
+        loop: false,
+        loopStart: 0,
+        loopEnd: 0,
+        startOffset: null,
+        stopped: false,
+        connect() {},
+        disconnect() {},
+        start(when, offset) { source.startOffset = offset; },
+        stop() { source.stopped = true; },
+      };
+      sources.push(source);
+      return source;
+    },
+  };
+  return { context, sources };
+}
+
+// 2 s at 1 kHz with the loop starting at 0.5 s.
+const bns = {
+  pcm16: [new Int16Array(2000).fill(16384)],
+  sampleRate: 1000,
+  sampleCount: 2000,
+  loopFlag: true,
+  loopStart: 500,
+};
+
+describe("createAudioSyncController", () => {
+  it("loops the BNS loop region on the source node", async () => {
+    const { context, sources } = createFakeAudioContext();
+    const controller = createAudioSyncController(bns, 60, { animationLoops: true, audioContext: context });
+
+    await controller.play(0);
+    expect(sources).toHaveLength(1);
+    expect(sources[0]).toMatchObject({ loop: true, loopStart: 0.5, loopEnd: 2, startOffset: 0 });
+    expect(controller.loopStart).toBe(0.5);
+  });
+
+  it("plays once when the banner does not loop", async () => {
+    const { context, sources } = createFakeAudioContext();
+    const controller = createAudioSyncController(bns, 60, { animationLoops: false, audioContext: context });
+
+    await controller.play(0);
+    expect(sources[0].loop).toBe(false);
+    expect(controller.getExpectedAudioTime(600)).toBe(2);
+  });
+
+  it("maps monotonic audio frames into the loop region", () => {
+    const { context } = createFakeAudioContext();
+    const controller = createAudioSyncController(bns, 60, { animationLoops: true, audioContext: context });
+
+    expect(controller.getExpectedAudioTime(60)).toBeCloseTo(1);
+    // 2.5 s: half a second past the end wraps to 0.5 + 0.5.
+    expect(controller.getExpectedAudioTime(150)).toBeCloseTo(1);
+    // 5 s: 3 s past the end, two full 1.5 s loops.
+    expect(controller.getExpectedAudioTime(300)).toBeCloseTo(0.5);
+  });
+
+  it("only restarts the source when the frame clock drifts", async () => {
+    const { context, sources } = createFakeAudioContext();
+    const controller = createAudioSyncController(bns, 60, { animationLoops: true, audioContext: context });
+    await controller.play(0);
+
+    // Audio device wrapped the loop on its own; the renderer agrees.
+    context.currentTime = 2.25;
+    controller.syncFrame(135);
+    expect(sources).toHaveLength(1);
+    expect(controller.currentTime).toBeCloseTo(0.75);
+
+    // Renderer was seeked well away from the audio position.
+    controller.syncFrame(30);
+    expect(sources).toHaveLength(2);
+    expect(sources[0].stopped).toBe(true);
+    expect(sources[1].startOffset).toBeCloseTo(0.5);
+  });
+
+  it("uses a decoded AudioBuffer with the loop point at the source sample rate", async () => {
+    const { context, sources } = createFakeAudioContext();
+    // audio.wav at 1 kHz, resampled to 2 kHz by decodeAudioData.
+    const audioBuffer = context.createBuffer(1, 4000, 2000);
+    const controller = createAudioSyncController(
+      { audioBuffer, sampleRate: 1000, loopFlag: true, loopStart: 500 },
+      60,
+      { animationLoops: true, audioContext: context },
+    );
+
+    await controller.play(0);
+    expect(sources[0]).toMatchObject({ loop: true, loopStart: 0.5, loopEnd: 2 });
+  });
+
+  it("restarts one-shot audio when seeking back after it ended", async () => {
+    const { context, sources } = createFakeAudioContext();
+    const controller = createAudioSyncController(bns, 60, { animationLoops: false, audioContext: context });
+    await controller.play(0);
+
+    sources[0].onended();
+    expect(controller.playing).toBe(false);
+    controller.syncFrame(200);
+    expect(sources).toHaveLength(1);
+
+    controller.seekToFrame(30);
+    await Promise.resolve();
+    expect(sources).toHaveLength(2);
+    expect(sources[1].startOffset).toBeCloseTo(0.5);
+  });
+});
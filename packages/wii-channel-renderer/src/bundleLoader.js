@@ -93,8 +93,11 @@ async function loadFonts(zip, prefix) {
     // Load glyph sheet PNGs
     const sheets = [];
     for (const sheetInfo of meta.sheets ?? []) {
-      const blob = await readBlob(zip, `${prefix}/fonts/${sheetInfo.file}`);
-      if (!blob) continue;
+      const blob = sheetInfo ? await readBlob(zip, `${prefix}/fonts/${sheetInfo.file}`) : null;
+      if (!blob) {
+        sheets.push(null);
+        continue;
+      }
 
       const imgData = await pngBlobToImageData(blob);
       sheets.push({
@@ -22,7 +22,7 @@ import { createGlBannerRenderer, isWebGlSupported } from "./wadRenderer/glRender
 // Icon viewport helper
 // ---------------------------------------------------------------------------
 
-function resolveIconViewport(layout) {
+export function resolveIconViewport(layout) {
   if (!layout?.panes) return { width: 128, height: 96 };
 
   const picturePanes = layout.panes.filter((pane) => pane.type === "pic1");
@@ -196,6 +196,9 @@ function resolveAnimFromEntries(data, animOverrideId) {
  * @param {number} [settings.maxDevicePixelRatio] - Cap on the canvas backing-store resolution (default Infinity = full devicePixelRatio). Clamp to ~1–1.5 for small instances to cut per-frame paint/composite cost on HiDPI displays.
  * @param {boolean} [settings.subframePlayback] - Interpolate between integer frames every tick (default true). Set false for cheaper, integer-stepped playback.
  * @param {boolean} [settings.useGsap] - Whether to use GSAP (default false)
+ * @param {Function} [settings.onFrame] - Called after every rendered frame with (frame, total, phase, globalFrame, audioFrame); use audioFrame to keep audio in sync
+ * @param {object|Function} [settings.surfaceProvider] - Scratch canvas factory for the Canvas 2D backend (see createSurfaceProvider); required outside the browser
+ * @param {Object<string, ArrayBuffer|object>} [settings.sharedFonts] - System Menu fonts keyed by fnl1 file name (e.g. "wbf1.brfna"), as raw files or parseBRFNT() results; used for text panes whose font the channel does not ship
  * @returns {{ renderer: BannerRenderer, layout: object, meta: object }}
  */
 export function createRendererFromBundle(canvas, bundle, target, settings = {}) {
@@ -265,6 +268,9 @@ export function createRendererFromBundle(canvas, bundle, target, settings = {})
     tevQuality: settings.tevQuality ?? undefined,
     titleLocale: settings.titleLocale ?? undefined,
     paneStateSelections: settings.paneStateSelections ?? undefined,
+    surfaceProvider: settings.surfaceProvider ?? undefined,
+    sharedFonts: settings.sharedFonts ?? undefined,
+    onFrame: settings.onFrame ?? undefined,
     paneVisibilityOverrides,
     paneAlphaMaskFromFirstTexture,
     textOverrides,
@@ -2,14 +2,19 @@
  * Export WAD banner/icon assets as a downloadable zip bundle.
  *
  * Uses JSZip (loaded from npm dependency) to create a zip containing:
- * - manifest.json (metadata + animation info)
+ * - manifest.json (metadata, IMET channel titles + animation info)
  * - banner.png / icon.png (snapshots at current aspect)
  * - banner-4x3.png / banner-16x9.png (both aspect ratio snapshots)
  * - textures/banner/*.png and textures/icon/*.png
  * - audio.wav (if available)
  * - banner-frames/*.png and icon-frames/*.png (optional, all animation frames)
+ * - icon.gif / icon-animated.png (optional, looping animated icon)
  */
 
+import { encodeGIF } from "./wadRenderer/shared/gif.js";
+import { encodeApngAsync, encodePngAsync } from "./wadRenderer/shared/png.js";
+import { resolveSurfaceProvider } from "./wadRenderer/shared/surface.js";
+
 let jsZipPromise = null;
 
 function loadJSZip() {
@@ -22,13 +27,29 @@ function loadJSZip() {
 
 export { loadJSZip };
 
-function canvasToBlob(canvas, type = "image/png") {
-  return new Promise((resolve) => {
-    canvas.toBlob((blob) => resolve(blob), type);
-  });
+export const ICON_ANIMATION_FORMATS = {
+  gif: { file: "icon.gif", type: "image/gif" },
+  apng: { file: "icon-animated.png", type: "image/apng" },
+};
+
+async function canvasToBlob(canvas, type = "image/png") {
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type });
+  }
+  if (typeof canvas.toBlob === "function") {
+    return new Promise((resolve) => {
+      canvas.toBlob((blob) => resolve(blob), type);
+    });
+  }
+  // Canvas bindings without Blob output (Node): read the pixels back.
+  const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  return imageDataToPngBlob(imageData);
 }
 
-export function imageDataToPngBlob(imageData) {
+export async function imageDataToPngBlob(imageData) {
+  if (typeof OffscreenCanvas === "undefined") {
+    return new Blob([await encodePngAsync(imageData)], { type: "image/png" });
+  }
   const canvas = new OffscreenCanvas(imageData.width, imageData.height);
   const ctx = canvas.getContext("2d");
   ctx.putImageData(imageData, 0, 0);
@@ -36,11 +57,26 @@ export function imageDataToPngBlob(imageData) {
 }
 
 export function tplImageToImageData(image) {
-  return new ImageData(
-    new Uint8ClampedArray(image.imageData.buffer, image.imageData.byteOffset, image.imageData.byteLength),
-    image.width,
-    image.height,
-  );
+  const data = new Uint8ClampedArray(image.imageData.buffer, image.imageData.byteOffset, image.imageData.byteLength);
+  if (typeof ImageData === "undefined") {
+    return { width: image.width, height: image.height, data };
+  }
+  return new ImageData(data, image.width, image.height);
+}
+
+/**
+ * Add a Blob to a JSZip archive. JSZip reads Blob inputs through FileReader,
+ * which Node lacks, so the bytes are handed over directly.
+ */
+export async function addBlobToZip(zip, path, blob) {
+  zip.file(path, new Uint8Array(await blob.arrayBuffer()));
+}
+
+export function createExportSurface(surfaceProvider, width, height) {
+  if (surfaceProvider) {
+    return resolveSurfaceProvider(surfaceProvider).createSurface(width, height);
+  }
+  return new OffscreenCanvas(width, height);
 }
 
 /**
@@ -48,7 +84,7 @@ export function tplImageToImageData(image) {
  * The renderer applies displayScaleX = displayAspect / referenceAspect (4/3)
  * to horizontally stretch/compress the native layout into the target aspect.
  */
-function computeOutputSize(layoutWidth, layoutHeight, displayAspect) {
+export function computeOutputSize(layoutWidth, layoutHeight, displayAspect) {
   const referenceAspect = 4 / 3;
   const scaleX = displayAspect ? displayAspect / referenceAspect : 1;
   return {
@@ -57,13 +93,27 @@ function computeOutputSize(layoutWidth, layoutHeight, displayAspect) {
   };
 }
 
+export function buildImetManifest(imet) {
+  if (!imet) {
+    return null;
+  }
+
+  return {
+    titles: { ...imet.titles },
+    iconSize: imet.iconSize,
+    bannerSize: imet.bannerSize,
+    soundSize: imet.soundSize,
+  };
+}
+
 function buildManifest(parsed, sourceFileName, options) {
-  const { wad, results } = parsed;
+  const { wad, imet, results } = parsed;
   const manifest = {
     version: "1.0.0",
-    titleId: wad.titleId ?? null,
+    titleId: wad?.titleId ?? null,
     sourceFile: sourceFileName ?? null,
     exportAspect: options.exportAspect ?? "4:3",
+    imet: buildImetManifest(imet),
   };
 
   for (const target of ["banner", "icon"]) {
@@ -103,6 +153,13 @@ function buildManifest(parsed, sourceFileName, options) {
       frames: options.includeFrames
         ? { directory: `${target}-frames/`, aspect: options.exportAspect ?? "4:3" }
         : null,
+      ...(target === "icon"
+        ? {
+          animated: (options.iconAnimations ?? [])
+            .filter((format) => ICON_ANIMATION_FORMATS[format])
+            .map((format) => ({ format, file: ICON_ANIMATION_FORMATS[format].file })),
+        }
+        : {}),
       textures: layout?.textures ?? [],
       materials: (layout?.materials ?? []).map((m) => ({
         name: m.name,
@@ -131,6 +188,9 @@ function buildManifest(parsed, sourceFileName, options) {
       sampleRate: audio.sampleRate,
       channels: channelCount,
       durationSeconds: Math.round((frameCount / audio.sampleRate) * 100) / 100,
+      // BNS loop point, in samples at sampleRate.
+      loopFlag: Boolean(audio.loopFlag),
+      loopStart: audio.loopStart ?? 0,
     };
   } else {
     manifest.audio = null;
@@ -196,7 +256,7 @@ async function renderSnapshot(BannerRenderer, result, animSelection, displayAspe
   // The renderer will resize the canvas based on displayAspect, but we need
   // to give it the native layout size and let it compute the output.
   const outSize = computeOutputSize(layout.width, layout.height, displayAspect);
-  const offscreen = new OffscreenCanvas(outSize.width, outSize.height);
+  const offscreen = createExportSurface(extraOptions.surfaceProvider, outSize.width, outSize.height);
 
   const renderer = new BannerRenderer(offscreen, layout, animSelection.anim, result.tplImages, {
     startAnim: null,
@@ -206,22 +266,29 @@ async function renderSnapshot(BannerRenderer, result, animSelection, displayAspe
     displayAspect,
     tevQuality: extraOptions.tevQuality ?? "fast",
     fonts: result.fonts ?? {},
+    sharedFonts: extraOptions.sharedFonts,
     titleLocale: extraOptions.titleLocale,
     paneStateSelections: extraOptions.paneStateSelections,
+    surfaceProvider: extraOptions.surfaceProvider,
   });
 
   try {
     renderer.applyFrame(extraOptions.snapshotFrame ?? 0);
-    return await offscreen.convertToBlob({ type: "image/png" });
+    return await canvasToBlob(offscreen);
   } finally {
     renderer.dispose();
   }
 }
 
+function readSurfacePixels(surface) {
+  return surface.getContext("2d").getImageData(0, 0, surface.width, surface.height);
+}
+
 /**
- * Render all animation frames for a target and return as PNG blobs.
+ * Render all animation frames for a target. Frames are PNG blobs unless
+ * another `readFrame(surface)` is given.
  */
-async function renderAllFrames(BannerRenderer, result, animSelection, extraOptions, onProgress) {
+async function renderAllFrames(BannerRenderer, result, animSelection, extraOptions, onProgress, readFrame = canvasToBlob) {
   const layout = extraOptions.layout ?? result.renderLayout;
   const loopAnim = animSelection.loopAnim ?? animSelection.anim;
   const startAnim = animSelection.startAnim ?? null;
@@ -231,7 +298,7 @@ async function renderAllFrames(BannerRenderer, result, animSelection, extraOptio
 
   const displayAspect = extraOptions.displayAspect ?? 4 / 3;
   const outSize = computeOutputSize(layout.width, layout.height, displayAspect);
-  const offscreen = new OffscreenCanvas(outSize.width, outSize.height);
+  const offscreen = createExportSurface(extraOptions.surfaceProvider, outSize.width, outSize.height);
 
   const renderer = new BannerRenderer(offscreen, layout, animSelection.anim, result.tplImages, {
     startAnim,
@@ -241,19 +308,20 @@ async function renderAllFrames(BannerRenderer, result, animSelection, extraOptio
     displayAspect,
     tevQuality: extraOptions.tevQuality ?? "fast",
     fonts: result.fonts ?? {},
+    sharedFonts: extraOptions.sharedFonts,
     titleLocale: extraOptions.titleLocale,
     paneStateSelections: extraOptions.paneStateSelections,
+    surfaceProvider: extraOptions.surfaceProvider,
   });
 
-  const blobs = [];
+  const frames = [];
 
   try {
     if (startAnim && totalStartFrames > 0) {
       for (let f = 0; f < totalStartFrames; f++) {
         renderer.applyFrame(f);
-        const blob = await offscreen.convertToBlob({ type: "image/png" });
-        blobs.push(blob);
-        onProgress?.(blobs.length, totalFrames);
+        frames.push(await readFrame(offscreen));
+        onProgress?.(frames.length, totalFrames);
       }
       renderer.setActiveAnim(loopAnim, "loop");
       renderer.captureStartEndState?.();
@@ -261,15 +329,14 @@ async function renderAllFrames(BannerRenderer, result, animSelection, extraOptio
 
     for (let f = 0; f < totalLoopFrames; f++) {
       renderer.applyFrame(f);
-      const blob = await offscreen.convertToBlob({ type: "image/png" });
-      blobs.push(blob);
-      onProgress?.(blobs.length, totalFrames);
+      frames.push(await readFrame(offscreen));
+      onProgress?.(frames.length, totalFrames);
     }
   } finally {
     renderer.dispose();
   }
 
-  return blobs;
+  return frames;
 }
 
 function resolveIconViewportForExport(layout) {
@@ -286,7 +353,7 @@ function resolveIconViewportForExport(layout) {
   return null;
 }
 
-function parseAspectNumber(aspect) {
+export function parseAspectNumber(aspect) {
   if (typeof aspect === "number") return aspect;
   const str = String(aspect).trim();
   if (str === "4:3" || str === "4/3") return 4 / 3;
@@ -298,6 +365,69 @@ function parseAspectNumber(aspect) {
   return 4 / 3;
 }
 
+function iconRendererOptions(result, rendererOptions) {
+  const options = { ...rendererOptions, displayAspect: null };
+  const iconViewport = resolveIconViewportForExport(result.renderLayout);
+  if (iconViewport) {
+    options.layout = { ...result.renderLayout, width: iconViewport.width, height: iconViewport.height };
+  }
+  return options;
+}
+
+/**
+ * Render the icon's loop animation and encode it as a looping GIF or APNG,
+ * cropped to the icon viewport like the icon snapshots and frames.
+ *
+ * The start animation is skipped: the result loops forever, and replaying the
+ * intro on every loop would look wrong.
+ *
+ * @param {object} params
+ * @param {object} params.parsed - Result from processWAD()
+ * @param {Function} params.BannerRenderer - BannerRenderer class
+ * @param {object} params.iconAnimSelection - Icon animation selection
+ * @param {"gif"|"apng"} [params.format="gif"]
+ * @param {object} [params.rendererOptions] - Extra renderer options (tevQuality, titleLocale, surfaceProvider, etc.)
+ * @param {boolean} [params.dither=true] - Floyd-Steinberg dithering (GIF only)
+ * @param {Function} [params.onProgress] - Progress callback (stage, current, total)
+ * @returns {Promise<Blob>}
+ */
+export async function exportIconAnimation({
+  parsed,
+  BannerRenderer,
+  iconAnimSelection,
+  format = "gif",
+  rendererOptions = {},
+  dither = true,
+  onProgress,
+}) {
+  const target = ICON_ANIMATION_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown icon animation format "${format}"`);
+  }
+  const result = parsed?.results?.icon;
+  if (!result || !iconAnimSelection?.anim) {
+    throw new Error("No animated icon to export");
+  }
+
+  const loopOnly = { ...iconAnimSelection, startAnim: null };
+  const frames = await renderAllFrames(
+    BannerRenderer,
+    result,
+    loopOnly,
+    iconRendererOptions(result, rendererOptions),
+    (current, total) => onProgress?.("icon-frames", current, total),
+    readSurfacePixels,
+  );
+  const { width, height } = frames[0];
+
+  onProgress?.(`encoding-${format}`, 0, 1);
+  const bytes = format === "gif"
+    ? encodeGIF(frames, { width, height, fps: 60, dither })
+    : await encodeApngAsync(frames, { width, height, fps: 60 });
+  onProgress?.(`encoding-${format}`, 1, 1);
+  return new Blob([bytes], { type: target.type });
+}
+
 /**
  * Export parsed WAD data as a zip bundle.
  *
@@ -311,12 +441,15 @@ function parseAspectNumber(aspect) {
  * @param {boolean} params.options.includeTextures - Export individual textures (default: true)
  * @param {boolean} params.options.includeAudio - Export WAV audio (default: true)
  * @param {string} params.options.exportAspect - Aspect ratio for frame export ("4:3", "16:9", etc.)
+ * @param {string} params.options.zipType - JSZip output type (default: "blob"; "uint8array" for Node)
+ * @param {string[]} params.options.iconAnimations - Animated icon formats to include ("gif", "apng")
  * @param {Function} params.BannerRenderer - BannerRenderer class (needed for snapshot/frame rendering)
  * @param {object} params.bannerAnimSelection - Banner animation selection
  * @param {object} params.iconAnimSelection - Icon animation selection
- * @param {object} params.rendererOptions - Extra renderer options (tevQuality, titleLocale, etc.)
+ * @param {object} params.rendererOptions - Extra renderer options (tevQuality, titleLocale, surfaceProvider, etc.).
+ *   Outside the browser, pass a surfaceProvider so snapshots and frames render without OffscreenCanvas.
  * @param {Function} params.onProgress - Progress callback (stage, current, total)
- * @returns {Promise<Blob>} Zip file as Blob
+ * @returns {Promise<Blob|Uint8Array>} Zip file, as a Blob unless options.zipType says otherwise
  */
 export async function exportBundle({
   parsed,
@@ -339,7 +472,11 @@ export async function exportBundle({
   const JSZip = await loadJSZip();
   const zip = new JSZip();
 
-  const manifest = buildManifest(parsed, sourceFileName, { includeFrames, exportAspect });
+  const manifest = buildManifest(parsed, sourceFileName, {
+    includeFrames,
+    exportAspect,
+    iconAnimations: BannerRenderer && iconAnimSelection?.anim ? options.iconAnimations : [],
+  });
   zip.file("manifest.json", JSON.stringify(manifest, null, 2));
 
   // --- Snapshots ---
@@ -348,13 +485,13 @@ export async function exportBundle({
 
   if (bannerCanvas) {
     const blob = await canvasToBlob(bannerCanvas);
-    if (blob) zip.file("banner.png", blob);
+    if (blob) await addBlobToZip(zip, "banner.png", blob);
   }
   onProgress?.("snapshots", 1, 4);
 
   if (iconCanvas) {
     const blob = await canvasToBlob(iconCanvas);
-    if (blob) zip.file("icon.png", blob);
+    if (blob) await addBlobToZip(zip, "icon.png", blob);
   }
   onProgress?.("snapshots", 2, 4);
 
@@ -370,7 +507,7 @@ export async function exportBundle({
             snapshotFrame: 0,
           },
         );
-        if (blob) zip.file(`banner-${label}.png`, blob);
+        if (blob) await addBlobToZip(zip, `banner-${label}.png`, blob);
       } catch {
         // fall through - snapshot is best-effort
       }
@@ -381,18 +518,13 @@ export async function exportBundle({
   // Icon aspect-ratio snapshots (icon doesn't stretch, just copy)
   const iconResult = parsed.results.icon;
   if (BannerRenderer && iconResult && iconAnimSelection?.anim) {
-    const iconViewport = resolveIconViewportForExport(iconResult.renderLayout);
-    const iconExtraOpts = { ...rendererOptions };
-    if (iconViewport) {
-      iconExtraOpts.layout = { ...iconResult.renderLayout, width: iconViewport.width, height: iconViewport.height };
-    }
     try {
       const blob = await renderSnapshot(
-        BannerRenderer, iconResult, iconAnimSelection, null, iconExtraOpts,
+        BannerRenderer, iconResult, iconAnimSelection, null, iconRendererOptions(iconResult, rendererOptions),
       );
       if (blob) {
-        zip.file("icon-4x3.png", blob);
-        zip.file("icon-16x9.png", blob);
+        await addBlobToZip(zip, "icon-4x3.png", blob);
+        await addBlobToZip(zip, "icon-16x9.png", blob);
       }
     } catch {
       // best-effort
@@ -415,7 +547,7 @@ export async function exportBundle({
             const imageData = tplImageToImageData(img);
             const blob = await imageDataToPngBlob(imageData);
             const safeName = images.length > 1 ? `${name}_${i}.png` : `${name}.png`;
-            zip.file(`textures/${target}/${safeName}`, blob);
+            await addBlobToZip(zip, `textures/${target}/${safeName}`, blob);
           } catch {
             // skip
           }
@@ -444,13 +576,9 @@ export async function exportBundle({
       const animSel = target === "banner" ? bannerAnimSelection : iconAnimSelection;
       if (!result || !animSel?.anim) continue;
 
-      const extraOpts = { ...rendererOptions, displayAspect: target === "banner" ? frameAspect : null };
-      if (target === "icon") {
-        const iconViewport = resolveIconViewportForExport(result.renderLayout);
-        if (iconViewport) {
-          extraOpts.layout = { ...result.renderLayout, width: iconViewport.width, height: iconViewport.height };
-        }
-      }
+      const extraOpts = target === "icon"
+        ? iconRendererOptions(result, rendererOptions)
+        : { ...rendererOptions, displayAspect: frameAspect };
 
       const frameBlobs = await renderAllFrames(
         BannerRenderer,
@@ -461,13 +589,29 @@ export async function exportBundle({
       );
 
       for (let i = 0; i < frameBlobs.length; i++) {
-        zip.file(`${target}-frames/${String(i).padStart(4, "0")}.png`, frameBlobs[i]);
+        await addBlobToZip(zip, `${target}-frames/${String(i).padStart(4, "0")}.png`, frameBlobs[i]);
       }
     }
   }
 
+  // --- Animated icon ---
+  const iconAnimations = (options.iconAnimations ?? []).filter((format) => ICON_ANIMATION_FORMATS[format]);
+  if (iconAnimations.length > 0 && BannerRenderer && iconResult && iconAnimSelection?.anim) {
+    for (const format of iconAnimations) {
+      const blob = await exportIconAnimation({
+        parsed,
+        BannerRenderer,
+        iconAnimSelection,
+        format,
+        rendererOptions,
+        onProgress,
+      });
+      await addBlobToZip(zip, ICON_ANIMATION_FORMATS[format].file, blob);
+    }
+  }
+
   onProgress?.("compressing", 0, 1);
-  const zipBlob = await zip.generateAsync({ type: "blob" });
+  const zipBlob = await zip.generateAsync({ type: options.zipType ?? "blob" });
   onProgress?.("done", 1, 1);
   return zipBlob;
 }
@@ -6,9 +6,16 @@
  * and loads this bundle to replay animations on Canvas 2D with GSAP.
  */
 
-import { loadJSZip, imageDataToPngBlob, tplImageToImageData, createWavArrayBuffer } from "@firstform/wii-channel-renderer/export-bundle";
-import { collectRenderStateOptions } from "../utils/renderState";
-import { resolveIconViewport } from "../utils/iconViewport";
+import {
+  loadJSZip,
+  addBlobToZip,
+  imageDataToPngBlob,
+  tplImageToImageData,
+  createWavArrayBuffer,
+  buildImetManifest,
+} from "./exportBundle.js";
+import { resolveIconViewport } from "./bundleRenderer.js";
+import { collectRenderStateOptions } from "./renderState.js";
 
 // ---------------------------------------------------------------------------
 // Build available options metadata for a target (banner or icon)
@@ -168,7 +175,7 @@ async function serializeTextures(zip, prefix, tplImages, onProgress) {
       const fileName = images.length > 1 ? `${name}_${j}.png` : `${name}.png`;
       const imgData = tplImageToImageData(img);
       const pngBlob = await imageDataToPngBlob(imgData);
-      zip.file(`${prefix}/textures/${fileName}`, pngBlob);
+      await addBlobToZip(zip, `${prefix}/textures/${fileName}`, pngBlob);
       texturesManifest[name].push({
         file: fileName,
         width: img.width,
@@ -208,16 +215,15 @@ async function serializeFonts(zip, prefix, fonts) {
     const sheets = fontData.sheets ?? [];
     for (let s = 0; s < sheets.length; s++) {
       const sheet = sheets[s];
-      if (!sheet?.imageData) continue;
+      if (!sheet?.imageData) {
+        // Placeholder keeps glyph sheet indices aligned in the bundle.
+        fontMeta.sheets.push(null);
+        continue;
+      }
 
       const sheetFileName = `${fontName}_sheet_${s}.png`;
-      const imgData = new ImageData(
-        new Uint8ClampedArray(sheet.imageData.buffer, sheet.imageData.byteOffset, sheet.imageData.byteLength),
-        sheet.width,
-        sheet.height,
-      );
-      const pngBlob = await imageDataToPngBlob(imgData);
-      zip.file(`${prefix}/fonts/${sheetFileName}`, pngBlob);
+      const pngBlob = await imageDataToPngBlob(tplImageToImageData(sheet));
+      await addBlobToZip(zip, `${prefix}/fonts/${sheetFileName}`, pngBlob);
       fontMeta.sheets.push({
         file: sheetFileName,
         width: sheet.width,
@@ -291,6 +297,19 @@ banner/icon animation using the WeWAD BannerRenderer.
    renderer.play();
    \`\`\`
 
+### Web Component
+
+Without a framework, the \`<wii-banner>\` element loads this ZIP, picks WebGL
+or Canvas, syncs audio and pauses while offscreen:
+
+\`\`\`html
+<script type="module">
+  import "@firstform/wii-channel-renderer/wii-banner";
+</script>
+
+<wii-banner src="/assets/my-bundle.zip" target="banner" aspect="16:9" autoplay muted></wii-banner>
+\`\`\`
+
 ### React Component Example
 
 \`\`\`jsx
@@ -392,7 +411,8 @@ if (bundle.audioWav) {
  * @param {object} params.rendererOptions - Extra renderer options
  * @param {string} params.exportAspect - Aspect ratio for banner
  * @param {Function} params.onProgress - Progress callback
- * @returns {Promise<Blob>} ZIP blob
+ * @param {string} params.zipType - JSZip output type (default "blob"; "uint8array" for Node)
+ * @returns {Promise<Blob|Uint8Array>} ZIP archive
  */
 export async function exportGsapBundle({
   parsed,
@@ -403,6 +423,7 @@ export async function exportGsapBundle({
   exportAspect = "4:3",
   exportAllAnimations = true,
   onProgress,
+  zipType = "blob",
 }) {
   onProgress?.("loading", 0, 1);
   const JSZip = await loadJSZip();
@@ -412,6 +433,7 @@ export async function exportGsapBundle({
     version: "1.0",
     sourceFile: sourceFileName ?? null,
     titleId: parsed.wad?.titleId ?? null,
+    imet: buildImetManifest(parsed.imet),
     hasAudio: false,
     exportAspect,
     rendererOptions: {
@@ -504,7 +526,7 @@ export async function exportGsapBundle({
 
   // --- Compress ---
   onProgress?.("compressing", 0, 1);
-  const zipBlob = await zip.generateAsync({ type: "blob" });
+  const zipBlob = await zip.generateAsync({ type: zipType });
   onProgress?.("done", 1, 1);
   return zipBlob;
 }
@@ -0,0 +1,402 @@
+/**
+ * Export the animated banner as a WebM or MP4 clip with the channel audio
+ * muxed in.
+ *
+ * Frames are rendered offscreen (start sequence, then N loops) and encoded
+ * with WebCodecs: VP9 (falling back to VP8) with Opus audio for WebM, H.264
+ * with AAC audio for MP4. Audio follows the BNS loop points, so looping music
+ * continues seamlessly from loopStart for as long as the video runs.
+ */
+
+import { computeOutputSize, createExportSurface, parseAspectNumber } from "./exportBundle.js";
+import { buildMP4 } from "./wadRenderer/shared/mp4.js";
+import { buildOpusHead, buildWebM } from "./wadRenderer/shared/webm.js";
+
+const VIDEO_FPS = 60;
+const AUDIO_SAMPLE_RATE = 48000;
+const OPUS_SEEK_PRE_ROLL_NS = 80_000_000;
+const AUDIO_CHUNK_FRAMES = 4800;
+const KEYFRAME_INTERVAL_FRAMES = VIDEO_FPS * 2;
+const MAX_ENCODE_QUEUE = 8;
+
+// Video codecs in order of preference and the audio codec for each container.
+const CONTAINERS = {
+  webm: {
+    mimeType: "video/webm",
+    videoCodecs: [
+      { codec: "vp09.00.10.08", codecId: "V_VP9" },
+      { codec: "vp8", codecId: "V_VP8" },
+    ],
+    audioCodec: "opus",
+    missingCodecMessage: "No supported WebM video codec (VP9 or VP8) in this browser",
+    missingAudioCodecMessage: "No Opus audio encoder in this browser; turn off Channel Audio to export without sound",
+  },
+  mp4: {
+    mimeType: "video/mp4",
+    // H.264 High, Main, then Constrained Baseline; level 4.2 covers 1080p60.
+    videoCodecs: [
+      { codec: "avc1.64002a" },
+      { codec: "avc1.4d002a" },
+      { codec: "avc1.42e02a" },
+    ],
+    audioCodec: "mp4a.40.2",
+    missingCodecMessage: "No supported MP4 video codec (H.264) in this browser",
+    missingAudioCodecMessage: "No AAC audio encoder in this browser; export WebM or turn off Channel Audio",
+  },
+};
+
+export const VIDEO_CONTAINERS = Object.keys(CONTAINERS);
+
+export const VIDEO_RESOLUTIONS = {
+  native: null,
+  "480p": 480,
+  "720p": 720,
+  "1080p": 1080,
+};
+
+export function isVideoExportSupported() {
+  return typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+}
+
+function even(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Work out the frame sequence and output size for a video export.
+ *
+ * @param {object} layout - Banner render layout
+ * @param {object} animSelection - From resolveAnimationSelection()
+ * @param {object} [options]
+ * @param {number} [options.loopCount=3] - Times the loop animation plays after the start sequence
+ * @param {string|number} [options.aspect="4:3"]
+ * @param {string} [options.resolution="native"] - Key of VIDEO_RESOLUTIONS
+ */
+export function planVideoExport(layout, animSelection, { loopCount = 3, aspect = "4:3", resolution = "native" } = {}) {
+  const loopAnim = animSelection?.loopAnim ?? animSelection?.anim ?? null;
+  const startAnim = animSelection?.startAnim ?? null;
+  const startFrames = startAnim ? (startAnim.frameSize ?? 0) : 0;
+  const loopFrames = loopAnim?.frameSize ?? 120;
+  const loops = Math.max(1, Math.floor(loopCount));
+
+  const displayAspect = parseAspectNumber(aspect) ?? 4 / 3;
+  const renderSize = computeOutputSize(layout.width, layout.height, displayAspect);
+  const targetHeight = VIDEO_RESOLUTIONS[resolution] ?? renderSize.height;
+
+  const totalFrames = startFrames + loops * loopFrames;
+  return {
+    fps: VIDEO_FPS,
+    displayAspect,
+    renderSize,
+    width: even((renderSize.width * targetHeight) / renderSize.height),
+    height: even(targetHeight),
+    startFrames,
+    loopFrames,
+    loopCount: loops,
+    totalFrames,
+    durationSeconds: totalFrames / VIDEO_FPS,
+  };
+}
+
+/**
+ * Lay the decoded BNS audio out over `sampleCount` output samples at
+ * `sampleRate`: play it through once, then (when the stream loops) repeat
+ * [loopStart, end) until the end. Non-looping audio is followed by silence.
+ *
+ * @param {object} audio - parseBNS() output (pcm16, sampleRate, loopFlag, loopStart)
+ * @param {object} options
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} options.sampleCount - Output length in samples
+ * @param {number} [options.maxChannels=2]
+ * @returns {Float32Array[]} One plane per channel, in [-1, 1]
+ */
+export function buildLoopedPcm(audio, { sampleRate, sampleCount, maxChannels = 2 }) {
+  const sourceChannels = audio.pcm16.slice(0, maxChannels);
+  const sourceLength = Math.min(...sourceChannels.map((channel) => channel.length));
+  const loopStart = Math.max(0, Math.min(audio.loopStart ?? 0, sourceLength - 1));
+  const loops = Boolean(audio.loopFlag) && loopStart < sourceLength;
+  const loopLength = sourceLength - loopStart;
+  const step = audio.sampleRate / sampleRate;
+
+  const sourceIndex = (index) => {
+    if (index < sourceLength) {
+      return index;
+    }
+    return loops ? loopStart + ((index - sourceLength) % loopLength) : -1;
+  };
+
+  return sourceChannels.map((channel) => {
+    const out = new Float32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i += 1) {
+      const position = i * step;
+      const base = Math.floor(position);
+      const a = sourceIndex(base);
+      if (a < 0) {
+        break;
+      }
+      const b = sourceIndex(base + 1);
+      const fraction = position - base;
+      const next = b < 0 ? 0 : channel[b];
+      out[i] = (channel[a] * (1 - fraction) + next * fraction) / 32768;
+    }
+    return out;
+  });
+}
+
+function getContainer(name = "webm") {
+  const container = CONTAINERS[name];
+  if (!container) {
+    throw new Error(`Unsupported video container "${name}" (expected ${VIDEO_CONTAINERS.join(" or ")})`);
+  }
+  return container;
+}
+
+async function pickVideoCodec(container, width, height, bitrate) {
+  for (const candidate of container.videoCodecs) {
+    const config = { codec: candidate.codec, width, height, bitrate, framerate: VIDEO_FPS };
+    if (container === CONTAINERS.mp4) {
+      // Length-prefixed NAL units with an avcC description, as MP4 stores them.
+      config.avc = { format: "avc" };
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) {
+      return { config, codecId: candidate.codecId };
+    }
+  }
+  throw new Error(container.missingCodecMessage);
+}
+
+function copyChunk(chunk) {
+  const data = new Uint8Array(chunk.byteLength);
+  chunk.copyTo(data);
+  return data;
+}
+
+async function waitForQueue(encoder) {
+  while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+// Checked before any video is rendered, so a missing audio encoder fails the
+// export up front instead of producing a silent file.
+async function pickAudioConfig(container, audio) {
+  const channelCount = Math.min(2, Math.max(1, audio.pcm16.length));
+  const config = { codec: container.audioCodec, sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: channelCount, bitrate: 128_000 };
+  if (typeof AudioEncoder === "undefined" || typeof AudioData === "undefined") {
+    throw new Error(container.missingAudioCodecMessage);
+  }
+  const { supported } = await AudioEncoder.isConfigSupported(config);
+  if (!supported) {
+    throw new Error(container.missingAudioCodecMessage);
+  }
+  return config;
+}
+
+async function encodeAudioTrack(container, config, audio, durationSeconds) {
+  const channelCount = config.numberOfChannels;
+  const sampleCount = Math.round(durationSeconds * AUDIO_SAMPLE_RATE);
+  const planes = buildLoopedPcm(audio, { sampleRate: AUDIO_SAMPLE_RATE, sampleCount, maxChannels: channelCount });
+
+  const chunks = [];
+  let description = null;
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      if (metadata?.decoderConfig?.description && !description) {
+        description = new Uint8Array(metadata.decoderConfig.description);
+      }
+      chunks.push({ data: copyChunk(chunk), timestamp: chunk.timestamp, duration: chunk.duration ?? 0 });
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+
+  for (let offset = 0; offset < sampleCount; offset += AUDIO_CHUNK_FRAMES) {
+    const frames = Math.min(AUDIO_CHUNK_FRAMES, sampleCount - offset);
+    const data = new Float32Array(frames * channelCount);
+    planes.forEach((plane, index) => data.set(plane.subarray(offset, offset + frames), index * frames));
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: AUDIO_SAMPLE_RATE,
+      numberOfFrames: frames,
+      numberOfChannels: channelCount,
+      timestamp: Math.round((offset * 1e6) / AUDIO_SAMPLE_RATE),
+      data,
+    });
+    encoder.encode(audioData);
+    audioData.close();
+    await waitForQueue(encoder);
+  }
+  await encoder.flush();
+  encoder.close();
+  if (encodeError) {
+    throw encodeError;
+  }
+
+  if (container === CONTAINERS.mp4) {
+    return {
+      track: { sampleRate: AUDIO_SAMPLE_RATE, channelCount, description, bitrate: config.bitrate },
+      chunks,
+    };
+  }
+  return {
+    track: {
+      codecId: "A_OPUS",
+      sampleRate: AUDIO_SAMPLE_RATE,
+      channelCount,
+      codecPrivate: description ?? buildOpusHead({ channelCount, sampleRate: audio.sampleRate }),
+      seekPreRollNs: OPUS_SEEK_PRE_ROLL_NS,
+    },
+    chunks,
+  };
+}
+
+/**
+ * Render the banner's start sequence plus `loopCount` loops and encode it
+ * as a WebM or MP4 video with the channel audio.
+ *
+ * @param {object} params
+ * @param {object} params.parsed - Result from processWAD()
+ * @param {Function} params.BannerRenderer - BannerRenderer class
+ * @param {object} params.animSelection - Banner animation selection (from resolveAnimationSelection)
+ * @param {object} [params.options]
+ * @param {number} [params.options.loopCount=3] - Loop animation repetitions after the start sequence
+ * @param {string} [params.options.container="webm"] - "webm" (VP9/VP8 + Opus) or "mp4" (H.264 + AAC)
+ * @param {string} [params.options.aspect="4:3"] - Display aspect ("4:3", "16:9", ...)
+ * @param {string} [params.options.resolution="native"] - "native", "480p", "720p" or "1080p"
+ * @param {boolean} [params.options.includeAudio=true] - Mux in the channel audio when present; rejects
+ *   when the browser cannot encode it (Opus for WebM, AAC for MP4) rather than exporting a silent video
+ * @param {number} [params.options.bitrate] - Video bitrate in bits per second
+ * @param {object} [params.rendererOptions] - Extra renderer options (tevQuality, titleLocale, surfaceProvider, ...)
+ * @param {Function} [params.onProgress] - Progress callback (stage, current, total)
+ * @returns {Promise<Blob>} video/webm or video/mp4
+ */
+export async function exportVideo({ parsed, BannerRenderer, animSelection, options = {}, rendererOptions = {}, onProgress }) {
+  if (!isVideoExportSupported()) {
+    throw new Error("Video export needs WebCodecs (VideoEncoder), which this browser does not support");
+  }
+  const result = parsed?.results?.banner;
+  if (!result) {
+    throw new Error("No banner to export");
+  }
+  const container = getContainer(options.container);
+
+  const layout = result.renderLayout;
+  const plan = planVideoExport(layout, animSelection, options);
+  const loopAnim = animSelection?.loopAnim ?? animSelection?.anim ?? null;
+  const startAnim = plan.startFrames > 0 ? animSelection.startAnim : null;
+  const bitrate = options.bitrate ?? Math.round(plan.width * plan.height * VIDEO_FPS * 0.15);
+
+  onProgress?.("preparing", 0, 1);
+  const { config, codecId } = await pickVideoCodec(container, plan.width, plan.height, bitrate);
+  const audio = parsed.results.audio;
+  const audioConfig = options.includeAudio !== false && audio?.pcm16?.length ? await pickAudioConfig(container, audio) : null;
+
+  const renderSurface = createExportSurface(rendererOptions.surfaceProvider, plan.renderSize.width, plan.renderSize.height);
+  const needsScaling = plan.renderSize.width !== plan.width || plan.renderSize.height !== plan.height;
+  const frameSurface = needsScaling ? createExportSurface(rendererOptions.surfaceProvider, plan.width, plan.height) : renderSurface;
+  const frameContext = needsScaling ? frameSurface.getContext("2d") : null;
+  if (frameContext) {
+    frameContext.imageSmoothingEnabled = true;
+    frameContext.imageSmoothingQuality = "high";
+  }
+
+  const renderer = new BannerRenderer(renderSurface, layout, animSelection?.anim ?? loopAnim, result.tplImages, {
+    startAnim,
+    loopAnim,
+    renderState: animSelection?.renderState,
+    playbackMode: "hold",
+    displayAspect: plan.displayAspect,
+    tevQuality: rendererOptions.tevQuality ?? "fast",
+    fonts: result.fonts ?? {},
+    sharedFonts: rendererOptions.sharedFonts,
+    titleLocale: rendererOptions.titleLocale,
+    paneStateSelections: rendererOptions.paneStateSelections,
+    surfaceProvider: rendererOptions.surfaceProvider,
+  });
+
+  const videoChunks = [];
+  let videoDescription = null;
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, metadata) => {
+      if (metadata?.decoderConfig?.description && !videoDescription) {
+        videoDescription = new Uint8Array(metadata.decoderConfig.description);
+      }
+      videoChunks.push({ data: copyChunk(chunk), timestamp: chunk.timestamp, keyframe: chunk.type === "key" });
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+
+  const frameDurationUs = 1e6 / VIDEO_FPS;
+  let index = 0;
+  const encodeFrame = async () => {
+    if (frameContext) {
+      frameContext.clearRect(0, 0, plan.width, plan.height);
+      frameContext.drawImage(renderSurface, 0, 0, plan.width, plan.height);
+    }
+    const frame = new VideoFrame(frameSurface, {
+      timestamp: Math.round(index * frameDurationUs),
+      duration: Math.round(frameDurationUs),
+    });
+    encoder.encode(frame, { keyFrame: index % KEYFRAME_INTERVAL_FRAMES === 0 });
+    frame.close();
+    index += 1;
+    onProgress?.("frames", index, plan.totalFrames);
+    await waitForQueue(encoder);
+    if (encodeError) {
+      throw encodeError;
+    }
+  };
+
+  try {
+    if (startAnim) {
+      for (let f = 0; f < plan.startFrames; f += 1) {
+        renderer.applyFrame(f);
+        await encodeFrame();
+      }
+      renderer.setActiveAnim(loopAnim, "loop");
+      renderer.captureStartEndState?.();
+    }
+    for (let loop = 0; loop < plan.loopCount; loop += 1) {
+      for (let f = 0; f < plan.loopFrames; f += 1) {
+        renderer.applyFrame(f);
+        await encodeFrame();
+      }
+    }
+    await encoder.flush();
+  } finally {
+    renderer.dispose();
+    if (encoder.state !== "closed") {
+      encoder.close();
+    }
+  }
+  if (encodeError) {
+    throw encodeError;
+  }
+
+  let audioTrack = null;
+  if (audioConfig) {
+    onProgress?.("audio", 0, 1);
+    audioTrack = await encodeAudioTrack(container, audioConfig, audio, plan.durationSeconds);
+    onProgress?.("audio", 1, 1);
+  }
+
+  onProgress?.("muxing", 0, 1);
+  const mux = container === CONTAINERS.mp4 ? buildMP4 : buildWebM;
+  const video = mux({
+    video: { codecId, width: plan.width, height: plan.height, frameRate: VIDEO_FPS, description: videoDescription },
+    videoChunks,
+    audio: audioTrack?.track ?? null,
+    audioChunks: audioTrack?.chunks ?? [],
+    durationMs: plan.durationSeconds * 1000,
+  });
+  onProgress?.("done", 1, 1);
+  return new Blob([video], { type: container.mimeType });
+}
@@ -0,0 +1,70 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { buildLoopedPcm, exportVideo, planVideoExport } from "./exportVideo.js";
+
+describe("planVideoExport", () => {
+  const layout = { width: 608, height: 456 };
+
+  it("plays the start sequence once followed by the requested loops", () => {
+    const plan = planVideoExport(layout, { startAnim: { frameSize: 90 }, loopAnim: { frameSize: 240 } }, { loopCount: 2 });
+    expect(plan).toMatchObject({ startFrames: 90, loopFrames: 240, loopCount: 2, totalFrames: 570, fps: 60 });
+    expect(plan.durationSeconds).toBe(9.5);
+    expect(plan).toMatchObject({ width: 608, height: 456 });
+  });
+
+  it("scales to the requested height at the display aspect with even dimensions", () => {
+    const plan = planVideoExport(layout, { anim: { frameSize: 60 } }, { aspect: "16:9", resolution: "720p" });
+    expect(plan.renderSize).toEqual({ width: 811, height: 456 });
+    expect(plan).toMatchObject({ width: 1280, height: 720, startFrames: 0, totalFrames: 180 });
+  });
+});
+
+describe("buildLoopedPcm", () => {
+  const pcm = (values) => Int16Array.from(values, (value) => value * 1024);
+
+  it("repeats the [loopStart, end) region after the first pass", () => {
+    const audio = { pcm16: [pcm([1, 2, 3, 4])], sampleRate: 100, loopFlag: true, loopStart: 2 };
+    const [channel] = buildLoopedPcm(audio, { sampleRate: 100, sampleCount: 9 });
+    expect(Array.from(channel, (value) => value * 32)).toEqual([1, 2, 3, 4, 3, 4, 3, 4, 3]);
+  });
+
+  it("pads non-looping audio with silence and resamples linearly", () => {
+    const audio = { pcm16: [pcm([2, 4]), pcm([8, 8])], sampleRate: 100, loopFlag: false, loopStart: 0 };
+    const [left, right] = buildLoopedPcm(audio, { sampleRate: 200, sampleCount: 6 });
+    expect(Array.from(left, (value) => value * 32)).toEqual([2, 3, 4, 2, 0, 0]);
+    expect(Array.from(right, (value) => value * 32)).toEqual([8, 8, 8, 4, 0, 0]);
+  });
+});
+
+describe("exportVideo", () => {
+  const parsed = {
+    results: {
+      banner: { renderLayout: { width: 608, height: 456 } },
+      audio: { pcm16: [new Int16Array(64)], sampleRate: 32000, loopFlag: false, loopStart: 0 },
+    },
+  };
+  const animSelection = { anim: { frameSize: 60 } };
+
+  function stubEncoders({ audioSupported }) {
+    const isConfigSupported = async () => ({ supported: true });
+    vi.stubGlobal("VideoEncoder", Object.assign(class {}, { isConfigSupported }));
+    vi.stubGlobal("VideoFrame", class {});
+    if (audioSupported !== undefined) {
+      vi.stubGlobal("AudioEncoder", Object.assign(class {}, { isConfigSupported: async () => ({ supported: audioSupported }) }));
+      vi.stubGlobal("AudioData", class {});
+    }
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("rejects an MP4 export with channel audio when AAC cannot be encoded", async () => {
+    stubEncoders({ audioSupported: false });
+    await expect(exportVideo({ parsed, animSelection, options: { container: "mp4" } })).rejects.toThrow(/No AAC audio encoder/);
+  });
+
+  it("rejects instead of dropping audio when the browser has no AudioEncoder", async () => {
+    stubEncoders({});
+    await expect(exportVideo({ parsed, animSelection, options: { container: "webm" } })).rejects.toThrow(/No Opus audio encoder/);
+  });
+});
@@ -88,10 +88,3 @@ export function formatByteSize(bytes) {
   const precision = unitIndex === 0 ? 0 : 1;
   return `${size.toFixed(precision)} ${units[unitIndex]}`;
 }
-
-export function formatRecentTimestamp(timestamp) {
-  if (!Number.isFinite(timestamp) || timestamp <= 0) {
-    return "Unknown time";
-  }
-  return new Date(timestamp).toLocaleString();
-}
@@ -1,15 +1,72 @@
 export {
   ANIM_TYPES,
+  IMET_LANGUAGES,
   TPL_FORMATS,
+  TPL_PALETTE_FORMATS,
+  parseBNR,
   parseBNS,
+  parseBRFNT,
   parseBRLAN,
   parseBRLYT,
+  parseCertChain,
+  parseDiscHeader,
+  parseFST,
+  parseIMET,
   parseTPL,
   parseU8,
   parseWAD,
 } from "./wadRenderer/parsers.js";
+export {
+  BRLAN_TRACK_TYPES,
+  buildBRLAN,
+  buildBRLYT,
+  buildU8,
+  buildWAD,
+  createAnimationBuilder,
+  encodeBNS,
+  encodeTPL,
+  repackBannerBin,
+  repackIMET,
+  repackWAD,
+  wrapIMD5,
+} from "./wadRenderer/writers.js";
 export { interpolateKeyframes } from "./wadRenderer/animations.js";
-export { flattenTextures, processArchive, processWAD, processZipBundle } from "./wadRenderer/pipeline.js";
+export {
+  createByteSource,
+  decryptWadContents,
+  flattenTextures,
+  processArchive,
+  processDiscImage,
+  processOpeningBnr,
+  processWAD,
+  processZipBundle,
+  rebuildBannerBin,
+  rebuildChannelWAD,
+  rebuildMetaContent,
+  verifyWAD,
+} from "./wadRenderer/pipeline.js";
 export { BannerRenderer } from "./wadRenderer/BannerRenderer.js";
+export { createSurfaceProvider } from "./wadRenderer/shared/surface.js";
+export { compareImages } from "./wadRenderer/shared/imageDiff.js";
 export { createGlBannerRenderer, isWebGlSupported } from "./wadRenderer/glRenderer/createGlBannerRenderer.js";
 export { loadRendererBundle } from "./bundleLoader.js";
+export { createAudioSyncController } from "./audioSync.js";
+export {
+  clampFrame,
+  findAlphaRevealFrame,
+  resolveAnimationSelection,
+  suggestInitialFrame,
+} from "./animationSelection.js";
+export {
+  buildWiiShopIconOverrides,
+  collectRenderStateOptions,
+  mergeRelatedRsoAnimations,
+  normalizeRenderState,
+} from "./renderState.js";
+export {
+  createArrayLogger,
+  formatAnimationInfo,
+  formatByteSize,
+  formatDuration,
+  formatLayoutInfo,
+} from "./formatters.js";
@@ -0,0 +1,154 @@
+/**
+ * Node entry point — headless rendering without a browser.
+ *
+ * The Canvas 2D renderer only needs a canvas implementation, so callers inject
+ * one (node-canvas, @napi-rs/canvas, ...) and get RGBA frames or PNG files back.
+ *
+ * Usage:
+ *   import { createCanvas } from '@napi-rs/canvas';
+ *   import { processWAD, renderToPNG } from '@firstform/wii-channel-renderer/node';
+ *
+ *   const parsed = await processWAD(wadBytes.buffer);
+ *   const png = renderToPNG(parsed, { target: 'banner', frame: 60, createCanvas });
+ *   await fs.writeFile('banner.png', png);
+ */
+
+import { deflateSync, inflateSync } from "node:zlib";
+import { BannerRenderer } from "./wadRenderer/BannerRenderer.js";
+import { buildPngFile, createPngScanlines, decodePngFile } from "./wadRenderer/shared/png.js";
+import { createSurfaceProvider } from "./wadRenderer/shared/surface.js";
+import { resolveIconViewport } from "./bundleRenderer.js";
+
+export * from "./index.js";
+
+/**
+ * Encode straight RGBA pixels as an 8-bit truecolor+alpha PNG.
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} image
+ * @returns {Uint8Array}
+ */
+export function encodePNG(image) {
+  return buildPngFile(image.width, image.height, deflateSync(createPngScanlines(image)));
+}
+
+/**
+ * Decode an 8-bit RGB/RGBA PNG to straight RGBA pixels.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function decodePNG(bytes) {
+  return decodePngFile(bytes, inflateSync);
+}
+
+function resolveTarget(parsed, target) {
+  const result = parsed?.results?.[target] ?? (parsed?.renderLayout ? parsed : null);
+  if (!result) {
+    throw new Error(`No "${target}" data to render`);
+  }
+  return result;
+}
+
+/**
+ * Create a BannerRenderer drawing into an injected canvas.
+ *
+ * @param {object} parsed - Result of processWAD/processArchive, or one of its results.banner/results.icon entries
+ * @param {object} options
+ * @param {(width: number, height: number) => object} options.createCanvas - Canvas factory from a Node canvas binding
+ * @param {(data: Uint8ClampedArray, width: number, height: number) => object} [options.createImageData]
+ * @param {"banner"|"icon"} [options.target="banner"]
+ * @param {object} [options.layout] - Layout override (defaults to the target's renderLayout, cropped to the icon viewport for icons)
+ * @returns {{renderer: BannerRenderer, canvas: object, layout: object}}
+ */
+export function createHeadlessRenderer(parsed, { createCanvas, createImageData, target = "banner", layout: layoutOverride, ...options } = {}) {
+  const surfaceProvider = createSurfaceProvider({ createCanvas, createImageData });
+  const result = resolveTarget(parsed, target);
+
+  let layout = layoutOverride ?? result.renderLayout;
+  if (!layoutOverride && target === "icon") {
+    const viewport = resolveIconViewport(layout);
+    layout = { ...layout, width: viewport.width, height: viewport.height };
+  }
+
+  const startAnim = options.startAnim !== undefined ? options.startAnim : (result.animStart ?? null);
+  const loopAnim = options.loopAnim ?? result.animLoop ?? result.anim ?? null;
+  const canvas = surfaceProvider.createSurface(layout.width, layout.height);
+
+  const renderer = new BannerRenderer(canvas, layout, loopAnim, result.tplImages, {
+    fonts: result.fonts ?? {},
+    playbackMode: "hold",
+    useGsap: false,
+    tevQuality: "fast",
+    ...options,
+    startAnim,
+    loopAnim,
+    surfaceProvider,
+  });
+
+  return { renderer, canvas, layout };
+}
+
+/**
+ * Read the renderer's canvas back as straight RGBA.
+ *
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function readRendererPixels(renderer) {
+  const { canvas } = renderer;
+  const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  return { width: canvas.width, height: canvas.height, data: imageData.data };
+}
+
+/**
+ * Render every frame of the start animation (when present) followed by the
+ * loop animation, yielding RGBA pixels for each.
+ *
+ * @param {BannerRenderer} renderer - From createHeadlessRenderer
+ * @param {object} [options]
+ * @param {number} [options.loopFrames] - Loop frames to render (defaults to the loop animation length, or 120)
+ */
+export function* renderFrames(renderer, { loopFrames } = {}) {
+  const { startAnim, loopAnim } = renderer;
+  const startFrames = renderer.sequenceEnabled ? (startAnim?.frameSize ?? 0) : 0;
+
+  for (let frame = 0; frame < startFrames; frame += 1) {
+    renderer.applyFrame(frame);
+    yield { phase: "start", frame, ...readRendererPixels(renderer) };
+  }
+  if (startFrames > 0) {
+    renderer.setActiveAnim(loopAnim, "loop");
+    renderer.captureStartEndState?.();
+  }
+
+  const totalLoopFrames = loopFrames ?? loopAnim?.frameSize ?? 120;
+  for (let frame = 0; frame < totalLoopFrames; frame += 1) {
+    renderer.applyFrame(frame);
+    yield { phase: "loop", frame, ...readRendererPixels(renderer) };
+  }
+}
+
+/**
+ * Render one frame of a banner or icon to RGBA pixels.
+ *
+ * @param {object} parsed - See createHeadlessRenderer
+ * @param {object} options - createHeadlessRenderer options plus `frame` (default 0)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function renderToRGBA(parsed, { frame = 0, ...options } = {}) {
+  const { renderer } = createHeadlessRenderer(parsed, { ...options, initialFrame: frame });
+  try {
+    renderer.applyFrame(frame);
+    return readRendererPixels(renderer);
+  } finally {
+    renderer.dispose();
+  }
+}
+
+/**
+ * Render one frame of a banner or icon to a PNG file.
+ *
+ * @returns {Uint8Array}
+ */
+export function renderToPNG(parsed, options = {}) {
+  return encodePNG(renderToRGBA(parsed, options));
+}
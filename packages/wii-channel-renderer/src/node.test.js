@@ -0,0 +1,87 @@
+import { inflateSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { encodePNG, renderToPNG, renderToRGBA } from "./node.js";
+
+// Minimal stand-in for a Node canvas binding: pixel storage for
+// putImageData/getImageData and no-op drawing calls.
+function createFakeCanvasFactory() {
+  const created = [];
+
+  const createCanvas = (width, height) => {
+    const canvas = {
+      width,
+      height,
+      pixels: new Uint8ClampedArray(width * height * 4),
+      getContext() {
+        const context = {
+          putImageData(imageData) {
+            canvas.pixels = new Uint8ClampedArray(imageData.data);
+          },
+          getImageData(x, y, w, h) {
+            const data = new Uint8ClampedArray(w * h * 4);
+            data.set(canvas.pixels.subarray(0, data.length));
+            return { width: w, height: h, data };
+          },
+          createImageData(w, h) {
+            return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+          },
+          clearRect() {
+            canvas.pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+          },
+        };
+        return new Proxy(context, {
+          get: (target, key) => (key in target ? target[key] : () => {}),
+          set: () => true,
+        });
+      },
+    };
+    created.push(canvas);
+    return canvas;
+  };
+
+  return { createCanvas, created };
+}
+
+const target = {
+  renderLayout: { width: 6, height: 4, panes: [], textures: ["tex.tpl"], groups: [] },
+  tplImages: {
+    "tex.tpl": [{ width: 2, height: 1, format: 6, imageData: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 128]) }],
+  },
+  anim: null,
+};
+
+describe("node entry", () => {
+  it("renders through the injected canvas factory", () => {
+    const { createCanvas, created } = createFakeCanvasFactory();
+    const frame = renderToRGBA({ results: { banner: target } }, { createCanvas });
+
+    expect(frame).toMatchObject({ width: 6, height: 4 });
+    expect(frame.data).toHaveLength(6 * 4 * 4);
+
+    const texture = created.find((canvas) => canvas.width === 2 && canvas.height === 1);
+    expect(Array.from(texture.pixels)).toEqual([255, 0, 0, 255, 0, 255, 0, 128]);
+  });
+
+  it("rejects missing targets", () => {
+    const { createCanvas } = createFakeCanvasFactory();
+    expect(() => renderToPNG({ results: {} }, { createCanvas, target: "icon" })).toThrow('No "icon" data to render');
+  });
+
+  it("encodes RGBA pixels as PNG", () => {
+    const data = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    const png = encodePNG({ width: 1, height: 3, data });
+    const view = new DataView(png.buffer);
+
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(view.getUint32(16, false)).toBe(1);
+    expect(view.getUint32(20, false)).toBe(3);
+    expect(png[24]).toBe(8);
+    expect(png[25]).toBe(6);
+    // IHDR CRC of a 1x3 RGBA header.
+    expect(view.getUint32(29, false)).toBe(0x52dd6582);
+
+    const idatLength = view.getUint32(33, false);
+    const scanlines = inflateSync(png.subarray(41, 41 + idatLength));
+    expect(Array.from(scanlines)).toEqual([0, 1, 2, 3, 4, 0, 5, 6, 7, 8, 0, 9, 10, 11, 12]);
+  });
+});
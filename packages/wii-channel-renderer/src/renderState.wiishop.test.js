@@ -1,5 +1,5 @@
 import { describe, expect, it } from "vitest";
-import { buildWiiShopIconOverrides } from "./renderState";
+import { buildWiiShopIconOverrides } from "./renderState.js";
 
 function wiiShopLayout() {
   // Minimal Wii Shop icon signature: 4 carousel slots (_00.._03) of bags + caption.
@@ -1,3 +1,4 @@
+import { resolveSurfaceProvider } from "../shared/surface.js";
 import { detectPreferredTitleLocale } from "./locale.js";
 import * as animationMethods from "./animationMethods.js";
 import * as customNewsMethods from "./customNewsMethods.js";
@@ -16,6 +17,8 @@ import * as textureMethods from "./textureMethods.js";
 import * as tevMethods from "./tevMethods.js";
 import * as fontMethods from "./fontMethods.js";
 import * as framePrepareMethods from "./framePrepareMethods.js";
+import * as inspectionMethods from "./inspectionMethods.js";
+import * as windowMethods from "./windowMethods.js";
 
 const DEFAULT_REFERENCE_ASPECT = 4 / 3;
 
@@ -130,6 +133,7 @@ export class BannerRenderer {
     this.vertexColorModulationCache = new WeakMap();
     this.materialColorModulationCache = new WeakMap();
     this.textureSrtAnimationCache = new Map();
+    this.surfaceProvider = resolveSurfaceProvider(options.surfaceProvider);
     this.paneCompositeSurface = null;
     this.paneCompositeContext = null;
     this.modulationScratchSurface = null;
@@ -144,6 +148,10 @@ export class BannerRenderer {
     this.tevMaxResolution = this.tevQuality === "fast" ? 128 : Infinity;
     this.parsedFonts = options.fonts ?? {};
     this.fontGlyphCanvases = {};
+    // System Menu fonts (fnl1 names such as wbf1.brfna) that channels reference
+    // but do not ship; see registerSharedFont().
+    this.sharedFonts = {};
+    this.fontRevision = 0;
     this.textScratchSurface = null;
     this.textScratchContext = null;
 
@@ -286,6 +294,9 @@ export class BannerRenderer {
     this.prepareTextures();
     this.resolveCustomWeatherDigitTextureMap();
     this.prepareFonts();
+    for (const [name, font] of Object.entries(options.sharedFonts ?? {})) {
+      this.addSharedFont(name, font);
+    }
     this.rebuildRenderablePaneList();
   }
 }
@@ -311,7 +322,9 @@ export class BannerRenderer {
  * & typeof playbackMethods
  * & typeof tevMethods
  * & typeof fontMethods
- * & typeof framePrepareMethods} BannerRendererMixinMethods
+ * & typeof framePrepareMethods
+ * & typeof inspectionMethods
+ * & typeof windowMethods} BannerRendererMixinMethods
  */
 
 /** @type {BannerRenderer["prototype"] & BannerRendererMixinMethods} */
@@ -336,4 +349,6 @@ Object.assign(
   tevMethods,
   fontMethods,
   framePrepareMethods,
+  inspectionMethods,
+  windowMethods,
 );
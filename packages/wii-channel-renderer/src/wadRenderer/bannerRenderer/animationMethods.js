@@ -49,6 +49,17 @@ export function captureStartEndState() {
   }
 }
 
+// Re-read keyframes after the parsed animations were edited in place. The merged
+// pane maps are copies, so they are rebuilt before the current frame is redrawn.
+export function refreshAnimations() {
+  this.animMapByAnim = new WeakMap();
+  this.setActiveAnim(this.anim, this.phase);
+  if (this.sequenceEnabled && this.phase === "loop") {
+    this.captureStartEndState();
+  }
+  this.applyFrame(this.frame);
+}
+
 export function getFrameCountForAnim(anim) {
   return Math.max(1, anim?.frameSize || 120);
 }
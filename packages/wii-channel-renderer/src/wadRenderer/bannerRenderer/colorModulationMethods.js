@@ -1,11 +1,9 @@
 import { normalizePaneVertexColors, normalizeMaterialColor, lerpChannel, writePixel } from "./renderColorUtils.js";
 
-function buildVertexColorCanvas(colors, mode, widthHint = 48, heightHint = 48) {
+function buildVertexColorCanvas(renderer, colors, mode, widthHint = 48, heightHint = 48) {
   const gradientWidth = Math.max(8, Math.min(256, Math.ceil(Math.abs(widthHint))));
   const gradientHeight = Math.max(8, Math.min(256, Math.ceil(Math.abs(heightHint))));
-  const canvas = document.createElement("canvas");
-  canvas.width = gradientWidth;
-  canvas.height = gradientHeight;
+  const canvas = renderer.createSurface(gradientWidth, gradientHeight);
 
   const context = canvas.getContext("2d");
   const imageData = context.createImageData(gradientWidth, gradientHeight);
@@ -50,7 +48,7 @@ function buildVertexColorCanvas(colors, mode, widthHint = 48, heightHint = 48) {
 
 function getModulationScratch(renderer, width, height) {
   if (!renderer.modulationScratchSurface) {
-    renderer.modulationScratchSurface = document.createElement("canvas");
+    renderer.modulationScratchSurface = renderer.createSurface();
     renderer.modulationScratchContext = renderer.modulationScratchSurface.getContext("2d");
   }
 
@@ -108,8 +106,8 @@ export function getPaneVertexColorModulation(pane, paneState = null, frame = thi
   const modulation = {
     hasColorTint,
     hasAlphaTint,
-    colorCanvas: hasColorTint ? buildVertexColorCanvas(colors, "color", widthHint, heightHint) : null,
-    alphaCanvas: hasAlphaTint ? buildVertexColorCanvas(colors, "alpha", widthHint, heightHint) : null,
+    colorCanvas: hasColorTint ? buildVertexColorCanvas(this, colors, "color", widthHint, heightHint) : null,
+    alphaCanvas: hasAlphaTint ? buildVertexColorCanvas(this, colors, "alpha", widthHint, heightHint) : null,
   };
   this.vertexColorModulationCache.set(pane, {
     cacheKey,
@@ -1,5 +1,22 @@
+import { parseBRFNT } from "../parsers/brfnt.js";
 import { buildCssColor } from "./renderColorUtils.js";
 
+function buildGlyphSheetCanvases(renderer, fontData) {
+  const sheetCanvases = [];
+  for (const sheet of fontData.sheets) {
+    if (!sheet) {
+      sheetCanvases.push(null);
+      continue;
+    }
+    const canvas = renderer.createSurface(sheet.width, sheet.height);
+    const ctx = canvas.getContext("2d");
+    const imageData = renderer.createImageData(sheet.imageData, sheet.width, sheet.height);
+    ctx.putImageData(imageData, 0, 0);
+    sheetCanvases.push(canvas);
+  }
+  return sheetCanvases;
+}
+
 // Prepare decoded font glyph sheets as Canvas elements for rendering.
 export function prepareFonts() {
   if (!this.parsedFonts) {
@@ -7,47 +24,120 @@ export function prepareFonts() {
   }
 
   for (const [fontName, fontData] of Object.entries(this.parsedFonts)) {
-    if (!fontData?.sheets?.length) {
+    if (!fontData?.sheets?.some(Boolean)) {
       continue;
     }
+    this.fontGlyphCanvases[fontName] = buildGlyphSheetCanvases(this, fontData);
+  }
+}
+
+function normalizeSharedFontName(name) {
+  return String(name ?? "").split("/").pop().toLowerCase();
+}
 
-    const sheetCanvases = [];
-    for (const sheet of fontData.sheets) {
-      const canvas = document.createElement("canvas");
-      canvas.width = sheet.width;
-      canvas.height = sheet.height;
-      const ctx = canvas.getContext("2d");
-      const imageData = new ImageData(sheet.imageData, sheet.width, sheet.height);
-      ctx.putImageData(imageData, 0, 0);
-      sheetCanvases.push(canvas);
+function stripFontExtension(name) {
+  return name.replace(/\.[^.]+$/, "");
+}
+
+// Add a System Menu font (e.g. wbf1.brfna) to the shared registry without
+// redrawing. Accepts a parseBRFNT() result or the raw font file.
+export function addSharedFont(name, font) {
+  const key = normalizeSharedFontName(name);
+  if (!key) {
+    return false;
+  }
+
+  const fontData = font instanceof ArrayBuffer || ArrayBuffer.isView(font) ? parseBRFNT(font) : font;
+  if (!fontData?.sheets?.some(Boolean)) {
+    return false;
+  }
+
+  this.sharedFonts[key] = { data: fontData, sheets: buildGlyphSheetCanvases(this, fontData) };
+  this.fontRevision += 1;
+  return true;
+}
+
+// Register a shared font and redraw. Returns false when the font has no glyph sheets.
+export function registerSharedFont(name, font) {
+  const added = this.addSharedFont(name, font);
+  if (added) {
+    this.render();
+  }
+  return added;
+}
+
+export function unregisterSharedFont(name) {
+  const key = normalizeSharedFontName(name);
+  if (!this.sharedFonts[key]) {
+    return;
+  }
+  delete this.sharedFonts[key];
+  this.fontRevision += 1;
+  this.render();
+}
+
+// Replace the whole shared registry with `fonts` ({fileName: font}).
+export function setSharedFonts(fonts) {
+  this.sharedFonts = {};
+  for (const [name, font] of Object.entries(fonts ?? {})) {
+    this.addSharedFont(name, font);
+  }
+  this.fontRevision += 1;
+  this.render();
+}
+
+export function getSharedFontNames() {
+  return Object.keys(this.sharedFonts).sort();
+}
+
+// Shared fonts are matched by file name, then by name without extension, so a
+// dumped wbf1.brfna also satisfies a layout that references wbf1.brfnt.
+function findSharedFont(renderer, fontName) {
+  const key = normalizeSharedFontName(fontName);
+  if (renderer.sharedFonts[key]) {
+    return renderer.sharedFonts[key];
+  }
+
+  const stem = stripFontExtension(key);
+  for (const [sharedName, entry] of Object.entries(renderer.sharedFonts)) {
+    if (stripFontExtension(sharedName) === stem) {
+      return entry;
     }
-    this.fontGlyphCanvases[fontName] = sheetCanvases;
   }
+  return null;
 }
 
-// Resolve the font data for a txt1 pane by fontName.
+// Resolve the font data for a txt1 pane by fontName. The channel's own fonts
+// win; the shared registry is consulted before the loose partial-name match.
 export function getFontForPane(pane) {
   const fontName = pane?.fontName;
-  if (!fontName || !this.parsedFonts) {
+  if (!fontName) {
     return null;
   }
 
+  const parsedFonts = this.parsedFonts ?? {};
+
   // Try exact match.
-  if (this.parsedFonts[fontName]) {
-    return { data: this.parsedFonts[fontName], sheets: this.fontGlyphCanvases[fontName] ?? [] };
+  if (parsedFonts[fontName]) {
+    return { data: parsedFonts[fontName], sheets: this.fontGlyphCanvases[fontName] ?? [] };
   }
 
   // Try basename match (fonts may be referenced with or without path).
-  for (const [key, data] of Object.entries(this.parsedFonts)) {
+  for (const [key, data] of Object.entries(parsedFonts)) {
     const baseName = key.split("/").pop();
     if (baseName === fontName) {
       return { data, sheets: this.fontGlyphCanvases[key] ?? [] };
     }
   }
 
+  const shared = findSharedFont(this, fontName);
+  if (shared) {
+    return shared;
+  }
+
   // Try partial match (font name without extension).
-  const fontBase = fontName.replace(/\.[^.]+$/, "");
-  for (const [key, data] of Object.entries(this.parsedFonts)) {
+  const fontBase = stripFontExtension(fontName);
+  for (const [key, data] of Object.entries(parsedFonts)) {
     if (key.includes(fontBase)) {
       return { data, sheets: this.fontGlyphCanvases[key] ?? [] };
     }
@@ -208,7 +298,7 @@ export function drawBitmapTextPane(context, pane, fontData, rawText, width, heig
   const surfH = Math.max(1, Math.ceil(absHeight));
 
   if (!this.textScratchSurface) {
-    this.textScratchSurface = document.createElement("canvas");
+    this.textScratchSurface = this.createSurface();
     this.textScratchContext = this.textScratchSurface.getContext("2d");
   }
   if (this.textScratchSurface.width !== surfW || this.textScratchSurface.height !== surfH) {
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import * as fontMethods from "./fontMethods.js";
+
+function font(height) {
+  return {
+    fontInfo: { height },
+    sheets: [{ width: 8, height: 8, imageData: new Uint8ClampedArray(8 * 8 * 4) }],
+  };
+}
+
+function makeRenderer(parsedFonts = {}) {
+  const renderer = {
+    ...fontMethods,
+    parsedFonts,
+    fontGlyphCanvases: {},
+    sharedFonts: {},
+    fontRevision: 0,
+    renders: 0,
+    createSurface: (width, height) => ({ width, height, getContext: () => ({ putImageData() {} }) }),
+    createImageData: (data, width, height) => ({ data, width, height }),
+    render() {
+      this.renders += 1;
+    },
+  };
+  renderer.prepareFonts();
+  return renderer;
+}
+
+describe("shared font registry", () => {
+  it("resolves fnl1 names the channel does not ship", () => {
+    const renderer = makeRenderer();
+    const wbf1 = font(24);
+
+    expect(renderer.getFontForPane({ fontName: "wbf1.brfna" })).toBeNull();
+    expect(renderer.registerSharedFont("fonts/WBF1.brfna", wbf1)).toBe(true);
+
+    expect(renderer.getSharedFontNames()).toEqual(["wbf1.brfna"]);
+    expect(renderer.getFontForPane({ fontName: "wbf1.brfna" }).data).toBe(wbf1);
+    // A dumped .brfna also covers layouts that reference the RFNT name.
+    expect(renderer.getFontForPane({ fontName: "wbf1.brfnt" }).data).toBe(wbf1);
+    expect(renderer.getFontForPane({ fontName: "wbf1.brfna" }).sheets).toHaveLength(1);
+    expect(renderer.renders).toBe(1);
+  });
+
+  it("prefers the channel's own font and rejects fonts without sheets", () => {
+    const channel = font(20);
+    const renderer = makeRenderer({ "arc/font/wbf1.brfna": channel });
+
+    renderer.setSharedFonts({ "wbf1.brfna": font(24), "empty.brfna": { sheets: [] } });
+
+    expect(renderer.getSharedFontNames()).toEqual(["wbf1.brfna"]);
+    expect(renderer.getFontForPane({ fontName: "wbf1.brfna" }).data).toBe(channel);
+  });
+
+  it("bumps the font revision when the registry changes", () => {
+    const renderer = makeRenderer();
+    renderer.registerSharedFont("wbf2.brfna", font(24));
+    const revision = renderer.fontRevision;
+
+    renderer.unregisterSharedFont("WBF2.brfna");
+
+    expect(renderer.fontRevision).toBeGreaterThan(revision);
+    expect(renderer.getFontForPane({ fontName: "wbf2.brfna" })).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+import { applyPoint, buildChainAffine, linear, multiply } from "../glRenderer/paneGeometry.js";
+import { getProjectedTransform2D } from "./transformMethods.js";
+
+function resolvePaneRef(renderer, paneOrName) {
+  if (typeof paneOrName === "string") {
+    return renderer.panesByName?.get(paneOrName) ?? null;
+  }
+  return paneOrName ?? null;
+}
+
+function pointInQuad(corners, x, y) {
+  // Even-odd ray cast; works for mirrored (negative scale) and perspective quads.
+  let inside = false;
+  for (let i = 0, j = corners.length - 1; i < corners.length; j = i, i += 1) {
+    const a = corners[i];
+    const b = corners[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Outline of a pane in the last prepared frame, in output (CSS) pixels of the
+ * banner canvas: the same transform chain drawPaneWithResolvedState() applies,
+ * plus the display-aspect stretch. Works for panes that are not drawn (pan1,
+ * bnd1) as well; `drawable` says whether the pane produced pixels.
+ *
+ * @param {object|string} paneOrName
+ * @returns {{pane: object, corners: Array<{x: number, y: number}>, visible: boolean, alpha: number, drawable: boolean}|null}
+ *   corners are top-left, top-right, bottom-right, bottom-left
+ */
+export function getPaneQuad(paneOrName) {
+  const prepared = this.preparedFrame;
+  const pane = resolvePaneRef(this, paneOrName);
+  if (!prepared || !pane) {
+    return null;
+  }
+
+  const paneState = prepared.localPaneStates.get(pane);
+  if (!paneState) {
+    return null;
+  }
+
+  const resolved =
+    prepared.preparedPanes.find((entry) => entry.pane === pane) ??
+    this.resolvePreparedPane(pane, paneState, prepared.localPaneStates);
+  const { layoutWidth, layoutHeight, displayScaleX } = prepared.metrics;
+  const matrix = multiply(
+    linear(displayScaleX, 0, 0, 1),
+    buildChainAffine(
+      resolved.chainStates,
+      (state) => getProjectedTransform2D(this, state),
+      layoutWidth,
+      layoutHeight,
+      resolved.originOffset,
+    ),
+  );
+
+  const halfW = (Number.isFinite(paneState.width) ? paneState.width : 0) / 2;
+  const halfH = (Number.isFinite(paneState.height) ? paneState.height : 0) / 2;
+  const corners = [
+    applyPoint(matrix, -halfW, -halfH),
+    applyPoint(matrix, halfW, -halfH),
+    applyPoint(matrix, halfW, halfH),
+    applyPoint(matrix, -halfW, halfH),
+  ];
+
+  return {
+    pane,
+    corners,
+    visible: resolved.visible,
+    alpha: resolved.alpha,
+    drawable: resolved.drawable,
+  };
+}
+
+/**
+ * Topmost drawn pane under a point of the last prepared frame, in the same
+ * output pixel space as getPaneQuad().
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {object|null} pane
+ */
+export function pickPaneAt(x, y) {
+  const prepared = this.preparedFrame;
+  if (!prepared) {
+    return null;
+  }
+
+  for (let i = prepared.preparedPanes.length - 1; i >= 0; i -= 1) {
+    const entry = prepared.preparedPanes[i];
+    if (!entry.drawable) {
+      continue;
+    }
+    const quad = this.getPaneQuad(entry.pane);
+    if (quad && pointInQuad(quad.corners, x, y)) {
+      return entry.pane;
+    }
+  }
+  return null;
+}
+
+/**
+ * Attribute changed pixels to panes: each masked pixel of a `width`x`height`
+ * readback of the last prepared frame is charged to the topmost drawn pane
+ * covering it (or counted as unowned when only the clear color is there).
+ *
+ * @param {Uint8Array} mask - 1 per changed pixel, row-major (see compareImages)
+ * @param {number} width - Readback size in device pixels
+ * @param {number} height
+ * @returns {{panes: Array<{pane: object, name: string, pixels: number,
+ *   bounds: {x: number, y: number, width: number, height: number}}>, unowned: number}|null}
+ *   panes sorted by changed pixel count, bounds in readback pixels
+ */
+export function blamePaneDiff(mask, width, height) {
+  const prepared = this.preparedFrame;
+  if (!prepared) {
+    return null;
+  }
+
+  // Resolve every drawn pane's quad once; topmost first.
+  const quads = [];
+  for (let i = prepared.preparedPanes.length - 1; i >= 0; i -= 1) {
+    const entry = prepared.preparedPanes[i];
+    const quad = entry.drawable ? this.getPaneQuad(entry.pane) : null;
+    if (quad) {
+      quads.push(quad);
+    }
+  }
+
+  const { outputWidth, outputHeight, layoutWidth, layoutHeight, displayScaleX } = prepared.metrics;
+  const scaleX = (outputWidth ?? layoutWidth * (displayScaleX ?? 1)) / width;
+  const scaleY = (outputHeight ?? layoutHeight) / height;
+  const totals = new Map();
+  let unowned = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!mask[y * width + x]) {
+        continue;
+      }
+      const quad = quads.find((entry) => pointInQuad(entry.corners, (x + 0.5) * scaleX, (y + 0.5) * scaleY));
+      if (!quad) {
+        unowned += 1;
+        continue;
+      }
+      let total = totals.get(quad.pane);
+      if (!total) {
+        total = { pane: quad.pane, name: quad.pane.name, pixels: 0, minX: x, minY: y, maxX: x, maxY: y };
+        totals.set(quad.pane, total);
+      }
+      total.pixels += 1;
+      total.minX = Math.min(total.minX, x);
+      total.minY = Math.min(total.minY, y);
+      total.maxX = Math.max(total.maxX, x);
+      total.maxY = Math.max(total.maxY, y);
+    }
+  }
+
+  const panes = [...totals.values()]
+    .sort((left, right) => right.pixels - left.pixels)
+    .map(({ pane, name, pixels, minX, minY, maxX, maxY }) => ({
+      pane,
+      name,
+      pixels,
+      bounds: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    }));
+  return { panes, unowned };
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { blamePaneDiff, getPaneQuad, pickPaneAt } from "./inspectionMethods.js";
+
+function state(overrides = {}) {
+  return {
+    tx: 0,
+    ty: 0,
+    rotX: 0,
+    rotY: 0,
+    rotation: 0,
+    sx: 1,
+    sy: 1,
+    alpha: 1,
+    visible: true,
+    width: 0,
+    height: 0,
+    ...overrides,
+  };
+}
+
+function makeRenderer() {
+  const root = { name: "root", type: "pan1" };
+  const pic = { name: "pic", type: "pic1" };
+  const top = { name: "top", type: "pic1" };
+  const hidden = { name: "hidden", type: "pic1" };
+  const localPaneStates = new Map([
+    [root, state()],
+    [pic, state({ tx: 10, ty: 20, width: 40, height: 20 })],
+    [top, state({ tx: 10, ty: 20, width: 10, height: 10 })],
+    [hidden, state({ width: 200, height: 100 })],
+  ]);
+  const chain = (pane) => (pane === root ? [root] : [root, pane]);
+  const prepared = (pane, drawable = true) => ({
+    pane,
+    chainStates: chain(pane).map((entry) => localPaneStates.get(entry)),
+    originOffset: { x: 0, y: 0 },
+    alpha: 1,
+    visible: drawable,
+    drawable,
+  });
+
+  return {
+    perspectiveEnabled: false,
+    panesByName: new Map([root, pic, top, hidden].map((pane) => [pane.name, pane])),
+    preparedFrame: {
+      frame: 0,
+      metrics: { layoutWidth: 200, layoutHeight: 100, displayScaleX: 2 },
+      localPaneStates,
+      preparedPanes: [prepared(pic), prepared(top), prepared(hidden, false)],
+    },
+    resolvePreparedPane: (pane) => prepared(pane, false),
+    getPaneQuad,
+  };
+}
+
+describe("inspectionMethods", () => {
+  it("maps a pane's transform chain to output-space corners", () => {
+    const renderer = makeRenderer();
+
+    const quad = getPaneQuad.call(renderer, "pic");
+
+    expect(quad.pane.name).toBe("pic");
+    expect(quad.drawable).toBe(true);
+    expect(quad.corners).toEqual([
+      { x: 180, y: 20 },
+      { x: 260, y: 20 },
+      { x: 260, y: 40 },
+      { x: 180, y: 40 },
+    ]);
+  });
+
+  it("resolves non-rendered panes and returns null for unknown ones", () => {
+    const renderer = makeRenderer();
+
+    const quad = getPaneQuad.call(renderer, "root");
+    expect(quad.drawable).toBe(false);
+    expect(quad.corners[0]).toEqual({ x: 200, y: 50 });
+
+    expect(getPaneQuad.call(renderer, "missing")).toBeNull();
+    expect(getPaneQuad.call({ ...renderer, preparedFrame: null }, "pic")).toBeNull();
+  });
+
+  it("picks the topmost drawn pane under a point", () => {
+    const renderer = makeRenderer();
+
+    expect(pickPaneAt.call(renderer, 220, 30)?.name).toBe("top");
+    expect(pickPaneAt.call(renderer, 190, 25)?.name).toBe("pic");
+    // Only the non-drawable full-screen pane covers this point.
+    expect(pickPaneAt.call(renderer, 20, 90)).toBeNull();
+  });
+
+  it("charges changed pixels to the topmost drawn pane", () => {
+    const renderer = makeRenderer();
+    // Half-size readback of the 400x100 output: one pixel covers 2x2 output pixels.
+    const width = 200;
+    const height = 50;
+    const mask = new Uint8Array(width * height);
+    mask[15 * width + 110] = 1; // over "top"
+    mask[12 * width + 95] = 1; // over "pic" only
+    mask[11 * width + 96] = 1;
+    mask[45 * width + 10] = 1; // nothing drawn there
+
+    const blame = blamePaneDiff.call(renderer, mask, width, height);
+
+    expect(blame.panes.map(({ name, pixels }) => [name, pixels])).toEqual([["pic", 2], ["top", 1]]);
+    expect(blame.panes[0].bounds).toEqual({ x: 95, y: 11, width: 2, height: 2 });
+    expect(blame.unowned).toBe(1);
+  });
+});
@@ -54,9 +54,7 @@ function getMaxTextureIntensity(renderer, textureName) {
     return 0;
   }
 
-  const canvas = document.createElement("canvas");
-  canvas.width = source.width;
-  canvas.height = source.height;
+  const canvas = renderer.createSurface(source.width, source.height);
   const ctx = canvas.getContext("2d");
   ctx.drawImage(source, 0, 0);
   const data = ctx.getImageData(0, 0, source.width, source.height).data;
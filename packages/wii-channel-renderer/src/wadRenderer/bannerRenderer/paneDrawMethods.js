@@ -154,25 +154,17 @@ function drawPaneWithResolvedState(renderer, context, pane, paneState, localPane
   }
   renderer._seamPad = has3DRotation ? 4 : 0;
 
-  if (pane.type === "pic1" || pane.type === "wnd1") {
-    // Try the TEV pipeline first for materials with non-trivial TEV stages.
-    if (renderer.shouldUseTevPipeline(pane)) {
-      const tevResult = renderer.runTevPipeline(pane, paneState, paneState.width, paneState.height);
-      if (tevResult) {
-        renderer.drawTevResult(context, tevResult, paneState.width, paneState.height);
-        context.restore();
-        return;
-      }
-    }
-
-    // Fallback to Canvas 2D heuristic path.
-    const binding = renderer.getTextureBindingForPane(pane, paneState);
-    if (binding) {
-      renderer.drawPane(context, binding, pane, paneState, paneState.width, paneState.height);
-    } else {
-      // No texture — draw vertex-colored rectangle (reference always draws quad).
-      renderer.drawVertexColoredPane(context, pane, paneState, paneState.width, paneState.height);
+  const windowParts = pane.type === "wnd1" ? renderer.getWindowPaneParts(pane, paneState) : null;
+  if (windowParts) {
+    // Framed window: content quad, then each frame quad with its own material.
+    for (const part of windowParts) {
+      context.save();
+      context.translate(part.offsetX, part.offsetY);
+      drawMaterialQuad(renderer, context, part.pane, part.paneState);
+      context.restore();
     }
+  } else if (pane.type === "pic1" || pane.type === "wnd1") {
+    drawMaterialQuad(renderer, context, pane, paneState);
   } else if (pane.type === "txt1") {
     renderer.drawTextPane(context, pane, paneState.width, paneState.height);
   }
@@ -180,6 +172,27 @@ function drawPaneWithResolvedState(renderer, context, pane, paneState, localPane
   context.restore();
 }
 
+// Draw a material quad (pic1, or a wnd1 content/frame part) centred at the origin.
+function drawMaterialQuad(renderer, context, pane, paneState) {
+  // Try the TEV pipeline first for materials with non-trivial TEV stages.
+  if (renderer.shouldUseTevPipeline(pane)) {
+    const tevResult = renderer.runTevPipeline(pane, paneState, paneState.width, paneState.height);
+    if (tevResult) {
+      renderer.drawTevResult(context, tevResult, paneState.width, paneState.height);
+      return;
+    }
+  }
+
+  // Fallback to Canvas 2D heuristic path.
+  const binding = renderer.getTextureBindingForPane(pane, paneState);
+  if (binding) {
+    renderer.drawPane(context, binding, pane, paneState, paneState.width, paneState.height);
+  } else {
+    // No texture — draw vertex-colored rectangle (reference always draws quad).
+    renderer.drawVertexColoredPane(context, pane, paneState, paneState.width, paneState.height);
+  }
+}
+
 // Draw a pane that has no texture binding — render as a vertex-colored rectangle.
 // Reference Quad::Draw always draws the quad even without textures.
 export function drawVertexColoredPane(context, pane, paneState, width, height) {
@@ -268,7 +281,7 @@ export function drawPane(context, binding, pane, paneState, width, height) {
   const surfaceWidth = Math.max(1, Math.ceil(absWidth));
   const surfaceHeight = Math.max(1, Math.ceil(absHeight));
   if (!this.paneCompositeSurface) {
-    this.paneCompositeSurface = document.createElement("canvas");
+    this.paneCompositeSurface = this.createSurface();
     this.paneCompositeContext = this.paneCompositeSurface.getContext("2d");
   }
 
@@ -357,7 +370,7 @@ export function drawTextPane(context, pane, width, height) {
 
   // Try bitmap font rendering if a font file is available.
   const fontData = this.getFontForPane?.(pane);
-  if (fontData && fontData.sheets.length > 0) {
+  if (fontData && fontData.sheets.some(Boolean)) {
     this.drawBitmapTextPane(context, effectivePane, fontData, rawText, width, height);
     return;
   }
@@ -542,7 +555,7 @@ export function renderFrame(frame) {
 
   const ensureBackdropSurface = () => {
     if (!this.wiiShopBackdropSurface) {
-      this.wiiShopBackdropSurface = document.createElement("canvas");
+      this.wiiShopBackdropSurface = this.createSurface();
       this.wiiShopBackdropContext = this.wiiShopBackdropSurface.getContext("2d");
     }
 
@@ -113,14 +113,7 @@ export function dispose() {
     this.gsapTimeline.kill();
     this.gsapTimeline = null;
   }
-  this.patternTextureCache.clear();
-  this.textureMaskCache.clear();
-  this.lumaAlphaTextureCache.clear();
-  this._textureMaxIntensityCache.clear();
-  this.textureSrtAnimationCache.clear();
-  this.tevResultCache.clear();
-  this.materialColorModulationCache = new WeakMap();
-  this.vertexColorModulationCache = new WeakMap();
+  this.invalidateRenderCaches();
   this.paneCompositeSurface = null;
   this.paneCompositeContext = null;
   this.modulationScratchSurface = null;
@@ -130,3 +123,25 @@ export function dispose() {
   this.tevSampleSurface = null;
   this.tevSampleContext = null;
 }
+
+// Drop everything derived from layout, material and texture content. Used after
+// the parsed layout was edited in place; see refreshLayout().
+export function invalidateRenderCaches() {
+  this.patternTextureCache.clear();
+  this.textureMaskCache.clear();
+  this.lumaAlphaTextureCache.clear();
+  this._textureMaxIntensityCache.clear();
+  this.textureSrtAnimationCache.clear();
+  this.tevResultCache.clear();
+  this.materialColorModulationCache = new WeakMap();
+  this.vertexColorModulationCache = new WeakMap();
+  this.paneTransformChains.clear();
+}
+
+// Redraw the current frame after panes, materials or textures were edited in
+// place. Pane objects keep their identity, so only derived state is rebuilt.
+export function refreshLayout() {
+  this.invalidateRenderCaches();
+  this.rebuildRenderablePaneList();
+  this.applyFrame(this.frame);
+}
@@ -284,17 +284,22 @@ function initTevRegisters(material) {
 }
 
 // Evaluate all TEV stages for a single pixel.
-export function evaluateTevStagesForPixel(stages, texSamples, rasColor, material, kColors, swapTable) {
+// indirectStages (optional): per-stage { tex, bumpAlpha } from the indirect unit.
+// A non-null `tex` replaces the texMap sample with the displaced lookup, and
+// `bumpAlpha` feeds the BUMP/BUMPN raster channels.
+export function evaluateTevStagesForPixel(stages, texSamples, rasColor, material, kColors, swapTable, indirectStages = null) {
   const state = initTevRegisters(material);
+  let alphaBump = 0;
 
   for (let i = 0; i < stages.length; i += 1) {
     const stage = stages[i];
+    const indirectStage = indirectStages?.[i] ?? null;
 
     // Resolve texture input with swap table.
     const texMapIdx = stage.texMap;
-    const rawTex = (texMapIdx !== 0xff && texMapIdx < texSamples.length)
+    const rawTex = indirectStage?.tex ?? ((texMapIdx !== 0xff && texMapIdx < texSamples.length)
       ? texSamples[texMapIdx]
-      : { r: 0, g: 0, b: 0, a: 0 };
+      : { r: 0, g: 0, b: 0, a: 0 });
     const texSwapEntry = swapTable?.[stage.texSel] ?? null;
     state.texC = texSwapEntry ? applySwapTable(rawTex, texSwapEntry) : rawTex;
 
@@ -302,9 +307,17 @@ export function evaluateTevStagesForPixel(stages, texSamples, rasColor, material
     // 0=COLOR0, 1=COLOR1, 2=ALPHA0, 3=ALPHA1, 4=COLOR0A0, 5=COLOR1A1,
     // 6=GX_COLORZERO (no rasterized color), 7=BUMP, 8=BUMPN, 0xFF=COLORNULL.
     // COLORNULL means no rasterizer output → RASC/RASA read as zero.
-    const stageRasColor = (stage.colorChan === 6 || stage.colorChan === 0xff)
+    // BUMP/BUMPN read the bump alpha latched by the last stage with indAlpha set.
+    if (indirectStage && stage.indAlpha) {
+      alphaBump = indirectStage.bumpAlpha;
+    }
+    let stageRasColor = (stage.colorChan === 6 || stage.colorChan === 0xff)
       ? { r: 0, g: 0, b: 0, a: 0 }
       : rasColor;
+    if (indirectStages && (stage.colorChan === 7 || stage.colorChan === 8)) {
+      const bump = (stage.colorChan === 8 ? alphaBump | (alphaBump >> 5) : alphaBump) / 255;
+      stageRasColor = { r: bump, g: bump, b: bump, a: bump };
+    }
     const rasSwapEntry = swapTable?.[stage.rasSel] ?? null;
     state.rasC = rasSwapEntry ? applySwapTable(stageRasColor, rasSwapEntry) : stageRasColor;
 
@@ -488,11 +501,229 @@ export function evaluateAlphaCompare(alphaCompare, alpha255) {
   }
 }
 
+// Indirect texturing (GX_SetTevIndirect / GX_SetIndTexOrder).
+// Indirect stages sample an offset texture whose A/B/G channels become the
+// (S, T, U) offset vector; each TEV stage can then push that vector through an
+// indirect matrix, wrap its regular coordinate and chain the previous stage's
+// coordinate before sampling its own texture. Coordinates are in texels of the
+// stage's texture, as on hardware.
+
+// indFormat 0-3 (ITF_8/5/4/3): low bits of each offset component that are kept.
+const IND_FORMAT_MASKS = [0xff, 0x1f, 0x0f, 0x07];
+
+// indAlpha reads the unmasked offset component with the low bits dropped.
+const IND_BUMP_ALPHA_MASKS = [0xf8, 0xe0, 0xf0, 0xf8];
+
+// indWrapS/T 0-6 (ITW_OFF/256/128/64/32/16/0): period in texels; null = no wrap.
+const IND_WRAP_SIZES = [null, 256, 128, 64, 32, 16, 0];
+
+// Whether a TEV stage changes its texture coordinate through the indirect unit.
+export function isIndirectTevStage(stage) {
+  return Boolean(stage?.indMtxId || stage?.indWrapS || stage?.indWrapT || stage?.indAddPrev);
+}
+
+export function materialUsesIndirectTexturing(material, stages = material?.tevStages) {
+  return (material?.indTexStages?.length ?? 0) > 0 || (stages ?? []).some(isIndirectTevStage);
+}
+
+// Indirect matrix rows from the BRLYT SRT entry, applied to the (S, T, U) offset.
+// Reference: nw4r::lyt SetIndTexMtx — rotation/scale in the 2x2 part, translation
+// in the third column (which multiplies the U component).
+export function buildIndirectMatrix(srt) {
+  const rad = ((srt?.rotation ?? 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const xScale = srt?.xScale ?? 1;
+  const yScale = srt?.yScale ?? 1;
+  return [
+    [xScale * cos, -yScale * sin, srt?.xTrans ?? 0],
+    [xScale * sin, yScale * cos, srt?.yTrans ?? 0],
+  ];
+}
+
+// indMtxId: 0=off, 1-3=static matrix 0-2, 5-7=S-dynamic, 9-11=T-dynamic.
+export function resolveIndirectMatrixMode(indMtxId) {
+  if (indMtxId >= 1 && indMtxId <= 3) return { kind: "static", index: indMtxId - 1 };
+  if (indMtxId >= 5 && indMtxId <= 7) return { kind: "s", index: indMtxId - 5 };
+  if (indMtxId >= 9 && indMtxId <= 11) return { kind: "t", index: indMtxId - 9 };
+  return null;
+}
+
+// Offset vector of one TEV stage from its indirect sample: format mask + bias.
+// indBias bits: 1=S, 2=T, 4=U; ITF_8 biases by -128, the narrower formats by +1.
+function resolveIndirectCoord(raw, stage, out) {
+  const mask = IND_FORMAT_MASKS[stage.indFormat] ?? 0xff;
+  const bias = stage.indFormat ? 1 : -128;
+  out[0] = (raw[0] & mask) + (stage.indBias & 1 ? bias : 0);
+  out[1] = (raw[1] & mask) + (stage.indBias & 2 ? bias : 0);
+  out[2] = (raw[2] & mask) + (stage.indBias & 4 ? bias : 0);
+  return out;
+}
+
+function wrapIndirectCoord(value, wrapMode) {
+  const size = IND_WRAP_SIZES[wrapMode] ?? null;
+  if (size == null) {
+    return value;
+  }
+  if (size === 0) {
+    return 0;
+  }
+  return value - Math.floor(value / size) * size;
+}
+
+// Bilinear interpolation of a pane's corner texture coordinates at (u, v).
+function interpolateTexCoord(coords, u, v, out) {
+  const topS = coords.tl.s + (coords.tr.s - coords.tl.s) * u;
+  const topT = coords.tl.t + (coords.tr.t - coords.tl.t) * u;
+  const botS = coords.bl.s + (coords.br.s - coords.bl.s) * u;
+  const botT = coords.bl.t + (coords.br.t - coords.bl.t) * u;
+  out.s = topS + (botS - topS) * v;
+  out.t = topT + (botT - topT) * v;
+  return out;
+}
+
+// Texel index along one axis for wrap mode "clamp", "repeat" or "mirror".
+function wrapTexel(index, size, wrapMode) {
+  if (wrapMode === "repeat") {
+    return ((index % size) + size) % size;
+  }
+  if (wrapMode === "mirror") {
+    const period = size * 2;
+    const m = ((index % period) + period) % period;
+    return m < size ? m : period - 1 - m;
+  }
+  return Math.max(0, Math.min(size - 1, index));
+}
+
+function readTexel(tex, x, y, out) {
+  const i = (wrapTexel(y, tex.height, tex.wrapT) * tex.width + wrapTexel(x, tex.width, tex.wrapS)) * 4;
+  out[0] = tex.data[i];
+  out[1] = tex.data[i + 1];
+  out[2] = tex.data[i + 2];
+  out[3] = tex.data[i + 3];
+  return out;
+}
+
+// Bilinear sample at texel coordinates (s, t), texel centres at +0.5.
+function sampleTexelsBilinear(tex, s, t, out, scratch) {
+  const fx = s - 0.5;
+  const fy = t - 0.5;
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const wx = fx - x0;
+  const wy = fy - y0;
+  out.r = 0; out.g = 0; out.b = 0; out.a = 0;
+  for (let dy = 0; dy < 2; dy += 1) {
+    for (let dx = 0; dx < 2; dx += 1) {
+      const weight = (dx ? wx : 1 - wx) * (dy ? wy : 1 - wy);
+      if (weight === 0) {
+        continue;
+      }
+      readTexel(tex, x0 + dx, y0 + dy, scratch);
+      out.r += scratch[0] * weight;
+      out.g += scratch[1] * weight;
+      out.b += scratch[2] * weight;
+      out.a += scratch[3] * weight;
+    }
+  }
+  out.r /= 255; out.g /= 255; out.b /= 255; out.a /= 255;
+  return out;
+}
+
+// Per-pixel state for the indirect unit, allocated once per pipeline run.
+function createIndirectEvaluator(stages, material, indirect) {
+  const indStages = material?.indTexStages ?? [];
+  const matrices = (material?.indTexMatrices ?? []).map(buildIndirectMatrix);
+  const textures = indirect.textures ?? [];
+  const texCoords = indirect.texCoords ?? [];
+  const indSamples = indStages.map(() => [0, 0, 0]);
+  const stageResults = stages.map(() => ({ tex: null, bumpAlpha: 0, sample: { r: 0, g: 0, b: 0, a: 0 } }));
+  const uv = { s: 0, t: 0 };
+  const texel = [0, 0, 0, 0];
+  const crd = [0, 0, 0];
+
+  return function evaluateIndirectStages(u, v) {
+    // Indirect lookups: texCoord scaled down by 2^scale, nearest texel, (A, B, G).
+    for (let j = 0; j < indStages.length; j += 1) {
+      const indStage = indStages[j];
+      const tex = textures[indStage.texMap];
+      const coords = texCoords[indStage.texCoord];
+      const out = indSamples[j];
+      if (!tex || !coords) {
+        out[0] = 0; out[1] = 0; out[2] = 0;
+        continue;
+      }
+      interpolateTexCoord(coords, u, v, uv);
+      const s = (uv.s / (1 << (indStage.scaleS ?? 0))) * tex.width;
+      const t = (uv.t / (1 << (indStage.scaleT ?? 0))) * tex.height;
+      readTexel(tex, Math.floor(s), Math.floor(t), texel);
+      out[0] = texel[3];
+      out[1] = texel[2];
+      out[2] = texel[1];
+    }
+
+    let tevS = 0;
+    let tevT = 0;
+    for (let i = 0; i < stages.length; i += 1) {
+      const stage = stages[i];
+      const result = stageResults[i];
+      const tex = stage.texMap !== 0xff ? textures[stage.texMap] : null;
+      const coords = texCoords[stage.texCoord];
+      const texW = tex?.width ?? 1;
+      const texH = tex?.height ?? 1;
+      let s = 0;
+      let t = 0;
+      if (coords) {
+        interpolateTexCoord(coords, u, v, uv);
+        s = uv.s * texW;
+        t = uv.t * texH;
+      }
+
+      const raw = indSamples[stage.indTexId] ?? null;
+      let transS = 0;
+      let transT = 0;
+      const mode = resolveIndirectMatrixMode(stage.indMtxId);
+      if (raw && mode) {
+        resolveIndirectCoord(raw, stage, crd);
+        if (mode.kind === "static") {
+          const m = matrices[mode.index];
+          if (m) {
+            transS = m[0][0] * crd[0] + m[0][1] * crd[1] + m[0][2] * crd[2];
+            transT = m[1][0] * crd[0] + m[1][1] * crd[1] + m[1][2] * crd[2];
+          }
+        } else {
+          const component = mode.kind === "s" ? crd[0] : crd[1];
+          transS = (s * component) / 256;
+          transT = (t * component) / 256;
+        }
+      }
+
+      const nextS = wrapIndirectCoord(s, stage.indWrapS) + transS;
+      const nextT = wrapIndirectCoord(t, stage.indWrapT) + transT;
+      tevS = stage.indAddPrev ? tevS + nextS : nextS;
+      tevT = stage.indAddPrev ? tevT + nextT : nextT;
+
+      result.tex = tex && isIndirectTevStage(stage)
+        ? sampleTexelsBilinear(tex, tevS, tevT, result.sample, texel)
+        : null;
+      result.bumpAlpha = raw && stage.indAlpha
+        ? raw[stage.indAlpha - 1] & (IND_BUMP_ALPHA_MASKS[stage.indFormat] ?? 0xf8)
+        : 0;
+    }
+    return stageResults;
+  };
+}
+
 // Evaluate TEV pipeline for an entire pixel buffer.
 // textureImageDatas: array indexed by texMap slot, each is { data, width, height } (ImageData-like).
 // rasColorData: { data, width, height } (ImageData-like) with rasterized vertex colors.
+// indirect (optional): raw texture sources for materials that use indirect texturing:
+//   { textures: [{ data, width, height, wrapS, wrapT }] indexed by texMap (wrap as
+//     resolveWrapMode names: "clamp" | "repeat" | "mirror"),
+//     texCoords: [{ tl, tr, bl, br }] pane-corner {s, t} indexed by texCoord }.
+// Stages that displace their coordinate sample these instead of the pane-space buffers.
 // Returns an ImageData with the final composited pixels.
-export function evaluateTevPipeline(stages, material, textureImageDatas, rasColorData, width, height) {
+export function evaluateTevPipeline(stages, material, textureImageDatas, rasColorData, width, height, indirect = null) {
   const kColors = material?.tevColors ?? [];
   const swapTable = material?.tevSwapTable ?? null;
   const alphaCompare = material?.alphaCompare ?? null;
@@ -505,6 +736,9 @@ export function evaluateTevPipeline(stages, material, textureImageDatas, rasColo
     texSamples[t] = { r: 0, g: 0, b: 0, a: 0 };
   }
   const rasColor = { r: 1, g: 1, b: 1, a: 1 };
+  const evaluateIndirectStages = indirect && materialUsesIndirectTexturing(material, stages)
+    ? createIndirectEvaluator(stages, material, indirect)
+    : null;
 
   for (let y = 0; y < height; y += 1) {
     for (let x = 0; x < width; x += 1) {
@@ -540,7 +774,10 @@ export function evaluateTevPipeline(stages, material, textureImageDatas, rasColo
         rasColor.r = 1; rasColor.g = 1; rasColor.b = 1; rasColor.a = 1;
       }
 
-      const result = evaluateTevStagesForPixel(stages, texSamples, rasColor, material, kColors, swapTable);
+      const indirectStages = evaluateIndirectStages
+        ? evaluateIndirectStages((x + 0.5) / width, (y + 0.5) / height)
+        : null;
+      const result = evaluateTevStagesForPixel(stages, texSamples, rasColor, material, kColors, swapTable, indirectStages);
       const alpha255 = Math.round(result.a * 255);
 
       // Apply alpha compare (alpha test): discard pixel if it fails.
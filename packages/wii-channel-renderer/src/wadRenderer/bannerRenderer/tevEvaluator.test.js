@@ -154,3 +154,66 @@ describe("TEV evaluator", () => {
     ]);
   });
 });
+
+describe("TEV indirect texturing", () => {
+  const fullCoords = { tl: { s: 0, t: 0 }, tr: { s: 1, t: 0 }, bl: { s: 0, t: 1 }, br: { s: 1, t: 1 } };
+  // Red, green, blue, white ramp sampled by the stage; bytes are RGBA.
+  const ramp = {
+    data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]),
+    width: 4,
+    height: 1,
+    wrapS: "clamp",
+    wrapT: "clamp",
+  };
+  const offsetTexture = (alpha) => ({
+    data: new Uint8ClampedArray([0, 0, 0, alpha, 0, 0, 0, alpha, 0, 0, 0, alpha, 0, 0, 0, alpha]),
+    width: 4,
+    height: 1,
+    wrapS: "clamp",
+    wrapT: "clamp",
+  });
+  const passthrough = {
+    texCoord: 0, texMap: 0, colorChan: 0xff, texSel: 0, rasSel: 0,
+    aC: 15, bC: 15, cC: 15, dC: 8, tevOpC: 0, tevBiasC: 0, tevScaleC: 0, tevRegIdC: 0, clampC: 1, kColorSelC: 0,
+    aA: 7, bA: 7, cA: 7, dA: 4, tevOpA: 0, tevBiasA: 0, tevScaleA: 0, tevRegIdA: 0, clampA: 1, kAlphaSelA: 0,
+    indTexId: 0, indBias: 0, indMtxId: 0, indWrapS: 0, indWrapT: 0, indFormat: 0, indAddPrev: 0, indUtcLod: 0, indAlpha: 0,
+  };
+
+  it("offsets the stage lookup through the indirect matrix", () => {
+    const material = {
+      indTexStages: [{ texMap: 1, texCoord: 1, scaleS: 0, scaleT: 0 }],
+      indTexMatrices: [{ xTrans: 0, yTrans: 0, rotation: 0, xScale: 1, yScale: 1 }],
+      tevStages: [{ ...passthrough, indMtxId: 1 }],
+    };
+    const indirect = { textures: [ramp, offsetTexture(1)], texCoords: [fullCoords, fullCoords] };
+
+    const plain = evaluateTevPipeline(material.tevStages, material, [ramp], null, 4, 1);
+    const bumped = evaluateTevPipeline(material.tevStages, material, [ramp], null, 4, 1, indirect);
+
+    expect([...plain.data.slice(0, 4)]).toEqual([255, 0, 0, 255]);
+    // Every pixel reads one texel to the right; the last one clamps.
+    expect([...bumped.data]).toEqual([
+      0, 255, 0, 255,
+      0, 0, 255, 255,
+      255, 255, 255, 255,
+      255, 255, 255, 255,
+    ]);
+  });
+
+  it("applies the ITF_8 bias and feeds bump alpha to the BUMP raster channel", () => {
+    const material = {
+      indTexStages: [{ texMap: 1, texCoord: 1, scaleS: 0, scaleT: 0 }],
+      indTexMatrices: [{ xTrans: 0, yTrans: 0, rotation: 0, xScale: 1, yScale: 1 }],
+      tevStages: [
+        // 0x81 - 128 = +1 texel, same result as the unbiased case above.
+        { ...passthrough, indMtxId: 1, indBias: 1, indAlpha: 1 },
+        { ...passthrough, texMap: 0xff, colorChan: 7, dC: 0, aA: 7, dA: 5 },
+      ],
+    };
+    const indirect = { textures: [ramp, offsetTexture(0x81)], texCoords: [fullCoords, fullCoords] };
+
+    const result = evaluateTevPipeline(material.tevStages, material, [ramp], null, 4, 1, indirect);
+
+    expect([...result.data.slice(0, 4)]).toEqual([0, 255, 0, 0x80]);
+  });
+});
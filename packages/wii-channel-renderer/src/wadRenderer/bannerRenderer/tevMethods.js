@@ -1,5 +1,11 @@
-import { evaluateTevPipeline, isTevIdentityPassthrough, isTevModulatePattern, getDefaultTevStages } from "./tevEvaluator.js";
-import { normalizePaneVertexColors } from "./renderColorUtils.js";
+import {
+  evaluateTevPipeline,
+  isTevIdentityPassthrough,
+  isTevModulatePattern,
+  getDefaultTevStages,
+  materialUsesIndirectTexturing,
+} from "./tevEvaluator.js";
+import { normalizePaneVertexColors, resolveWrapMode } from "./renderColorUtils.js";
 
 // Resolve the effective TEV stages for a material.
 // If the material has explicit stages, use them. Otherwise, use the default 2-stage setup.
@@ -99,7 +105,10 @@ export function shouldUseTevPipeline(pane) {
   const needsAlphaCompare = !isAlphaCompareAlwaysPass(material?.alphaCompare);
   const explicitStages = material.tevStages;
   const hasExplicitStages = explicitStages && explicitStages.length > 0;
-  const allowShortcutSkips = this.tevQuality === "fast" && this.strictTevEvaluation !== true;
+  // Indirect (bump/distortion) materials only render correctly per pixel.
+  const allowShortcutSkips = this.tevQuality === "fast" &&
+    this.strictTevEvaluation !== true &&
+    !materialUsesIndirectTexturing(material);
 
   if (hasExplicitStages) {
     if (allowShortcutSkips) {
@@ -322,7 +331,7 @@ function sampleTextureToBuffer(renderer, binding, pane, width, height) {
 
   // Use an offscreen canvas to render the texture with proper wrap modes and SRT transforms.
   if (!renderer.tevSampleSurface) {
-    renderer.tevSampleSurface = document.createElement("canvas");
+    renderer.tevSampleSurface = renderer.createSurface();
     renderer.tevSampleContext = renderer.tevSampleSurface.getContext("2d", { willReadFrequently: true });
   }
 
@@ -344,9 +353,35 @@ function sampleTextureToBuffer(renderer, binding, pane, width, height) {
   return ctx.getImageData(0, 0, w, h);
 }
 
+// Raw texture sources for indirect texturing: displaced lookups can land anywhere
+// in the texture, so they read the decoded TPL texels rather than the pane buffers.
+function buildIndirectTextureSources(renderer, pane, bindings) {
+  return {
+    textures: bindings.map((binding) => {
+      const image = binding ? renderer.tplImages?.[binding.textureName]?.[0] : null;
+      if (!image?.imageData) {
+        return null;
+      }
+      return {
+        data: image.imageData,
+        width: image.width,
+        height: image.height,
+        wrapS: resolveWrapMode(binding.wrapS),
+        wrapT: resolveWrapMode(binding.wrapT),
+      };
+    }),
+    texCoords: bindings.map((binding, index) => renderer.getTransformedTexCoords(pane, binding?.textureSRT ?? null, index)),
+  };
+}
+
 // Build a cache key for the TEV result of a pane at its current visual state.
 function buildTevCacheKey(pane, paneState, bindings, w, h, material) {
   let key = `${w}|${h}`;
+  // wnd1 frame parts share their material's name but differ in texcoords/flip.
+  const texCoords = pane?.texCoords?.[0];
+  if (texCoords) {
+    key += `|uv:${texCoords.tl.s},${texCoords.tl.t},${texCoords.br.s},${texCoords.br.t}`;
+  }
   const colors = paneState?.vertexColors ?? pane?.vertexColors;
   if (colors) {
     for (let i = 0; i < colors.length; i += 1) {
@@ -506,7 +541,10 @@ export function runTevPipeline(pane, paneState, width, height) {
   const rasBuffer = buildRasterizedColorBuffer(pane, paneState, evalW, evalH, material);
 
   // Run per-pixel TEV evaluation with effective stages (may be default if none defined).
-  const result = evaluateTevPipeline(stages, material, textureBuffers, rasBuffer, evalW, evalH);
+  const indirect = materialUsesIndirectTexturing(material, stages)
+    ? buildIndirectTextureSources(this, pane, bindings)
+    : null;
+  const result = evaluateTevPipeline(stages, material, textureBuffers, rasBuffer, evalW, evalH, indirect);
 
   // Post-process: for panes where the hardware relies on an external clip mask (e.g.
   // BackMask2) to hide areas outside the first texture's shape, multiply the TEV output
@@ -547,7 +585,7 @@ export function drawTevResult(context, tevResult, width, height) {
   const h = tevResult.height;
 
   if (!this.tevResultSurface) {
-    this.tevResultSurface = document.createElement("canvas");
+    this.tevResultSurface = this.createSurface();
     this.tevResultContext = this.tevResultSurface.getContext("2d");
   }
 
@@ -556,7 +594,7 @@ export function drawTevResult(context, tevResult, width, height) {
     this.tevResultSurface.height = h;
   }
 
-  const imageData = new ImageData(tevResult.data, w, h);
+  const imageData = this.createImageData(tevResult.data, w, h);
   this.tevResultContext.putImageData(imageData, 0, 0);
   const pad = this._seamPad || 0;
   context.drawImage(this.tevResultSurface, -width / 2 - pad, -height / 2 - pad, width + 2 * pad, height + 2 * pad);
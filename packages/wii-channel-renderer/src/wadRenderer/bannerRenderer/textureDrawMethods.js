@@ -44,7 +44,7 @@ export function getWrappedSurface(
     return cached;
   }
 
-  const surface = document.createElement("canvas");
+  const surface = this.createSurface();
 
   if (repeatX && repeatY) {
     surface.width = tileWidthWithMirror;
@@ -36,6 +36,16 @@ function mergeTextureSRT(base, animated) {
   };
 }
 
+// Scratch canvases and ImageData come from the renderer's surface provider so
+// hosts without a DOM (Node, workers) can inject their own canvas binding.
+export function createSurface(width = 1, height = 1) {
+  return this.surfaceProvider.createSurface(width, height);
+}
+
+export function createImageData(data, width, height) {
+  return this.surfaceProvider.createImageData(data, width, height);
+}
+
 export function prepareTextures() {
   for (const [name, images] of Object.entries(this.tplImages)) {
     if (!images.length) {
@@ -43,18 +53,30 @@ export function prepareTextures() {
     }
 
     const image = images[0];
-    const canvas = document.createElement("canvas");
-    canvas.width = image.width;
-    canvas.height = image.height;
+    const canvas = this.createSurface(image.width, image.height);
 
     const context = canvas.getContext("2d");
-    context.putImageData(new ImageData(image.imageData, image.width, image.height), 0, 0);
+    context.putImageData(this.createImageData(image.imageData, image.width, image.height), 0, 0);
 
     this.textureCanvases[name] = canvas;
     this.textureFormats[name] = image.format;
   }
 }
 
+// Add or replace a decoded texture ({ width, height, imageData, format }) so
+// edited materials can reference it. Call refreshLayout() to redraw.
+export function registerTexture(name, image) {
+  const canvas = this.createSurface(image.width, image.height);
+  canvas.getContext("2d").putImageData(this.createImageData(image.imageData, image.width, image.height), 0, 0);
+
+  this.tplImages[name] = [image];
+  this.textureCanvases[name] = canvas;
+  this.textureFormats[name] = image.format;
+  if (!this.layout.textures.includes(name)) {
+    this.layout.textures.push(name);
+  }
+}
+
 export function getTextureFormat(textureName) {
   return this.textureFormats[textureName] ?? null;
 }
@@ -75,9 +97,7 @@ export function getLumaAlphaTexture(textureName, options = {}) {
 
   const width = source.width;
   const height = source.height;
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = this.createSurface(width, height);
   const context = canvas.getContext("2d");
   context.drawImage(source, 0, 0);
 
@@ -274,9 +294,7 @@ export function getChromaKeyTexture(textureName, options = {}) {
 
   const width = source.width;
   const height = source.height;
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = this.createSurface(width, height);
   const context = canvas.getContext("2d");
   context.drawImage(source, 0, 0);
 
@@ -335,9 +353,7 @@ export function getMaskedTexture(baseTextureName, maskTextureName, options = {})
 
   const width = base.width;
   const height = base.height;
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = this.createSurface(width, height);
   const context = canvas.getContext("2d");
   context.drawImage(base, 0, 0);
 
@@ -377,9 +393,7 @@ export function getLumaRemapTexture(textureName, options = {}) {
 
   const width = source.width;
   const height = source.height;
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = this.createSurface(width, height);
   const context = canvas.getContext("2d");
   context.drawImage(source, 0, 0);
 
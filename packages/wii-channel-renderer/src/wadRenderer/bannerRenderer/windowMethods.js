@@ -0,0 +1,209 @@
+// wnd1 window panes (nw4r::lyt::Window).
+//
+// A window draws its content quad, inset by the frame sizes and grown by the
+// content inflation, followed by 1, 4 or 8 frame quads with their own materials.
+// Each part is returned as a pic1-like pane centred at an offset from the window
+// centre, so the regular material/TEV draw paths render it unchanged.
+
+// Frame texture flip (nw4r TextureFlip).
+const WINDOW_FLIP_NONE = 0;
+const WINDOW_FLIP_H = 1;
+const WINDOW_FLIP_V = 2;
+const WINDOW_FLIP_ROTATE_90 = 3;
+const WINDOW_FLIP_ROTATE_180 = 4;
+const WINDOW_FLIP_ROTATE_270 = 5;
+
+// Frame table indices: LT, RT, LB, RB, then L, R, T, B for 8-frame windows.
+const FRAME_LT = 0;
+const FRAME_RT = 1;
+const FRAME_LB = 2;
+const FRAME_RB = 3;
+const FRAME_L = 4;
+const FRAME_R = 5;
+const FRAME_T = 6;
+const FRAME_B = 7;
+
+const WHITE_VERTEX_COLORS = [
+  { r: 255, g: 255, b: 255, a: 255 },
+  { r: 255, g: 255, b: 255, a: 255 },
+  { r: 255, g: 255, b: 255, a: 255 },
+  { r: 255, g: 255, b: 255, a: 255 },
+];
+
+function flipTexCoord(point, flip) {
+  switch (flip) {
+    case WINDOW_FLIP_H: return { s: 1 - point.s, t: point.t };
+    case WINDOW_FLIP_V: return { s: point.s, t: 1 - point.t };
+    case WINDOW_FLIP_ROTATE_90: return { s: point.t, t: 1 - point.s };
+    case WINDOW_FLIP_ROTATE_180: return { s: 1 - point.s, t: 1 - point.t };
+    case WINDOW_FLIP_ROTATE_270: return { s: 1 - point.t, t: point.s };
+    default: return point;
+  }
+}
+
+// Texture coordinates for a frame quad. Corner frames keep the texture at 1:1
+// from their anchored corner, so the clamped last texel row/column stretches
+// along the edge; `anchor` null maps the whole texture across the quad (8-frame edges).
+function buildFrameTexCoords(rect, texSize, anchor, flip) {
+  let s0 = 0;
+  let s1 = 1;
+  let t0 = 0;
+  let t1 = 1;
+  if (anchor) {
+    const sSpan = rect.w / Math.max(1, texSize.width);
+    const tSpan = rect.h / Math.max(1, texSize.height);
+    [s0, s1] = anchor.right ? [1 - sSpan, 1] : [0, sSpan];
+    [t0, t1] = anchor.bottom ? [1 - tSpan, 1] : [0, tSpan];
+  }
+  return {
+    tl: flipTexCoord({ s: s0, t: t0 }, flip),
+    tr: flipTexCoord({ s: s1, t: t0 }, flip),
+    bl: flipTexCoord({ s: s0, t: t1 }, flip),
+    br: flipTexCoord({ s: s1, t: t1 }, flip),
+  };
+}
+
+// Frame sizes (nw4r Window::GetFrameSize): LT texture for left/top, RB texture
+// for right/bottom (the single frame's texture for both when there is one).
+function getWindowFrameSize(frameTexSizes) {
+  if (frameTexSizes.length === 0) {
+    return { l: 0, t: 0, r: 0, b: 0 };
+  }
+  const lt = frameTexSizes[FRAME_LT];
+  const rb = frameTexSizes.length >= 4 ? frameTexSizes[FRAME_RB] : lt;
+  return { l: lt.width, t: lt.height, r: rb.width, b: rb.height };
+}
+
+/**
+ * Lay out a window's parts in pane-local space (origin at the pane centre, y down).
+ * Returns `{ content, frames }`: content is `{ x, y, w, h }`, frames are
+ * `{ frameIndex, x, y, w, h, texCoords }` in draw order.
+ *
+ * @param {number} width  absolute pane width
+ * @param {number} height absolute pane height
+ * @param {{l:number,r:number,t:number,b:number}|null} inflation
+ * @param {{textureFlip:number}[]} frames  window frame table
+ * @param {{width:number,height:number}[]} frameTexSizes  texture size per frame
+ */
+export function layoutWindowParts(width, height, inflation, frames, frameTexSizes) {
+  const left = -width / 2;
+  const top = -height / 2;
+  const frameCount = frames.length >= 8 ? 8 : frames.length >= 4 ? 4 : frames.length >= 1 ? 1 : 0;
+  const size = getWindowFrameSize(frameTexSizes.slice(0, frameCount));
+  const inf = { l: inflation?.l ?? 0, r: inflation?.r ?? 0, t: inflation?.t ?? 0, b: inflation?.b ?? 0 };
+
+  const content = {
+    x: left + size.l - inf.l,
+    y: top + size.t - inf.t,
+    w: width - size.l - size.r + inf.l + inf.r,
+    h: height - size.t - size.b + inf.t + inf.b,
+  };
+
+  const parts = [];
+  const push = (frameIndex, flip, x, y, w, h, anchor) => {
+    if (w <= 0 || h <= 0) {
+      return;
+    }
+    const rect = { x, y, w, h };
+    parts.push({ frameIndex, ...rect, texCoords: buildFrameTexCoords(rect, frameTexSizes[frameIndex], anchor, flip) });
+  };
+  const flipOf = (index) => frames[index]?.textureFlip ?? WINDOW_FLIP_NONE;
+
+  if (frameCount === 1 || frameCount === 4) {
+    // Pinwheel: each corner frame also covers one edge (Window::DrawFrame/DrawFrame4).
+    // A single frame is mirrored into the other three corners.
+    const single = frameCount === 1;
+    const lt = FRAME_LT;
+    const rt = single ? FRAME_LT : FRAME_RT;
+    const rb = single ? FRAME_LT : FRAME_RB;
+    const lb = single ? FRAME_LT : FRAME_LB;
+    push(lt, single ? WINDOW_FLIP_NONE : flipOf(lt), left, top, width - size.r, size.t,
+      { right: false, bottom: false });
+    push(rt, single ? WINDOW_FLIP_H : flipOf(rt), left + width - size.r, top, size.r, height - size.b,
+      { right: true, bottom: false });
+    push(rb, single ? WINDOW_FLIP_ROTATE_180 : flipOf(rb), left + size.l, top + height - size.b, width - size.l, size.b,
+      { right: true, bottom: true });
+    push(lb, single ? WINDOW_FLIP_V : flipOf(lb), left, top + size.t, size.l, height - size.t,
+      { right: false, bottom: true });
+  } else if (frameCount === 8) {
+    // Corners at 1:1 plus four stretched edges (Window::DrawFrame8).
+    const innerW = width - size.l - size.r;
+    const innerH = height - size.t - size.b;
+    push(FRAME_LT, flipOf(FRAME_LT), left, top, size.l, size.t, { right: false, bottom: false });
+    push(FRAME_T, flipOf(FRAME_T), left + size.l, top, innerW, size.t, null);
+    push(FRAME_RT, flipOf(FRAME_RT), left + width - size.r, top, size.r, size.t, { right: true, bottom: false });
+    push(FRAME_R, flipOf(FRAME_R), left + width - size.r, top + size.t, size.r, innerH, null);
+    push(FRAME_RB, flipOf(FRAME_RB), left + width - size.r, top + height - size.b, size.r, size.b, { right: true, bottom: true });
+    push(FRAME_B, flipOf(FRAME_B), left + size.l, top + height - size.b, innerW, size.b, null);
+    push(FRAME_LB, flipOf(FRAME_LB), left, top + height - size.b, size.l, size.b, { right: false, bottom: true });
+    push(FRAME_L, flipOf(FRAME_L), left, top + size.t, size.l, innerH, null);
+  }
+
+  return { content, frames: parts };
+}
+
+function getMaterialTextureSize(renderer, materialIndex) {
+  const material = renderer.layout?.materials?.[materialIndex];
+  const textureIndex = material?.textureMaps?.[0]?.textureIndex;
+  const textureName = Number.isInteger(textureIndex) ? renderer.layout?.textures?.[textureIndex] : null;
+  const texture = textureName ? renderer.textureCanvases?.[textureName] : null;
+  return { width: texture?.width ?? 0, height: texture?.height ?? 0 };
+}
+
+function hasWindowInflation(inflation) {
+  return Boolean(inflation && (inflation.l || inflation.r || inflation.t || inflation.b));
+}
+
+/**
+ * Split a wnd1 pane into drawable parts: `[{ pane, paneState, offsetX, offsetY }]`
+ * with the content first. Each part pane is drawn centred at (offsetX, offsetY)
+ * relative to the window centre. Returns null for plain windows (no frames, no
+ * inflation), which draw as a single quad.
+ */
+export function getWindowPaneParts(pane, paneState) {
+  if (pane?.type !== "wnd1") {
+    return null;
+  }
+  const frames = pane.windowFrames ?? [];
+  if (frames.length === 0 && !hasWindowInflation(pane.inflation)) {
+    return null;
+  }
+
+  const width = paneState?.width ?? pane.size?.w ?? 0;
+  const height = paneState?.height ?? pane.size?.h ?? 0;
+  const signX = width < 0 ? -1 : 1;
+  const signY = height < 0 ? -1 : 1;
+  const frameTexSizes = frames.map((frame) => getMaterialTextureSize(this, frame.materialIndex));
+  const layout = layoutWindowParts(Math.abs(width), Math.abs(height), pane.inflation, frames, frameTexSizes);
+
+  const toPart = (partPane, partState, rect) => ({
+    pane: partPane,
+    paneState: { ...partState, width: rect.w * signX, height: rect.h * signY },
+    offsetX: (rect.x + rect.w / 2) * signX,
+    offsetY: (rect.y + rect.h / 2) * signY,
+  });
+
+  const parts = [];
+  if (layout.content.w > 0 && layout.content.h > 0) {
+    parts.push(toPart(pane, paneState, layout.content));
+  }
+  for (const frame of layout.frames) {
+    const materialIndex = frames[frame.frameIndex].materialIndex;
+    const material = this.layout?.materials?.[materialIndex];
+    // Frames are plain textured quads with their own material; animations bind
+    // by material name, and frames carry no vertex colors of their own.
+    const framePane = {
+      ...pane,
+      type: "pic1",
+      name: material?.name ?? `${pane.name}#${frame.frameIndex}`,
+      materialIndex,
+      texCoords: [frame.texCoords],
+      vertexColors: WHITE_VERTEX_COLORS,
+      windowFrames: undefined,
+      inflation: undefined,
+    };
+    const frameState = { ...paneState, vertexColors: null, textureIndex: null };
+    parts.push(toPart(framePane, frameState, frame));
+  }
+  return parts;
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import * as windowMethods from "./windowMethods.js";
+
+const { layoutWindowParts } = windowMethods;
+
+function makeRenderer() {
+  return {
+    ...windowMethods,
+    layout: {
+      textures: ["corner.tpl", "edge.tpl"],
+      materials: [
+        { name: "W_Content", textureMaps: [] },
+        { name: "W_Corner", textureMaps: [{ textureIndex: 0 }] },
+        { name: "W_Edge", textureMaps: [{ textureIndex: 1 }] },
+      ],
+    },
+    textureCanvases: {
+      "corner.tpl": { width: 16, height: 8 },
+      "edge.tpl": { width: 4, height: 4 },
+    },
+  };
+}
+
+describe("layoutWindowParts", () => {
+  it("mirrors a single frame into a pinwheel around the inset content", () => {
+    const size = { width: 10, height: 10 };
+    const { content, frames } = layoutWindowParts(100, 60, { l: 2, r: 2, t: 0, b: 0 }, [{ textureFlip: 0 }], [size]);
+
+    expect(content).toEqual({ x: -42, y: -20, w: 84, h: 40 });
+    expect(frames.map(({ x, y, w, h }) => [x, y, w, h])).toEqual([
+      [-50, -30, 90, 10], // LT + top edge
+      [40, -30, 10, 50],  // RT + right edge
+      [-40, 20, 90, 10],  // RB + bottom edge
+      [-50, -20, 10, 50], // LB + left edge
+    ]);
+    // LT keeps the texture at 1:1 so the clamped last column stretches along the top.
+    expect(frames[0].texCoords.tl).toEqual({ s: 0, t: 0 });
+    expect(frames[0].texCoords.br).toEqual({ s: 9, t: 1 });
+    // RT is the same texture mirrored horizontally: its first column sits on the outer edge.
+    expect(frames[1].texCoords.tr).toEqual({ s: 0, t: 0 });
+    expect(frames[1].texCoords.tl).toEqual({ s: 1, t: 0 });
+  });
+
+  it("places eight frames as 1:1 corners and stretched edges", () => {
+    const frames = Array.from({ length: 8 }, () => ({ textureFlip: 0 }));
+    const sizes = Array.from({ length: 8 }, () => ({ width: 8, height: 8 }));
+    const layout = layoutWindowParts(64, 32, null, frames, sizes);
+
+    expect(layout.content).toEqual({ x: -24, y: -8, w: 48, h: 16 });
+    expect(layout.frames.map((frame) => frame.frameIndex)).toEqual([0, 6, 1, 5, 3, 7, 2, 4]);
+    const top = layout.frames[1];
+    expect([top.x, top.y, top.w, top.h]).toEqual([-24, -16, 48, 8]);
+    expect(top.texCoords.br).toEqual({ s: 1, t: 1 });
+  });
+});
+
+describe("getWindowPaneParts", () => {
+  it("splits a framed wnd1 into content and frame panes with their own materials", () => {
+    const renderer = makeRenderer();
+    const pane = {
+      type: "wnd1",
+      name: "W_Dialog",
+      materialIndex: 0,
+      inflation: { l: 0, r: 0, t: 0, b: 0 },
+      windowFrames: [
+        { materialIndex: 1, textureFlip: 0 },
+        { materialIndex: 1, textureFlip: 1 },
+        { materialIndex: 1, textureFlip: 2 },
+        { materialIndex: 1, textureFlip: 4 },
+      ],
+    };
+
+    const parts = renderer.getWindowPaneParts(pane, { width: 96, height: 48, vertexColors: null });
+
+    expect(parts).toHaveLength(5);
+    expect(parts[0].pane).toBe(pane);
+    expect(parts[0].paneState).toMatchObject({ width: 64, height: 32 });
+    expect(parts[1].pane).toMatchObject({ type: "pic1", name: "W_Corner", materialIndex: 1 });
+    // LT + top edge: 96 - 16 wide, centred 8px left of the window centre.
+    expect(parts[1]).toMatchObject({ offsetX: -8, offsetY: -20, paneState: { width: 80, height: 8 } });
+  });
+
+  it("leaves windows without frames or inflation to the single-quad path", () => {
+    const renderer = makeRenderer();
+
+    expect(renderer.getWindowPaneParts({ type: "wnd1", windowFrames: [] }, { width: 10, height: 10 })).toBeNull();
+    expect(renderer.getWindowPaneParts({ type: "pic1" }, { width: 10, height: 10 })).toBeNull();
+  });
+});
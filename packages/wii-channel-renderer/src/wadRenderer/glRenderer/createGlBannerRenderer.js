@@ -12,6 +12,7 @@ import { BannerRenderer } from "../BannerRenderer.js";
 import { getProjectedTransform2D } from "../bannerRenderer/transformMethods.js";
 import { normalizePaneVertexColors, resolveWrapMode } from "../bannerRenderer/renderColorUtils.js";
 import { buildAnimatedMaterial } from "../bannerRenderer/tevMethods.js";
+import { isIndirectTevStage, resolveIndirectMatrixMode } from "../bannerRenderer/tevEvaluator.js";
 import { applyPoint, buildChainAffine, buildQuadVertices } from "./paneGeometry.js";
 import { resolveGlBlendState, applyGlBlendState } from "./gxBlend.js";
 import {
@@ -250,9 +251,12 @@ function buildPaneRasterCacheKey(core, pane, paneState, w, h) {
     type: pane.type,
     materialIndex: pane.materialIndex,
     size: [w, h],
+    // wnd1 frame parts share their material's name but differ in texcoords/flip.
+    texCoords: pane.texCoords ?? null,
     textureIndex: paneState?.textureIndex ?? null,
     vertexColors: serializeColorList(paneState?.vertexColors ?? pane?.vertexColors),
     text: pane.type === "txt1" ? getTextContentForKey(core, pane) : "",
+    fontRevision: pane.type === "txt1" ? core.fontRevision : 0,
     usesTev,
     material: buildMaterialContentKey(material),
     animatedMaterial,
@@ -315,6 +319,34 @@ function toTexturePixels(imageData) {
   return imageData;
 }
 
+function uploadTextureImage(gl, image) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    gl.RGBA,
+    image.width,
+    image.height,
+    0,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    toTexturePixels(image.imageData),
+  );
+  return {
+    texture,
+    width: image.width,
+    height: image.height,
+    format: image.format,
+  };
+}
+
 function uploadTplTextures(gl, tplImages) {
   const textures = new Map();
   for (const [name, images] of Object.entries(tplImages ?? {})) {
@@ -322,32 +354,7 @@ function uploadTplTextures(gl, tplImages) {
     if (!image?.imageData || !Number.isFinite(image.width) || !Number.isFinite(image.height)) {
       continue;
     }
-
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
-    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
-    gl.texImage2D(
-      gl.TEXTURE_2D,
-      0,
-      gl.RGBA,
-      image.width,
-      image.height,
-      0,
-      gl.RGBA,
-      gl.UNSIGNED_BYTE,
-      toTexturePixels(image.imageData),
-    );
-    textures.set(name, {
-      texture,
-      width: image.width,
-      height: image.height,
-      format: image.format,
-    });
+    textures.set(name, uploadTextureImage(gl, image));
   }
   gl.bindTexture(gl.TEXTURE_2D, null);
   return textures;
@@ -587,44 +594,54 @@ function isSupportedTevOp(op) {
   return op === 0 || op === 1 || (op >= 8 && op <= 15);
 }
 
-function hasUnsupportedIndirectStage(stage) {
-  return Boolean(
-    stage?.indTexId ||
-    stage?.indBias ||
-    stage?.indMtxId ||
-    stage?.indWrapS ||
-    stage?.indWrapT ||
-    stage?.indFormat ||
-    stage?.indAddPrev ||
-    stage?.indUtcLod ||
-    stage?.indAlpha
-  );
+// Indirect stages are supported when every referenced indirect stage, matrix
+// and texture coordinate fits the generated shader's fixed UV/sampler sets.
+function hasUnsupportedIndirectStage(stage, material) {
+  const indStageCount = material?.indTexStages?.length ?? 0;
+  if (stage?.indMtxId && !resolveIndirectMatrixMode(stage.indMtxId)) {
+    return true;
+  }
+  if ((stage?.indMtxId || stage?.indAlpha) && (stage.indTexId ?? 0) >= indStageCount) {
+    return true;
+  }
+  if ((stage?.indWrapS ?? 0) > 6 || (stage?.indWrapT ?? 0) > 6 || (stage?.indAlpha ?? 0) > 3) {
+    return true;
+  }
+  return isIndirectTevStage(stage) && (stage.texCoord ?? 0) >= MAX_TEV_TEXTURES;
 }
 
-function isSupportedTevStage(stage) {
-  if (!stage || !isSupportedTevOp(stage.tevOpC ?? 0) || !isSupportedTevOp(stage.tevOpA ?? 0)) {
-    return false;
+function getUnsupportedTevStageReason(stage, material) {
+  if (!stage) {
+    return "missing stage";
   }
-  if (hasUnsupportedIndirectStage(stage)) {
-    return false;
+  if (!isSupportedTevOp(stage.tevOpC ?? 0) || !isSupportedTevOp(stage.tevOpA ?? 0)) {
+    return `unsupported TEV op ${stage.tevOpC ?? 0}/${stage.tevOpA ?? 0}`;
+  }
+  if (hasUnsupportedIndirectStage(stage, material)) {
+    return "unsupported indirect setup";
   }
   const texMap = stage.texMap ?? 0xff;
-  return texMap === 0xff || (texMap >= 0 && texMap < MAX_TEV_TEXTURES);
+  if (texMap !== 0xff && !(texMap >= 0 && texMap < MAX_TEV_TEXTURES)) {
+    return `texMap ${texMap} exceeds ${MAX_TEV_TEXTURES} samplers`;
+  }
+  return null;
 }
 
-function isSupportedTevMaterial(material) {
+// Why a material cannot use a generated TEV program, or null when it can.
+function getUnsupportedTevMaterialReason(material) {
   const stages = material?.tevStages;
   if (!Array.isArray(stages) || stages.length === 0) {
-    return false;
+    return "material has no TEV stages";
   }
   if (hasNonDefaultChannelControl(material)) {
-    return false;
+    return "channel control sources register colors";
   }
   if (!isIdentitySwapTable(material.tevSwapTable)) {
-    return false;
+    return "non-identity TEV swap table";
   }
-  if ((material.indTexMatrices?.length ?? 0) > 0 || (material.indTexStages?.length ?? 0) > 0) {
-    return false;
+  const indTexStages = material.indTexStages ?? [];
+  if (indTexStages.some((stage) => stage.texMap >= MAX_TEV_TEXTURES || stage.texCoord >= MAX_TEV_TEXTURES)) {
+    return "indirect stage texMap/texCoord out of range";
   }
   const alphaCompare = material.alphaCompare;
   if (
@@ -635,9 +652,19 @@ function isSupportedTevMaterial(material) {
       alphaCompare.operation < 0 || alphaCompare.operation > 3
     )
   ) {
-    return false;
+    return "unsupported alpha compare";
   }
-  return stages.every(isSupportedTevStage);
+  for (let i = 0; i < stages.length; i += 1) {
+    const reason = getUnsupportedTevStageReason(stages[i], material);
+    if (reason) {
+      return `TEV stage ${i}: ${reason}`;
+    }
+  }
+  return null;
+}
+
+function isSupportedTevMaterial(material) {
+  return getUnsupportedTevMaterialReason(material) === null;
 }
 
 function toColorRegisterVec4(color) {
@@ -666,91 +693,130 @@ function hasNonDefaultChannelControl(material) {
   return channelControl.colorSource === 0 || channelControl.alphaSource === 0;
 }
 
-function shouldFallbackToCanvasForBinding(core, pane, binding) {
+// Why a texture binding needs the Canvas draw path, or null when the GPU can
+// sample it directly.
+function getCanvasFallbackReason(core, pane, binding) {
   if (!binding) {
-    return false;
+    return null;
   }
-  if (String(binding.textureName ?? "").includes("|") || binding.skipMaterialColorModulation) {
-    return true;
+  if (String(binding.textureName ?? "").includes("|")) {
+    return "composited texture binding";
   }
-  return Boolean(
-    core.shouldTreatPaneAsLumaMask?.(pane, binding) ||
-    core.shouldTreatPaneAsLumaOverlay?.(pane, binding)
-  );
+  if (binding.skipMaterialColorModulation) {
+    return "material color modulation skipped";
+  }
+  if (core.shouldTreatPaneAsLumaMask?.(pane, binding)) {
+    return "luma mask";
+  }
+  if (core.shouldTreatPaneAsLumaOverlay?.(pane, binding)) {
+    return "luma overlay";
+  }
+  return null;
 }
 
+function getGpuTextureReason(glState, textureRecord, binding) {
+  if (!textureRecord) {
+    return `texture ${binding.textureName} not uploaded`;
+  }
+  if (!canUseGpuWrap(glState, textureRecord, binding.wrapS, binding.wrapT)) {
+    return "repeat/mirror wrap on a non-power-of-two texture (WebGL 1)";
+  }
+  return null;
+}
+
+// Eligibility helpers return `reason` when they decline a pane: null when the
+// path simply does not apply (e.g. the direct path for TEV materials), or a
+// short explanation the parity report shows for Canvas fallbacks.
 function getDirectGpuBinding(core, glState, pane, paneState) {
+  const decline = (reason, binding = null) => ({ eligible: false, binding, textureRecord: null, reason });
   if (pane.type !== "pic1" && pane.type !== "wnd1") {
-    return { eligible: false, binding: null, textureRecord: null };
+    return decline(`${pane.type} panes are rasterized`);
+  }
+  if (core.shouldDrawCustomTemperatureForPane?.(pane)) {
+    return decline("custom weather temperature");
   }
-  if (core.shouldDrawCustomTemperatureForPane?.(pane) || core.shouldUseTevPipeline(pane)) {
-    return { eligible: false, binding: null, textureRecord: null };
+  if (core.shouldUseTevPipeline(pane)) {
+    return decline(null);
   }
 
   const material = Number.isInteger(pane?.materialIndex) && pane.materialIndex >= 0
     ? core.layout?.materials?.[pane.materialIndex]
     : null;
   if (hasNonDefaultChannelControl(material)) {
-    return { eligible: false, binding: null, textureRecord: null };
+    return decline("channel control sources register colors");
   }
 
   const binding = core.getTextureBindingForPane(pane, paneState);
   if (!binding) {
     const colors = paneState?.vertexColors ?? pane?.vertexColors;
-    return {
-      eligible: Array.isArray(colors) && colors.length === 4,
-      binding: null,
-      textureRecord: null,
-    };
+    const eligible = Array.isArray(colors) && colors.length === 4;
+    return { eligible, binding: null, textureRecord: null, reason: eligible ? null : "no texture or vertex colors" };
   }
-  if (shouldFallbackToCanvasForBinding(core, pane, binding)) {
-    return { eligible: false, binding, textureRecord: null };
+  const fallbackReason = getCanvasFallbackReason(core, pane, binding);
+  if (fallbackReason) {
+    return decline(fallbackReason, binding);
   }
 
   const textureRecord = core._glTextureCache.get(binding.textureName);
-  if (!textureRecord || !canUseGpuWrap(glState, textureRecord, binding.wrapS, binding.wrapT)) {
-    return { eligible: false, binding, textureRecord: null };
+  const textureReason = getGpuTextureReason(glState, textureRecord, binding);
+  if (textureReason) {
+    return decline(textureReason, binding);
   }
-  return { eligible: true, binding, textureRecord };
+  return { eligible: true, binding, textureRecord, reason: null };
 }
 
 function getTevGpuBindings(core, glState, pane, paneState) {
+  const decline = (reason, material = null, bindings = []) => ({
+    eligible: false, material, bindings, textureRecords: [], reason,
+  });
   if (pane.type !== "pic1" && pane.type !== "wnd1") {
-    return { eligible: false, material: null, bindings: [], textureRecords: [] };
+    return decline(null);
+  }
+  if (core.shouldDrawCustomTemperatureForPane?.(pane)) {
+    return decline("custom weather temperature");
   }
-  if (core.shouldDrawCustomTemperatureForPane?.(pane) || !core.shouldUseTevPipeline(pane)) {
-    return { eligible: false, material: null, bindings: [], textureRecords: [] };
+  if (!core.shouldUseTevPipeline(pane)) {
+    return decline(null);
   }
   if (core.paneAlphaMaskFromFirstTexture?.has(pane.name)) {
-    return { eligible: false, material: null, bindings: [], textureRecords: [] };
+    return decline("alpha mask from first texture");
   }
 
   const material = Number.isInteger(pane?.materialIndex) && pane.materialIndex >= 0
     ? core.layout?.materials?.[pane.materialIndex]
     : null;
-  if (!isSupportedTevMaterial(material)) {
-    return { eligible: false, material, bindings: [], textureRecords: [] };
+  const materialReason = getUnsupportedTevMaterialReason(material);
+  if (materialReason) {
+    return decline(materialReason, material);
   }
 
   const bindings = core.getAllTextureBindingsForPane(pane, paneState);
   const textureRecords = Array.from({ length: MAX_TEV_TEXTURES }, () => null);
-  for (const stage of material.tevStages) {
-    const texMap = stage.texMap ?? 0xff;
-    if (texMap === 0xff) {
+  const texMaps = [
+    ...material.tevStages.map((stage) => stage.texMap ?? 0xff),
+    ...(material.indTexStages ?? []).map((stage) => stage.texMap),
+  ];
+  for (const texMap of texMaps) {
+    if (texMap === 0xff || textureRecords[texMap]) {
       continue;
     }
     const binding = bindings[texMap];
-    if (!binding || shouldFallbackToCanvasForBinding(core, pane, binding)) {
-      return { eligible: false, material, bindings, textureRecords: [] };
+    if (!binding) {
+      return decline(`texMap ${texMap} has no texture`, material, bindings);
+    }
+    const fallbackReason = getCanvasFallbackReason(core, pane, binding);
+    if (fallbackReason) {
+      return decline(fallbackReason, material, bindings);
     }
     const textureRecord = core._glTextureCache.get(binding.textureName);
-    if (!textureRecord || !canUseGpuWrap(glState, textureRecord, binding.wrapS, binding.wrapT)) {
-      return { eligible: false, material, bindings, textureRecords: [] };
+    const textureReason = getGpuTextureReason(glState, textureRecord, binding);
+    if (textureReason) {
+      return decline(textureReason, material, bindings);
     }
     textureRecords[texMap] = textureRecord;
   }
 
-  return { eligible: true, material, bindings, textureRecords };
+  return { eligible: true, material, bindings, textureRecords, reason: null };
 }
 
 function buildTevQuadVertices(core, preparedPane, chainAffine, metrics, bindings) {
@@ -821,6 +887,9 @@ function setTevUniforms(gl, programInfo, core, pane, baseMaterial, bindings, tex
       continue;
     }
     const binding = bindings[i];
+    if (programInfo.uTexSize[i]) {
+      gl.uniform2f(programInfo.uTexSize[i], textureRecord.width, textureRecord.height);
+    }
     gl.activeTexture(gl.TEXTURE0 + i);
     gl.bindTexture(gl.TEXTURE_2D, textureRecord.texture);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, resolveGlWrap(gl, binding.wrapS));
@@ -831,19 +900,20 @@ function setTevUniforms(gl, programInfo, core, pane, baseMaterial, bindings, tex
   }
 }
 
+// Returns `{ drawn, reason }`; see getTevGpuBindings for `reason`.
 function drawPreparedPaneTevGpu(core, glState, preparedPane, chainAffine, metrics) {
   const { gl } = glState;
   const { pane, paneState, alpha } = preparedPane;
-  const { eligible, material, bindings, textureRecords } = getTevGpuBindings(core, glState, pane, paneState);
+  const { eligible, material, bindings, textureRecords, reason } = getTevGpuBindings(core, glState, pane, paneState);
   if (!eligible) {
-    return false;
+    return { drawn: false, reason };
   }
 
   const signature = getTevMaterialSignature(material);
   const programInfo = getGeneratedTevProgram(gl, glState, signature);
   const verts = buildTevQuadVertices(core, preparedPane, chainAffine, metrics, bindings);
   if (!verts) {
-    return false;
+    return { drawn: false, reason: "texture coordinates unavailable" };
   }
 
   bindTevProgram(gl, glState, programInfo);
@@ -851,7 +921,7 @@ function drawPreparedPaneTevGpu(core, glState, preparedPane, chainAffine, metric
   setTevUniforms(gl, programInfo, core, pane, material, bindings, textureRecords, alpha);
   applyGlBlendState(gl, resolveGlBlendState(gl, material));
   gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-  return true;
+  return { drawn: true, reason: null };
 }
 
 function warmSupportedTevPrograms(gl, glState, materials) {
@@ -862,12 +932,13 @@ function warmSupportedTevPrograms(gl, glState, materials) {
   }
 }
 
+// Returns `{ drawn, reason }`; see getDirectGpuBinding for `reason`.
 function drawPreparedPaneGpu(core, glState, preparedPane, chainAffine, metrics) {
   const { gl } = glState;
   const { pane, paneState, alpha } = preparedPane;
-  const { eligible, binding, textureRecord } = getDirectGpuBinding(core, glState, pane, paneState);
+  const { eligible, binding, textureRecord, reason } = getDirectGpuBinding(core, glState, pane, paneState);
   if (!eligible) {
-    return false;
+    return { drawn: false, reason };
   }
 
   const hasTexture = Boolean(binding && textureRecord);
@@ -884,7 +955,7 @@ function drawPreparedPaneGpu(core, glState, preparedPane, chainAffine, metrics)
     binding,
   );
   if (!verts) {
-    return false;
+    return { drawn: false, reason: "texture coordinates unavailable" };
   }
 
   bindGeneratedMaterialProgram(gl, glState, programInfo);
@@ -906,7 +977,7 @@ function drawPreparedPaneGpu(core, glState, preparedPane, chainAffine, metrics)
   }
   applyGlBlendState(gl, resolveGlBlendState(gl, core.layout?.materials?.[pane.materialIndex]));
   gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-  return true;
+  return { drawn: true, reason: null };
 }
 
 // Rasterize a single pane's content (texture/TEV/vertex+material modulation, no
@@ -957,20 +1028,81 @@ function rasterizePane(core, glState, pane, paneState) {
   return surface;
 }
 
-function glRenderFrame(core, glState, frame) {
+// Draw one prepared pane (or window part): generated TEV program, direct GPU
+// quad, or the rasterized Canvas fallback uploaded as a cached texture. The path
+// taken (and why the GPU paths declined) is appended to stats.panePaths.
+function drawPreparedPaneGl(core, glState, preparedPane, metrics, stats) {
   const { gl } = glState;
-  const glCanvas = core._glCanvas;
-  const prepared = core.prepareFrame(frame, glCanvas);
-  const {
+  const { pane, paneState, chainStates, originOffset, alpha } = preparedPane;
+  const { layoutWidth, layoutHeight, pixelWidth, pixelHeight, baseScaleX, baseScaleY } = metrics;
+
+  const chainAffine = buildChainAffine(
+    chainStates,
+    (state) => getProjectedTransform2D(core, state),
     layoutWidth,
     layoutHeight,
-    outputWidth,
-    outputHeight,
-    pixelWidth,
-    pixelHeight,
+    originOffset,
+  );
+
+  const verts = buildQuadVertices(
+    chainAffine,
+    paneState.width,
+    paneState.height,
     baseScaleX,
     baseScaleY,
-  } = prepared.metrics;
+    pixelWidth,
+    pixelHeight,
+  );
+
+  const name = preparedPane.label ?? pane.name;
+  const tev = drawPreparedPaneTevGpu(core, glState, preparedPane, chainAffine, metrics);
+  if (tev.drawn) {
+    stats.tevGpuPanes += 1;
+    stats.panePaths.push({ name, type: pane.type, path: "tev-gpu", reason: null });
+    return;
+  }
+
+  const direct = drawPreparedPaneGpu(core, glState, preparedPane, chainAffine, metrics);
+  if (direct.drawn) {
+    stats.directGpuPanes += 1;
+    stats.panePaths.push({ name, type: pane.type, path: "direct-gpu", reason: null });
+    return;
+  }
+  stats.panePaths.push({
+    name,
+    type: pane.type,
+    path: "canvas-raster",
+    reason: tev.reason ?? direct.reason ?? "no GPU path",
+  });
+
+  const w = Math.max(1, Math.ceil(Math.abs(paneState.width)));
+  const h = Math.max(1, Math.ceil(Math.abs(paneState.height)));
+  const rasterKey = buildPaneRasterCacheKey(core, pane, paneState, w, h);
+  let cached = getCachedPaneTexture(core, rasterKey);
+  if (!cached) {
+    const surface = rasterizePane(core, glState, pane, paneState);
+    if (!surface) {
+      return;
+    }
+    cached = setCachedPaneTexture(core, gl, rasterKey, surface);
+    stats.rasterUploadedPanes += 1;
+  } else {
+    stats.rasterCachedPanes += 1;
+  }
+
+  bindBitmapProgram(gl, glState);
+  gl.bindTexture(gl.TEXTURE_2D, cached.texture);
+  gl.uniform1f(glState.uAlpha, Math.max(0, Math.min(1, alpha)));
+  applyGlBlendState(gl, resolveGlBlendState(gl, core.layout?.materials?.[pane.materialIndex]));
+  gl.bufferData(gl.ARRAY_BUFFER, verts, gl.DYNAMIC_DRAW);
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+}
+
+function glRenderFrame(core, glState, frame) {
+  const { gl } = glState;
+  const glCanvas = core._glCanvas;
+  const prepared = core.prepareFrame(frame, glCanvas);
+  const { outputWidth, outputHeight, pixelWidth, pixelHeight } = prepared.metrics;
 
   if (glCanvas.width !== pixelWidth || glCanvas.height !== pixelHeight) {
     glCanvas.width = pixelWidth;
@@ -995,64 +1127,35 @@ function glRenderFrame(core, glState, frame) {
     rasterUploadedPanes: 0,
     textureCacheSize: core._glTextureCache?.size ?? 0,
     paneTextureCacheSize: core._glPaneTextureCache?.size ?? 0,
+    // { name, type, path: "tev-gpu"|"direct-gpu"|"canvas-raster", reason } per drawn quad.
+    panePaths: [],
   };
 
   for (const preparedPane of prepared.preparedPanes) {
-    const { pane, paneState, chainStates, originOffset, alpha, drawable } = preparedPane;
-    if (!drawable) {
+    if (!preparedPane.drawable) {
       continue;
     }
     stats.drawablePanes += 1;
 
-    const chainAffine = buildChainAffine(
-      chainStates,
-      (state) => getProjectedTransform2D(core, state),
-      layoutWidth,
-      layoutHeight,
-      originOffset,
-    );
-
-    const verts = buildQuadVertices(
-      chainAffine,
-      paneState.width,
-      paneState.height,
-      baseScaleX,
-      baseScaleY,
-      pixelWidth,
-      pixelHeight,
-    );
-
-    if (drawPreparedPaneTevGpu(core, glState, preparedPane, chainAffine, prepared.metrics)) {
-      stats.tevGpuPanes += 1;
-      continue;
-    }
-
-    if (drawPreparedPaneGpu(core, glState, preparedPane, chainAffine, prepared.metrics)) {
-      stats.directGpuPanes += 1;
+    const windowParts = preparedPane.pane.type === "wnd1"
+      ? core.getWindowPaneParts(preparedPane.pane, preparedPane.paneState)
+      : null;
+    if (!windowParts) {
+      drawPreparedPaneGl(core, glState, preparedPane, prepared.metrics, stats);
       continue;
     }
-
-    const w = Math.max(1, Math.ceil(Math.abs(paneState.width)));
-    const h = Math.max(1, Math.ceil(Math.abs(paneState.height)));
-    const rasterKey = buildPaneRasterCacheKey(core, pane, paneState, w, h);
-    let cached = getCachedPaneTexture(core, rasterKey);
-    if (!cached) {
-      const surface = rasterizePane(core, glState, pane, paneState);
-      if (!surface) {
-        continue;
-      }
-      cached = setCachedPaneTexture(core, gl, rasterKey, surface);
-      stats.rasterUploadedPanes += 1;
-    } else {
-      stats.rasterCachedPanes += 1;
+    // Framed window: each content/frame part is its own quad, offset from the
+    // window centre in pane-local space (applied after the origin offset).
+    const { originOffset } = preparedPane;
+    for (const part of windowParts) {
+      drawPreparedPaneGl(core, glState, {
+        ...preparedPane,
+        label: part.pane === preparedPane.pane ? undefined : `${preparedPane.pane.name}/${part.pane.name}`,
+        pane: part.pane,
+        paneState: part.paneState,
+        originOffset: { x: originOffset.x + part.offsetX, y: originOffset.y + part.offsetY },
+      }, prepared.metrics, stats);
     }
-
-    bindBitmapProgram(gl, glState);
-    gl.bindTexture(gl.TEXTURE_2D, cached.texture);
-    gl.uniform1f(glState.uAlpha, Math.max(0, Math.min(1, alpha)));
-    applyGlBlendState(gl, resolveGlBlendState(gl, core.layout?.materials?.[pane.materialIndex]));
-    gl.bufferData(gl.ARRAY_BUFFER, verts, gl.DYNAMIC_DRAW);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
   }
   stats.paneTextureCacheSize = core._glPaneTextureCache?.size ?? 0;
   core._glLastFrameStats = stats;
@@ -1094,14 +1197,27 @@ export function createGlBannerRenderer(glCanvas, layout, anim, tplImages, option
     glRenderFrame(this, glState, f);
   };
 
+  // Pane rasters are keyed on content, but an edit can change inputs the key
+  // does not see (texture pixels under the same name), so drop them all.
+  const baseInvalidateRenderCaches = core.invalidateRenderCaches.bind(core);
+  core.invalidateRenderCaches = function invalidateGlRenderCaches() {
+    deleteTextureMap(glState.gl, this._glPaneTextureCache);
+    baseInvalidateRenderCaches();
+  };
+
+  const baseRegisterTexture = core.registerTexture.bind(core);
+  core.registerTexture = function registerGlTexture(name, image) {
+    baseRegisterTexture(name, image);
+    const previous = this._glTextureCache.get(name);
+    if (previous?.texture) {
+      glState.gl.deleteTexture(previous.texture);
+    }
+    this._glTextureCache.set(name, uploadTextureImage(glState.gl, image));
+    glState.gl.bindTexture(glState.gl.TEXTURE_2D, null);
+  };
+
   const baseDispose = core.dispose.bind(core);
   core.dispose = function disposeGlRenderer() {
-    for (const entry of this._glPaneTextureCache.values()) {
-      if (entry?.texture) {
-        glState.gl.deleteTexture(entry.texture);
-      }
-    }
-    this._glPaneTextureCache.clear();
     deleteTextureMap(glState.gl, this._glTextureCache);
     baseDispose();
   };
@@ -1,3 +1,10 @@
+import {
+  buildIndirectMatrix,
+  isIndirectTevStage,
+  materialUsesIndirectTexturing,
+  resolveIndirectMatrixMode,
+} from "../bannerRenderer/tevEvaluator.js";
+
 export function getBasicGxMaterialSignature(options = {}) {
   return {
     hasTexture: options.hasTexture === true,
@@ -121,6 +128,32 @@ function sanitizeStage(stage) {
     clampA: stage.clampA ?? 1,
     tevRegIdA: stage.tevRegIdA ?? 0,
     kAlphaSelA: stage.kAlphaSelA ?? 0,
+    texCoord: stage.texCoord ?? 0,
+    indTexId: stage.indTexId ?? 0,
+    indBias: stage.indBias ?? 0,
+    indMtxId: stage.indMtxId ?? 0,
+    indWrapS: stage.indWrapS ?? 0,
+    indWrapT: stage.indWrapT ?? 0,
+    indFormat: stage.indFormat ?? 0,
+    indAddPrev: stage.indAddPrev ?? 0,
+    indAlpha: stage.indAlpha ?? 0,
+  };
+}
+
+// Indirect stages and matrices are baked into the program; BRLYT has no
+// animation target for them.
+function getIndirectSignature(material) {
+  if (!materialUsesIndirectTexturing(material)) {
+    return null;
+  }
+  return {
+    stages: (material.indTexStages ?? []).map((stage) => ({
+      texMap: stage.texMap ?? 0,
+      texCoord: stage.texCoord ?? 0,
+      scaleS: stage.scaleS ?? 0,
+      scaleT: stage.scaleT ?? 0,
+    })),
+    matrices: (material.indTexMatrices ?? []).map(buildIndirectMatrix),
   };
 }
 
@@ -130,6 +163,7 @@ export function getTevMaterialSignature(material) {
     kind: "tev-v1",
     stages,
     alphaCompare: material?.alphaCompare ?? null,
+    indirect: getIndirectSignature(material),
   };
 }
 
@@ -344,12 +378,90 @@ function alphaCompareBlock(alphaCompare) {
   }`;
 }
 
-function generateTevStage(stage, index) {
+// indFormat → modulus that keeps the low 8/5/4/3 bits of an offset component.
+const IND_FORMAT_MODULI = [256, 32, 16, 8];
+// indFormat → granularity of the bump alpha (low bits dropped).
+const IND_BUMP_ALPHA_STEPS = [8, 32, 16, 8];
+const IND_WRAP_SIZES = [null, 256, 128, 64, 32, 16, 0];
+
+function indirectWrapExpr(valueExpr, wrapMode) {
+  const size = IND_WRAP_SIZES[wrapMode] ?? null;
+  if (size == null) {
+    return valueExpr;
+  }
+  return size === 0 ? "0.0" : `mod(${valueExpr}, ${f(size)})`;
+}
+
+function generateIndirectLookups(indirect) {
+  return indirect.stages.map((indStage, j) => {
+    const texMap = indStage.texMap < MAX_TEV_TEXTURES ? indStage.texMap : 0;
+    const texCoord = indStage.texCoord < MAX_TEV_TEXTURES ? indStage.texCoord : 0;
+    const scale = `vec2(${f(1 / (1 << indStage.scaleS))}, ${f(1 / (1 << indStage.scaleT))})`;
+    return `  vec3 ind${j} = floor(texture2D(uTex${texMap}, vUV${texCoord} * ${scale}).abg * 255.0 + 0.5);`;
+  }).join("\n");
+}
+
+// Texel-space coordinate of a stage after the indirect unit (mirrors tevEvaluator).
+function generateIndirectStageCoord(stage, index, texIndex, indirect) {
+  const texCoord = stage.texCoord < MAX_TEV_TEXTURES ? stage.texCoord : 0;
+  const texSize = texIndex >= 0 ? `uTexSize${texIndex}` : "vec2(1.0)";
+  const uvName = `uvTexel${index}`;
+  const lines = [`vec2 ${uvName} = vUV${texCoord} * ${texSize};`];
+
+  const mode = resolveIndirectMatrixMode(stage.indMtxId);
+  const hasSample = stage.indTexId < indirect.stages.length;
+  let transExpr = "vec2(0.0)";
+  if (mode && hasSample) {
+    const modulus = f(IND_FORMAT_MODULI[stage.indFormat] ?? 256);
+    const bias = stage.indFormat ? 1 : -128;
+    const biasExpr = `vec3(${[1, 2, 4].map((bit) => f(stage.indBias & bit ? bias : 0)).join(", ")})`;
+    lines.push(`vec3 indCrd${index} = mod(ind${stage.indTexId}, ${modulus}) + ${biasExpr};`);
+    if (mode.kind === "static") {
+      const m = indirect.matrices[mode.index];
+      if (m) {
+        const row0 = `vec3(${m[0].map(f).join(", ")})`;
+        const row1 = `vec3(${m[1].map(f).join(", ")})`;
+        transExpr = `vec2(dot(${row0}, indCrd${index}), dot(${row1}, indCrd${index}))`;
+      }
+    } else {
+      const component = mode.kind === "s" ? "x" : "y";
+      transExpr = `${uvName} * indCrd${index}.${component} / 256.0`;
+    }
+  }
+
+  const wrapped = `vec2(${indirectWrapExpr(`${uvName}.x`, stage.indWrapS)}, ${indirectWrapExpr(`${uvName}.y`, stage.indWrapT)})`;
+  lines.push(stage.indAddPrev
+    ? `tevCoord += ${wrapped} + ${transExpr};`
+    : `tevCoord = ${wrapped} + ${transExpr};`);
+
+  if (stage.indAlpha && hasSample) {
+    const component = ["x", "y", "z"][stage.indAlpha - 1] ?? "x";
+    const step = f(IND_BUMP_ALPHA_STEPS[stage.indFormat] ?? 8);
+    lines.push(`alphaBump = floor(ind${stage.indTexId}.${component} / ${step}) * ${step};`);
+  }
+  return lines.map((line) => `  ${line}`).join("\n");
+}
+
+function rasterExpr(stage, indirect) {
+  if (indirect && stage.colorChan === 7) {
+    return "vec4(alphaBump / 255.0)";
+  }
+  if (indirect && stage.colorChan === 8) {
+    return "vec4((alphaBump + floor(alphaBump / 32.0)) / 255.0)";
+  }
+  return stage.colorChan === 6 || stage.colorChan === 0xff ? "vec4(0.0)" : "vColor";
+}
+
+function generateTevStage(stage, index, indirect = null) {
   const texIndex = stage.texMap >= 0 && stage.texMap < MAX_TEV_TEXTURES ? stage.texMap : -1;
   const texName = `tex${index}`;
   const rasName = `ras${index}`;
-  const texExpr = texIndex >= 0 ? `texture2D(uTex${texIndex}, vUV${texIndex})` : "vec4(0.0)";
-  const rasExpr = stage.colorChan === 6 || stage.colorChan === 0xff ? "vec4(0.0)" : "vColor";
+  let texExpr = texIndex >= 0 ? `texture2D(uTex${texIndex}, vUV${texIndex})` : "vec4(0.0)";
+  const coordBlock = indirect ? `\n${generateIndirectStageCoord(stage, index, texIndex, indirect)}` : "";
+  if (indirect && texIndex >= 0 && isIndirectTevStage(stage)) {
+    texExpr = `texture2D(uTex${texIndex}, tevCoord / uTexSize${texIndex})`;
+  }
+  const rasExpr = rasterExpr(stage, indirect);
   const konstC = `konstC${index}`;
   const konstA = `konstA${index}`;
   const aC = colorInputExpr(stage.aC, texName, rasName, konstC);
@@ -361,7 +473,7 @@ function generateTevStage(stage, index) {
   const cA = alphaInputExpr(stage.cA, texName, rasName, konstA);
   const dA = alphaInputExpr(stage.dA, texName, rasName, konstA);
 
-  return `
+  return `${coordBlock}
   vec4 ${texName} = ${texExpr};
   vec4 ${rasName} = ${rasExpr};
   vec3 ${konstC} = ${kColorExpr(stage.kColorSelC)};
@@ -377,7 +489,18 @@ export function generateTevShaderSources(signature) {
   const uvVars = Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => `varying vec2 vUV${i};`).join("\n");
   const uvAssign = Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => `  vUV${i} = aUV${i};`).join("\n");
   const samplers = Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => `uniform sampler2D uTex${i};`).join("\n");
-  const stages = signature.stages.map((stage, i) => generateTevStage(stage, i)).join("\n");
+  const indirect = signature.indirect ?? null;
+  const stages = signature.stages.map((stage, i) => generateTevStage(stage, i, indirect)).join("\n");
+  // Texel-space coordinates need more than mediump's 10-bit mantissa.
+  const precision = indirect
+    ? "#ifdef GL_FRAGMENT_PRECISION_HIGH\nprecision highp float;\n#else\nprecision mediump float;\n#endif"
+    : "precision mediump float;";
+  const texSizes = indirect
+    ? `\n${Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => `uniform vec2 uTexSize${i};`).join("\n")}`
+    : "";
+  const indirectSetup = indirect
+    ? `\n${generateIndirectLookups(indirect)}\n  vec2 tevCoord = vec2(0.0);\n  float alphaBump = 0.0;`
+    : "";
 
   const vertex = `
 attribute vec2 aPos;
@@ -392,10 +515,10 @@ ${uvAssign}
 }`;
 
   const fragment = `
-precision mediump float;
+${precision}
 ${uvVars}
 varying vec4 vColor;
-${samplers}
+${samplers}${texSizes}
 uniform vec4 uColorReg0;
 uniform vec4 uColorReg1;
 uniform vec4 uColorReg2;
@@ -408,7 +531,7 @@ void main() {
   vec4 prev = vec4(0.0);
   vec4 reg0 = uColorReg0;
   vec4 reg1 = uColorReg1;
-  vec4 reg2 = uColorReg2;
+  vec4 reg2 = uColorReg2;${indirectSetup}
 ${stages}
 ${alphaCompareBlock(signature.alphaCompare)}
   prev = clamp(prev, 0.0, 1.0);
@@ -444,6 +567,7 @@ export function createTevProgram(gl, signature) {
     aUV: Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => gl.getAttribLocation(program, `aUV${i}`)),
     aColor: gl.getAttribLocation(program, "aColor"),
     uTex: Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => gl.getUniformLocation(program, `uTex${i}`)),
+    uTexSize: Array.from({ length: MAX_TEV_TEXTURES }, (_, i) => gl.getUniformLocation(program, `uTexSize${i}`)),
     uColorReg: [
       gl.getUniformLocation(program, "uColorReg0"),
       gl.getUniformLocation(program, "uColorReg1"),
@@ -75,3 +75,38 @@ describe("gxShaderGen", () => {
     expect(sources.fragment).toContain("==");
   });
 });
+
+describe("gxShaderGen indirect texturing", () => {
+  const stage = {
+    texMap: 0, texCoord: 0, colorChan: 255, aC: 15, bC: 15, cC: 15, dC: 8,
+    tevOpC: 0, tevBiasC: 0, tevScaleC: 0, clampC: 1, tevRegIdC: 0, kColorSelC: 0,
+    aA: 7, bA: 7, cA: 7, dA: 4, tevOpA: 0, tevBiasA: 0, tevScaleA: 0, clampA: 1, tevRegIdA: 0, kAlphaSelA: 0,
+  };
+
+  it("displaces the stage lookup by the indirect matrix offset", () => {
+    const signature = getTevMaterialSignature({
+      indTexStages: [{ texMap: 1, texCoord: 1, scaleS: 1, scaleT: 0 }],
+      indTexMatrices: [{ xTrans: 0, yTrans: 0, rotation: 0, xScale: 0.5, yScale: 0.5 }],
+      tevStages: [{ ...stage, indMtxId: 1, indBias: 3, indWrapS: 1 }],
+    });
+    const sources = generateTevShaderSources(signature);
+
+    expect(sources.fragment).toContain("precision highp float;");
+    expect(sources.fragment).toContain("uniform vec2 uTexSize0;");
+    expect(sources.fragment).toContain("vec3 ind0 = floor(texture2D(uTex1, vUV1 * vec2(0.5, 1.0)).abg * 255.0 + 0.5);");
+    expect(sources.fragment).toContain("vec3 indCrd0 = mod(ind0, 256.0) + vec3(-128.0, -128.0, 0.0);");
+    expect(sources.fragment).toContain("vec2(dot(vec3(0.5, 0.0, 0.0), indCrd0), dot(vec3(0.0, 0.5, 0.0), indCrd0))");
+    expect(sources.fragment).toContain("tevCoord = vec2(mod(uvTexel0.x, 256.0), uvTexel0.y)");
+    expect(sources.fragment).toContain("texture2D(uTex0, tevCoord / uTexSize0)");
+  });
+
+  it("leaves materials without indirect stages unchanged", () => {
+    const signature = getTevMaterialSignature({ tevStages: [stage] });
+    const sources = generateTevShaderSources(signature);
+
+    expect(signature.indirect).toBeNull();
+    expect(sources.fragment).toContain("texture2D(uTex0, vUV0)");
+    expect(sources.fragment).not.toContain("tevCoord");
+    expect(sources.fragment).not.toContain("uTexSize");
+  });
+});
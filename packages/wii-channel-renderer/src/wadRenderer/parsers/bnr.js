@@ -0,0 +1,99 @@
+import { BinaryReader, withLogger } from "../shared/index.js";
+import { decodeTPLImage } from "./tpl.js";
+
+// GameCube opening.bnr: a 96x32 RGB5A3 image followed by title metadata.
+//   0x0000  "BNR1" (one metadata entry) or "BNR2" (six, PAL)
+//   0x0020  image, 4x4 RGB5A3 tiles (0x1800 bytes)
+//   0x1820  metadata entries, 0x140 bytes each:
+//           short title (0x20), short maker (0x20), title (0x40), maker (0x40), description (0x80)
+// Text is Shift-JIS on Japanese discs and Windows-1252 elsewhere.
+
+const MAGIC_BNR1 = 0x424e5231; // 'BNR1'
+const MAGIC_BNR2 = 0x424e5232; // 'BNR2'
+const IMAGE_OFFSET = 0x20;
+const META_OFFSET = 0x1820;
+const META_SIZE = 0x140;
+
+export const BNR_WIDTH = 96;
+export const BNR_HEIGHT = 32;
+export const BNR2_LANGUAGES = ["EN", "DE", "FR", "ES", "IT", "NL"];
+
+export function isBNR(buffer) {
+  if (!buffer || buffer.byteLength < 4) {
+    return false;
+  }
+  const magic = new DataView(buffer).getUint32(0, false);
+  return magic === MAGIC_BNR1 || magic === MAGIC_BNR2;
+}
+
+function createTextDecoder(shiftJis) {
+  try {
+    return new TextDecoder(shiftJis ? "shift_jis" : "windows-1252");
+  } catch {
+    return new TextDecoder("latin1");
+  }
+}
+
+function readText(bytes, offset, length, decoder) {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decoder.decode(end < 0 ? field : field.subarray(0, end)).trim();
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @param {object} [loggerInput]
+ * @param {object} [options]
+ * @param {boolean} [options.shiftJis=false] - Decode text as Shift-JIS (Japanese discs)
+ */
+export function parseBNR(buffer, loggerInput, { shiftJis = false } = {}) {
+  const logger = withLogger(loggerInput);
+  const reader = new BinaryReader(buffer);
+  const magic = reader.string(4);
+  if (magic !== "BNR1" && magic !== "BNR2") {
+    throw new Error(`Not a GameCube banner (magic: ${magic})`);
+  }
+
+  const imageSize = BNR_WIDTH * BNR_HEIGHT * 2;
+  if (buffer.byteLength < IMAGE_OFFSET + imageSize) {
+    throw new Error(`Truncated ${magic} banner (${buffer.byteLength} bytes)`);
+  }
+
+  const bytes = new Uint8Array(buffer);
+  const imageData = decodeTPLImage(
+    bytes.subarray(IMAGE_OFFSET, IMAGE_OFFSET + imageSize),
+    BNR_WIDTH,
+    BNR_HEIGHT,
+    5,
+    null,
+    logger,
+  );
+
+  const decoder = createTextDecoder(shiftJis);
+  const languages = magic === "BNR2" ? BNR2_LANGUAGES : [shiftJis ? "JP" : "EN"];
+  const entries = [];
+  for (let i = 0; i < languages.length; i += 1) {
+    const base = META_OFFSET + i * META_SIZE;
+    if (base + META_SIZE > buffer.byteLength) {
+      break;
+    }
+    entries.push({
+      language: languages[i],
+      shortTitle: readText(bytes, base, 0x20, decoder),
+      shortMaker: readText(bytes, base + 0x20, 0x20, decoder),
+      title: readText(bytes, base + 0x40, 0x40, decoder),
+      maker: readText(bytes, base + 0x80, 0x40, decoder),
+      description: readText(bytes, base + 0xc0, 0x80, decoder),
+    });
+  }
+
+  logger.info(`${magic} banner: ${entries.length} metadata entr${entries.length === 1 ? "y" : "ies"}, title="${entries[0]?.title || entries[0]?.shortTitle || ""}"`);
+
+  return {
+    magic,
+    width: BNR_WIDTH,
+    height: BNR_HEIGHT,
+    imageData,
+    entries,
+  };
+}
@@ -1,8 +1,11 @@
-import { withLogger } from "../shared/index.js";
+import { decodeHuffman, decodeLzRaw, withLogger } from "../shared/index.js";
 import { decodeTPLImage } from "./tpl.js";
 
 // BRFNT / RFNT binary font parser.
 // Parses Wii bitmap font files containing glyph texture sheets, character maps, and widths.
+// RFNA font archives share the RFNT layout, but each glyph sheet is stored as
+// a u32 compressed size followed by a Nintendo compressed stream (Huffman 0x28
+// in the System Menu fonts).
 // Reference: giantpune/wii-system-menu-player WiiFont.h / WiiFont.cpp
 
 const MAGIC_RFNT = 0x52464E54; // 'RFNT'
@@ -29,12 +32,8 @@ export function parseBRFNT(buffer, loggerInput) {
   const magic = view.getUint32(offset, false);
   offset += 4;
 
-  if (magic === MAGIC_RFNA) {
-    logger.warn("BRFNT: RFNA (font archive) format not supported — compressed glyph sheets require Decompress_0x28");
-    return null;
-  }
-
-  if (magic !== MAGIC_RFNT) {
+  const isArchive = magic === MAGIC_RFNA;
+  if (magic !== MAGIC_RFNT && !isArchive) {
     logger.warn(`BRFNT: unexpected magic 0x${magic.toString(16)}`);
     return null;
   }
@@ -53,7 +52,7 @@ export function parseBRFNT(buffer, loggerInput) {
   const sectionCount = view.getUint16(offset, false);
   offset += 2;
 
-  logger.info(`BRFNT: filesize=${filesize}, headerLen=${headerLen}, sections=${sectionCount}`);
+  logger.info(`BRFNT: ${isArchive ? "RFNA" : "RFNT"} filesize=${filesize}, headerLen=${headerLen}, sections=${sectionCount}`);
 
   let fontInfo = null;
   let glyphInfo = null;
@@ -126,11 +125,12 @@ export function parseBRFNT(buffer, loggerInput) {
     return null;
   }
 
-  // Decode glyph texture sheets using the TPL decoder.
-  const sheets = decodeGlyphSheets(view, tglpRaw, logger);
+  // Decode glyph texture sheets using the TPL decoder. Sheets that fail to
+  // decode stay in the array as null so glyph sheet indices remain valid.
+  const sheets = isArchive ? decodeArchiveGlyphSheets(view, tglpRaw, logger) : decodeGlyphSheets(view, tglpRaw, logger);
 
   logger.info(
-    `BRFNT: ${fontInfo.height}px font, ${sheets.length} sheet(s), ${charMap.size} mapped chars, ${charWidths.size} widths`,
+    `BRFNT: ${fontInfo.height}px font, ${sheets.filter(Boolean).length}/${sheets.length} sheet(s), ${charMap.size} mapped chars, ${charWidths.size} widths`,
   );
 
   return { fontInfo, glyphInfo, charWidths, charMap, sheets };
@@ -353,6 +353,55 @@ function decodeGlyphSheets(view, tglp, logger) {
       sheets.push({ width: sheetWidth, height: sheetHeight, imageData });
     } catch (error) {
       logger.warn(`BRFNT: failed to decode sheet ${i}: ${error.message}`);
+      sheets.push(null);
+    }
+  }
+
+  return sheets;
+}
+
+function decompressSheet(stream) {
+  const type = stream[0];
+  if (type === 0x24 || type === 0x28) {
+    return decodeHuffman(stream);
+  }
+  if (type === 0x10 || type === 0x11) {
+    return decodeLzRaw(stream);
+  }
+  throw new Error(`unsupported compression type 0x${type.toString(16)}`);
+}
+
+function decodeArchiveGlyphSheets(view, tglp, logger) {
+  const sheets = [];
+  const format = tglp.texFormat & 0x7FFF;
+  const { sheetWidth, sheetHeight, texSize, texCnt } = tglp;
+  let pos = tglp.dataOffset;
+
+  for (let i = 0; i < texCnt; i += 1) {
+    if (pos + 4 > view.byteLength) {
+      logger.warn(`BRFNT: compressed sheet ${i} extends beyond buffer`);
+      break;
+    }
+    const compressedSize = view.getUint32(pos, false);
+    if (pos + 4 + compressedSize > view.byteLength) {
+      logger.warn(`BRFNT: compressed sheet ${i} extends beyond buffer`);
+      break;
+    }
+
+    const stream = new Uint8Array(view.buffer, view.byteOffset + pos + 4, compressedSize);
+    pos += 4 + compressedSize;
+
+    try {
+      const src = new Uint8Array(decompressSheet(stream));
+      if (src.length < texSize) {
+        throw new Error(`decompressed to ${src.length} bytes, expected ${texSize}`);
+      }
+      const imageData = decodeTPLImage(src, sheetWidth, sheetHeight, format, null, logger);
+      sheets.push({ width: sheetWidth, height: sheetHeight, imageData });
+    } catch (error) {
+      // Keep the slot so glyph sheetIndex values still line up with later sheets.
+      logger.warn(`BRFNT: failed to decode compressed sheet ${i}: ${error.message}`);
+      sheets.push(null);
     }
   }
 
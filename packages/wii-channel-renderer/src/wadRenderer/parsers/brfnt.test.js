@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { parseResourceSet } from "../pipeline/resourceExtraction.js";
+import { parseBRFNT } from "./brfnt.js";
+
+const SHEET_SIZE = 32; // 8x8 I4
+
+// Sheets only use 0x00 / 0xFF so a two-leaf Huffman tree can encode them.
+const SHEETS = [
+  Uint8Array.from({ length: SHEET_SIZE }, (_, i) => (i < 16 ? 0xff : 0x00)),
+  Uint8Array.from({ length: SHEET_SIZE }, (_, i) => (i % 2 ? 0xff : 0x00)),
+];
+
+// 8-bit Huffman stream: tree root at 5 with leaves 0x00 (bit 0) and 0xFF (bit 1).
+function huffmanEncode(bytes) {
+  const words = Math.ceil(bytes.length / 32);
+  const out = new Uint8Array(8 + words * 4);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, (bytes.length << 8) | 0x28, true);
+  out.set([1, 0xc0, 0x00, 0xff], 4);
+  for (let w = 0; w < words; w += 1) {
+    let word = 0;
+    for (let bit = 0; bit < 32; bit += 1) {
+      if (bytes[w * 32 + bit] === 0xff) {
+        word |= 1 << (31 - bit);
+      }
+    }
+    view.setUint32(8 + w * 4, word >>> 0, true);
+  }
+  return out;
+}
+
+function buildFont({ archive }) {
+  const sheetData = archive
+    ? SHEETS.flatMap((sheet) => {
+      const stream = huffmanEncode(sheet);
+      const size = new Uint8Array(4);
+      new DataView(size.buffer).setUint32(0, stream.length, false);
+      return [size, stream];
+    })
+    : SHEETS;
+  const sheetBytes = sheetData.reduce((sum, part) => sum + part.length, 0);
+
+  const finf = 0x10;
+  const tglp = finf + 0x20;
+  const cwdh = tglp + 0x20 + sheetBytes;
+  const cmap = cwdh + 0x18;
+  const bytes = new Uint8Array(cmap + 0x18);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, archive ? 0x52464e41 : 0x52464e54, false);
+  view.setUint32(4, 0xfeff0104, false);
+  view.setUint32(8, bytes.length, false);
+  view.setUint16(12, 0x10, false);
+  view.setUint16(14, 4, false);
+
+  view.setUint32(finf, 0x46494e46, false);
+  view.setUint32(finf + 4, 0x20, false);
+  view.setUint8(finf + 8 + 20, 8); // height
+  view.setUint8(finf + 8 + 21, 8); // width
+  view.setUint8(finf + 8 + 22, 7); // ascent
+
+  view.setUint32(tglp, 0x54474c50, false);
+  view.setUint32(tglp + 4, 0x20 + sheetBytes, false);
+  bytes.set([7, 7, 6, 8], tglp + 8);
+  view.setUint32(tglp + 12, SHEET_SIZE, false);
+  view.setUint16(tglp + 16, SHEETS.length, false);
+  view.setUint16(tglp + 18, 0, false); // I4
+  view.setUint16(tglp + 20, 1, false);
+  view.setUint16(tglp + 22, 1, false);
+  view.setUint16(tglp + 24, 8, false);
+  view.setUint16(tglp + 26, 8, false);
+  view.setUint32(tglp + 28, tglp + 0x20, false);
+  let pos = tglp + 0x20;
+  for (const part of sheetData) {
+    bytes.set(part, pos);
+    pos += part.length;
+  }
+
+  view.setUint32(cwdh, 0x43574448, false);
+  view.setUint32(cwdh + 4, 0x18, false);
+  view.setUint16(cwdh + 10, 1, false);
+  bytes.set([0, 6, 7, 1, 5, 6], cwdh + 16);
+
+  view.setUint32(cmap, 0x434d4150, false);
+  view.setUint32(cmap + 4, 0x18, false);
+  view.setUint16(cmap + 8, 0x41, false);
+  view.setUint16(cmap + 10, 0x43, false);
+
+  return bytes.buffer;
+}
+
+describe("parseBRFNT", () => {
+  it("decompresses RFNA glyph sheets into the same structure as RFNT", () => {
+    const plain = parseBRFNT(buildFont({ archive: false }));
+    const archive = parseBRFNT(buildFont({ archive: true }));
+
+    expect(plain.sheets).toHaveLength(2);
+    expect(archive.fontInfo).toEqual(plain.fontInfo);
+    expect(archive.glyphInfo).toEqual(plain.glyphInfo);
+    expect(archive.charMap).toEqual(new Map([[0x41, 0], [0x42, 1]]));
+    expect(archive.charWidths.get(1)).toEqual({ kerning: 1, glyphWidth: 5, advance: 6 });
+    expect(archive.sheets.map((sheet) => Array.from(sheet.imageData))).toEqual(
+      plain.sheets.map((sheet) => Array.from(sheet.imageData)),
+    );
+  });
+
+  it("keeps a null slot for a corrupt sheet so later sheet indices stay aligned", () => {
+    const buffer = buildFont({ archive: true });
+    // First sheet's compression type byte sits after the TGLP header and size prefix.
+    new Uint8Array(buffer)[0x30 + 0x20 + 4] = 0x99;
+
+    const font = parseBRFNT(buffer);
+    const plain = parseBRFNT(buildFont({ archive: false }));
+
+    expect(font.sheets).toHaveLength(2);
+    expect(font.sheets[0]).toBeNull();
+    expect(Array.from(font.sheets[1].imageData)).toEqual(Array.from(plain.sheets[1].imageData));
+  });
+});
+
+describe("parseResourceSet fonts", () => {
+  it("picks up BRFNA font archives", () => {
+    const resources = parseResourceSet({ "arc/font/wbf1.brfna": buildFont({ archive: true }) });
+
+    expect(resources.fonts["wbf1.brfna"].sheets).toHaveLength(2);
+  });
+});
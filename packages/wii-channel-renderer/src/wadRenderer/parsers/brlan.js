@@ -67,9 +67,11 @@ export function parseBRLAN(buffer, loggerInput) {
 
         const paneName = reader.string(20).replace(/\0+$/, "");
         const numTags = reader.u8();
-        reader.skip(3);
+        // Set when the entry animates a material (RLMC/RLTS/RLTP) rather than a pane.
+        const isMaterial = reader.u8() !== 0;
+        reader.skip(2);
 
-        const paneAnimation = { name: paneName, tags: [] };
+        const paneAnimation = { name: paneName, isMaterial, tags: [] };
 
         const tagOffsets = [];
         const tagOffsetsBase = reader.offset;
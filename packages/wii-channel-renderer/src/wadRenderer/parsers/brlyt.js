@@ -111,11 +111,14 @@ export function parseBRLYT(buffer, loggerInput) {
     groups: [],
     width: 608,
     height: 456,
+    drawFromCenter: true,
   };
 
   reader.seek(headerSize);
   const paneParentStack = [];
   let lastPaneName = null;
+  const groupParentStack = [];
+  let lastGroupName = null;
 
   // Some BRLYTs have more sections than numSections indicates (group sub-sections
   // after grs1 are not counted in the header).  Use the file size as the boundary.
@@ -133,7 +136,7 @@ export function parseBRLYT(buffer, loggerInput) {
 
     switch (sectionMagic) {
       case "lyt1": {
-        reader.u8(); // drawFromCenter
+        layout.drawFromCenter = reader.u8() !== 0;
         reader.skip(3);
         layout.width = reader.f32();
         layout.height = reader.f32();
@@ -195,11 +198,28 @@ export function parseBRLYT(buffer, loggerInput) {
         layout.groups.push({
           name,
           paneNames,
+          parent: groupParentStack.length > 0 ? groupParentStack[groupParentStack.length - 1] : null,
         });
+        lastGroupName = name;
         logger.info(`  Group: ${name} (${paneNames.length} pane(s))`);
         break;
       }
 
+      // grs1/gre1 bracket the children of the previous group, like pas1/pae1 for panes.
+      case "grs1": {
+        if (lastGroupName) {
+          groupParentStack.push(lastGroupName);
+        }
+        break;
+      }
+
+      case "gre1": {
+        if (groupParentStack.length > 0) {
+          groupParentStack.pop();
+        }
+        break;
+      }
+
       case "mat1": {
         const numMaterials = reader.u16();
         reader.skip(2);
@@ -265,9 +285,11 @@ export function parseBRLYT(buffer, loggerInput) {
             // FF=wrapT, EE=magFilter, DDDD=unused, CC=wrapS, BBB=minFilter
             const texSettings = reader.view.getUint16(cursor + 2, false);
             const wrapS = (texSettings >> 8) & 0x03;
+            const minFilter = (texSettings >> 10) & 0x07;
             const wrapT = texSettings & 0x03;
+            const magFilter = (texSettings >> 2) & 0x03;
 
-            textureMaps.push({ textureIndex, wrapS, wrapT });
+            textureMaps.push({ textureIndex, wrapS, wrapT, minFilter, magFilter });
             cursor += 4;
           }
 
@@ -511,7 +533,8 @@ export function parseBRLYT(buffer, loggerInput) {
         const paneAlpha = reader.u8();
         reader.skip(1);
         const name = reader.string(16).replace(/\0+$/, "");
-        reader.skip(8);
+        // Plain byte array so layouts stay JSON-serializable (layout.json exports).
+        const userData = Array.from(new Uint8Array(reader.slice(8)));
 
         const transX = reader.f32();
         const transY = reader.f32();
@@ -539,6 +562,7 @@ export function parseBRLYT(buffer, loggerInput) {
           widescreenAffected: (paneFlags & 0x04) !== 0,
           userFlag: (paneFlags & 0x04) !== 0,
           parent: paneParentStack.length > 0 ? paneParentStack[paneParentStack.length - 1] : null,
+          userData,
           translate: { x: transX, y: transY, z: transZ },
           rotate: { x: rotX, y: rotY, z: rotZ },
           scale: { x: scaleX, y: scaleY },
@@ -613,7 +637,9 @@ export function parseBRLYT(buffer, loggerInput) {
               reader.seek(savedOffset);
             }
 
-            // Read frame materials.
+            // Read frame materials. Frame offsets, like the table offset, are relative
+            // to the section start (nw4r::lyt::Window ctor).
+            // Order: LT, RT, LB, RB for 1/4 frames, then L, R, T, B for 8.
             pane.windowFrames = [];
             if (frameCount > 0 && frameTableOffset > 0 && sectionStart + frameTableOffset < sectionEnd) {
               reader.seek(sectionStart + frameTableOffset);
@@ -624,9 +650,8 @@ export function parseBRLYT(buffer, loggerInput) {
                 }
                 frameOffsets.push(reader.u32());
               }
-              const tableBase = sectionStart + frameTableOffset;
               for (const fOff of frameOffsets) {
-                const absPos = tableBase + fOff;
+                const absPos = sectionStart + fOff;
                 if (absPos + 3 <= sectionEnd) {
                   reader.seek(absPos);
                   pane.windowFrames.push({
@@ -12,6 +12,12 @@ export const TPL_FORMATS = {
   14: "CMPR",
 };
 
+export const TPL_PALETTE_FORMATS = {
+  0: "IA8",
+  1: "RGB565",
+  2: "RGB5A3",
+};
+
 export const ANIM_TYPES = {
   0x00: "X Translation",
   0x01: "Y Translation",
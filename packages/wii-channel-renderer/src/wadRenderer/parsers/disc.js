@@ -0,0 +1,88 @@
+// Wii / GameCube disc structures that do not need decryption.
+// Reference: https://wiibrew.org/wiki/Wii_disc, YAGCD ch. 13 (GameCube disc).
+
+export const WII_DISC_MAGIC = 0x5d1c9ea3;
+export const GAMECUBE_DISC_MAGIC = 0xc2339f3d;
+export const DISC_HEADER_SIZE = 0x440;
+export const WII_PARTITION_TABLE_OFFSET = 0x40000;
+export const WII_PARTITION_TYPES = { 0: "data", 1: "update", 2: "channel" };
+
+function readAscii(bytes, offset, length) {
+  let value = "";
+  for (let i = 0; i < length; i += 1) {
+    const code = bytes[offset + i];
+    if (code === 0) {
+      break;
+    }
+    value += String.fromCharCode(code);
+  }
+  return value;
+}
+
+/**
+ * Parse the boot header shared by Wii discs, Wii partitions and GameCube discs.
+ *
+ * @param {Uint8Array} bytes - At least DISC_HEADER_SIZE bytes from the start of the disc or partition
+ */
+export function parseDiscHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const isWii = view.getUint32(0x18, false) === WII_DISC_MAGIC;
+  const isGameCube = view.getUint32(0x1c, false) === GAMECUBE_DISC_MAGIC;
+  return {
+    platform: isWii ? "wii" : isGameCube ? "gamecube" : null,
+    gameId: readAscii(bytes, 0, 6),
+    discNumber: bytes[6],
+    version: bytes[7],
+    title: readAscii(bytes, 0x20, 0x60),
+    dolOffset: view.getUint32(0x420, false),
+    fstOffset: view.getUint32(0x424, false),
+    fstSize: view.getUint32(0x428, false),
+  };
+}
+
+/**
+ * Parse a file system table into flat file entries.
+ *
+ * @param {Uint8Array} bytes - The whole FST
+ * @param {number} [offsetShift=0] - Wii partitions store file offsets >> 2
+ * @returns {Array<{path: string, offset: number, size: number}>}
+ */
+export function parseFST(bytes, offsetShift = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12 || bytes[0] !== 1) {
+    throw new Error("FST does not start with a root directory");
+  }
+
+  const entryCount = view.getUint32(8, false);
+  const stringTableOffset = entryCount * 12;
+  if (stringTableOffset > bytes.length) {
+    throw new Error(`FST claims ${entryCount} entries but is only ${bytes.length} bytes`);
+  }
+
+  const files = [];
+  const dirStack = [{ name: "", end: entryCount }];
+  for (let i = 1; i < entryCount; i += 1) {
+    while (dirStack.length > 1 && i >= dirStack[dirStack.length - 1].end) {
+      dirStack.pop();
+    }
+
+    const base = i * 12;
+    const isDirectory = bytes[base] === 1;
+    const nameOffset = view.getUint32(base, false) & 0xffffff;
+    const name = readAscii(bytes, stringTableOffset + nameOffset, bytes.length - stringTableOffset - nameOffset);
+    const prefix = dirStack.map((dir) => dir.name).filter(Boolean).join("/");
+
+    if (isDirectory) {
+      dirStack.push({ name, end: view.getUint32(base + 8, false) });
+      continue;
+    }
+
+    files.push({
+      path: prefix ? `${prefix}/${name}` : name,
+      offset: view.getUint32(base + 4, false) * 2 ** offsetShift,
+      size: view.getUint32(base + 8, false),
+    });
+  }
+
+  return files;
+}
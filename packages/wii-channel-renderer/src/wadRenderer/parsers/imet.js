@@ -0,0 +1,98 @@
+import { BinaryReader, bytesToHex, withLogger } from "../shared/index.js";
+
+// IMET banner header found at the start of opening.bnr / 00000000.app.
+// Layout (relative to the header base, 0x600 bytes total):
+//   0x000  64 zero bytes
+//   0x040  "IMET" magic
+//   0x044  header (hash) size, always 0x600
+//   0x048  unknown (3)
+//   0x04C  icon.bin, banner.bin, sound.bin sizes (u32 each)
+//   0x058  flags
+//   0x05C  10 channel titles, 42 UTF-16BE chars (84 bytes) each
+//   0x3A4  zero padding
+//   0x5F0  MD5 of the 0x600-byte header with this field zeroed
+// Channel contents (00000000.app) carry an extra 64-byte build tag before the
+// base, so the magic sits at 0x80 there and at 0x40 in disc opening.bnr files.
+// Reference: libWiiSharp Headers.IMET
+
+const MAGIC_IMET = 0x494d4554; // 'IMET'
+const IMET_MAGIC_OFFSETS = [0x40, 0x80];
+
+export const IMET_HEADER_SIZE = 0x600;
+export const IMET_TITLE_LENGTH = 42;
+export const IMET_LANGUAGES = ["JP", "EN", "DE", "FR", "ES", "IT", "NL", "ZH-S", "ZH-T", "KO"];
+
+export function findIMETOffset(buffer) {
+  if (!buffer) {
+    return -1;
+  }
+
+  const view = new DataView(buffer);
+  for (const offset of IMET_MAGIC_OFFSETS) {
+    if (offset + 4 <= buffer.byteLength && view.getUint32(offset, false) === MAGIC_IMET) {
+      return offset;
+    }
+  }
+
+  return -1;
+}
+
+function readUtf16String(reader, charCount) {
+  let value = "";
+  let terminated = false;
+  for (let i = 0; i < charCount; i += 1) {
+    const code = reader.u16();
+    if (code === 0) {
+      terminated = true;
+    }
+    if (!terminated) {
+      value += String.fromCharCode(code);
+    }
+  }
+  return value;
+}
+
+export function parseIMET(buffer, loggerInput) {
+  const logger = withLogger(loggerInput);
+  const magicOffset = findIMETOffset(buffer);
+  if (magicOffset < 0) {
+    return null;
+  }
+
+  const baseOffset = magicOffset - 0x40;
+  if (baseOffset + IMET_HEADER_SIZE > buffer.byteLength) {
+    throw new Error(`Truncated IMET header (buffer=${buffer.byteLength})`);
+  }
+
+  const reader = new BinaryReader(buffer, magicOffset + 4);
+  const hashSize = reader.u32();
+  const unknown = reader.u32();
+  const iconSize = reader.u32();
+  const bannerSize = reader.u32();
+  const soundSize = reader.u32();
+  const flags = reader.u32();
+
+  const titles = {};
+  for (const language of IMET_LANGUAGES) {
+    titles[language] = readUtf16String(reader, IMET_TITLE_LENGTH);
+  }
+
+  const md5 = bytesToHex(new Uint8Array(buffer, baseOffset + 0x5f0, 16));
+
+  logger.info(
+    `IMET header: icon=${iconSize}, banner=${bannerSize}, sound=${soundSize}, title="${titles.EN || titles.JP}"`,
+  );
+
+  return {
+    headerOffset: baseOffset,
+    headerSize: hashSize,
+    payloadOffset: baseOffset + IMET_HEADER_SIZE,
+    unknown,
+    iconSize,
+    bannerSize,
+    soundSize,
+    flags,
+    titles,
+    md5,
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { IMET_LANGUAGES, parseIMET } from "./imet.js";
+
+function buildImetBuffer({ magicOffset = 0x80, titles = {}, sizes = [100, 200, 300] } = {}) {
+  const base = magicOffset - 0x40;
+  const buffer = new ArrayBuffer(base + 0x600 + 16);
+  const view = new DataView(buffer);
+  view.setUint32(magicOffset, 0x494d4554, false);
+  view.setUint32(magicOffset + 4, 0x600, false);
+  view.setUint32(magicOffset + 8, 3, false);
+  sizes.forEach((size, i) => view.setUint32(magicOffset + 12 + i * 4, size, false));
+
+  IMET_LANGUAGES.forEach((language, slot) => {
+    const text = titles[language] ?? "";
+    for (let i = 0; i < text.length; i += 1) {
+      view.setUint16(base + 0x5c + slot * 84 + i * 2, text.charCodeAt(i), false);
+    }
+  });
+
+  view.setUint8(base + 0x5f0, 0xab);
+  // U8 magic right after the header.
+  view.setUint32(base + 0x600, 0x55aa382d, false);
+  return buffer;
+}
+
+describe("parseIMET", () => {
+  it("returns null when no IMET header is present", () => {
+    expect(parseIMET(new ArrayBuffer(0x700))).toBeNull();
+  });
+
+  it("reads channel-content headers with the extra build tag", () => {
+    const imet = parseIMET(buildImetBuffer({
+      titles: { JP: "ニュースチャンネル", EN: "News Channel", KO: "뉴스 채널" },
+    }));
+
+    expect(imet.headerOffset).toBe(0x40);
+    expect(imet.payloadOffset).toBe(0x640);
+    expect(imet.headerSize).toBe(0x600);
+    expect(imet.iconSize).toBe(100);
+    expect(imet.bannerSize).toBe(200);
+    expect(imet.soundSize).toBe(300);
+    expect(imet.titles.EN).toBe("News Channel");
+    expect(imet.titles.JP).toBe("ニュースチャンネル");
+    expect(imet.titles.KO).toBe("뉴스 채널");
+    expect(imet.titles.DE).toBe("");
+    expect(Object.keys(imet.titles)).toEqual(IMET_LANGUAGES);
+    expect(imet.md5.startsWith("ab")).toBe(true);
+  });
+
+  it("reads disc opening.bnr headers without the build tag", () => {
+    const imet = parseIMET(buildImetBuffer({ magicOffset: 0x40, titles: { FR: "Chaîne Météo" } }));
+    expect(imet.headerOffset).toBe(0);
+    expect(imet.payloadOffset).toBe(0x600);
+    expect(imet.titles.FR).toBe("Chaîne Météo");
+  });
+});
@@ -1,8 +1,19 @@
-export { ANIM_TYPES, TPL_FORMATS } from "./constants.js";
+export { ANIM_TYPES, TPL_FORMATS, TPL_PALETTE_FORMATS } from "./constants.js";
+export { BNR2_LANGUAGES, isBNR, parseBNR } from "./bnr.js";
 export { parseBNS } from "./bns.js";
 export { parseBRFNT } from "./brfnt.js";
 export { parseBRLAN } from "./brlan.js";
 export { parseBRLYT } from "./brlyt.js";
+export {
+  DISC_HEADER_SIZE,
+  GAMECUBE_DISC_MAGIC,
+  WII_DISC_MAGIC,
+  WII_PARTITION_TABLE_OFFSET,
+  WII_PARTITION_TYPES,
+  parseDiscHeader,
+  parseFST,
+} from "./disc.js";
+export { IMET_LANGUAGES, parseIMET } from "./imet.js";
 export { parseTPL } from "./tpl.js";
 export { parseU8 } from "./u8.js";
-export { parseWAD } from "./wad.js";
+export { SIGNATURE_TYPES, parseCertChain, parseSignedBlob, parseTMD, parseTicket, parseWAD } from "./wad.js";
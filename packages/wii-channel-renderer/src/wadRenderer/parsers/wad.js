@@ -1,5 +1,151 @@
 import { BinaryReader, align, withLogger } from "../shared/index.js";
 
+export const TMD_CONTENT_RECORDS_OFFSET = 0x1e4;
+export const TMD_CONTENT_RECORD_SIZE = 36;
+
+// Signed blobs (certificates, tickets, TMDs) open with a u32 signature type,
+// the signature itself and padding up to a 64-byte boundary; the signed body
+// follows, starting with a 64-byte issuer string.
+export const SIGNATURE_TYPES = {
+  0x10000: { name: "RSA-4096", signatureSize: 0x200, paddingSize: 0x3c },
+  0x10001: { name: "RSA-2048", signatureSize: 0x100, paddingSize: 0x3c },
+  0x10002: { name: "ECC-B233", signatureSize: 0x3c, paddingSize: 0x40 },
+};
+
+// Certificate public key types: 0 = RSA-4096, 1 = RSA-2048, 2 = ECC-B233.
+const CERT_KEY_SIZES = [0x200 + 4 + 0x34, 0x100 + 4 + 0x34, 0x3c + 0x3c];
+
+function toArrayBuffer(bytes) {
+  if (bytes instanceof ArrayBuffer) {
+    return bytes;
+  }
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/**
+ * Read the signature header of a certificate, ticket or TMD.
+ *
+ * @param {ArrayBuffer|Uint8Array} blobInput
+ * @returns {{signatureType: number, signatureName: string|null, signature: Uint8Array, bodyOffset: number, issuer: string}|null}
+ *   null when the signature type is unknown or the blob is too short
+ */
+export function parseSignedBlob(blobInput) {
+  const bytes = blobInput instanceof Uint8Array ? blobInput : new Uint8Array(blobInput);
+  if (bytes.length < 4) {
+    return null;
+  }
+
+  const signatureType = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, false);
+  const layout = SIGNATURE_TYPES[signatureType];
+  if (!layout) {
+    return null;
+  }
+
+  const bodyOffset = 4 + layout.signatureSize + layout.paddingSize;
+  if (bytes.length < bodyOffset + 0x40) {
+    return null;
+  }
+
+  const reader = new BinaryReader(toArrayBuffer(bytes));
+  reader.seek(bodyOffset);
+  return {
+    signatureType,
+    signatureName: layout.name,
+    signature: bytes.slice(4, 4 + layout.signatureSize),
+    bodyOffset,
+    issuer: reader.string(0x40),
+  };
+}
+
+/**
+ * Split a WAD certificate chain into its certificates.
+ *
+ * @param {ArrayBuffer|Uint8Array} chainInput
+ * @returns {Array<{offset: number, size: number, signatureType: number, issuer: string, keyType: number,
+ *   name: string, modulus: Uint8Array|null, exponent: number|null}>}
+ */
+export function parseCertChain(chainInput) {
+  const bytes = chainInput instanceof Uint8Array ? chainInput : new Uint8Array(chainInput);
+  const certs = [];
+
+  let offset = 0;
+  while (offset < bytes.length) {
+    const header = parseSignedBlob(bytes.subarray(offset));
+    if (!header) {
+      break;
+    }
+
+    const reader = new BinaryReader(toArrayBuffer(bytes.subarray(offset)));
+    reader.seek(header.bodyOffset + 0x40);
+    const keyType = reader.u32();
+    const name = reader.string(0x40);
+    reader.skip(4); // key ID
+    const keySize = CERT_KEY_SIZES[keyType];
+    if (keySize === undefined || reader.offset + keySize > reader.buffer.byteLength) {
+      break;
+    }
+
+    let modulus = null;
+    let exponent = null;
+    if (keyType <= 1) {
+      modulus = new Uint8Array(reader.slice(keyType === 0 ? 0x200 : 0x100));
+      exponent = reader.u32();
+    }
+
+    const size = align(header.bodyOffset + 0x40 + 4 + 0x40 + 4 + keySize, 64);
+    certs.push({ offset, size, signatureType: header.signatureType, issuer: header.issuer, keyType, name, modulus, exponent });
+    offset += size;
+  }
+
+  return certs;
+}
+
+export function parseTicket(ticketInput) {
+  const ticketBytes = ticketInput instanceof Uint8Array ? ticketInput : new Uint8Array(ticketInput);
+  const titleIdBytes = ticketBytes.slice(0x1dc, 0x1dc + 8);
+  const encryptedTitleKey = ticketBytes.slice(0x1bf, 0x1bf + 16);
+  // Wii ticket field offsets: common key index is at 0x1F5 (not 0x1F1).
+  const commonKeyIndex = ticketBytes.length > 0x1f5 ? ticketBytes[0x1f5] : 0;
+
+  return {
+    encryptedTitleKey,
+    titleIdBytes,
+    commonKeyIndex,
+    ticketSize: ticketBytes.length,
+  };
+}
+
+export function parseTMD(tmdInput) {
+  const tmdBuffer = toArrayBuffer(tmdInput);
+  const tmdReader = new BinaryReader(tmdBuffer);
+  tmdReader.seek(0x1de);
+  const numContents = tmdReader.u16();
+  const bootIndex = tmdReader.u16();
+
+  const contentRecords = [];
+  tmdReader.seek(TMD_CONTENT_RECORDS_OFFSET);
+  for (let i = 0; i < numContents; i += 1) {
+    const contentId = tmdReader.u32();
+    const index = tmdReader.u16();
+    const type = tmdReader.u16();
+    const sizeHigh = tmdReader.u32();
+    const sizeLow = tmdReader.u32();
+    const hash = new Uint8Array(tmdReader.slice(20));
+
+    const size = Number((BigInt(sizeHigh) << 32n) | BigInt(sizeLow));
+    contentRecords.push({
+      contentId,
+      index,
+      type,
+      size,
+      hash,
+      name: `${contentId.toString(16).padStart(8, "0")}.app`,
+    });
+  }
+
+  return { numContents, bootIndex, contentRecords };
+}
+
 export function parseWAD(buffer, loggerInput) {
   const logger = withLogger(loggerInput);
   const reader = new BinaryReader(buffer);
@@ -18,55 +164,36 @@ export function parseWAD(buffer, loggerInput) {
   );
 
   let offset = align(headerSize, 64);
+  const certChainOffset = offset;
   offset += align(certChainSize, 64);
   const ticketOffset = offset;
   offset += align(ticketSize, 64);
   const tmdOffset = offset;
 
-  const tmdReader = new BinaryReader(buffer, tmdOffset);
-  tmdReader.skip(0x1de);
-  const numContents = tmdReader.u16();
+  const { numContents, bootIndex, contentRecords } = parseTMD(
+    new Uint8Array(buffer, tmdOffset, Math.min(tmdSize, buffer.byteLength - tmdOffset)),
+  );
 
   logger.info(`TMD: ${numContents} content(s)`);
 
-  const contentRecords = [];
-  tmdReader.seek(tmdOffset + 0x1e4);
-  for (let i = 0; i < numContents; i += 1) {
-    const contentId = tmdReader.u32();
-    const index = tmdReader.u16();
-    const type = tmdReader.u16();
-    const sizeHigh = tmdReader.u32();
-    const sizeLow = tmdReader.u32();
-    tmdReader.slice(20); // hash
-
-    const size = Number((BigInt(sizeHigh) << 32n) | BigInt(sizeLow));
-    contentRecords.push({ contentId, index, type, size });
-  }
-
   offset += align(tmdSize, 64);
   const dataOffset = offset;
 
   const contents = {};
   let contentOffset = dataOffset;
   for (const record of contentRecords) {
-    const name = `${record.contentId.toString(16).padStart(8, "0")}.app`;
-    record.name = name;
     record.offset = contentOffset;
     record.encryptedSize = align(record.size, 16);
-    contents[name] = buffer.slice(contentOffset, contentOffset + record.size);
-    logger.info(`Content: ${name} (${record.size} bytes)`);
+    contents[record.name] = buffer.slice(contentOffset, contentOffset + record.size);
+    logger.info(`Content: ${record.name} (${record.size} bytes)`);
     contentOffset += align(record.size, 64);
   }
 
-  const ticketBytes = new Uint8Array(buffer, ticketOffset, ticketSize);
-  const titleIdBytes = ticketBytes.slice(0x1dc, 0x1dc + 8);
-  const encryptedTitleKey = ticketBytes.slice(0x1bf, 0x1bf + 16);
-  // Wii ticket field offsets: common key index is at 0x1F5 (not 0x1F1).
-  const commonKeyIndex = ticketBytes.length > 0x1f5 ? ticketBytes[0x1f5] : 0;
+  const ticket = parseTicket(new Uint8Array(buffer, ticketOffset, ticketSize));
 
   let titleId = "";
   for (let i = 4; i < 8; i += 1) {
-    const code = titleIdBytes[i];
+    const code = ticket.titleIdBytes[i];
     titleId += code >= 32 && code < 127 ? String.fromCharCode(code) : "?";
   }
 
@@ -77,12 +204,20 @@ export function parseWAD(buffer, loggerInput) {
     numContents,
     titleId,
     wadType,
+    certChain: {
+      certChainOffset,
+      certChainSize,
+    },
     ticket: {
-      encryptedTitleKey,
-      titleIdBytes,
-      commonKeyIndex,
-      ticketSize,
+      ...ticket,
       ticketOffset,
     },
+    tmd: {
+      tmdOffset,
+      tmdSize,
+      bootIndex,
+    },
+    dataOffset,
+    dataSize,
   };
 }
@@ -0,0 +1,289 @@
+import {
+  DISC_HEADER_SIZE,
+  WII_PARTITION_TABLE_OFFSET,
+  WII_PARTITION_TYPES,
+  parseDiscHeader,
+  parseFST,
+  parseTicket,
+} from "../parsers/index.js";
+import {
+  WII_COMMON_KEYS,
+  decryptAesCbcNoPadding,
+  decryptTitleKey,
+  hasSubtleCrypto,
+  importAesCbcKey,
+  withLogger,
+} from "../shared/index.js";
+import { processOpeningBnr } from "./process.js";
+
+// Disc images are read on demand through a byte source, so multi-gigabyte ISO
+// and WBFS files never have to fit in memory: only the partition header, the
+// FST and opening.bnr are fetched.
+
+const WBFS_MAGIC = 0x57424653; // 'WBFS'
+// Dolphin's compressed formats. Their chunks are zstd/LZMA/bzip2 compressed
+// and Wii partitions are stored decrypted, so they cannot be read like an ISO.
+const COMPRESSED_DISC_FORMATS = new Map([
+  [0x52565a01, "RVZ"], // 'RVZ\x01'
+  [0x57494101, "WIA"], // 'WIA\x01'
+]);
+// libwbfs sizes every disc's block table for a dual-layer disc.
+const WBFS_WII_SECTORS_PER_DISC = 143432 * 2;
+const WII_SECTOR_SIZE = 0x8000;
+const WII_SECTOR_HASH_SIZE = 0x400;
+const WII_SECTOR_DATA_SIZE = WII_SECTOR_SIZE - WII_SECTOR_HASH_SIZE;
+const WII_TICKET_SIZE = 0x2a4;
+const SECTOR_CACHE_LIMIT = 16;
+
+/**
+ * Wrap disc image input as `{size, read(offset, length) => Promise<Uint8Array>}`.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|{size: number, read: Function}} input
+ *   A Blob (e.g. a File from an <input>) is read slice by slice.
+ */
+export function createByteSource(input) {
+  if (typeof input?.read === "function" && Number.isFinite(input.size)) {
+    return input;
+  }
+
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    return {
+      size: bytes.length,
+      read: async (offset, length) => bytes.slice(offset, offset + length),
+    };
+  }
+
+  if (typeof input?.slice === "function" && typeof input?.arrayBuffer === "function") {
+    return {
+      size: input.size,
+      read: async (offset, length) => new Uint8Array(await input.slice(offset, offset + length).arrayBuffer()),
+    };
+  }
+
+  throw new Error("Unsupported disc image input; expected an ArrayBuffer, Blob or byte source");
+}
+
+async function readExact(source, offset, length) {
+  if (offset + length > source.size) {
+    throw new Error(`Unexpected end of disc image reading 0x${offset.toString(16)} (+0x${length.toString(16)})`);
+  }
+  const bytes = await source.read(offset, length);
+  if (bytes.length !== length) {
+    throw new Error(`Short read at 0x${offset.toString(16)}: got ${bytes.length} of ${length} bytes`);
+  }
+  return bytes;
+}
+
+function u32(bytes, offset) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset, false);
+}
+
+/**
+ * Present the first disc in a WBFS container as a plain ISO byte source.
+ * Blocks the container does not store (unused disc areas) read as zeroes.
+ */
+async function openWbfsSource(source, logger) {
+  const header = await readExact(source, 0, 0x10c);
+  const hdSectorSize = 2 ** header[8];
+  const wbfsSectorSize = 2 ** header[9];
+  const slot = header.subarray(0x0c, 0x10c).findIndex((used) => used !== 0);
+  if (slot < 0) {
+    throw new Error("WBFS container holds no disc");
+  }
+
+  const blocksPerDisc = Math.floor((WBFS_WII_SECTORS_PER_DISC * WII_SECTOR_SIZE) / wbfsSectorSize);
+  const discInfoSize = Math.ceil((0x100 + blocksPerDisc * 2) / hdSectorSize) * hdSectorSize;
+  const discInfo = await readExact(source, hdSectorSize + slot * discInfoSize, 0x100 + blocksPerDisc * 2);
+  const table = new DataView(discInfo.buffer, discInfo.byteOffset + 0x100, blocksPerDisc * 2);
+  logger.info(`WBFS container: ${wbfsSectorSize / 1024} KiB blocks, disc in slot ${slot}`);
+
+  return {
+    size: WBFS_WII_SECTORS_PER_DISC * WII_SECTOR_SIZE,
+    read: async (offset, length) => {
+      const out = new Uint8Array(length);
+      let position = 0;
+      while (position < length) {
+        const discOffset = offset + position;
+        const block = Math.floor(discOffset / wbfsSectorSize);
+        const within = discOffset % wbfsSectorSize;
+        const count = Math.min(length - position, wbfsSectorSize - within);
+        const storedBlock = block < blocksPerDisc ? table.getUint16(block * 2, false) : 0;
+        if (storedBlock !== 0) {
+          out.set(await readExact(source, storedBlock * wbfsSectorSize + within, count), position);
+        }
+        position += count;
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Decrypted view of a Wii partition's data area. Each 0x8000-byte sector
+ * carries 0x400 bytes of hashes and 0x7C00 bytes of AES-CBC encrypted data;
+ * the data IV is stored (encrypted) at 0x3D0 in the hash block.
+ */
+async function openWiiPartition(source, partitionOffset, logger) {
+  const header = await readExact(source, partitionOffset, WII_TICKET_SIZE + 0x1c);
+  const ticket = parseTicket(header.slice(0, WII_TICKET_SIZE));
+  if (!WII_COMMON_KEYS[ticket.commonKeyIndex]) {
+    throw new Error(`Unsupported common key index ${ticket.commonKeyIndex}`);
+  }
+
+  const dataOffset = partitionOffset + u32(header, WII_TICKET_SIZE + 0x14) * 4;
+  const dataSize = u32(header, WII_TICKET_SIZE + 0x18) * 4;
+  const titleKey = await importAesCbcKey(await decryptTitleKey(ticket));
+  logger.info(`Decrypted partition title key using common key index ${ticket.commonKeyIndex}`);
+
+  const sectorCache = new Map();
+  const readSector = async (index) => {
+    const cached = sectorCache.get(index);
+    if (cached) {
+      return cached;
+    }
+    const sector = await readExact(source, dataOffset + index * WII_SECTOR_SIZE, WII_SECTOR_SIZE);
+    const iv = sector.slice(0x3d0, 0x3e0);
+    const data = await decryptAesCbcNoPadding(titleKey, sector.subarray(WII_SECTOR_HASH_SIZE), iv);
+    sectorCache.set(index, data);
+    if (sectorCache.size > SECTOR_CACHE_LIMIT) {
+      sectorCache.delete(sectorCache.keys().next().value);
+    }
+    return data;
+  };
+
+  return {
+    ticket,
+    size: (dataSize / WII_SECTOR_SIZE) * WII_SECTOR_DATA_SIZE,
+    read: async (offset, length) => {
+      const out = new Uint8Array(length);
+      let position = 0;
+      while (position < length) {
+        const partitionPosition = offset + position;
+        const index = Math.floor(partitionPosition / WII_SECTOR_DATA_SIZE);
+        const within = partitionPosition % WII_SECTOR_DATA_SIZE;
+        const count = Math.min(length - position, WII_SECTOR_DATA_SIZE - within);
+        out.set((await readSector(index)).subarray(within, within + count), position);
+        position += count;
+      }
+      return out;
+    },
+  };
+}
+
+async function readWiiPartitionTable(source) {
+  const table = await readExact(source, WII_PARTITION_TABLE_OFFSET, 0x20);
+  const partitions = [];
+  for (let group = 0; group < 4; group += 1) {
+    const count = u32(table, group * 8);
+    const entriesOffset = u32(table, group * 8 + 4) * 4;
+    if (count === 0) {
+      continue;
+    }
+    const entries = await readExact(source, entriesOffset, count * 8);
+    for (let i = 0; i < count; i += 1) {
+      const type = u32(entries, i * 8 + 4);
+      partitions.push({
+        group,
+        offset: u32(entries, i * 8) * 4,
+        type,
+        typeName: WII_PARTITION_TYPES[type] ?? `0x${type.toString(16)}`,
+      });
+    }
+  }
+  return partitions;
+}
+
+// Find opening.bnr in the root of a volume's file system and read it.
+async function readOpeningBnr(volume, header, offsetShift, logger) {
+  const fstOffset = header.fstOffset * 2 ** offsetShift;
+  const fstSize = header.fstSize * 2 ** offsetShift;
+  const files = parseFST(await readExact(volume, fstOffset, fstSize), offsetShift);
+  logger.info(`FST: ${files.length} file(s)`);
+
+  const entry = files.find((file) => file.path.toLowerCase() === "opening.bnr");
+  if (!entry) {
+    return null;
+  }
+  logger.info(`Found opening.bnr (${entry.size} bytes)`);
+  const bytes = await readExact(volume, entry.offset, entry.size);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+function emptyDiscResult(disc) {
+  return { wad: null, disc, imet: null, archive: null, results: {} };
+}
+
+/**
+ * Extract and parse opening.bnr from a Wii or GameCube disc image (ISO/GCM)
+ * or a WBFS container. Wii banners go through the IMET/U8 path used for WADs;
+ * GameCube BNR1/BNR2 banners become a static banner result.
+ *
+ * @param {ArrayBuffer|Uint8Array|Blob|{size: number, read: Function}} input - See createByteSource()
+ * @param {object} [loggerInput]
+ * @returns {Promise<{wad: null, disc: object, imet: object|null, archive: object|null, results: object, openingBnr?: ArrayBuffer}>}
+ */
+export async function processDiscImage(input, loggerInput) {
+  const logger = withLogger(loggerInput);
+  logger.info("=== Parsing disc image ===");
+
+  let source = createByteSource(input);
+  let container = "iso";
+  const magic = source.size >= 4 ? u32(await readExact(source, 0, 4), 0) : 0;
+  if (COMPRESSED_DISC_FORMATS.has(magic)) {
+    const format = COMPRESSED_DISC_FORMATS.get(magic);
+    throw new Error(`${format} disc images are not supported; convert it to ISO or WBFS first (Dolphin: Convert File...)`);
+  }
+  if (magic === WBFS_MAGIC) {
+    container = "wbfs";
+    source = await openWbfsSource(source, logger);
+  }
+
+  const header = parseDiscHeader(await readExact(source, 0, DISC_HEADER_SIZE));
+  if (!header.platform) {
+    throw new Error("Not a Wii or GameCube disc image");
+  }
+  logger.info(`${header.platform === "wii" ? "Wii" : "GameCube"} disc ${header.gameId}: ${header.title}`);
+
+  const disc = {
+    platform: header.platform,
+    container,
+    gameId: header.gameId,
+    title: header.title,
+    discNumber: header.discNumber,
+    version: header.version,
+  };
+
+  let openingBnr;
+  if (header.platform === "gamecube") {
+    openingBnr = await readOpeningBnr(source, header, 0, logger);
+  } else {
+    if (!hasSubtleCrypto()) {
+      logger.warn("WebCrypto API not available; cannot decrypt the disc's game partition in this environment");
+      return emptyDiscResult(disc);
+    }
+
+    const partitions = await readWiiPartitionTable(source);
+    disc.partitions = partitions;
+    const dataPartition = partitions.find((partition) => partition.type === 0);
+    if (!dataPartition) {
+      logger.warn("No game data partition found on this disc");
+      return emptyDiscResult(disc);
+    }
+    logger.info(`Game partition at 0x${dataPartition.offset.toString(16)}`);
+
+    const partition = await openWiiPartition(source, dataPartition.offset, logger);
+    const partitionHeader = parseDiscHeader(await partition.read(0, DISC_HEADER_SIZE));
+    openingBnr = await readOpeningBnr(partition, partitionHeader, 2, logger);
+  }
+
+  if (!openingBnr) {
+    logger.warn("No opening.bnr in the disc's file system");
+    logger.success("=== Done! ===");
+    return emptyDiscResult(disc);
+  }
+
+  // Region 'J' discs store GameCube banner text as Shift-JIS.
+  const parsed = processOpeningBnr(openingBnr, logger, { shiftJis: header.gameId[3] === "J" });
+  return { ...parsed, disc, openingBnr };
+}
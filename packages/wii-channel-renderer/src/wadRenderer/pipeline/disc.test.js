@@ -0,0 +1,210 @@
+import { describe, expect, it } from "vitest";
+import { buildU8, encodeTPL } from "../writers/index.js";
+import { WII_COMMON_KEYS, encryptAesCbcNoPadding, hexToBytes, importAesCbcKey } from "../shared/index.js";
+import { createByteSource, processDiscImage } from "./disc.js";
+
+const TITLE_KEY = hexToBytes("00112233445566778899aabbccddeeff");
+const TITLE_ID = hexToBytes("0001000052545345"); // 00010000-RTSE
+
+function writeAscii(bytes, offset, text) {
+  bytes.set(new TextEncoder().encode(text), offset);
+}
+
+// Root-only FST followed by its string table; files land at dataOffset onwards.
+function buildFST(files, dataOffset, offsetShift) {
+  const names = files.map((file) => new TextEncoder().encode(`${file.name}\0`));
+  const entryCount = files.length + 1;
+  const fst = new Uint8Array(entryCount * 12 + names.reduce((sum, name) => sum + name.length, 0));
+  const view = new DataView(fst.buffer);
+  fst[0] = 1;
+  view.setUint32(8, entryCount, false);
+
+  let nameOffset = 0;
+  let fileOffset = dataOffset;
+  const placed = [];
+  files.forEach((file, i) => {
+    const base = (i + 1) * 12;
+    view.setUint32(base, nameOffset, false);
+    view.setUint32(base + 4, fileOffset / 2 ** offsetShift, false);
+    view.setUint32(base + 8, file.data.length, false);
+    fst.set(names[i], entryCount * 12 + nameOffset);
+    placed.push({ offset: fileOffset, data: file.data });
+    nameOffset += names[i].length;
+    fileOffset += Math.ceil(file.data.length / 0x20) * 0x20;
+  });
+  return { fst, placed, end: fileOffset };
+}
+
+// Disc or partition file system: boot header, FST at 0x800, files at 0x1000.
+function buildVolume({ gameId, platform, files, offsetShift }) {
+  const { fst, placed, end } = buildFST(files, 0x1000, offsetShift);
+  const volume = new Uint8Array(end);
+  const view = new DataView(volume.buffer);
+  writeAscii(volume, 0, gameId);
+  writeAscii(volume, 0x20, "Test Disc");
+  view.setUint32(platform === "wii" ? 0x18 : 0x1c, platform === "wii" ? 0x5d1c9ea3 : 0xc2339f3d, false);
+  view.setUint32(0x424, 0x800 / 2 ** offsetShift, false);
+  view.setUint32(0x428, fst.length / 2 ** offsetShift, false);
+  volume.set(fst, 0x800);
+  for (const file of placed) {
+    volume.set(file.data, file.offset);
+  }
+  return volume;
+}
+
+function buildBNR1(title) {
+  const bnr = new Uint8Array(0x1820 + 0x140);
+  writeAscii(bnr, 0, "BNR1");
+  // Opaque RGB5A3 red.
+  for (let i = 0x20; i < 0x1820; i += 2) {
+    bnr[i] = 0xfc;
+    bnr[i + 1] = 0x00;
+  }
+  writeAscii(bnr, 0x1820, "Short");
+  writeAscii(bnr, 0x1820 + 0x40, title);
+  return bnr;
+}
+
+function buildWiiOpeningBnr() {
+  const imet = new Uint8Array(0x600);
+  const view = new DataView(imet.buffer);
+  writeAscii(imet, 0x40, "IMET");
+  view.setUint32(0x44, 0x600, false);
+  view.setUint32(0x48, 3, false);
+  const title = "Disc Title";
+  for (let i = 0; i < title.length; i += 1) {
+    view.setUint16(0x5c + 84 + i * 2, title.charCodeAt(i), false);
+  }
+
+  const tpl = encodeTPL([{ width: 4, height: 4, data: new Uint8ClampedArray(64).fill(255) }], { format: "RGBA8" });
+  const banner = buildU8({ "arc/timg/back.tpl": tpl }, { imd5: true });
+  const archive = new Uint8Array(buildU8({ "meta/banner.bin": banner }));
+  const bnr = new Uint8Array(imet.length + archive.length);
+  bnr.set(imet, 0);
+  bnr.set(archive, imet.length);
+  return bnr;
+}
+
+async function encryptPartitionData(plain) {
+  const titleKey = await importAesCbcKey(TITLE_KEY);
+  const sectorCount = Math.ceil(plain.length / 0x7c00);
+  const encrypted = new Uint8Array(sectorCount * 0x8000);
+  for (let i = 0; i < sectorCount; i += 1) {
+    const hashes = new Uint8Array(0x400).fill(i + 1);
+    const encryptedHashes = await encryptAesCbcNoPadding(titleKey, hashes, new Uint8Array(16));
+    const data = new Uint8Array(0x7c00);
+    data.set(plain.subarray(i * 0x7c00, (i + 1) * 0x7c00));
+    encrypted.set(encryptedHashes, i * 0x8000);
+    encrypted.set(await encryptAesCbcNoPadding(titleKey, data, encryptedHashes.slice(0x3d0, 0x3e0)), i * 0x8000 + 0x400);
+  }
+  return encrypted;
+}
+
+async function buildWiiIso() {
+  const partitionOffset = 0x50000;
+  const dataOffset = 0x20000;
+  const data = await encryptPartitionData(
+    buildVolume({ gameId: "RTSE01", platform: "wii", offsetShift: 2, files: [{ name: "opening.bnr", data: buildWiiOpeningBnr() }] }),
+  );
+
+  const iso = new Uint8Array(partitionOffset + dataOffset + data.length);
+  const view = new DataView(iso.buffer);
+  writeAscii(iso, 0, "RTSE01");
+  writeAscii(iso, 0x20, "Test Disc");
+  view.setUint32(0x18, 0x5d1c9ea3, false);
+  view.setUint32(0x40000, 1, false);
+  view.setUint32(0x40004, 0x40020 / 4, false);
+  view.setUint32(0x40020, partitionOffset / 4, false);
+  view.setUint32(0x40024, 0, false);
+
+  const ticket = iso.subarray(partitionOffset, partitionOffset + 0x2a4);
+  ticket.set(TITLE_ID, 0x1dc);
+  const commonKey = await importAesCbcKey(hexToBytes(WII_COMMON_KEYS[0]));
+  const iv = new Uint8Array(16);
+  iv.set(TITLE_ID, 0);
+  ticket.set(await encryptAesCbcNoPadding(commonKey, TITLE_KEY, iv), 0x1bf);
+  view.setUint32(partitionOffset + 0x2b8, dataOffset / 4, false);
+  view.setUint32(partitionOffset + 0x2bc, data.length / 4, false);
+  iso.set(data, partitionOffset + dataOffset);
+  return iso;
+}
+
+// Single-disc WBFS with 512-byte HD sectors and 1 MiB blocks; block 0 is the header.
+function wrapWbfs(iso) {
+  const blockSize = 1 << 20;
+  const blocks = Math.ceil(iso.length / blockSize);
+  const blocksPerDisc = (143432 * 2 * 0x8000) / blockSize;
+  const wbfs = new Uint8Array((blocks + 1) * blockSize);
+  const view = new DataView(wbfs.buffer);
+  writeAscii(wbfs, 0, "WBFS");
+  wbfs[8] = 9;
+  wbfs[9] = 20;
+  wbfs[0x0c] = 1;
+  wbfs.set(iso.subarray(0, 0x100), 0x200);
+  for (let i = 0; i < blocks && i < blocksPerDisc; i += 1) {
+    view.setUint16(0x300 + i * 2, i + 1, false);
+    wbfs.set(iso.subarray(i * blockSize, (i + 1) * blockSize), (i + 1) * blockSize);
+  }
+  return wbfs;
+}
+
+describe("processDiscImage", () => {
+  it("decrypts the game partition of a Wii ISO and parses opening.bnr", async () => {
+    const iso = await buildWiiIso();
+
+    const parsed = await processDiscImage(iso.buffer);
+
+    expect(parsed.disc).toMatchObject({ platform: "wii", container: "iso", gameId: "RTSE01", title: "Test Disc" });
+    expect(parsed.disc.partitions).toEqual([{ group: 0, offset: 0x50000, type: 0, typeName: "data" }]);
+    expect(parsed.imet.titles.EN).toBe("Disc Title");
+    expect(Object.keys(parsed.archive.files)).toContain("meta/banner.bin");
+    expect(parsed.openingBnr.byteLength).toBe(buildWiiOpeningBnr().length);
+  });
+
+  it("reads the same disc through a WBFS container and a Blob", async () => {
+    const wbfs = wrapWbfs(await buildWiiIso());
+
+    const parsed = await processDiscImage(new Blob([wbfs]));
+
+    expect(parsed.disc).toMatchObject({ platform: "wii", container: "wbfs", gameId: "RTSE01" });
+    expect(parsed.imet.titles.EN).toBe("Disc Title");
+  });
+
+  it("turns a GameCube BNR1 banner into a static banner result", async () => {
+    const iso = buildVolume({
+      gameId: "GTSE01",
+      platform: "gamecube",
+      offsetShift: 0,
+      files: [
+        { name: "boot.dol", data: new Uint8Array(64) },
+        { name: "opening.bnr", data: buildBNR1("GameCube Title") },
+      ],
+    });
+
+    const parsed = await processDiscImage(iso);
+
+    expect(parsed.disc).toMatchObject({ platform: "gamecube", container: "iso", gameId: "GTSE01" });
+    expect(parsed.gameCubeBanner.magic).toBe("BNR1");
+    expect(parsed.gameCubeBanner.entries[0]).toMatchObject({ language: "EN", shortTitle: "Short", title: "GameCube Title" });
+
+    const banner = parsed.results.banner;
+    expect(banner.renderLayout).toMatchObject({ width: 96, height: 32 });
+    expect(banner.renderLayout.panes).toHaveLength(1);
+    const [image] = banner.tplImages["opening.bnr"];
+    expect(Array.from(image.imageData.slice(0, 4))).toEqual([255, 0, 0, 255]);
+  });
+
+  it("rejects files that are not disc images", async () => {
+    await expect(processDiscImage(new Uint8Array(0x1000))).rejects.toThrow("Not a Wii or GameCube disc image");
+    expect(() => createByteSource("nope")).toThrow("Unsupported disc image input");
+  });
+
+  it("names RVZ and WIA images instead of failing to parse them", async () => {
+    const rvz = new Uint8Array(0x1000);
+    rvz.set([0x52, 0x56, 0x5a, 0x01]);
+    await expect(processDiscImage(rvz)).rejects.toThrow(/^RVZ disc images are not supported; convert it to ISO or WBFS/);
+    const wia = new Uint8Array(0x1000);
+    wia.set([0x57, 0x49, 0x41, 0x01]);
+    await expect(processDiscImage(wia)).rejects.toThrow(/^WIA disc images are not supported/);
+  });
+});
@@ -1 +1,5 @@
-export { flattenTextures, processArchive, processWAD, processZipBundle } from "./process.js";
+export { decryptWadContents } from "./decryption.js";
+export { createByteSource, processDiscImage } from "./disc.js";
+export { flattenTextures, processArchive, processOpeningBnr, processWAD, processZipBundle } from "./process.js";
+export { rebuildBannerBin, rebuildChannelWAD, rebuildMetaContent } from "./repack.js";
+export { verifyWAD } from "./verification.js";
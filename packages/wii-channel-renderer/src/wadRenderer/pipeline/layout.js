@@ -37,6 +37,8 @@ export function createRenderableLayout(layout, tplImages, fallbackWidth, fallbac
   );
   if (!hasPicturePanes) {
     logger.warn("No pic1 panes found, creating synthetic layout from textures");
+    // Marked so repacking can leave them out of the rebuilt BRLYT.
+    renderLayout.syntheticTextures = [];
 
     const textureNames = Object.keys(tplImages);
     for (let i = 0; i < textureNames.length; i += 1) {
@@ -60,10 +62,12 @@ export function createRenderableLayout(layout, tplImages, fallbackWidth, fallbac
         scale: { x: 1, y: 1 },
         size: { w: firstImage.width, h: firstImage.height },
         materialIndex: i,
+        synthetic: true,
       });
 
       if (!renderLayout.textures.includes(textureName)) {
         renderLayout.textures.push(textureName);
+        renderLayout.syntheticTextures.push(textureName);
       }
     }
   }
@@ -1,4 +1,4 @@
-import { parseU8, parseWAD } from "../parsers/index.js";
+import { isBNR, parseBNR, parseIMET, parseU8, parseWAD } from "../parsers/index.js";
 import { withLogger } from "../shared/index.js";
 import { tryFindBannerArchiveByTmdIndex, tryFindMetaArchive } from "./archiveSelection.js";
 import { decryptWadContents } from "./decryption.js";
@@ -13,6 +13,7 @@ export async function processWAD(buffer, loggerInput) {
   logger.info("=== Parsing WAD ===");
   const wad = parseWAD(buffer, logger);
   let contents = wad.contents;
+  let decryptedContents = null;
   const selectMetaArchive = (candidateContents) =>
     tryFindBannerArchiveByTmdIndex(candidateContents, wad.contentRecords, logger) ??
     tryFindMetaArchive(candidateContents);
@@ -22,7 +23,7 @@ export async function processWAD(buffer, loggerInput) {
   if (!metaArchive) {
     logger.info("No banner archive found in raw contents, attempting AES decryption");
     try {
-      const decryptedContents = await decryptWadContents(wad, logger);
+      decryptedContents = await decryptWadContents(wad, logger);
       if (decryptedContents) {
         contents = decryptedContents;
         metaArchive = selectMetaArchive(contents);
@@ -35,12 +36,32 @@ export async function processWAD(buffer, loggerInput) {
   if (!metaArchive) {
     logger.warn("Could not find a renderable banner/icon archive in this WAD");
     logger.success("=== Done! ===");
-    return { wad, results: {} };
+    return { wad, imet: null, archive: null, results: {}, decryptedContents };
   }
 
   logger.info(`=== Parsing content ${metaArchive.appName} ===`);
   const metaFiles = metaArchive.files;
+  const imet = readImetHeader(contents[metaArchive.appName], logger);
+  const results = extractMetaResults(metaFiles, logger);
 
+  logger.success("=== Done! ===");
+
+  // `content` is the (decrypted) meta content itself, for repacking.
+  // `decryptedContents` (null when the raw contents were usable) lets
+  // verifyWAD and rebuildChannelWAD skip a second decryption pass.
+  const content = contents[metaArchive.appName];
+  return {
+    wad,
+    imet,
+    archive: { appName: metaArchive.appName, files: metaFiles, content },
+    results,
+    decryptedContents,
+  };
+}
+
+// Banner, icon and audio from a meta archive (00000000.app / opening.bnr)
+// holding banner.bin, icon.bin and sound.bin.
+function extractMetaResults(metaFiles, logger) {
   const results = {};
   const channelAudio = extractChannelAudio(metaFiles, logger);
   if (channelAudio) {
@@ -58,6 +79,7 @@ export async function processWAD(buffer, loggerInput) {
     results[target] = {
       tplImages: parsedTarget.tplImages,
       layout: parsedTarget.layout,
+      layoutPath: parsedTarget.layoutPath ?? null,
       anim: parsedTarget.anim,
       animStart: parsedTarget.animStart ?? null,
       animLoop: parsedTarget.animLoop ?? null,
@@ -73,9 +95,20 @@ export async function processWAD(buffer, loggerInput) {
     };
   }
 
-  logger.success("=== Done! ===");
+  return results;
+}
 
-  return { wad, results };
+function readImetHeader(buffer, logger) {
+  try {
+    const imet = parseIMET(buffer, logger);
+    if (!imet) {
+      logger.info("No IMET header found");
+    }
+    return imet;
+  } catch (error) {
+    logger.warn(`Failed to parse IMET header: ${error.message}`);
+    return null;
+  }
 }
 
 export function flattenTextures(tplImages) {
@@ -102,6 +135,7 @@ function buildResultFromResourceSet(parsedTarget, logger, fallbackW = 608, fallb
   const result = {
     tplImages: parsedTarget.tplImages,
     layout: parsedTarget.layout,
+    layoutPath: parsedTarget.layoutPath ?? null,
     anim: parsedTarget.anim,
     animStart: parsedTarget.animStart ?? null,
     animLoop: parsedTarget.animLoop ?? null,
@@ -141,7 +175,7 @@ export function processArchive(buffer, loggerInput) {
     files = parseU8(buffer, logger);
   } catch (error) {
     logger.error(`Failed to parse U8 archive: ${error.message}`);
-    return { wad: null, results: {} };
+    return { wad: null, imet: null, archive: null, results: {} };
   }
 
   const fileCount = Object.keys(files).length;
@@ -162,7 +196,112 @@ export function processArchive(buffer, loggerInput) {
   }
 
   logger.success("=== Done! ===");
-  return { wad: null, results };
+  return { wad: null, imet: readImetHeader(buffer, logger), archive: { appName: null, files }, results };
+}
+
+// A single textured pane showing the GameCube banner image at its native size.
+function buildGameCubeBannerResult(bnr, logger) {
+  const textureName = "opening.bnr";
+  const tplImages = { [textureName]: [{ width: bnr.width, height: bnr.height, format: 5, imageData: bnr.imageData }] };
+  const layout = {
+    textures: [textureName],
+    fonts: [],
+    materials: [
+      {
+        name: "GameCubeBanner",
+        index: 0,
+        flags: 0,
+        textureMaps: [{ textureIndex: 0, wrapS: 0, wrapT: 0 }],
+        textureSRTs: [],
+        textureIndices: [0],
+        color1: [0, 0, 0, 0],
+        color2: [255, 255, 255, 255],
+        color3: [255, 255, 255, 255],
+        tevColors: [],
+        texCoordGens: [],
+        tevSwapTable: null,
+        indTexMatrices: [],
+        indTexStages: [],
+        tevStages: [],
+        channelControl: null,
+        materialColor: null,
+        alphaCompare: null,
+        blendMode: null,
+      },
+    ],
+    panes: [
+      {
+        type: "pic1",
+        name: "GameCubeBanner",
+        flags: 0x01,
+        origin: 4,
+        alpha: 255,
+        visible: true,
+        influencedAlpha: false,
+        widescreen: false,
+        parent: null,
+        translate: { x: 0, y: 0, z: 0 },
+        rotate: { x: 0, y: 0, z: 0 },
+        scale: { x: 1, y: 1 },
+        size: { w: bnr.width, h: bnr.height },
+        materialIndex: 0,
+      },
+    ],
+    groups: [],
+    width: bnr.width,
+    height: bnr.height,
+  };
+
+  return {
+    tplImages,
+    layout,
+    anim: null,
+    animStart: null,
+    animLoop: null,
+    animEntries: [],
+    fonts: {},
+    renderLayout: createRenderableLayout(layout, tplImages, bnr.width, bnr.height, logger),
+  };
+}
+
+/**
+ * Parse a disc opening.bnr: an IMET header plus U8 meta archive on Wii discs,
+ * or a BNR1/BNR2 image banner on GameCube discs (a static banner result).
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {object} [loggerInput]
+ * @param {object} [options]
+ * @param {boolean} [options.shiftJis=false] - GameCube banner text is Shift-JIS (Japanese discs)
+ */
+export function processOpeningBnr(buffer, loggerInput, { shiftJis = false } = {}) {
+  const logger = withLogger(loggerInput);
+
+  if (isBNR(buffer)) {
+    logger.info("=== Parsing GameCube banner ===");
+    const bnr = parseBNR(buffer, logger, { shiftJis });
+    logger.success("=== Done! ===");
+    const { imageData, ...bnrInfo } = bnr;
+    return {
+      wad: null,
+      imet: null,
+      archive: null,
+      gameCubeBanner: bnrInfo,
+      results: { banner: buildGameCubeBannerResult(bnr, logger) },
+    };
+  }
+
+  logger.info("=== Parsing opening.bnr ===");
+  const imet = readImetHeader(buffer, logger);
+  const metaArchive = tryFindMetaArchive({ "opening.bnr": buffer });
+  if (!metaArchive) {
+    logger.warn("opening.bnr does not contain a banner/icon archive");
+    logger.success("=== Done! ===");
+    return { wad: null, imet, archive: null, results: {} };
+  }
+
+  const results = extractMetaResults(metaArchive.files, logger);
+  logger.success("=== Done! ===");
+  return { wad: null, imet, archive: { appName: "opening.bnr", files: metaArchive.files, content: buffer }, results };
 }
 
 function decodeWavToPcm16(wavBuffer) {
@@ -259,7 +398,7 @@ async function processRendererBundleZip(buffer, logger) {
   }
 
   logger.success("=== Done! ===");
-  return { wad: { titleId: manifest.titleId ?? null }, results };
+  return { wad: { titleId: manifest.titleId ?? null }, imet: manifest.imet ?? null, archive: null, results };
 }
 
 export async function processZipBundle(buffer, loggerInput) {
@@ -363,5 +502,5 @@ export async function processZipBundle(buffer, loggerInput) {
   }
 
   logger.success("=== Done! ===");
-  return { wad: null, results };
+  return { wad: null, imet: null, archive: null, results };
 }
@@ -0,0 +1,142 @@
+import { parseU8 } from "../parsers/index.js";
+import { NOOP_LOGGER, encodeLz77 } from "../shared/index.js";
+import { detectU8Wrapping, repackBannerBin, repackIMET, repackWAD, wrapIMD5 } from "../writers/index.js";
+import { decryptWadContents } from "./decryption.js";
+
+function findMetaFile(files, fileName) {
+  return Object.keys(files ?? {}).find((path) => path.toLowerCase().endsWith(fileName)) ?? null;
+}
+
+function getBannerSource(parsed) {
+  const files = parsed?.archive?.files;
+  const bannerPath = findMetaFile(files, "banner.bin");
+  const banner = parsed?.results?.banner;
+  if (!bannerPath || !banner?.layout) {
+    throw new Error("This file has no banner.bin to rebuild");
+  }
+  return { bannerPath, bannerBin: files[bannerPath], banner };
+}
+
+// The edited render layout without the Picture_NN panes (and their textures)
+// createRenderableLayout adds to layouts that have no picture panes.
+function stripSyntheticContent(layout) {
+  const syntheticTextures = new Set(layout.syntheticTextures ?? []);
+  if (syntheticTextures.size === 0 && !layout.panes.some((pane) => pane.synthetic)) {
+    return layout;
+  }
+
+  const textures = layout.textures.filter((name) => !syntheticTextures.has(name));
+  const materials = layout.materials.map((material) => (material.textureMaps?.length
+    ? {
+        ...material,
+        textureMaps: material.textureMaps.map((textureMap) => ({
+          ...textureMap,
+          textureIndex: textures.indexOf(layout.textures[textureMap.textureIndex]),
+        })),
+      }
+    : material));
+  return { ...layout, textures, materials, panes: layout.panes.filter((pane) => !pane.synthetic) };
+}
+
+// Layout, every animation and the textures the layout gained while editing
+// (names the archive does not have yet). Untouched textures keep their bytes.
+function collectBannerResources(banner, bannerBin) {
+  const archivePaths = Object.keys(parseU8(bannerBin, NOOP_LOGGER));
+  const archiveNames = new Set(archivePaths.map((path) => path.split("/").pop()));
+  const layout = banner.renderLayout ? stripSyntheticContent(banner.renderLayout) : banner.layout;
+
+  const textures = {};
+  for (const name of layout.textures ?? []) {
+    if (!archiveNames.has(name) && banner.tplImages?.[name]?.length) {
+      textures[name] = banner.tplImages[name];
+    }
+  }
+
+  const animations = {};
+  for (const entry of banner.animEntries ?? []) {
+    if (archivePaths.includes(entry.path)) {
+      animations[entry.path] = entry.anim;
+    }
+  }
+
+  return { layout, layoutPath: banner.layoutPath ?? undefined, animations, textures };
+}
+
+/**
+ * Rebuild banner.bin from a processWAD/processOpeningBnr result, writing its
+ * (possibly edited) banner layout, animations and added textures back into
+ * the original archive.
+ *
+ * @param {object} parsed
+ * @returns {ArrayBuffer}
+ */
+export function rebuildBannerBin(parsed) {
+  const { bannerBin, banner } = getBannerSource(parsed);
+  return repackBannerBin(bannerBin, collectBannerResources(banner, bannerBin));
+}
+
+// An encoded BNS wrapped like the channel's sound.bin: IMD5, and LZ77 in some
+// homebrew channels.
+function wrapSoundBin(soundBin, bns) {
+  const { imd5, lz77, lz77SizeMode } = detectU8Wrapping(soundBin);
+  let result = bns;
+  if (lz77) {
+    result = encodeLz77(result, lz77SizeMode);
+  }
+  if (imd5) {
+    result = wrapIMD5(result);
+  }
+  return result;
+}
+
+/**
+ * Rebuild the IMET content (00000000.app, or opening.bnr for discs) around a
+ * rebuilt banner.bin, with updated IMET sizes and MD5. When `parsed.soundBns`
+ * holds an encoded BNS (see encodeBNS) it replaces sound.bin.
+ *
+ * @param {object} parsed
+ * @returns {ArrayBuffer}
+ */
+export function rebuildMetaContent(parsed) {
+  const content = parsed?.archive?.content;
+  if (!content) {
+    throw new Error("This file has no IMET content to rebuild");
+  }
+  const { bannerPath } = getBannerSource(parsed);
+  const replacements = { [bannerPath]: rebuildBannerBin(parsed) };
+
+  if (parsed.soundBns) {
+    const soundPath = findMetaFile(parsed.archive.files, "sound.bin");
+    if (!soundPath) {
+      throw new Error("This file has no sound.bin to replace");
+    }
+    replacements[soundPath] = wrapSoundBin(parsed.archive.files[soundPath], parsed.soundBns);
+  }
+  return repackIMET(content, replacements);
+}
+
+/**
+ * Rebuild a WAD around the rebuilt IMET content. The other contents are
+ * carried over unchanged.
+ *
+ * @param {object} parsed - Result of processWAD()
+ * @param {object} [options] - Forwarded to repackWAD (e.g. fakesign)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function rebuildChannelWAD(parsed, options = {}) {
+  const { wad, archive } = parsed ?? {};
+  if (!wad?.sourceBuffer || !archive?.appName) {
+    throw new Error("Only channels loaded from a WAD can be exported as a WAD");
+  }
+
+  // processWAD only decrypts when the raw contents hold no banner archive.
+  const contents = wad.contents?.[archive.appName] === archive.content
+    ? { ...wad.contents }
+    : { ...(parsed.decryptedContents ?? await decryptWadContents(wad)) };
+  if (!contents[archive.appName]) {
+    throw new Error("Unable to decrypt the WAD contents");
+  }
+
+  contents[archive.appName] = rebuildMetaContent(parsed);
+  return repackWAD(wad, contents, options);
+}
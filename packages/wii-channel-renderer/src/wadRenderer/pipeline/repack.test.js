@@ -0,0 +1,231 @@
+import { describe, expect, it } from "vitest";
+import { parseIMET } from "../parsers/imet.js";
+import { parseU8 } from "../parsers/u8.js";
+import {
+  WII_COMMON_KEYS,
+  bytesToHex,
+  encryptAesCbcNoPadding,
+  hexToBytes,
+  importAesCbcKey,
+  md5,
+} from "../shared/index.js";
+import {
+  buildBRLYT,
+  buildU8,
+  buildWAD,
+  createAnimationBuilder,
+  detectU8Wrapping,
+  encodeBNS,
+  encodeTPL,
+  wrapIMD5,
+} from "../writers/index.js";
+import { decryptWadContents } from "./decryption.js";
+import { processWAD } from "./process.js";
+import { rebuildBannerBin, rebuildChannelWAD, rebuildMetaContent } from "./repack.js";
+
+const TITLE_KEY = hexToBytes("00112233445566778899aabbccddeeff");
+const TITLE_ID = hexToBytes("0001000148414241"); // 00010001-HABA
+
+async function makeTicket() {
+  const ticket = new Uint8Array(0x2a4);
+  new DataView(ticket.buffer).setUint32(0, 0x10001, false);
+  ticket.set(TITLE_ID, 0x1dc);
+
+  const commonKey = await importAesCbcKey(hexToBytes(WII_COMMON_KEYS[0]));
+  const iv = new Uint8Array(16);
+  iv.set(TITLE_ID, 0);
+  ticket.set(await encryptAesCbcNoPadding(commonKey, TITLE_KEY, iv), 0x1bf);
+  return ticket;
+}
+
+function makeTmd(records) {
+  const tmd = new Uint8Array(0x1e4 + records.length * 36);
+  const view = new DataView(tmd.buffer);
+  view.setUint32(0, 0x10001, false);
+  tmd.set(TITLE_ID, 0x18c);
+  view.setUint16(0x1de, records.length, false);
+  records.forEach(([contentId, index], i) => {
+    view.setUint32(0x1e4 + i * 36, contentId, false);
+    view.setUint16(0x1e4 + i * 36 + 4, index, false);
+  });
+  return tmd;
+}
+
+function solidImage(width, height, value) {
+  return { width, height, format: 6, imageData: new Uint8Array(width * height * 4).fill(value) };
+}
+
+function pane(type, name, parent, extra = {}) {
+  return {
+    type,
+    name,
+    parent,
+    flags: 0x01,
+    origin: 4,
+    alpha: 255,
+    visible: true,
+    influencedAlpha: false,
+    widescreen: false,
+    translate: { x: 0, y: 0, z: 0 },
+    rotate: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1 },
+    size: { w: 608, h: 456 },
+    ...extra,
+  };
+}
+
+const quad = { tl: { s: 0, t: 0 }, tr: { s: 1, t: 0 }, bl: { s: 0, t: 1 }, br: { s: 1, t: 1 } };
+
+function buildBannerBin(overrides = {}) {
+  const layout = {
+    width: 608,
+    height: 456,
+    drawFromCenter: true,
+    textures: ["back.tpl"],
+    fonts: [],
+    materials: [{
+      name: "mat_back",
+      color1: [0, 0, 0, 0],
+      color2: [255, 255, 255, 255],
+      color3: [255, 255, 255, 255],
+      textureMaps: [{ textureIndex: 0, wrapS: 0, wrapT: 0 }],
+    }],
+    panes: [
+      pane("pan1", "RootPane", null),
+      pane("pic1", "Back", "RootPane", { materialIndex: 0, texCoords: [quad] }),
+    ],
+    groups: [{ name: "RootGroup", paneNames: [], parent: null }],
+    ...overrides,
+  };
+  const loop = createAnimationBuilder({ frameSize: 60, loop: true });
+  loop.addTrack("Back", "alpha", [[0, 255], [30, 128]]);
+
+  return buildU8({
+    "arc/anim/banner_Loop.brlan": loop.build(),
+    "arc/blyt/banner.brlyt": buildBRLYT(layout),
+    "arc/timg/back.tpl": encodeTPL([solidImage(8, 8, 200)]),
+  }, { lz77: true, imd5: true });
+}
+
+function buildSoundBin(value) {
+  return wrapIMD5(encodeBNS([new Int16Array(1400).fill(value)], { sampleRate: 32000 }));
+}
+
+function buildMetaContent(bannerBin) {
+  const archive = new Uint8Array(buildU8({
+    "meta/banner.bin": bannerBin,
+    "meta/icon.bin": bannerBin,
+    "meta/sound.bin": buildSoundBin(1000),
+  }));
+  const content = new Uint8Array(0x640 + archive.length);
+  const view = new DataView(content.buffer);
+  view.setUint32(0x80, 0x494d4554, false); // "IMET"
+  view.setUint32(0x84, 0x600, false);
+  view.setUint32(0x88, 3, false);
+  [..."Test Channel"].forEach((char, i) => view.setUint16(0x40 + 0x5c + 84 + i * 2, char.charCodeAt(0), false));
+  content.set(archive, 0x640);
+  return content.buffer;
+}
+
+async function buildChannel(layoutOverrides) {
+  const extra = new Uint8Array(300).map((_, i) => (i * 5) & 0xff);
+  const wadBuffer = await buildWAD({
+    ticket: await makeTicket(),
+    tmd: makeTmd([[0, 0], [1, 1]]),
+    certChain: new Uint8Array(0x100),
+    contents: { "00000000.app": buildMetaContent(buildBannerBin(layoutOverrides)), "00000001.app": extra },
+  });
+  return { parsed: await processWAD(wadBuffer), extra };
+}
+
+// What the banner editor does: move a pane, retime a key and give the pane its own texture.
+function editBanner(banner) {
+  const layout = banner.renderLayout;
+  const back = layout.panes.find((entry) => entry.name === "Back");
+  back.translate = { ...back.translate, x: 40 };
+  back.visible = false;
+
+  const textureIndex = layout.textures.push("Back_edit0.tpl") - 1;
+  banner.tplImages["Back_edit0.tpl"] = [solidImage(16, 8, 90)];
+  layout.materials.push({ ...layout.materials[0], textureMaps: [{ textureIndex, wrapS: 0, wrapT: 0 }] });
+  back.materialIndex = layout.materials.length - 1;
+
+  banner.animEntries[0].anim.panes[0].tags[0].entries[0].keyframes[1].value = 64;
+}
+
+async function createEditedChannel() {
+  const channel = await buildChannel();
+  editBanner(channel.parsed.results.banner);
+  return channel;
+}
+
+describe("rebuildChannelWAD", () => {
+  it("round-trips edited banner resources through processWAD", async () => {
+    const { parsed, extra } = await createEditedChannel();
+    const reparsed = await processWAD(await rebuildChannelWAD(parsed));
+    const banner = reparsed.results.banner;
+    const back = banner.layout.panes.find((entry) => entry.name === "Back");
+
+    expect(reparsed.wad.titleId).toBe("HABA");
+    expect(back.translate.x).toBe(40);
+    expect(back.visible).toBe(false);
+    expect(banner.layout.textures[banner.layout.materials[back.materialIndex].textureMaps[0].textureIndex]).toBe("Back_edit0.tpl");
+    expect(banner.tplImages["Back_edit0.tpl"][0]).toMatchObject({ width: 16, height: 8 });
+    expect(banner.tplImages["back.tpl"][0]).toMatchObject({ width: 8, height: 8 });
+    expect(banner.animLoop.panes[0].tags[0].entries[0].keyframes[1].value).toBe(64);
+    expect(reparsed.imet.titles.EN).toBe("Test Channel");
+    expect(reparsed.results.icon).toBeTruthy();
+
+    const contents = await decryptWadContents(reparsed.wad);
+    expect(bytesToHex(new Uint8Array(contents["00000001.app"]))).toBe(bytesToHex(extra));
+  });
+
+  it("leaves out the picture panes made up for layouts without any", async () => {
+    const { parsed } = await buildChannel({ textures: [], materials: [], panes: [pane("pan1", "RootPane", null)] });
+    const renderLayout = parsed.results.banner.renderLayout;
+    expect(renderLayout.panes.map((entry) => entry.name)).toEqual(["RootPane", "Picture_00"]);
+    renderLayout.panes[0].translate = { x: 12, y: 0, z: 0 };
+
+    const reparsed = await processWAD(await rebuildChannelWAD(parsed));
+    const { layout } = reparsed.results.banner;
+    expect(layout.panes.map((entry) => [entry.name, entry.translate.x])).toEqual([["RootPane", 12]]);
+    expect(layout.textures).toEqual([]);
+  });
+});
+
+describe("rebuildMetaContent", () => {
+  it("keeps the banner.bin wrapping and rewrites the IMET sizes and MD5", async () => {
+    const { parsed } = await createEditedChannel();
+    const content = rebuildMetaContent(parsed);
+    const imet = parseIMET(content);
+    const files = parseU8(content.slice(imet.payloadOffset));
+    const bannerBin = files["meta/banner.bin"];
+
+    expect(detectU8Wrapping(bannerBin)).toEqual({ imd5: true, lz77: true, lz77SizeMode: "le" });
+    expect(bytesToHex(new Uint8Array(bannerBin))).toBe(bytesToHex(new Uint8Array(rebuildBannerBin(parsed))));
+    expect(imet.bannerSize).toBe(bannerBin.byteLength);
+    expect(imet.iconSize).toBe(files["meta/icon.bin"].byteLength);
+
+    const header = new Uint8Array(content.slice(imet.headerOffset, imet.payloadOffset));
+    header.fill(0, 0x5f0, 0x600);
+    expect(imet.md5).toBe(bytesToHex(md5(header)));
+  });
+
+  it("writes an imported BNS into sound.bin with the original IMD5 wrapping", async () => {
+    const { parsed } = await buildChannel();
+    const bns = encodeBNS([new Int16Array(2800).fill(-500)], { sampleRate: 32000, loop: true });
+    const content = rebuildMetaContent({ ...parsed, soundBns: bns });
+    const imet = parseIMET(content);
+    const soundBin = parseU8(content.slice(imet.payloadOffset))["meta/sound.bin"];
+
+    expect(bytesToHex(new Uint8Array(soundBin))).toBe(bytesToHex(new Uint8Array(wrapIMD5(bns))));
+    expect(imet.soundSize).toBe(soundBin.byteLength);
+    expect(bytesToHex(new Uint8Array(parseU8(rebuildMetaContent(parsed).slice(imet.payloadOffset))["meta/sound.bin"])))
+      .toBe(bytesToHex(new Uint8Array(buildSoundBin(1000))));
+  });
+
+  it("detects big-endian LZ77 size fields", () => {
+    const bannerBin = buildU8({ "arc/blyt/a.brlyt": new Uint8Array(64).fill(7) }, { lz77: true, lz77SizeMode: "be" });
+    expect(detectU8Wrapping(bannerBin)).toEqual({ imd5: false, lz77: true, lz77SizeMode: "be" });
+  });
+});
@@ -200,7 +200,8 @@ export function parseResourceSet(files, loggerInput) {
 
   const parsedFonts = {};
   for (const [filePath, data] of Object.entries(sourceFiles)) {
-    if (!filePath.toLowerCase().endsWith(".brfnt")) {
+    const lowerPath = filePath.toLowerCase();
+    if (!lowerPath.endsWith(".brfnt") && !lowerPath.endsWith(".brfna")) {
       continue;
     }
 
@@ -298,6 +299,7 @@ export function parseResourceSet(files, loggerInput) {
   return {
     tplImages,
     layout,
+    layoutPath,
     anim: animation,
     animStart: animationStart,
     animLoop: animationLoop,
@@ -0,0 +1,345 @@
+import { TMD_CONTENT_RECORDS_OFFSET, TMD_CONTENT_RECORD_SIZE, parseCertChain, parseSignedBlob, parseWAD } from "../parsers/wad.js";
+import {
+  WII_COMMON_KEYS,
+  align,
+  bytesToHex,
+  createContentIv,
+  decryptAesCbcNoPadding,
+  decryptTitleKey,
+  hasSubtleCrypto,
+  importAesCbcKey,
+  sha1,
+  withLogger,
+} from "../shared/index.js";
+
+const WAD_HEADER_SIZE = 0x20;
+const WAD_TYPES = {
+  0x49730000: "Is",
+  0x69620000: "ib",
+  0x426b0000: "Bk",
+};
+const TICKET_SIZE = 0x2a4;
+const RSA_2048 = 0x10001;
+
+// Retail and development signers. Anything else was re-signed by a third party.
+const TICKET_ISSUERS = ["Root-CA00000001-XS00000003", "Root-CA00000002-XS00000006"];
+const TMD_ISSUERS = ["Root-CA00000001-CP00000004", "Root-CA00000002-CP00000007"];
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function exponentBytes(exponent) {
+  const bytes = [];
+  for (let value = exponent; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xff);
+  }
+  return new Uint8Array(bytes);
+}
+
+// Returns true/false for a checked RSA signature, or null when it cannot be
+// checked (missing signer certificate, unsupported key, no WebCrypto).
+async function verifyRsaSignature(cert, signature, body) {
+  if (!cert?.modulus || cert.modulus.length !== signature.length || !hasSubtleCrypto()) {
+    return null;
+  }
+
+  try {
+    const key = await globalThis.crypto.subtle.importKey(
+      "jwk",
+      { kty: "RSA", n: bytesToBase64Url(cert.modulus), e: bytesToBase64Url(exponentBytes(cert.exponent)), ext: true },
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-1" },
+      false,
+      ["verify"],
+    );
+    return await globalThis.crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, signature, body);
+  } catch {
+    return null;
+  }
+}
+
+function findSignerCert(certs, issuer) {
+  const split = issuer.lastIndexOf("-");
+  if (split < 0) {
+    return null;
+  }
+  const parentIssuer = issuer.slice(0, split);
+  const name = issuer.slice(split + 1);
+  return certs.find((cert) => cert.name === name && cert.issuer === parentIssuer) ?? null;
+}
+
+/**
+ * Classify the signature of a ticket or TMD.
+ *
+ * status is one of:
+ * - "valid": the RSA signature checks out against the WAD's certificate chain
+ * - "fakesigned": zeroed signature and a body SHA-1 starting with 0x00 (trucha)
+ * - "invalid": the signature does not match the body
+ * - "unverified": no usable signer certificate in the chain
+ * - "unknown": unrecognised signature type
+ */
+async function verifySignedBlob(bytes, certs, expectedIssuers, scope, addIssue) {
+  const header = parseSignedBlob(bytes);
+  if (!header) {
+    const signatureType = bytes.length >= 4 ? new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, false) : null;
+    addIssue("error", scope, `Unknown signature type ${signatureType === null ? "(missing)" : `0x${signatureType.toString(16)}`}`);
+    return { signatureType, signatureName: null, issuer: null, zeroedSignature: false, status: "unknown" };
+  }
+
+  const { signatureType, signatureName, signature, bodyOffset, issuer } = header;
+  if (signatureType !== RSA_2048) {
+    addIssue("error", scope, `Expected an RSA-2048 signature, found ${signatureName}`);
+  }
+  if (!expectedIssuers.includes(issuer)) {
+    addIssue("warning", scope, `Unexpected issuer "${issuer}"`);
+  }
+
+  const body = bytes.subarray(bodyOffset);
+  const bodyHash = await sha1(body);
+  const zeroedSignature = signature.every((byte) => byte === 0);
+
+  let status;
+  if (zeroedSignature) {
+    status = bodyHash[0] === 0 ? "fakesigned" : "invalid";
+  } else {
+    const verified = await verifyRsaSignature(findSignerCert(certs, issuer), signature, body);
+    status = verified === null ? "unverified" : verified ? "valid" : "invalid";
+  }
+
+  if (status === "fakesigned") {
+    addIssue("warning", scope, "Fakesigned: zeroed signature with a brute-forced body hash");
+  } else if (status === "invalid") {
+    addIssue(
+      "error",
+      scope,
+      zeroedSignature ? "Zeroed signature without a matching trucha hash" : "Signature does not match the signed data",
+    );
+  } else if (status === "unverified") {
+    addIssue("warning", scope, `No certificate for "${issuer}" in the certificate chain`);
+  }
+
+  return { signatureType, signatureName, issuer, zeroedSignature, bodyHash: bytesToHex(bodyHash), status };
+}
+
+function readHeader(buffer) {
+  const view = new DataView(buffer);
+  return {
+    headerSize: view.getUint32(0x00, false),
+    wadType: view.getUint32(0x04, false),
+    certChainSize: view.getUint32(0x08, false),
+    ticketSize: view.getUint32(0x10, false),
+    tmdSize: view.getUint32(0x14, false),
+    dataSize: view.getUint32(0x18, false),
+    footerSize: view.getUint32(0x1c, false),
+  };
+}
+
+function checkLayout(buffer, header, addIssue) {
+  if (header.headerSize !== WAD_HEADER_SIZE) {
+    addIssue("error", "header", `Header size is 0x${header.headerSize.toString(16)}, expected 0x20`);
+  }
+  if (!WAD_TYPES[header.wadType]) {
+    addIssue("warning", "header", `Unknown WAD type 0x${header.wadType.toString(16).padStart(8, "0")}`);
+  }
+  if (header.ticketSize !== TICKET_SIZE) {
+    addIssue("warning", "ticket", `Ticket size is 0x${header.ticketSize.toString(16)}, expected 0x2a4`);
+  }
+
+  const sections = [
+    ["header", header.headerSize],
+    ["certChain", header.certChainSize],
+    ["ticket", header.ticketSize],
+    ["tmd", header.tmdSize],
+  ];
+  let offset = 0;
+  let complete = true;
+  for (const [scope, size] of sections) {
+    if (offset + size > buffer.byteLength) {
+      addIssue("error", scope, `Truncated: section ends at 0x${(offset + size).toString(16)} but the file is ${buffer.byteLength} bytes`);
+      complete = false;
+    }
+    offset += align(size, 64);
+  }
+
+  const expectedEnd = offset + align(header.dataSize, 64) + align(header.footerSize, 64);
+  if (complete && buffer.byteLength > expectedEnd) {
+    addIssue("warning", "header", `${buffer.byteLength - expectedEnd} trailing byte(s) after the declared sections`);
+  }
+
+  return complete;
+}
+
+function checkContentLayout(buffer, wad, addIssue) {
+  const expectedTmdSize = TMD_CONTENT_RECORDS_OFFSET + wad.numContents * TMD_CONTENT_RECORD_SIZE;
+  if (wad.tmd.tmdSize !== expectedTmdSize) {
+    addIssue(
+      "error",
+      "tmd",
+      `TMD size is 0x${wad.tmd.tmdSize.toString(16)}, expected 0x${expectedTmdSize.toString(16)} for ${wad.numContents} content record(s)`,
+    );
+  }
+
+  const last = wad.contentRecords[wad.contentRecords.length - 1];
+  if (last) {
+    const minimum = last.offset + last.encryptedSize - wad.dataOffset;
+    const maximum = last.offset + align(last.encryptedSize, 64) - wad.dataOffset;
+    if (wad.dataSize < minimum || wad.dataSize > maximum) {
+      addIssue("error", "data", `Data size is ${wad.dataSize} bytes but the content records need ${minimum}-${maximum}`);
+    }
+  }
+
+  const seenIndices = new Set();
+  for (const record of wad.contentRecords) {
+    if (seenIndices.has(record.index)) {
+      addIssue("error", record.name, `Duplicate content index ${record.index}`);
+    }
+    seenIndices.add(record.index);
+    if (record.offset + record.encryptedSize > buffer.byteLength) {
+      addIssue("error", record.name, `Truncated: needs ${record.encryptedSize} bytes at 0x${record.offset.toString(16)}`);
+    }
+  }
+}
+
+async function loadTitleKey(wad, addIssue) {
+  if (!hasSubtleCrypto()) {
+    addIssue("error", "ticket", "WebCrypto API not available; contents cannot be decrypted");
+    return null;
+  }
+  if (!WII_COMMON_KEYS[wad.ticket.commonKeyIndex]) {
+    addIssue("error", "ticket", `Unsupported common key index ${wad.ticket.commonKeyIndex}`);
+    return null;
+  }
+  return importAesCbcKey(await decryptTitleKey(wad.ticket));
+}
+
+async function verifyContent(buffer, record, titleKey, decryptedContent) {
+  const entry = {
+    name: record.name,
+    contentId: record.contentId,
+    index: record.index,
+    type: record.type,
+    offset: record.offset,
+    size: record.size,
+    expectedHash: bytesToHex(record.hash),
+    actualHash: null,
+    status: "skipped",
+    pass: false,
+  };
+
+  if (record.offset + record.encryptedSize > buffer.byteLength) {
+    entry.status = "truncated";
+    return entry;
+  }
+
+  let decryptedBytes;
+  if (decryptedContent) {
+    decryptedBytes = new Uint8Array(decryptedContent);
+  } else if (titleKey) {
+    const encryptedBytes = new Uint8Array(buffer, record.offset, record.encryptedSize);
+    decryptedBytes = await decryptAesCbcNoPadding(titleKey, encryptedBytes, createContentIv(record.index));
+  } else {
+    return entry;
+  }
+  entry.actualHash = bytesToHex(await sha1(decryptedBytes.subarray(0, record.size)));
+  entry.pass = entry.actualHash === entry.expectedHash;
+  entry.status = entry.pass ? "pass" : "hash-mismatch";
+  return entry;
+}
+
+/**
+ * Check a WAD's structure, signatures and content hashes.
+ *
+ * Each content is decrypted with the ticket's title key and its SHA-1 is
+ * compared against the TMD record. Ticket and TMD signatures are classified as
+ * valid, fakesigned, invalid or unverified, and section sizes are checked
+ * against the file length.
+ *
+ * @param {ArrayBuffer} buffer - Raw WAD file
+ * @param {object} [loggerInput]
+ * @param {object} [options]
+ * @param {Record<string, ArrayBuffer>} [options.decryptedContents] - Contents already decrypted by processWAD
+ *   (its `decryptedContents`), hashed as-is instead of being decrypted again
+ * @returns {Promise<{ok: boolean, titleId: string|null, wadType: string|null, ticket: object|null,
+ *   tmd: object|null, contents: Array<object>, issues: Array<{severity: string, scope: string, message: string}>}>}
+ */
+export async function verifyWAD(buffer, loggerInput, { decryptedContents = null } = {}) {
+  const logger = withLogger(loggerInput);
+  const issues = [];
+  const addIssue = (severity, scope, message) => issues.push({ severity, scope, message });
+  const report = { ok: false, titleId: null, wadType: null, ticket: null, tmd: null, contents: [], issues };
+
+  logger.info("=== Verifying WAD ===");
+
+  if (buffer.byteLength < WAD_HEADER_SIZE) {
+    addIssue("error", "header", `Truncated: ${buffer.byteLength} bytes is smaller than the WAD header`);
+    logger.error("WAD verification failed: truncated header");
+    return report;
+  }
+
+  const header = readHeader(buffer);
+  const wadType = WAD_TYPES[header.wadType];
+  report.wadType = wadType ?? `0x${header.wadType.toString(16).padStart(8, "0")}`;
+  if (!checkLayout(buffer, header, addIssue)) {
+    logger.error("WAD verification failed: truncated sections");
+    return report;
+  }
+
+  let wad;
+  try {
+    wad = parseWAD(buffer);
+  } catch (error) {
+    addIssue("error", "tmd", `Could not parse WAD: ${error.message}`);
+    logger.error(`WAD verification failed: ${error.message}`);
+    return report;
+  }
+  report.titleId = wad.titleId;
+
+  const certs = parseCertChain(new Uint8Array(buffer, wad.certChain.certChainOffset, wad.certChain.certChainSize));
+  report.ticket = await verifySignedBlob(
+    new Uint8Array(buffer, wad.ticket.ticketOffset, wad.ticket.ticketSize),
+    certs,
+    TICKET_ISSUERS,
+    "ticket",
+    addIssue,
+  );
+  report.tmd = await verifySignedBlob(
+    new Uint8Array(buffer, wad.tmd.tmdOffset, wad.tmd.tmdSize),
+    certs,
+    TMD_ISSUERS,
+    "tmd",
+    addIssue,
+  );
+
+  checkContentLayout(buffer, wad, addIssue);
+
+  let titleKey = null;
+  try {
+    titleKey = await loadTitleKey(wad, addIssue);
+  } catch (error) {
+    addIssue("error", "ticket", `Title key decryption failed: ${error.message}`);
+  }
+
+  for (const record of wad.contentRecords) {
+    const entry = await verifyContent(buffer, record, titleKey, decryptedContents?.[record.name]);
+    if (entry.status === "hash-mismatch") {
+      addIssue("error", record.name, `SHA-1 mismatch: expected ${entry.expectedHash}, got ${entry.actualHash}`);
+    }
+    report.contents.push(entry);
+  }
+
+  report.ok = !issues.some((issue) => issue.severity === "error") && report.contents.every((entry) => entry.pass);
+
+  const passed = report.contents.filter((entry) => entry.pass).length;
+  const summary = `WAD verification: ${passed}/${report.contents.length} content(s) passed, ticket ${report.ticket.status}, TMD ${report.tmd.status}`;
+  if (report.ok) {
+    logger.success(summary);
+  } else {
+    logger.warn(summary);
+  }
+
+  return report;
+}
@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import { parseWAD } from "../parsers/wad.js";
+import { WII_COMMON_KEYS, encryptAesCbcNoPadding, hexToBytes, importAesCbcKey } from "../shared/index.js";
+import { buildWAD, fakesignTMD } from "../writers/wad.js";
+import { verifyWAD } from "./verification.js";
+
+const TITLE_KEY = hexToBytes("00112233445566778899aabbccddeeff");
+const TITLE_ID = hexToBytes("0001000148414241"); // 00010001-HABA
+const TICKET_ISSUER = "Root-CA00000001-XS00000003";
+const TMD_ISSUER = "Root-CA00000001-CP00000004";
+
+function writeString(bytes, offset, text) {
+  for (let i = 0; i < text.length; i += 1) {
+    bytes[offset + i] = text.charCodeAt(i);
+  }
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function makeSigner() {
+  const keyPair = await globalThis.crypto.subtle.generateKey(
+    { name: "RSASSA-PKCS1-v1_5", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-1" },
+    true,
+    ["sign", "verify"],
+  );
+  const { n } = await globalThis.crypto.subtle.exportKey("jwk", keyPair.publicKey);
+
+  // RSA-4096 signed certificate carrying an RSA-2048 public key.
+  const cert = new Uint8Array(0x400);
+  const view = new DataView(cert.buffer);
+  view.setUint32(0, 0x10000, false);
+  writeString(cert, 0x240, "Root-CA00000001");
+  view.setUint32(0x280, 1, false);
+  writeString(cert, 0x284, "XS00000003");
+  cert.set(base64UrlToBytes(n), 0x2c8);
+  view.setUint32(0x3c8, 0x10001, false);
+
+  const sign = async (blob) => {
+    const signature = await globalThis.crypto.subtle.sign("RSASSA-PKCS1-v1_5", keyPair.privateKey, blob.slice(0x140));
+    blob.set(new Uint8Array(signature), 4);
+  };
+
+  return { cert, sign };
+}
+
+async function makeTicket() {
+  const ticket = new Uint8Array(0x2a4);
+  new DataView(ticket.buffer).setUint32(0, 0x10001, false);
+  writeString(ticket, 0x140, TICKET_ISSUER);
+  ticket.set(TITLE_ID, 0x1dc);
+
+  const commonKey = await importAesCbcKey(hexToBytes(WII_COMMON_KEYS[0]));
+  const iv = new Uint8Array(16);
+  iv.set(TITLE_ID, 0);
+  ticket.set(await encryptAesCbcNoPadding(commonKey, TITLE_KEY, iv), 0x1bf);
+  return ticket;
+}
+
+function makeTmd(count) {
+  const tmd = new Uint8Array(0x1e4 + count * 36);
+  const view = new DataView(tmd.buffer);
+  view.setUint32(0, 0x10001, false);
+  tmd.fill(0xee, 4, 0x104); // stale signature
+  writeString(tmd, 0x140, TMD_ISSUER);
+  view.setUint16(0x1de, count, false);
+  for (let i = 0; i < count; i += 1) {
+    view.setUint32(0x1e4 + i * 36, i, false);
+    view.setUint16(0x1e4 + i * 36 + 4, i, false);
+    view.setUint16(0x1e4 + i * 36 + 6, 1, false);
+  }
+  return tmd;
+}
+
+function makeContents() {
+  return [new Uint8Array(300).fill(0x41), new Uint8Array(70).fill(0x42)];
+}
+
+describe("verifyWAD", () => {
+  it("passes a WAD with a signed ticket, fakesigned TMD and intact contents", async () => {
+    const signer = await makeSigner();
+    const ticket = await makeTicket();
+    await signer.sign(ticket);
+
+    const buffer = await buildWAD({ ticket, tmd: makeTmd(2), certChain: signer.cert, contents: makeContents() });
+    const { tmd } = parseWAD(buffer);
+    await fakesignTMD(new Uint8Array(buffer, tmd.tmdOffset, tmd.tmdSize));
+
+    const report = await verifyWAD(buffer);
+    expect(report.ok).toBe(true);
+    expect(report.titleId).toBe("HABA");
+    expect(report.wadType).toBe("Is");
+    expect(report.ticket).toMatchObject({ signatureName: "RSA-2048", issuer: TICKET_ISSUER, status: "valid" });
+    expect(report.tmd).toMatchObject({ issuer: TMD_ISSUER, zeroedSignature: true, status: "fakesigned" });
+    expect(report.contents.map((entry) => [entry.name, entry.status])).toEqual([
+      ["00000000.app", "pass"],
+      ["00000001.app", "pass"],
+    ]);
+    expect(report.issues.filter((issue) => issue.severity === "error")).toEqual([]);
+  });
+
+  it("reports hash mismatches and bad signatures", async () => {
+    const buffer = await buildWAD({ ticket: await makeTicket(), tmd: makeTmd(2), certChain: new Uint8Array(0), contents: makeContents() });
+    const wad = parseWAD(buffer);
+    new Uint8Array(buffer)[wad.contentRecords[1].offset] ^= 0xff;
+    new Uint8Array(buffer).fill(0, wad.ticket.ticketOffset + 4, wad.ticket.ticketOffset + 0x104);
+
+    const report = await verifyWAD(buffer);
+    expect(report.ok).toBe(false);
+    expect(report.contents.map((entry) => entry.status)).toEqual(["pass", "hash-mismatch"]);
+    expect(report.contents[1].expectedHash).not.toBe(report.contents[1].actualHash);
+    expect(report.ticket.status).toBe("invalid");
+    expect(report.tmd.status).toBe("unverified");
+    expect(report.issues).toContainEqual(expect.objectContaining({ severity: "error", scope: "00000001.app" }));
+  });
+
+  it("hashes contents processWAD already decrypted instead of decrypting again", async () => {
+    const buffer = await buildWAD({ ticket: await makeTicket(), tmd: makeTmd(2), certChain: new Uint8Array(0), contents: makeContents() });
+    const [first, second] = makeContents();
+    second[0] = 0;
+
+    const report = await verifyWAD(buffer, undefined, {
+      decryptedContents: { "00000000.app": first.buffer, "00000001.app": second.buffer },
+    });
+    expect(report.contents.map((entry) => entry.status)).toEqual(["pass", "hash-mismatch"]);
+  });
+
+  it("flags truncated contents and trailing data", async () => {
+    const buffer = await buildWAD({ ticket: await makeTicket(), tmd: makeTmd(2), certChain: new Uint8Array(0), contents: makeContents() });
+    const wad = parseWAD(buffer);
+
+    const truncated = await verifyWAD(buffer.slice(0, wad.contentRecords[1].offset + 16));
+    expect(truncated.contents.map((entry) => entry.status)).toEqual(["pass", "truncated"]);
+    expect(truncated.issues).toContainEqual(expect.objectContaining({ severity: "error", scope: "00000001.app" }));
+
+    const padded = new Uint8Array(buffer.byteLength + 100);
+    padded.set(new Uint8Array(buffer));
+    const trailing = await verifyWAD(padded.buffer);
+    expect(trailing.issues).toContainEqual(expect.objectContaining({ severity: "warning", message: "100 trailing byte(s) after the declared sections" }));
+
+    const headerOnly = await verifyWAD(buffer.slice(0, 0x100));
+    expect(headerOnly.ok).toBe(false);
+    expect(headerOnly.contents).toEqual([]);
+    expect(headerOnly.issues[0].message).toMatch(/^Truncated/);
+  });
+});
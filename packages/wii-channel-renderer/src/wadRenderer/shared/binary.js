@@ -73,3 +73,95 @@ export class BinaryReader {
 export function align(offset, alignment) {
   return Math.ceil(offset / alignment) * alignment;
 }
+
+// Growable big-endian counterpart of BinaryReader. Writers lay sections out
+// front to back and patch offsets/sizes in place once they are known.
+export class BinaryWriter {
+  constructor(initialCapacity = 256) {
+    this.bytes = new Uint8Array(Math.max(16, initialCapacity));
+    this.view = new DataView(this.bytes.buffer);
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    const needed = this.offset + length;
+    if (needed <= this.bytes.length) {
+      return;
+    }
+    let capacity = this.bytes.length * 2;
+    while (capacity < needed) {
+      capacity *= 2;
+    }
+    const next = new Uint8Array(capacity);
+    next.set(this.bytes);
+    this.bytes = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value, false);
+    this.offset += 2;
+  }
+
+  s16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.offset, value, false);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value, false);
+    this.offset += 4;
+  }
+
+  f32(value) {
+    this.ensure(4);
+    this.view.setFloat32(this.offset, value, false);
+    this.offset += 4;
+  }
+
+  // Fixed-size field: ASCII, NUL padded (and truncated) to `length`.
+  string(value, length) {
+    this.ensure(length);
+    const text = String(value ?? "");
+    for (let i = 0; i < length; i += 1) {
+      this.bytes[this.offset + i] = i < text.length ? text.charCodeAt(i) & 0xff : 0;
+    }
+    this.offset += length;
+  }
+
+  nullString(value) {
+    const text = String(value ?? "");
+    this.string(text, text.length + 1);
+  }
+
+  zeros(count) {
+    this.ensure(count);
+    this.bytes.fill(0, this.offset, this.offset + count);
+    this.offset += count;
+  }
+
+  padTo(alignment) {
+    this.zeros(align(this.offset, alignment) - this.offset);
+  }
+
+  setU16At(position, value) {
+    this.view.setUint16(position, value, false);
+  }
+
+  setU32At(position, value) {
+    this.view.setUint32(position, value, false);
+  }
+
+  toArrayBuffer() {
+    return this.bytes.slice(0, this.offset).buffer;
+  }
+}
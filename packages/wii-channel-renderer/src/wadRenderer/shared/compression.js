@@ -109,6 +109,169 @@ function decodeLzCore(data, startOffset, outSize, type) {
   return out.buffer;
 }
 
+// Decompress a Nintendo Huffman stream (type 0x24 = 4-bit, 0x28 = 8-bit symbols).
+// Header: type(u8) + decompressed_size(u24 LE), then tree_size(u8) and the
+// node table. Each node's low 6 bits give the child pair offset; bits 7/6 mark
+// the left/right child as a leaf. The bitstream follows as LE u32 words, MSB first.
+export function decodeHuffman(data) {
+  if (data.byteLength < 5) {
+    throw new Error("Huffman payload too small");
+  }
+
+  const type = data[0];
+  if (type !== 0x24 && type !== 0x28) {
+    throw new Error(`Unsupported Huffman type 0x${type.toString(16)}`);
+  }
+
+  const outSize = data[1] | (data[2] << 8) | (data[3] << 16);
+  if (outSize <= 0) {
+    throw new Error("Invalid Huffman output size");
+  }
+
+  const symbolBits = type & 0x0f;
+  const root = 5;
+  let src = 4 + (data[4] + 1) * 2;
+  const out = new Uint8Array(outSize);
+  let dst = 0;
+  let pendingBits = 0;
+  let node = root;
+
+  while (dst < outSize) {
+    if (src + 4 > data.byteLength) {
+      throw new Error("Huffman bitstream ended early");
+    }
+    const word = (data[src] | (data[src + 1] << 8) | (data[src + 2] << 16) | (data[src + 3] << 24)) >>> 0;
+    src += 4;
+
+    for (let bit = 31; bit >= 0 && dst < outSize; bit -= 1) {
+      const nodeValue = data[node];
+      const right = (word >>> bit) & 1;
+      const child = (node & ~1) + (nodeValue & 0x3f) * 2 + 2 + right;
+      if (child >= data.byteLength) {
+        throw new Error("Huffman tree node out of range");
+      }
+      if ((nodeValue & (right ? 0x40 : 0x80)) === 0) {
+        node = child;
+        continue;
+      }
+
+      const symbol = data[child];
+      node = root;
+      if (symbolBits === 8) {
+        out[dst] = symbol;
+        dst += 1;
+      } else {
+        // 4-bit symbols fill the low nibble first.
+        out[dst] |= (symbol & 0x0f) << pendingBits;
+        pendingBits += 4;
+        if (pendingBits === 8) {
+          pendingBits = 0;
+          dst += 1;
+        }
+      }
+    }
+  }
+
+  return out.buffer;
+}
+
+const LZ10_WINDOW_SIZE = 0x1000;
+const LZ10_MIN_MATCH = 3;
+const LZ10_MAX_MATCH = 18;
+const LZ10_MAX_CHAIN = 256;
+
+// Compress into an "LZ77"-tagged LZ10 stream, the wrapper retail banner.bin /
+// icon.bin / sound.bin use. Retail files store the 24-bit size little-endian;
+// pass "be" to produce the variant decodeLz77 tries first.
+export function encodeLz77(data, sizeMode = "le") {
+  const src = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const length = src.length;
+  if (length > 0xffffff) {
+    throw new Error(`LZ77 input too large (${length} bytes)`);
+  }
+
+  const out = new Uint8Array(8 + length + Math.ceil(length / 8) + 1);
+  out.set([0x4c, 0x5a, 0x37, 0x37, 0x10], 0);
+  if (sizeMode === "be") {
+    out[5] = (length >> 16) & 0xff;
+    out[6] = (length >> 8) & 0xff;
+    out[7] = length & 0xff;
+  } else {
+    out[5] = length & 0xff;
+    out[6] = (length >> 8) & 0xff;
+    out[7] = (length >> 16) & 0xff;
+  }
+
+  // 3-byte hash chains over the sliding window.
+  const head = new Int32Array(0x10000).fill(-1);
+  const prev = new Int32Array(Math.max(length, 1));
+  const hashAt = (pos) => ((src[pos] << 8) ^ (src[pos + 1] << 4) ^ src[pos + 2]) & 0xffff;
+  const insert = (pos) => {
+    if (pos + 2 < length) {
+      const hash = hashAt(pos);
+      prev[pos] = head[hash];
+      head[hash] = pos;
+    }
+  };
+
+  let dst = 8;
+  let pos = 0;
+  while (pos < length) {
+    const flagsOffset = dst;
+    out[dst] = 0;
+    dst += 1;
+
+    for (let bit = 0; bit < 8 && pos < length; bit += 1) {
+      let bestLength = 0;
+      let bestDistance = 0;
+
+      if (pos + LZ10_MIN_MATCH <= length) {
+        const maxLength = Math.min(LZ10_MAX_MATCH, length - pos);
+        let candidate = head[hashAt(pos)];
+        for (let chain = 0; candidate >= 0 && chain < LZ10_MAX_CHAIN; chain += 1) {
+          const distance = pos - candidate;
+          if (distance > LZ10_WINDOW_SIZE) {
+            break;
+          }
+
+          let matchLength = 0;
+          while (matchLength < maxLength && src[candidate + matchLength] === src[pos + matchLength]) {
+            matchLength += 1;
+          }
+
+          if (matchLength > bestLength) {
+            bestLength = matchLength;
+            bestDistance = distance;
+            if (matchLength === maxLength) {
+              break;
+            }
+          }
+          candidate = prev[candidate];
+        }
+      }
+
+      if (bestLength >= LZ10_MIN_MATCH) {
+        const disp = bestDistance - 1;
+        out[flagsOffset] |= 0x80 >> bit;
+        out[dst] = ((bestLength - LZ10_MIN_MATCH) << 4) | ((disp >> 8) & 0x0f);
+        out[dst + 1] = disp & 0xff;
+        dst += 2;
+        for (let i = 0; i < bestLength; i += 1) {
+          insert(pos + i);
+        }
+        pos += bestLength;
+      } else {
+        out[dst] = src[pos];
+        dst += 1;
+        insert(pos);
+        pos += 1;
+      }
+    }
+  }
+
+  return out.slice(0, dst).buffer;
+}
+
 export function decodeYaz0(data) {
   if (data.byteLength < 16) {
     throw new Error("Yaz0 payload too small");
@@ -175,15 +338,26 @@ export function decodeYaz0(data) {
   return out.buffer;
 }
 
-function readAsciiTag(buffer) {
-  if (!buffer || buffer.byteLength < 4) {
+function readAsciiTag(buffer, offset = 0) {
+  if (!buffer || buffer.byteLength < offset + 4) {
     return "";
   }
 
-  const bytes = new Uint8Array(buffer, 0, 4);
+  const bytes = new Uint8Array(buffer, offset, 4);
   return String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
 }
 
+// IMET magic sits at 0x40 (disc opening.bnr) or 0x80 (channel 00000000.app);
+// the 0x600-byte header starts 0x40 bytes before it.
+function findImetPayloadOffset(buffer) {
+  for (const magicOffset of [0x40, 0x80]) {
+    if (readAsciiTag(buffer, magicOffset) === "IMET") {
+      return magicOffset - 0x40 + 0x600;
+    }
+  }
+  return -1;
+}
+
 function matchesExpectedMagic(buffer, expectedMagic) {
   if (!expectedMagic) {
     return true;
@@ -206,6 +380,13 @@ export function unwrapBinaryAsset(buffer, options = {}, loggerInput) {
       return sourceBuffer;
     }
 
+    const imetPayloadOffset = findImetPayloadOffset(sourceBuffer);
+    if (imetPayloadOffset > 0 && imetPayloadOffset < sourceBuffer.byteLength) {
+      logger.info(`Found IMET header, skipping ${imetPayloadOffset} bytes`);
+      sourceBuffer = sourceBuffer.slice(imetPayloadOffset);
+      continue;
+    }
+
     if (tag === "IMD5") {
       logger.info("Found IMD5 header, skipping 32 bytes");
       sourceBuffer = sourceBuffer.slice(32);
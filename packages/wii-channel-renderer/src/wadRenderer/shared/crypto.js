@@ -38,6 +38,10 @@ export async function importAesCbcKey(rawKeyBytes) {
   ]);
 }
 
+export async function sha1(data) {
+  return new Uint8Array(await globalThis.crypto.subtle.digest("SHA-1", data));
+}
+
 async function encryptAesBlockNoPadding(key, inputBlock) {
   const iv = new Uint8Array(16);
   const encrypted = await globalThis.crypto.subtle.encrypt({ name: "AES-CBC", iv }, key, inputBlock);
@@ -70,3 +74,47 @@ export async function decryptAesCbcNoPadding(key, ciphertextBytes, ivBytes) {
 
   return new Uint8Array(plaintext);
 }
+
+export async function encryptAesCbcNoPadding(key, plaintextBytes, ivBytes) {
+  if (plaintextBytes.length === 0) {
+    return new Uint8Array();
+  }
+
+  if (plaintextBytes.length % 16 !== 0) {
+    throw new Error(`AES-CBC plaintext length must be a multiple of 16 (got ${plaintextBytes.length})`);
+  }
+
+  // WebCrypto always appends a PKCS#7 padding block; with block-aligned input
+  // it is exactly the trailing 16 bytes, so drop it.
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    { name: "AES-CBC", iv: ivBytes },
+    key,
+    plaintextBytes,
+  );
+
+  return new Uint8Array(ciphertext, 0, plaintextBytes.length);
+}
+
+// Decrypt a ticket's title key with the Wii common key it names. The IV is the
+// 8-byte title ID followed by zeroes.
+export async function decryptTitleKey(ticket) {
+  const commonKeyHex = WII_COMMON_KEYS[ticket.commonKeyIndex];
+  if (!commonKeyHex) {
+    throw new Error(`Unsupported common key index ${ticket.commonKeyIndex}`);
+  }
+
+  const commonKey = await importAesCbcKey(hexToBytes(commonKeyHex));
+  const titleIv = new Uint8Array(16);
+  titleIv.set(ticket.titleIdBytes, 0);
+
+  const decryptedTitleKey = await decryptAesCbcNoPadding(commonKey, ticket.encryptedTitleKey, titleIv);
+  return decryptedTitleKey.slice(0, 16);
+}
+
+// Content IV: the TMD content index as a big-endian u16 followed by zeroes.
+export function createContentIv(contentIndex) {
+  const iv = new Uint8Array(16);
+  iv[0] = (contentIndex >> 8) & 0xff;
+  iv[1] = contentIndex & 0xff;
+  return iv;
+}
@@ -0,0 +1,316 @@
+// Animated GIF encoder: one global median-cut palette shared by every frame
+// (so colours do not flicker between frames), optional Floyd-Steinberg
+// dithering, 1-bit transparency and a NETSCAPE2.0 loop extension.
+
+import { mergeIdenticalFrames } from "./png.js";
+
+const MAX_PALETTE_SAMPLES = 1 << 17;
+const ALPHA_THRESHOLD = 128;
+// Browsers clamp delays below 2 centiseconds to 10, so faster frames are dropped instead.
+const MIN_DELAY_CS = 2;
+
+function collectSamples(frames, pixelCount) {
+  const total = frames.length * pixelCount;
+  const stride = Math.max(1, Math.floor(total / MAX_PALETTE_SAMPLES));
+  const samples = [];
+  let hasTransparency = false;
+
+  for (let index = 0; index < total; index += 1) {
+    const frame = frames[Math.floor(index / pixelCount)].data;
+    const offset = (index % pixelCount) * 4;
+    if (frame[offset + 3] < ALPHA_THRESHOLD) {
+      hasTransparency = true;
+      continue;
+    }
+    if (index % stride === 0) {
+      samples.push((frame[offset] << 16) | (frame[offset + 1] << 8) | frame[offset + 2]);
+    }
+  }
+
+  return { samples: Uint32Array.from(samples), hasTransparency };
+}
+
+function channelRange(colors, shift) {
+  let min = 255;
+  let max = 0;
+  for (const color of colors) {
+    const value = (color >> shift) & 0xff;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return max - min;
+}
+
+/**
+ * Median-cut quantization of packed 0xRRGGBB samples.
+ *
+ * @param {Uint32Array} samples
+ * @param {number} maxColors
+ * @returns {number[][]} [r, g, b] entries
+ */
+export function buildMedianCutPalette(samples, maxColors) {
+  if (samples.length === 0) {
+    return [[0, 0, 0]];
+  }
+
+  const boxes = [samples];
+  while (boxes.length < maxColors) {
+    let bestIndex = -1;
+    let bestRange = 0;
+    let bestShift = 0;
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      for (const shift of [16, 8, 0]) {
+        const range = channelRange(box, shift);
+        if (range > bestRange) {
+          bestRange = range;
+          bestIndex = index;
+          bestShift = shift;
+        }
+      }
+    });
+    if (bestIndex < 0) {
+      break;
+    }
+
+    const box = boxes[bestIndex].slice().sort((a, b) => ((a >> bestShift) & 0xff) - ((b >> bestShift) & 0xff));
+    const middle = box.length >> 1;
+    boxes.splice(bestIndex, 1, box.subarray(0, middle), box.subarray(middle));
+  }
+
+  return boxes.map((box) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const color of box) {
+      r += (color >> 16) & 0xff;
+      g += (color >> 8) & 0xff;
+      b += color & 0xff;
+    }
+    return [Math.round(r / box.length), Math.round(g / box.length), Math.round(b / box.length)];
+  });
+}
+
+function createNearestLookup(palette, firstIndex) {
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i += 1) {
+      const [pr, pg, pb] = palette[i];
+      const distance = (r - pr) ** 2 * 3 + (g - pg) ** 2 * 4 + (b - pb) ** 2 * 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    cache.set(key, best + firstIndex);
+    return best + firstIndex;
+  };
+}
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
+
+function indexFrame(data, width, height, palette, lookup, firstIndex, dither) {
+  const indices = new Uint8Array(width * height);
+  const error = dither ? new Float32Array((width + 2) * 2 * 3) : null;
+  const rowStride = (width + 2) * 3;
+
+  for (let y = 0; y < height; y += 1) {
+    if (error) {
+      // Swap in the next row's accumulated error and clear the row after it.
+      error.copyWithin(0, rowStride, rowStride * 2);
+      error.fill(0, rowStride);
+    }
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 4;
+      if (data[offset + 3] < ALPHA_THRESHOLD && firstIndex > 0) {
+        indices[y * width + x] = 0;
+        continue;
+      }
+
+      const e = (x + 1) * 3;
+      const r = clampByte(data[offset] + (error ? error[e] : 0));
+      const g = clampByte(data[offset + 1] + (error ? error[e + 1] : 0));
+      const b = clampByte(data[offset + 2] + (error ? error[e + 2] : 0));
+      const index = lookup(r, g, b);
+      indices[y * width + x] = index;
+
+      if (error) {
+        const [pr, pg, pb] = palette[index - firstIndex];
+        const diff = [r - pr, g - pg, b - pb];
+        for (let c = 0; c < 3; c += 1) {
+          error[e + 3 + c] += (diff[c] * 7) / 16;
+          error[rowStride + e - 3 + c] += (diff[c] * 3) / 16;
+          error[rowStride + e + c] += (diff[c] * 5) / 16;
+          error[rowStride + e + 3 + c] += diff[c] / 16;
+        }
+      }
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * GIF-flavoured LZW compression, returned as 255-byte data sub-blocks.
+ */
+export function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i += 1) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const existing = table.get(key);
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode < 4096) {
+      table.set(key, nextCode);
+      nextCode += 1;
+      if (nextCode > 1 << codeSize && codeSize < 12) {
+        codeSize += 1;
+      }
+    } else {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = value;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    out.push(bitBuffer & 0xff);
+  }
+
+  const blocks = [];
+  for (let i = 0; i < out.length; i += 255) {
+    const block = out.slice(i, i + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return blocks;
+}
+
+/**
+ * Turn per-frame durations (in animation frames) into GIF frames with
+ * centisecond delays. Delays are rounded on the running timeline so the total
+ * length stays exact; frames that would land less than 2cs after the previous
+ * one are dropped.
+ *
+ * @param {Array<{duration: number}>} frames
+ * @param {number} fps
+ * @returns {Array<{frame: object, delay: number}>}
+ */
+export function planGifTimeline(frames, fps) {
+  const toCentiseconds = (frame) => Math.round((frame * 100) / fps);
+  const kept = [];
+  let position = 0;
+  for (const frame of frames) {
+    const start = toCentiseconds(position);
+    if (kept.length === 0 || start - kept[kept.length - 1].start >= MIN_DELAY_CS) {
+      kept.push({ frame, start });
+    }
+    position += frame.duration;
+  }
+
+  const end = Math.max(toCentiseconds(position), (kept[kept.length - 1]?.start ?? 0) + MIN_DELAY_CS);
+  return kept.map((entry, index) => ({
+    frame: entry.frame,
+    delay: (kept[index + 1]?.start ?? end) - entry.start,
+  }));
+}
+
+function u16(value) {
+  return [value & 0xff, (value >> 8) & 0xff];
+}
+
+/**
+ * Encode equally sized RGBA frames as a looping animated GIF.
+ *
+ * @param {Array<{data: Uint8Array|Uint8ClampedArray, duration?: number}>} frames - duration in animation frames (default 1)
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.fps=60] - Animation frame rate the durations are counted in
+ * @param {boolean} [options.dither=true] - Floyd-Steinberg dithering
+ * @param {number} [options.loopCount=0] - 0 loops forever
+ * @returns {Uint8Array}
+ */
+export function encodeGIF(frames, { width, height, fps = 60, dither = true, loopCount = 0 }) {
+  if (frames.length === 0) {
+    throw new Error("GIF needs at least one frame");
+  }
+
+  const timeline = planGifTimeline(mergeIdenticalFrames(frames), fps);
+  const { samples, hasTransparency } = collectSamples(
+    timeline.map((entry) => entry.frame),
+    width * height,
+  );
+
+  // Index 0 is reserved for transparent pixels when any frame has them.
+  const firstIndex = hasTransparency ? 1 : 0;
+  const palette = buildMedianCutPalette(samples, 256 - firstIndex);
+  const lookup = createNearestLookup(palette, firstIndex);
+
+  const colorTable = new Uint8Array(256 * 3);
+  palette.forEach(([r, g, b], index) => colorTable.set([r, g, b], (index + firstIndex) * 3));
+
+  const bytes = [
+    ...new TextEncoder().encode("GIF89a"),
+    ...u16(width),
+    ...u16(height),
+    0xf7, // global color table, 8-bit colour resolution, 256 entries
+    0, // background color index
+    0, // pixel aspect ratio
+    ...colorTable,
+    // NETSCAPE2.0 application extension: loop count
+    0x21, 0xff, 0x0b, ...new TextEncoder().encode("NETSCAPE2.0"), 0x03, 0x01, ...u16(loopCount), 0x00,
+  ];
+
+  for (const { frame, delay } of timeline) {
+    const disposal = hasTransparency ? 2 : 1; // restore to background / keep
+    bytes.push(0x21, 0xf9, 0x04, (disposal << 2) | (hasTransparency ? 1 : 0), ...u16(delay), 0, 0x00);
+    bytes.push(0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x00);
+    bytes.push(8);
+    const indices = indexFrame(frame.data, width, height, palette, lookup, firstIndex, dither);
+    const compressed = lzwEncode(indices, 8);
+    for (let i = 0; i < compressed.length; i += 1) {
+      bytes.push(compressed[i]);
+    }
+  }
+  bytes.push(0x3b);
+
+  return Uint8Array.from(bytes);
+}
@@ -0,0 +1,166 @@
+import { describe, expect, it } from "vitest";
+import { buildMedianCutPalette, encodeGIF, planGifTimeline } from "./gif.js";
+
+// Decode the parts of a GIF this encoder writes: global palette, loop
+// extension, graphic control extensions and LZW image data.
+function decodeGif(bytes) {
+  let offset = 6;
+  const width = bytes[offset] | (bytes[offset + 1] << 8);
+  const height = bytes[offset + 2] | (bytes[offset + 3] << 8);
+  const tableSize = 2 << (bytes[offset + 4] & 7);
+  offset += 7;
+  const palette = bytes.subarray(offset, offset + tableSize * 3);
+  offset += tableSize * 3;
+
+  const result = { width, height, palette, loopCount: null, frames: [] };
+  let control = null;
+  while (bytes[offset] !== 0x3b) {
+    const introducer = bytes[offset];
+    if (introducer === 0x21) {
+      const label = bytes[offset + 1];
+      offset += 2;
+      const blocks = [];
+      while (bytes[offset] !== 0) {
+        blocks.push(bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+        offset += bytes[offset] + 1;
+      }
+      offset += 1;
+      if (label === 0xf9) {
+        const [packed, delayLo, delayHi, transparentIndex] = blocks[0];
+        control = { disposal: (packed >> 2) & 7, transparent: packed & 1 ? transparentIndex : null, delay: delayLo | (delayHi << 8) };
+      } else if (label === 0xff) {
+        result.loopCount = blocks[1][1] | (blocks[1][2] << 8);
+      }
+    } else if (introducer === 0x2c) {
+      offset += 10;
+      const minCodeSize = bytes[offset];
+      offset += 1;
+      const data = [];
+      while (bytes[offset] !== 0) {
+        data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+        offset += bytes[offset] + 1;
+      }
+      offset += 1;
+      result.frames.push({ ...control, indices: lzwDecode(data, minCodeSize, width * height) });
+    } else {
+      throw new Error(`Unexpected block 0x${introducer.toString(16)}`);
+    }
+  }
+  return result;
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let bitPosition = 0;
+
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (out.length < pixelCount) {
+    let code = 0;
+    for (let bit = 0; bit < codeSize; bit += 1, bitPosition += 1) {
+      code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) {
+      break;
+    }
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      table.push(entry);
+    }
+    out.push(...entry);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) {
+      codeSize += 1;
+    }
+  }
+  return out;
+}
+
+function solidFrame(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { data };
+}
+
+describe("encodeGIF", () => {
+  it("round-trips indices through LZW with a looping NETSCAPE extension", () => {
+    const width = 64;
+    const height = 48;
+    const gradient = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        gradient.set([x * 4, y * 5, (x * y) & 0xff, 255], (y * width + x) * 4);
+      }
+    }
+
+    const gif = encodeGIF([{ data: gradient }], { width, height, dither: false });
+    const decoded = decodeGif(gif);
+    expect(new TextDecoder().decode(gif.subarray(0, 6))).toBe("GIF89a");
+    expect(decoded).toMatchObject({ width, height, loopCount: 0 });
+    expect(decoded.frames).toHaveLength(1);
+
+    // Every pixel maps back to a nearby palette colour.
+    const { indices } = decoded.frames[0];
+    expect(indices).toHaveLength(width * height);
+    let worst = 0;
+    for (let i = 0; i < indices.length; i += 1) {
+      for (let c = 0; c < 3; c += 1) {
+        worst = Math.max(worst, Math.abs(decoded.palette[indices[i] * 3 + c] - gradient[i * 4 + c]));
+      }
+    }
+    expect(worst).toBeLessThan(40);
+  });
+
+  it("reserves a transparent index and restores the background between frames", () => {
+    const frames = [solidFrame(4, 4, [255, 0, 0, 255]), solidFrame(4, 4, [0, 0, 0, 0]), solidFrame(4, 4, [0, 0, 255, 255])];
+    frames[0].data.set([0, 0, 0, 0], 0);
+    const decoded = decodeGif(encodeGIF(frames, { width: 4, height: 4, fps: 30 }));
+
+    expect(decoded.frames.map((frame) => [frame.transparent, frame.disposal])).toEqual([[0, 2], [0, 2], [0, 2]]);
+    expect(decoded.frames[0].indices[0]).toBe(0);
+    expect(decoded.frames[1].indices.every((index) => index === 0)).toBe(true);
+    expect(Array.from(decoded.palette.subarray(decoded.frames[2].indices[0] * 3, decoded.frames[2].indices[0] * 3 + 3))).toEqual([0, 0, 255]);
+    // 30 fps: 3.33cs per frame, rounded on the running timeline.
+    expect(decoded.frames.map((frame) => frame.delay)).toEqual([3, 4, 3]);
+  });
+});
+
+describe("planGifTimeline", () => {
+  it("drops frames closer than 2cs and keeps the total duration", () => {
+    const frames = Array.from({ length: 6 }, (_, index) => ({ id: index, duration: 1 }));
+    const timeline = planGifTimeline(frames, 60);
+    // Frame starts round to 0, 2, 3, 5, 7, 8cs; 2cs steps survive.
+    expect(timeline.map((entry) => entry.frame.id)).toEqual([0, 1, 3, 4]);
+    expect(timeline.map((entry) => entry.delay)).toEqual([2, 3, 2, 3]);
+  });
+
+  it("merges durations of held frames", () => {
+    const timeline = planGifTimeline([{ duration: 30 }, { duration: 90 }], 60);
+    expect(timeline.map((entry) => entry.delay)).toEqual([50, 150]);
+  });
+});
+
+describe("buildMedianCutPalette", () => {
+  it("splits along the widest channel", () => {
+    const palette = buildMedianCutPalette(Uint32Array.of(0x000000, 0x100000, 0xf00000, 0xff0000), 2);
+    expect(palette).toEqual([[8, 0, 0], [248, 0, 0]]);
+  });
+});
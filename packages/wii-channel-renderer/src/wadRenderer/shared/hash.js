@@ -0,0 +1,99 @@
+// Hash helpers for the Nintendo wrappers that embed digests (IMD5, IMET).
+// WebCrypto has no MD5, so it is implemented here directly (RFC 1321).
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+
+const MD5_CONSTANTS = new Uint32Array(64);
+for (let i = 0; i < 64; i += 1) {
+  MD5_CONSTANTS[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0;
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+export function md5(data) {
+  const input = toBytes(data);
+  const paddedLength = (((input.length + 8) >> 6) + 1) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(input);
+  padded[input.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  const bitLength = input.length * 8;
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / 2 ** 32), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const words = new Uint32Array(16);
+
+  for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+    for (let i = 0; i < 16; i += 1) {
+      words[i] = view.getUint32(chunk + i * 4, true);
+    }
+
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i += 1) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+    }
+
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  digestView.setUint32(0, a0, true);
+  digestView.setUint32(4, b0, true);
+  digestView.setUint32(8, c0, true);
+  digestView.setUint32(12, d0, true);
+  return digest;
+}
+
+export function bytesToHex(bytes) {
+  let hex = "";
+  for (const byte of toBytes(bytes)) {
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
@@ -0,0 +1,81 @@
+// Perceptual RGBA image comparison for render regression checks.
+//
+// Pixels are composited over white and compared in YIQ space, so a change the
+// eye barely sees (a rounding step in a gradient, a TEV clamp off by one) stays
+// under the threshold while a wrong color, missing pane or shifted edge does not.
+
+// Largest possible YIQ delta (black vs white), so `threshold` is a 0..1 ratio.
+const MAX_YIQ_DELTA = 35215;
+
+function blendOverWhite(channel, alpha) {
+  return 255 + ((channel - 255) * alpha) / 255;
+}
+
+function yiqDelta(a, b, index) {
+  const alphaA = a[index + 3];
+  const alphaB = b[index + 3];
+  const r1 = blendOverWhite(a[index], alphaA);
+  const g1 = blendOverWhite(a[index + 1], alphaA);
+  const b1 = blendOverWhite(a[index + 2], alphaA);
+  const r2 = blendOverWhite(b[index], alphaB);
+  const g2 = blendOverWhite(b[index + 1], alphaB);
+  const b2 = blendOverWhite(b[index + 2], alphaB);
+
+  const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const i = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+/**
+ * Compare two equally sized RGBA images.
+ *
+ * The diff image shows the expected frame faded to grey with changed pixels in
+ * red, which is usually enough to see which pane moved without opening both frames.
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} actual
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} expected
+ * @param {object} [options]
+ * @param {number} [options.threshold=0.1] - Per-pixel YIQ tolerance, 0 (exact) to 1 (anything passes)
+ * @returns {{width: number, height: number, diffCount: number, mask: Uint8Array,
+ *   diffImage: {width: number, height: number, data: Uint8ClampedArray}}}
+ *   mask holds 1 for every pixel over the threshold
+ */
+export function compareImages(actual, expected, { threshold = 0.1 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    throw new Error(
+      `Image size mismatch: ${actual.width}x${actual.height} vs expected ${expected.width}x${expected.height}`,
+    );
+  }
+
+  const { width, height } = expected;
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const mask = new Uint8Array(width * height);
+  const diff = new Uint8ClampedArray(width * height * 4);
+  let diffCount = 0;
+
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    const index = pixel * 4;
+    if (yiqDelta(actual.data, expected.data, index) > maxDelta) {
+      mask[pixel] = 1;
+      diffCount += 1;
+      diff[index] = 255;
+      diff[index + 1] = 0;
+      diff[index + 2] = 0;
+    } else {
+      const data = expected.data;
+      const alpha = data[index + 3];
+      const luma =
+        blendOverWhite(data[index], alpha) * 0.29889531 +
+        blendOverWhite(data[index + 1], alpha) * 0.58662247 +
+        blendOverWhite(data[index + 2], alpha) * 0.11448223;
+      const faded = 255 + (luma - 255) * 0.1;
+      diff[index] = faded;
+      diff[index + 1] = faded;
+      diff[index + 2] = faded;
+    }
+    diff[index + 3] = 255;
+  }
+
+  return { width, height, diffCount, mask, diffImage: { width, height, data: diff } };
+}
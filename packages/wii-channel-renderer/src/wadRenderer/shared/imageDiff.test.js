@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { compareImages } from "./imageDiff.js";
+
+function solid(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(rgba, i);
+  }
+  return { width, height, data };
+}
+
+describe("compareImages", () => {
+  it("ignores changes under the perceptual threshold", () => {
+    const expected = solid(4, 2, [120, 80, 200, 255]);
+    const actual = solid(4, 2, [122, 81, 198, 255]);
+
+    const result = compareImages(actual, expected);
+
+    expect(result.diffCount).toBe(0);
+    expect(compareImages(actual, expected, { threshold: 0 }).diffCount).toBe(8);
+  });
+
+  it("masks changed pixels and paints them red in the diff image", () => {
+    const expected = solid(3, 1, [0, 0, 255, 255]);
+    const actual = solid(3, 1, [0, 0, 255, 255]);
+    actual.data.set([255, 255, 0, 255], 4);
+
+    const result = compareImages(actual, expected);
+
+    expect(Array.from(result.mask)).toEqual([0, 1, 0]);
+    expect(Array.from(result.diffImage.data.subarray(4, 8))).toEqual([255, 0, 0, 255]);
+    // Unchanged pixels are the expected frame faded towards white.
+    expect(result.diffImage.data[0]).toBeGreaterThan(200);
+  });
+
+  it("compares transparent pixels by what they show over white", () => {
+    const clearBlack = solid(1, 1, [0, 0, 0, 0]);
+    const clearWhite = solid(1, 1, [255, 255, 255, 0]);
+
+    expect(compareImages(clearBlack, clearWhite, { threshold: 0 }).diffCount).toBe(0);
+    expect(() => compareImages(solid(2, 1, [0, 0, 0, 0]), clearWhite)).toThrow("Image size mismatch");
+  });
+});
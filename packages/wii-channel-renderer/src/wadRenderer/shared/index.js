@@ -1,10 +1,29 @@
-export { BinaryReader, align } from "./binary.js";
-export { decodeLz77, decodeLzRaw, decodeYaz0, unwrapBinaryAsset } from "./compression.js";
+export { BinaryReader, BinaryWriter, align } from "./binary.js";
+export { decodeHuffman, decodeLz77, decodeLzRaw, decodeYaz0, encodeLz77, unwrapBinaryAsset } from "./compression.js";
 export {
   WII_COMMON_KEYS,
+  createContentIv,
   decryptAesCbcNoPadding,
+  decryptTitleKey,
+  encryptAesCbcNoPadding,
   hasSubtleCrypto,
   hexToBytes,
   importAesCbcKey,
+  sha1,
 } from "./crypto.js";
+export { bytesToHex, md5 } from "./hash.js";
 export { NOOP_LOGGER, withLogger } from "./logger.js";
+export { DEFAULT_SURFACE_PROVIDER, createSurfaceProvider, resolveSurfaceProvider } from "./surface.js";
+export {
+  buildApngFile,
+  buildPngFile,
+  createPngScanlines,
+  decodePngFile,
+  encodeApngAsync,
+  encodePngAsync,
+  mergeIdenticalFrames,
+} from "./png.js";
+export { encodeGIF } from "./gif.js";
+export { compareImages } from "./imageDiff.js";
+export { buildAacAudioSpecificConfig, buildMP4 } from "./mp4.js";
+export { buildOpusHead, buildWebM } from "./webm.js";
@@ -0,0 +1,276 @@
+// Minimal MP4 (ISO BMFF) muxer for one H.264 video and one optional AAC
+// track, the counterpart of webm.js. Like the WebM muxer it works on the
+// finished chunk lists, so the moov box goes first (fast start) with every
+// sample offset already known.
+
+const MOVIE_TIMESCALE = 1000;
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function concat(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// Big-endian fields: [bytes, value] pairs, or a Uint8Array copied as-is.
+function fields(list) {
+  return concat(list.map((entry) => {
+    if (entry instanceof Uint8Array) {
+      return entry;
+    }
+    const [size, value] = entry;
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    if (size === 1) view.setUint8(0, value);
+    else if (size === 2) view.setUint16(0, value, false);
+    else if (size === 3) {
+      view.setUint8(0, (value >> 16) & 0xff);
+      view.setUint16(1, value & 0xffff, false);
+    } else if (size === 4) view.setUint32(0, value >>> 0, false);
+    else bytes.fill(value);
+    return bytes;
+  }));
+}
+
+function box(type, payload) {
+  const body = Array.isArray(payload) ? concat(payload) : (payload ?? new Uint8Array(0));
+  const header = new Uint8Array(8);
+  new DataView(header.buffer).setUint32(0, body.length + 8, false);
+  header.set(new TextEncoder().encode(type), 4);
+  return concat([header, body]);
+}
+
+function fullBox(type, version, flags, payload) {
+  const body = Array.isArray(payload) ? concat(payload) : (payload ?? new Uint8Array(0));
+  return box(type, [fields([[1, version], [3, flags]]), body]);
+}
+
+function matrix() {
+  return fields(UNITY_MATRIX.map((value) => [4, value]));
+}
+
+function toTimescale(timestampUs, timescale) {
+  return Math.round((timestampUs * timescale) / 1e6);
+}
+
+// Sample durations from consecutive timestamps; the last sample runs to `endUs`.
+function sampleDurations(chunks, timescale, endUs) {
+  return chunks.map((chunk, index) => {
+    const next = index + 1 < chunks.length ? chunks[index + 1].timestamp : Math.max(endUs, chunk.timestamp + (chunk.duration ?? 0));
+    return Math.max(0, toTimescale(next, timescale) - toTimescale(chunk.timestamp, timescale));
+  });
+}
+
+function buildStts(durations) {
+  const runs = [];
+  for (const duration of durations) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === duration) {
+      last[0] += 1;
+    } else {
+      runs.push([1, duration]);
+    }
+  }
+  return fullBox("stts", 0, 0, fields([[4, runs.length], ...runs.flatMap(([count, delta]) => [[4, count], [4, delta]])]));
+}
+
+function buildSampleTable(sampleEntry, track) {
+  const children = [
+    fullBox("stsd", 0, 0, [fields([[4, 1]]), sampleEntry]),
+    buildStts(track.durations),
+  ];
+  if (track.keyframes) {
+    children.push(fullBox("stss", 0, 0, fields([[4, track.keyframes.length], ...track.keyframes.map((number) => [4, number])])));
+  }
+  // One sample per chunk keeps stsc to a single entry.
+  children.push(fullBox("stsc", 0, 0, fields([[4, 1], [4, 1], [4, 1], [4, 1]])));
+  children.push(fullBox("stsz", 0, 0, fields([[4, 0], [4, track.sizes.length], ...track.sizes.map((size) => [4, size])])));
+  children.push(fullBox("stco", 0, 0, fields([[4, track.offsets.length], ...track.offsets.map((offset) => [4, offset])])));
+  return box("stbl", children);
+}
+
+function buildAvc1(video) {
+  if (!video.description?.length) {
+    throw new Error("MP4 output needs the H.264 decoder configuration (avcC)");
+  }
+  return box("avc1", [
+    fields([
+      [6, 0],
+      [2, 1], // data_reference_index
+      [16, 0],
+      [2, video.width],
+      [2, video.height],
+      [4, 0x00480000],
+      [4, 0x00480000],
+      [4, 0],
+      [2, 1], // frame_count
+      [32, 0], // compressorname
+      [2, 0x0018],
+      [2, 0xffff],
+    ]),
+    box("avcC", video.description),
+  ]);
+}
+
+function descriptor(tag, payload) {
+  const body = concat(payload);
+  return concat([Uint8Array.of(tag, body.length), body]);
+}
+
+/**
+ * AAC-LC AudioSpecificConfig, for encoders that do not report one.
+ */
+export function buildAacAudioSpecificConfig({ sampleRate, channelCount }) {
+  const frequencyIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+  if (frequencyIndex < 0) {
+    throw new Error(`Unsupported AAC sample rate ${sampleRate}`);
+  }
+  const objectType = 2; // AAC LC
+  return Uint8Array.of((objectType << 3) | (frequencyIndex >> 1), ((frequencyIndex & 1) << 7) | (channelCount << 3));
+}
+
+function buildMp4a(audio) {
+  const config = audio.description?.length ? audio.description : buildAacAudioSpecificConfig(audio);
+  const esds = fullBox("esds", 0, 0, descriptor(0x03, [
+    fields([[2, AUDIO_TRACK], [1, 0]]),
+    descriptor(0x04, [
+      fields([[1, 0x40], [1, 0x15], [3, 0], [4, audio.bitrate ?? 0], [4, audio.bitrate ?? 0]]),
+      descriptor(0x05, [config]),
+    ]),
+    descriptor(0x06, [Uint8Array.of(0x02)]),
+  ]));
+  return box("mp4a", [
+    fields([
+      [6, 0],
+      [2, 1], // data_reference_index
+      [8, 0],
+      [2, audio.channelCount],
+      [2, 16],
+      [4, 0],
+      [4, (audio.sampleRate << 16) >>> 0],
+    ]),
+    esds,
+  ]);
+}
+
+function buildTrak(trackId, track, durationMs, video) {
+  const isVideo = trackId === VIDEO_TRACK;
+  const tkhd = fullBox("tkhd", 0, 0x3, fields([
+    [4, 0],
+    [4, 0],
+    [4, trackId],
+    [4, 0],
+    [4, durationMs],
+    [8, 0],
+    [2, 0], // layer
+    [2, isVideo ? 0 : 1], // alternate_group
+    [2, isVideo ? 0 : 0x0100], // volume
+    [2, 0],
+    matrix(),
+    [4, isVideo ? (video.width << 16) >>> 0 : 0],
+    [4, isVideo ? (video.height << 16) >>> 0 : 0],
+  ]));
+  const mediaDuration = track.durations.reduce((sum, duration) => sum + duration, 0);
+  const mdhd = fullBox("mdhd", 0, 0, fields([[4, 0], [4, 0], [4, track.timescale], [4, mediaDuration], [2, 0x55c4], [2, 0]]));
+  const hdlr = fullBox("hdlr", 0, 0, [
+    fields([[4, 0]]),
+    new TextEncoder().encode(isVideo ? "vide" : "soun"),
+    fields([[12, 0]]),
+    new TextEncoder().encode(isVideo ? "VideoHandler\0" : "SoundHandler\0"),
+  ]);
+  const mediaHeader = isVideo
+    ? fullBox("vmhd", 0, 1, fields([[8, 0]]))
+    : fullBox("smhd", 0, 0, fields([[4, 0]]));
+  const dinf = box("dinf", fullBox("dref", 0, 0, [fields([[4, 1]]), fullBox("url ", 0, 1)]));
+  const minf = box("minf", [mediaHeader, dinf, buildSampleTable(track.sampleEntry, track)]);
+  return box("trak", [tkhd, box("mdia", [mdhd, hdlr, minf])]);
+}
+
+function buildMoov(tracks, durationMs, video) {
+  const mvhd = fullBox("mvhd", 0, 0, fields([
+    [4, 0],
+    [4, 0],
+    [4, MOVIE_TIMESCALE],
+    [4, durationMs],
+    [4, 0x00010000], // rate
+    [2, 0x0100], // volume
+    [10, 0],
+    matrix(),
+    [24, 0],
+    [4, tracks.length + 1], // next_track_ID
+  ]));
+  return box("moov", [mvhd, ...tracks.map((track) => buildTrak(track.id, track, durationMs, video))]);
+}
+
+/**
+ * Mux encoded chunks into an MP4 file.
+ *
+ * Chunk timestamps are in microseconds, matching WebCodecs' EncodedVideoChunk
+ * and EncodedAudioChunk.
+ *
+ * @param {object} params
+ * @param {{width: number, height: number, frameRate: number, description: Uint8Array}} params.video - `description` is the avcC record
+ * @param {Array<{data: Uint8Array, timestamp: number, keyframe: boolean}>} params.videoChunks
+ * @param {{sampleRate: number, channelCount: number, description?: Uint8Array, bitrate?: number}} [params.audio] - AAC; `description` is the AudioSpecificConfig
+ * @param {Array<{data: Uint8Array, timestamp: number, duration?: number}>} [params.audioChunks]
+ * @param {number} params.durationMs - Presentation duration
+ * @returns {Uint8Array}
+ */
+export function buildMP4({ video, videoChunks, audio = null, audioChunks = [], durationMs }) {
+  if (!videoChunks?.length) {
+    throw new Error("MP4 output needs at least one video chunk");
+  }
+
+  const durationUs = durationMs * 1000;
+  const videoTimescale = Math.round(video.frameRate * 1000);
+  const tracks = [{
+    id: VIDEO_TRACK,
+    chunks: videoChunks,
+    timescale: videoTimescale,
+    durations: sampleDurations(videoChunks, videoTimescale, durationUs),
+    keyframes: videoChunks.flatMap((chunk, index) => (chunk.keyframe ? [index + 1] : [])),
+    sampleEntry: buildAvc1(video),
+  }];
+  if (audio && audioChunks.length > 0) {
+    tracks.push({
+      id: AUDIO_TRACK,
+      chunks: audioChunks,
+      timescale: audio.sampleRate,
+      durations: sampleDurations(audioChunks, audio.sampleRate, durationUs),
+      keyframes: null,
+      sampleEntry: buildMp4a(audio),
+    });
+  }
+
+  // Interleave samples by time in mdat, video first on ties.
+  const order = tracks
+    .flatMap((track) => track.chunks.map((chunk, index) => ({ track, index, timestamp: chunk.timestamp })))
+    .sort((a, b) => a.timestamp - b.timestamp || a.track.id - b.track.id || a.index - b.index);
+  for (const track of tracks) {
+    track.sizes = track.chunks.map((chunk) => chunk.data.length);
+    track.offsets = new Array(track.chunks.length).fill(0);
+  }
+
+  const ftyp = box("ftyp", [new TextEncoder().encode("isom"), fields([[4, 0x200]]), new TextEncoder().encode("isomiso2avc1mp41")]);
+  // stco entries are fixed-width, so the moov size does not depend on the offsets.
+  const moovSize = buildMoov(tracks, durationMs, video).length;
+  let offset = ftyp.length + moovSize + 8;
+  for (const { track, index } of order) {
+    track.offsets[index] = offset;
+    offset += track.sizes[index];
+  }
+  if (offset > 0xffffffff) {
+    throw new Error("MP4 output is larger than 4 GiB");
+  }
+
+  const mdat = box("mdat", order.map(({ track, index }) => track.chunks[index].data));
+  return concat([ftyp, buildMoov(tracks, durationMs, video), mdat]);
+}
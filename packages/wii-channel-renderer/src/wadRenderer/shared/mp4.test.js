@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { buildAacAudioSpecificConfig, buildMP4 } from "./mp4.js";
+
+const CONTAINER_BOXES = new Set(["moov", "trak", "mdia", "minf", "stbl"]);
+
+// Walk sibling boxes in [start, end) and return [{type, start, dataStart, end, children}].
+function readBoxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    const size = view.getUint32(offset, false);
+    const type = new TextDecoder().decode(bytes.subarray(offset + 4, offset + 8));
+    const entry = { type, start: offset, dataStart: offset + 8, end: offset + size };
+    if (CONTAINER_BOXES.has(type)) {
+      entry.children = readBoxes(bytes, entry.dataStart, entry.end);
+    }
+    boxes.push(entry);
+    offset += size;
+  }
+  return boxes;
+}
+
+function find(boxes, path) {
+  const [type, ...rest] = path;
+  const match = boxes.filter((entry) => entry.type === type);
+  return rest.length === 0 ? match : match.flatMap((entry) => find(entry.children, rest));
+}
+
+// u32 entries after a full-box header and entry count.
+function readTable(bytes, entry, skip = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = [];
+  for (let offset = entry.dataStart + 8 + skip; offset < entry.end; offset += 4) {
+    values.push(view.getUint32(offset, false));
+  }
+  return values;
+}
+
+function chunk(timestamp, keyframe = false, size = 4) {
+  return { data: new Uint8Array(size).fill((timestamp & 0xff) || 1), timestamp, keyframe };
+}
+
+describe("buildMP4", () => {
+  const video = { width: 16, height: 8, frameRate: 60, description: Uint8Array.of(1, 0x64, 0, 0x2a, 0xff, 0xe0, 0) };
+  const audio = { sampleRate: 48000, channelCount: 2 };
+
+  it("writes ftyp, then moov before mdat, with one track per stream", () => {
+    const mp4 = buildMP4({
+      video,
+      videoChunks: [chunk(0, true), chunk(16_667), chunk(33_333)],
+      audio,
+      audioChunks: [chunk(0), chunk(21_333)],
+      durationMs: 50,
+    });
+
+    const boxes = readBoxes(mp4);
+    expect(boxes.map((entry) => entry.type)).toEqual(["ftyp", "moov", "mdat"]);
+    expect(boxes[2].end).toBe(mp4.length);
+    const handlers = find(boxes, ["moov", "trak", "mdia"]).map((mdia) => {
+      const hdlr = readBoxes(mp4, mdia.dataStart, mdia.end).find((entry) => entry.type === "hdlr");
+      return new TextDecoder().decode(mp4.subarray(hdlr.dataStart + 8, hdlr.dataStart + 12));
+    });
+    expect(handlers).toEqual(["vide", "soun"]);
+  });
+
+  it("points every stco offset at that sample's bytes in mdat", () => {
+    const videoChunks = [chunk(0, true, 5), chunk(16_667, false, 3), chunk(33_333, false, 7)];
+    const audioChunks = [chunk(0, false, 6), chunk(20_000, false, 2)];
+    const mp4 = buildMP4({ video, videoChunks, audio, audioChunks, durationMs: 50 });
+
+    const boxes = readBoxes(mp4);
+    const [videoStco, audioStco] = find(boxes, ["moov", "trak", "mdia", "minf", "stbl", "stco"]);
+    const [videoStsz, audioStsz] = find(boxes, ["moov", "trak", "mdia", "minf", "stbl", "stsz"]);
+    const expectSamples = (stco, stsz, chunks) => {
+      const offsets = readTable(mp4, stco);
+      expect(readTable(mp4, stsz, 4)).toEqual(chunks.map((entry) => entry.data.length));
+      chunks.forEach((entry, index) => {
+        expect(mp4.subarray(offsets[index], offsets[index] + entry.data.length)).toEqual(entry.data);
+      });
+    };
+    expectSamples(videoStco, videoStsz, videoChunks);
+    expectSamples(audioStco, audioStsz, audioChunks);
+  });
+
+  it("run-length codes sample durations and lists keyframes in stss", () => {
+    const mp4 = buildMP4({
+      video,
+      videoChunks: [chunk(0, true), chunk(16_667), chunk(33_333), chunk(50_000, true)],
+      durationMs: 66.667,
+    });
+
+    const boxes = readBoxes(mp4);
+    const [stts] = find(boxes, ["moov", "trak", "mdia", "minf", "stbl", "stts"]);
+    const [stss] = find(boxes, ["moov", "trak", "mdia", "minf", "stbl", "stss"]);
+    // Timescale 60000: 1000 ticks per frame, except where rounding lands on 999/1001.
+    const runs = readTable(mp4, stts);
+    const durations = [];
+    for (let i = 0; i < runs.length; i += 2) {
+      durations.push(...new Array(runs[i]).fill(runs[i + 1]));
+    }
+    expect(durations).toHaveLength(4);
+    expect(durations.reduce((sum, value) => sum + value, 0)).toBe(4000);
+    expect(readTable(mp4, stss)).toEqual([1, 4]);
+    expect(find(boxes, ["moov", "trak"])).toHaveLength(1);
+  });
+
+  it("requires video chunks and an avcC record", () => {
+    expect(() => buildMP4({ video, videoChunks: [], durationMs: 0 })).toThrow(/at least one video chunk/);
+    expect(() => buildMP4({ video: { ...video, description: null }, videoChunks: [chunk(0, true)], durationMs: 17 })).toThrow(/avcC/);
+  });
+});
+
+describe("buildAacAudioSpecificConfig", () => {
+  it("encodes AAC-LC with the sample rate index and channel count", () => {
+    expect(buildAacAudioSpecificConfig({ sampleRate: 48000, channelCount: 2 })).toEqual(Uint8Array.of(0x11, 0x90));
+    expect(buildAacAudioSpecificConfig({ sampleRate: 44100, channelCount: 1 })).toEqual(Uint8Array.of(0x12, 0x08));
+    expect(() => buildAacAudioSpecificConfig({ sampleRate: 32001, channelCount: 2 })).toThrow(/sample rate/);
+  });
+});
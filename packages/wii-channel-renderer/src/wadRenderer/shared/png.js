@@ -0,0 +1,325 @@
+// Minimal PNG/APNG writer: 8-bit RGBA, filter type 0 on every row, one IDAT
+// (or fdAT) chunk per image.
+// Callers supply the zlib stream so Node can deflate synchronously while
+// browsers and workers go through CompressionStream.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function crc32(bytes, start, end) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i += 1) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeChunk(out, offset, type, data) {
+  const view = new DataView(out.buffer);
+  view.setUint32(offset, data.length, false);
+  for (let i = 0; i < 4; i += 1) {
+    out[offset + 4 + i] = type.charCodeAt(i);
+  }
+  out.set(data, offset + 8);
+  view.setUint32(offset + 8 + data.length, crc32(out, offset + 4, offset + 8 + data.length), false);
+  return offset + 12 + data.length;
+}
+
+/**
+ * Prefix each RGBA row with its filter byte, ready for deflate.
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} image
+ * @returns {Uint8Array}
+ */
+export function createPngScanlines({ width, height, data }) {
+  const stride = width * 4;
+  const scanlines = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    scanlines.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return scanlines;
+}
+
+function buildHeader(width, height) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width, false);
+  headerView.setUint32(4, height, false);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return header;
+}
+
+function assemblePng(chunks) {
+  const size = chunks.reduce((sum, [, data]) => sum + 12 + data.length, PNG_SIGNATURE.length);
+  const out = new Uint8Array(size);
+  out.set(PNG_SIGNATURE, 0);
+  let offset = PNG_SIGNATURE.length;
+  for (const [type, data] of chunks) {
+    offset = writeChunk(out, offset, type, data);
+  }
+  return out;
+}
+
+/**
+ * Wrap a zlib-compressed scanline stream into a PNG file.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} compressed - zlib stream of createPngScanlines() output
+ * @returns {Uint8Array}
+ */
+export function buildPngFile(width, height, compressed) {
+  return assemblePng([
+    ["IHDR", buildHeader(width, height)],
+    ["IDAT", compressed],
+    ["IEND", new Uint8Array(0)],
+  ]);
+}
+
+function buildFrameControl(sequence, width, height, delayNum, delayDen) {
+  const fctl = new Uint8Array(26);
+  const view = new DataView(fctl.buffer);
+  view.setUint32(0, sequence, false);
+  view.setUint32(4, width, false);
+  view.setUint32(8, height, false);
+  // x/y offsets stay 0: every frame covers the whole canvas.
+  view.setUint16(20, delayNum, false);
+  view.setUint16(22, delayDen, false);
+  fctl[24] = 0; // dispose_op: none
+  fctl[25] = 0; // blend_op: source (replace, alpha included)
+  return fctl;
+}
+
+/**
+ * Build an animated PNG from compressed full-canvas frames.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{compressed: Uint8Array, delayNum: number, delayDen: number}>} frames
+ * @param {object} [options]
+ * @param {number} [options.numPlays=0] - 0 loops forever
+ * @returns {Uint8Array}
+ */
+export function buildApngFile(width, height, frames, { numPlays = 0 } = {}) {
+  if (frames.length === 0) {
+    throw new Error("APNG needs at least one frame");
+  }
+
+  const actl = new Uint8Array(8);
+  new DataView(actl.buffer).setUint32(0, frames.length, false);
+  new DataView(actl.buffer).setUint32(4, numPlays, false);
+
+  const chunks = [
+    ["IHDR", buildHeader(width, height)],
+    ["acTL", actl],
+  ];
+  let sequence = 0;
+  frames.forEach((frame, index) => {
+    chunks.push(["fcTL", buildFrameControl(sequence, width, height, frame.delayNum, frame.delayDen)]);
+    sequence += 1;
+    if (index === 0) {
+      // The first frame doubles as the static image for non-APNG decoders.
+      chunks.push(["IDAT", frame.compressed]);
+      return;
+    }
+    const fdat = new Uint8Array(4 + frame.compressed.length);
+    new DataView(fdat.buffer).setUint32(0, sequence, false);
+    fdat.set(frame.compressed, 4);
+    chunks.push(["fdAT", fdat]);
+    sequence += 1;
+  });
+  chunks.push(["IEND", new Uint8Array(0)]);
+  return assemblePng(chunks);
+}
+
+async function deflateAsync(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode RGBA pixels as PNG using CompressionStream (browsers, workers, Node 18+).
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} image
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodePngAsync(image) {
+  return buildPngFile(image.width, image.height, await deflateAsync(createPngScanlines(image)));
+}
+
+/**
+ * Encode equally sized RGBA frames as a looping APNG. Consecutive identical
+ * frames are merged into one longer frame.
+ *
+ * @param {Array<{data: Uint8Array|Uint8ClampedArray, duration?: number}>} frames - duration in animation frames (default 1)
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.fps=60] - Animation frame rate the durations are counted in
+ * @param {number} [options.numPlays=0] - 0 loops forever
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeApngAsync(frames, { width, height, fps = 60, numPlays = 0 }) {
+  const merged = mergeIdenticalFrames(frames);
+  const encoded = [];
+  for (const frame of merged) {
+    encoded.push({
+      compressed: await deflateAsync(createPngScanlines({ width, height, data: frame.data })),
+      delayNum: frame.duration,
+      delayDen: fps,
+    });
+  }
+  return buildApngFile(width, height, encoded, { numPlays });
+}
+
+function samePixels(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Collapse runs of identical frames, summing their durations.
+ *
+ * @param {Array<{data: Uint8Array|Uint8ClampedArray, duration?: number}>} frames
+ * @returns {Array<{data: Uint8Array|Uint8ClampedArray, duration: number}>}
+ */
+export function mergeIdenticalFrames(frames) {
+  const merged = [];
+  for (const frame of frames) {
+    const duration = frame.duration ?? 1;
+    const previous = merged[merged.length - 1];
+    if (previous && samePixels(previous.data, frame.data)) {
+      previous.duration += duration;
+    } else {
+      merged.push({ data: frame.data, duration });
+    }
+  }
+  return merged;
+}
+
+function paethPredictor(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a non-interlaced 8-bit RGB or RGBA PNG (the files buildPngFile writes,
+ * and what image editors save reference frames as) to straight RGBA.
+ *
+ * @param {Uint8Array} bytes
+ * @param {(compressed: Uint8Array) => Uint8Array} inflate - zlib inflate (node:zlib inflateSync in Node)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function decodePngFile(bytes, inflate) {
+  for (let i = 0; i < PNG_SIGNATURE.length; i += 1) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new Error("Not a PNG file");
+    }
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  const idat = [];
+  for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset, false);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(offset + 8, false),
+        height: view.getUint32(offset + 12, false),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) {
+    throw new Error("PNG has no IHDR chunk");
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (bitDepth !== 8 || (colorType !== 6 && colorType !== 2) || interlace !== 0) {
+    throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+
+  const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+  let cursor = 0;
+  for (const chunk of idat) {
+    compressed.set(chunk, cursor);
+    cursor += chunk.length;
+  }
+  const scanlines = inflate(compressed);
+
+  const channels = colorType === 6 ? 4 : 3;
+  const stride = width * channels;
+  if (scanlines.length < (stride + 1) * height) {
+    throw new Error("PNG image data is truncated");
+  }
+
+  // Undo the per-row filters into `rows`, then expand to RGBA.
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = scanlines[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? rows[row + x - channels] : 0;
+      const up = y > 0 ? rows[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? rows[row - stride + x - channels] : 0;
+      let predictor = 0;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paethPredictor(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+      rows[row + x] = (scanlines[source + x] + predictor) & 0xff;
+    }
+  }
+
+  if (channels === 4) {
+    return { width, height, data: new Uint8ClampedArray(rows.buffer) };
+  }
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < rows.length; i += 3, j += 4) {
+    data[j] = rows[i];
+    data[j + 1] = rows[i + 1];
+    data[j + 2] = rows[i + 2];
+    data[j + 3] = 255;
+  }
+  return { width, height, data };
+}
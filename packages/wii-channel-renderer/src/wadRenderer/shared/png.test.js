@@ -0,0 +1,80 @@
+import { deflateSync, inflateSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { buildPngFile, decodePngFile, encodeApngAsync, encodePngAsync, mergeIdenticalFrames } from "./png.js";
+
+function readChunks(png) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = view.getUint32(offset, false);
+    const type = new TextDecoder().decode(png.subarray(offset + 4, offset + 8));
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+describe("encodeApngAsync", () => {
+  it("writes acTL, fcTL/IDAT/fdAT with 60 fps delays and merges held frames", async () => {
+    const red = new Uint8Array([255, 0, 0, 255]);
+    const blue = new Uint8Array([0, 0, 255, 128]);
+    const png = await encodeApngAsync([{ data: red }, { data: red }, { data: blue }], { width: 1, height: 1 });
+    const chunks = readChunks(png);
+
+    expect(chunks.map((chunk) => chunk.type)).toEqual(["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "IEND"]);
+
+    const actl = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+    expect([actl.getUint32(0), actl.getUint32(4)]).toEqual([2, 0]);
+
+    const delays = chunks
+      .filter((chunk) => chunk.type === "fcTL")
+      .map((chunk) => {
+        const view = new DataView(chunk.data.buffer, chunk.data.byteOffset);
+        return [view.getUint32(0), view.getUint16(20), view.getUint16(22)];
+      });
+    expect(delays).toEqual([[0, 2, 60], [1, 1, 60]]);
+
+    const fdat = chunks[5].data;
+    expect(new DataView(fdat.buffer, fdat.byteOffset).getUint32(0)).toBe(2);
+    expect(Array.from(inflateSync(fdat.subarray(4)))).toEqual([0, 0, 0, 255, 128]);
+  });
+
+  it("sums durations when merging", () => {
+    const a = new Uint8Array([1, 2, 3, 4]);
+    const merged = mergeIdenticalFrames([{ data: a, duration: 2 }, { data: a.slice() }, { data: new Uint8Array(4) }]);
+    expect(merged.map((frame) => frame.duration)).toEqual([3, 1]);
+  });
+});
+
+describe("decodePngFile", () => {
+  it("reads back buildPngFile output", async () => {
+    const data = new Uint8ClampedArray([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+    const png = await encodePngAsync({ width: 2, height: 2, data });
+
+    const image = decodePngFile(png, inflateSync);
+
+    expect(image).toMatchObject({ width: 2, height: 2 });
+    expect(Array.from(image.data)).toEqual(Array.from(data));
+  });
+
+  it("undoes sub, up, average and paeth filters on RGB rows", () => {
+    // 2x4 RGB, one filter type per row.
+    const rows = [
+      [1, 10, 20, 30, 5, 5, 5],
+      [2, 1, 1, 1, 2, 2, 2],
+      [3, 5, 5, 5, 0, 0, 0],
+      [4, 0, 0, 0, 1, 1, 1],
+    ];
+    const png = buildPngFile(2, 4, deflateSync(Uint8Array.from(rows.flat())));
+    png[25] = 2; // color type RGB (the decoder does not check chunk CRCs)
+
+    const image = decodePngFile(png, inflateSync);
+
+    expect(Array.from(image.data)).toEqual([
+      10, 20, 30, 255, 15, 25, 35, 255,
+      11, 21, 31, 255, 17, 27, 37, 255,
+      10, 15, 20, 255, 13, 21, 28, 255,
+      10, 15, 20, 255, 14, 22, 29, 255,
+    ]);
+  });
+});
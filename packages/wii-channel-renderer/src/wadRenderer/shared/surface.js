@@ -0,0 +1,65 @@
+// Surface providers create the scratch canvases the Canvas 2D renderer draws
+// through. Browsers get DOM canvases (OffscreenCanvas in workers); Node callers
+// build one from a canvas binding's createCanvas (node-canvas, @napi-rs/canvas).
+
+function createBrowserSurface(width, height) {
+  if (typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  throw new Error("No canvas implementation available; pass a surfaceProvider (see createSurfaceProvider)");
+}
+
+/**
+ * Build a surface provider from a canvas factory.
+ *
+ * @param {object} params
+ * @param {(width: number, height: number) => object} params.createCanvas - Returns a canvas with getContext("2d")
+ * @param {(data: Uint8ClampedArray, width: number, height: number) => object} [params.createImageData] -
+ *   Defaults to the global ImageData constructor, or a context-allocated ImageData when there is none
+ * @returns {{createSurface: Function, createImageData: Function}}
+ */
+export function createSurfaceProvider({ createCanvas, createImageData } = {}) {
+  if (typeof createCanvas !== "function") {
+    throw new Error("createSurfaceProvider requires a createCanvas(width, height) function");
+  }
+
+  const createSurface = (width = 1, height = 1) => createCanvas(Math.max(1, width), Math.max(1, height));
+
+  return {
+    createSurface,
+    createImageData:
+      createImageData ??
+      ((data, width, height) => {
+        if (typeof ImageData !== "undefined") {
+          return new ImageData(data, width, height);
+        }
+        const imageData = createSurface(width, height).getContext("2d").createImageData(width, height);
+        imageData.data.set(data);
+        return imageData;
+      }),
+  };
+}
+
+export const DEFAULT_SURFACE_PROVIDER = createSurfaceProvider({
+  createCanvas: createBrowserSurface,
+  createImageData: (data, width, height) => new ImageData(data, width, height),
+});
+
+export function resolveSurfaceProvider(provider) {
+  if (!provider) {
+    return DEFAULT_SURFACE_PROVIDER;
+  }
+  if (typeof provider === "function") {
+    return createSurfaceProvider({ createCanvas: provider });
+  }
+  return createSurfaceProvider({
+    createCanvas: provider.createSurface ?? createBrowserSurface,
+    createImageData: provider.createImageData,
+  });
+}
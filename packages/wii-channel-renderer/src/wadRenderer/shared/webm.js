@@ -0,0 +1,301 @@
+// Minimal WebM (Matroska) muxer for one video and one optional audio track.
+// Everything is assembled in memory once encoding has finished, so every
+// element gets a known size and the file carries a SeekHead and Cues for
+// seeking.
+
+const TIMECODE_SCALE_NS = 1_000_000; // block timestamps in milliseconds
+const MAX_CLUSTER_SPAN_MS = 30_000; // SimpleBlock timecodes are signed 16-bit
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  CodecDelay: 0x56aa,
+  SeekPreRoll: 0x56bb,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+function idBytes(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xff);
+  }
+  return bytes;
+}
+
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) {
+    length += 1;
+  }
+  const bytes = new Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i -= 1) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function uintBytes(value, minLength = 1) {
+  const bytes = [];
+  for (let rest = value; rest > 0 || bytes.length < minLength; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest % 256);
+  }
+  return bytes;
+}
+
+function concat(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function element(id, payload) {
+  const body = Array.isArray(payload) ? concat(payload) : payload;
+  return concat([Uint8Array.from(idBytes(id)), Uint8Array.from(sizeBytes(body.length)), body]);
+}
+
+function uintElement(id, value, minLength) {
+  return element(id, Uint8Array.from(uintBytes(value, minLength)));
+}
+
+function floatElement(id, value) {
+  const body = new Uint8Array(8);
+  new DataView(body.buffer).setFloat64(0, value, false);
+  return element(id, body);
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function buildTrackEntry(number, track) {
+  const children = [
+    uintElement(ID.TrackNumber, number),
+    uintElement(ID.TrackUID, number),
+    uintElement(ID.TrackType, number === VIDEO_TRACK ? 1 : 2),
+    uintElement(ID.FlagLacing, 0),
+    stringElement(ID.CodecID, track.codecId),
+  ];
+  if (track.codecPrivate?.length) {
+    children.push(element(ID.CodecPrivate, track.codecPrivate));
+  }
+
+  if (number === VIDEO_TRACK) {
+    if (track.frameRate) {
+      children.push(uintElement(ID.DefaultDuration, Math.round(1e9 / track.frameRate)));
+    }
+    children.push(element(ID.Video, [uintElement(ID.PixelWidth, track.width), uintElement(ID.PixelHeight, track.height)]));
+  } else {
+    if (track.codecDelayNs) {
+      children.push(uintElement(ID.CodecDelay, track.codecDelayNs));
+    }
+    if (track.seekPreRollNs) {
+      children.push(uintElement(ID.SeekPreRoll, track.seekPreRollNs));
+    }
+    children.push(
+      element(ID.Audio, [floatElement(ID.SamplingFrequency, track.sampleRate), uintElement(ID.Channels, track.channelCount)]),
+    );
+  }
+
+  return element(ID.TrackEntry, children);
+}
+
+function buildSimpleBlock(trackNumber, relativeTimecode, keyframe, data) {
+  const header = new Uint8Array(4);
+  header[0] = 0x80 | trackNumber;
+  new DataView(header.buffer).setInt16(1, relativeTimecode, false);
+  header[3] = keyframe ? 0x80 : 0;
+  return element(ID.SimpleBlock, [header, data]);
+}
+
+function toMilliseconds(timestampUs) {
+  return Math.round(timestampUs / 1000);
+}
+
+function collectBlocks(videoChunks, audioChunks) {
+  const blocks = [
+    ...videoChunks.map((chunk) => ({ track: VIDEO_TRACK, ...chunk })),
+    ...(audioChunks ?? []).map((chunk) => ({ ...chunk, track: AUDIO_TRACK, keyframe: true })),
+  ];
+  // Interleave by time; video first on ties so clusters open on a keyframe.
+  return blocks
+    .map((block, order) => ({ ...block, time: toMilliseconds(block.timestamp), order }))
+    .sort((a, b) => a.time - b.time || a.track - b.track || a.order - b.order);
+}
+
+function buildClusters(blocks) {
+  const clusters = [];
+  let current = null;
+
+  for (const block of blocks) {
+    const startsCluster =
+      !current ||
+      (block.track === VIDEO_TRACK && block.keyframe) ||
+      block.time - current.time > MAX_CLUSTER_SPAN_MS;
+    if (startsCluster) {
+      current = { time: block.time, parts: [uintElement(ID.Timecode, block.time)], cueable: false };
+      clusters.push(current);
+    }
+    if (block.track === VIDEO_TRACK && block.keyframe && current.parts.length === 1) {
+      current.cueable = true;
+    }
+    current.parts.push(buildSimpleBlock(block.track, block.time - current.time, block.keyframe, block.data));
+  }
+
+  return clusters.map((cluster) => ({ time: cluster.time, cueable: cluster.cueable, bytes: element(ID.Cluster, cluster.parts) }));
+}
+
+function buildSeekHead(entries) {
+  return element(
+    ID.SeekHead,
+    entries.map(([id, position]) =>
+      element(ID.Seek, [element(ID.SeekID, Uint8Array.from(idBytes(id))), uintElement(ID.SeekPosition, position, 8)]),
+    ),
+  );
+}
+
+/**
+ * Mux encoded chunks into a WebM file.
+ *
+ * Chunk timestamps are in microseconds, matching WebCodecs' EncodedVideoChunk
+ * and EncodedAudioChunk.
+ *
+ * @param {object} params
+ * @param {{codecId: string, width: number, height: number, frameRate?: number, codecPrivate?: Uint8Array}} params.video
+ * @param {Array<{data: Uint8Array, timestamp: number, keyframe: boolean}>} params.videoChunks
+ * @param {{codecId: string, sampleRate: number, channelCount: number, codecPrivate?: Uint8Array, codecDelayNs?: number, seekPreRollNs?: number}} [params.audio]
+ * @param {Array<{data: Uint8Array, timestamp: number}>} [params.audioChunks]
+ * @param {number} params.durationMs - Presentation duration
+ * @param {string} [params.writingApp="wii-channel-renderer"]
+ * @returns {Uint8Array}
+ */
+export function buildWebM({ video, videoChunks, audio = null, audioChunks = [], durationMs, writingApp = "wii-channel-renderer" }) {
+  if (!videoChunks?.length) {
+    throw new Error("WebM output needs at least one video chunk");
+  }
+
+  const header = element(ID.EBML, [
+    uintElement(ID.EBMLVersion, 1),
+    uintElement(ID.EBMLReadVersion, 1),
+    uintElement(ID.EBMLMaxIDLength, 4),
+    uintElement(ID.EBMLMaxSizeLength, 8),
+    stringElement(ID.DocType, "webm"),
+    uintElement(ID.DocTypeVersion, 4),
+    uintElement(ID.DocTypeReadVersion, 2),
+  ]);
+
+  const info = element(ID.Info, [
+    uintElement(ID.TimecodeScale, TIMECODE_SCALE_NS),
+    stringElement(ID.MuxingApp, writingApp),
+    stringElement(ID.WritingApp, writingApp),
+    floatElement(ID.Duration, durationMs),
+  ]);
+
+  const trackEntries = [buildTrackEntry(VIDEO_TRACK, video)];
+  if (audio && audioChunks.length > 0) {
+    trackEntries.push(buildTrackEntry(AUDIO_TRACK, audio));
+  }
+  const tracks = element(ID.Tracks, trackEntries);
+
+  const clusters = buildClusters(collectBlocks(videoChunks, audio ? audioChunks : []));
+
+  // SeekPositions are fixed-width, so the SeekHead size does not depend on
+  // the offsets it stores.
+  const seekHeadSize = buildSeekHead([
+    [ID.Info, 0],
+    [ID.Tracks, 0],
+    [ID.Cues, 0],
+  ]).length;
+  const infoPosition = seekHeadSize;
+  const tracksPosition = infoPosition + info.length;
+  let clusterPosition = tracksPosition + tracks.length;
+
+  const cuePoints = [];
+  for (const cluster of clusters) {
+    if (cluster.cueable) {
+      cuePoints.push(
+        element(ID.CuePoint, [
+          uintElement(ID.CueTime, cluster.time),
+          element(ID.CueTrackPositions, [uintElement(ID.CueTrack, VIDEO_TRACK), uintElement(ID.CueClusterPosition, clusterPosition)]),
+        ]),
+      );
+    }
+    clusterPosition += cluster.bytes.length;
+  }
+  const cues = element(ID.Cues, cuePoints);
+
+  const seekHead = buildSeekHead([
+    [ID.Info, infoPosition],
+    [ID.Tracks, tracksPosition],
+    [ID.Cues, clusterPosition],
+  ]);
+
+  const segment = element(ID.Segment, [seekHead, info, tracks, ...clusters.map((cluster) => cluster.bytes), cues]);
+  return concat([header, segment]);
+}
+
+/**
+ * Build an "OpusHead" identification header for the A_OPUS CodecPrivate, for
+ * encoders that do not report one.
+ */
+export function buildOpusHead({ channelCount, sampleRate, preSkip = 0 }) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode("OpusHead"), 0);
+  head[8] = 1; // version
+  head[9] = channelCount;
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true); // output gain
+  head[18] = 0; // mapping family: mono/stereo
+  return head;
+}
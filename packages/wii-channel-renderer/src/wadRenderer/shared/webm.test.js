@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { buildOpusHead, buildWebM } from "./webm.js";
+
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length += 1;
+  }
+  let value = keepMarker ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return { value, length };
+}
+
+function readUint(bytes, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.end; i += 1) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+// Walk sibling elements in [start, end) and return [{id, start, dataStart, end}].
+function readElements(bytes, start = 0, end = bytes.length) {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length, false);
+    const dataStart = offset + id.length + size.length;
+    elements.push({ id: id.value, start: offset, dataStart, end: dataStart + size.value });
+    offset = dataStart + size.value;
+  }
+  return elements;
+}
+
+function chunk(timestamp, keyframe = false, size = 4) {
+  return { data: new Uint8Array(size).fill(timestamp & 0xff), timestamp, keyframe };
+}
+
+describe("buildWebM", () => {
+  const video = { codecId: "V_VP9", width: 16, height: 8, frameRate: 60 };
+
+  it("writes an EBML header and a segment with seek head, info, tracks, clusters and cues", () => {
+    const webm = buildWebM({
+      video,
+      videoChunks: [chunk(0, true), chunk(16_667), chunk(2_000_000, true)],
+      audio: { codecId: "A_OPUS", sampleRate: 48000, channelCount: 2, codecPrivate: buildOpusHead({ channelCount: 2, sampleRate: 32000 }) },
+      audioChunks: [chunk(0), chunk(20_000)],
+      durationMs: 2017,
+    });
+
+    const [header, segment] = readElements(webm);
+    expect(header.id).toBe(0x1a45dfa3);
+    expect(new TextDecoder().decode(webm.subarray(header.dataStart, header.end))).toContain("webm");
+    expect(segment.id).toBe(0x18538067);
+    expect(segment.end).toBe(webm.length);
+
+    const children = readElements(webm, segment.dataStart, segment.end);
+    expect(children.map((child) => child.id)).toEqual([
+      0x114d9b74, 0x1549a966, 0x1654ae6b, 0x1f43b675, 0x1f43b675, 0x1c53bb6b,
+    ]);
+
+    // Two tracks.
+    const tracks = children[2];
+    expect(readElements(webm, tracks.dataStart, tracks.end)).toHaveLength(2);
+
+    // First cluster: video key, audio, video delta, audio, interleaved by time.
+    const cluster = children[3];
+    const blocks = readElements(webm, cluster.dataStart, cluster.end).slice(1);
+    expect(blocks.map((block) => [webm[block.dataStart] & 0x7f, webm[block.dataStart + 3]])).toEqual([
+      [1, 0x80],
+      [2, 0x80],
+      [1, 0x00],
+      [2, 0x80],
+    ]);
+
+    // Cue positions point at the clusters, relative to the segment data.
+    const cueOffsets = readElements(webm, children[5].dataStart, children[5].end).map((cuePoint) => {
+      const [, positions] = readElements(webm, cuePoint.dataStart, cuePoint.end);
+      const [, clusterPosition] = readElements(webm, positions.dataStart, positions.end);
+      return readUint(webm, clusterPosition);
+    });
+    expect(cueOffsets).toEqual([children[3].start - segment.dataStart, children[4].start - segment.dataStart]);
+  });
+
+  it("omits the audio track without audio chunks and rejects empty video", () => {
+    const webm = buildWebM({ video, videoChunks: [chunk(0, true)], audio: { codecId: "A_OPUS" }, durationMs: 17 });
+    const [, segment] = readElements(webm);
+    const tracks = readElements(webm, segment.dataStart, segment.end)[2];
+    expect(readElements(webm, tracks.dataStart, tracks.end)).toHaveLength(1);
+
+    expect(() => buildWebM({ video, videoChunks: [], durationMs: 0 })).toThrow("at least one video chunk");
+  });
+});
@@ -0,0 +1,2 @@
+// Serializers that turn parsed structures back into Wii binary formats.
+export * from "./writers/index.js";
@@ -0,0 +1,126 @@
+import { parseU8 } from "../parsers/u8.js";
+import { NOOP_LOGGER, decodeLz77 } from "../shared/index.js";
+import { buildBRLAN } from "./brlan.js";
+import { buildBRLYT } from "./brlyt.js";
+import { IMD5_HEADER_SIZE } from "./imd5.js";
+import { encodeTPL } from "./tpl.js";
+import { buildU8 } from "./u8.js";
+
+const U8_MAGIC = 0x55aa382d;
+
+function readTag(bytes, offset = 0) {
+  return bytes.length >= offset + 4 ? String.fromCharCode(...bytes.subarray(offset, offset + 4)) : "";
+}
+
+// End of the last file in an uncompressed U8 archive, or -1 if it is not one.
+function getU8ContentEnd(bytes) {
+  if (bytes.length < 0x20) {
+    return -1;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0, false) !== U8_MAGIC) {
+    return -1;
+  }
+
+  const rootOffset = view.getUint32(4, false);
+  if (rootOffset + 12 > bytes.length) {
+    return -1;
+  }
+  const nodeCount = view.getUint32(rootOffset + 8, false);
+  let end = view.getUint32(0x0c, false);
+  for (let i = 1; i < nodeCount && rootOffset + (i + 1) * 12 <= bytes.length; i += 1) {
+    const node = rootOffset + i * 12;
+    if (view.getUint8(node) === 0) {
+      end = Math.max(end, view.getUint32(node + 4, false) + view.getUint32(node + 8, false));
+    }
+  }
+  return end;
+}
+
+// The LZ77 size field is little-endian in retail files and big-endian in some
+// homebrew ones. The wrong byte order either cuts the U8 short or claims a far
+// larger size, so keep the smallest output that still holds every file.
+function detectLz77SizeMode(bytes) {
+  let best = null;
+  for (const mode of ["le", "be"]) {
+    try {
+      const decoded = new Uint8Array(decodeLz77(bytes, mode));
+      const end = getU8ContentEnd(decoded);
+      if (end > 0 && decoded.length >= end && (!best || decoded.length < best.length)) {
+        best = { mode, length: decoded.length };
+      }
+    } catch {
+      // Try the other byte order.
+    }
+  }
+  return best?.mode ?? "le";
+}
+
+/**
+ * Describe how a banner.bin / icon.bin is wrapped around its U8 archive, as
+ * buildU8 options.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{ imd5: boolean, lz77: boolean, lz77SizeMode: "le"|"be" }}
+ */
+export function detectU8Wrapping(data) {
+  let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const imd5 = readTag(bytes) === "IMD5";
+  if (imd5) {
+    bytes = bytes.subarray(IMD5_HEADER_SIZE);
+  }
+  const lz77 = readTag(bytes) === "LZ77";
+  return { imd5, lz77, lz77SizeMode: lz77 ? detectLz77SizeMode(bytes) : "le" };
+}
+
+function findLayoutPath(files) {
+  const layouts = Object.keys(files).filter((path) => path.toLowerCase().endsWith(".brlyt"));
+  return layouts.find((path) => !path.toLowerCase().includes("common")) ?? layouts[0] ?? "arc/blyt/banner.brlyt";
+}
+
+function findTexturePath(files, name) {
+  const paths = Object.keys(files);
+  if (paths.includes(name)) {
+    return name;
+  }
+  const existing = paths.find((path) => path.split("/").pop() === name);
+  if (existing) {
+    return existing;
+  }
+  const textureDir = paths.find((path) => path.toLowerCase().endsWith(".tpl"))?.replace(/[^/]*$/, "") ?? "arc/timg/";
+  return `${textureDir}${name}`;
+}
+
+/**
+ * Rebuild a banner.bin / icon.bin with edited resources written over the
+ * originals. Files that are not replaced keep their bytes, and the result is
+ * wrapped (IMD5, LZ77) the same way as the input.
+ *
+ * @param {ArrayBuffer|Uint8Array} original - The banner.bin as stored in the meta archive
+ * @param {object} resources
+ * @param {object} [resources.layout] - Parsed layout, written with buildBRLYT
+ * @param {string} [resources.layoutPath] - Archive path of the layout (defaults to the main .brlyt)
+ * @param {Record<string, object>} [resources.animations] - Parsed animations by archive path, written with buildBRLAN
+ * @param {Record<string, Array<object>>} [resources.textures] - Decoded TPL images by texture name, written with
+ *   encodeTPL next to the existing textures (arc/timg)
+ * @returns {ArrayBuffer}
+ */
+export function repackBannerBin(original, resources = {}) {
+  const source = original instanceof Uint8Array
+    ? original.buffer.slice(original.byteOffset, original.byteOffset + original.byteLength)
+    : original;
+  const wrapping = detectU8Wrapping(source);
+  const files = parseU8(source, NOOP_LOGGER);
+
+  if (resources.layout) {
+    files[resources.layoutPath ?? findLayoutPath(files)] = buildBRLYT(resources.layout);
+  }
+  for (const [path, animation] of Object.entries(resources.animations ?? {})) {
+    files[path] = buildBRLAN(animation);
+  }
+  for (const [name, images] of Object.entries(resources.textures ?? {})) {
+    files[findTexturePath(files, name)] = encodeTPL(images);
+  }
+
+  return buildU8(files, wrapping);
+}
@@ -0,0 +1,562 @@
+import { align } from "../shared/index.js";
+
+// BNS encoder — the inverse of parseBNS.
+//
+// Layout (big-endian, as in banner sound.bin):
+//   header  "BNS " 0xfeff0100, file size, header size 0x20, 2 chunks, chunk table
+//   INFO    format 0 (DSP-ADPCM), loop flag, channel count, sample rate, loop start,
+//           sample count, channel info list -> { data offset, DSP info offset }
+//   DATA    each channel's ADPCM frames back to back
+// A DSP info block is 16 coefficients, gain, predictor/scale, hist1, hist2 and
+// the same three context values for the loop start.
+//
+// Coefficients are solved per channel the way Nintendo's DSPADPCM tool does:
+// per-frame second-order predictors, clustered into 8 pairs. Frames are encoded
+// by simulating the decoder, so history carries the exact decoded samples.
+
+const BNS_HEADER_SIZE = 0x20;
+const INFO_HEADER_SIZE = 0x18;
+const CHANNEL_INFO_SIZE = 0x0c;
+const DSP_INFO_SIZE = 0x30;
+const CHUNK_ALIGNMENT = 0x20;
+
+const SAMPLES_PER_FRAME = 14;
+const BYTES_PER_FRAME = 8;
+// The reference tool analyses the stream in blocks of this many samples.
+const CORRELATE_BLOCK_SAMPLES = 0x3800;
+
+function clampSample16(value) {
+  if (value > 32767) {
+    return 32767;
+  }
+  if (value < -32768) {
+    return -32768;
+  }
+  return value;
+}
+
+// --- Coefficient solve --------------------------------------------------------
+// Vectors are [1, a1, a2] and matrices 3x3 with row/column 0 unused, following
+// the reference implementation's 1-based indexing.
+
+function innerProductMerge(history, base) {
+  const out = [0, 0, 0];
+  for (let i = 0; i <= 2; i += 1) {
+    for (let x = 0; x < SAMPLES_PER_FRAME; x += 1) {
+      out[i] -= history[base + x - i] * history[base + x];
+    }
+  }
+  return out;
+}
+
+function outerProductMerge(history, base) {
+  const mtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let x = 1; x <= 2; x += 1) {
+    for (let y = 1; y <= 2; y += 1) {
+      for (let z = 0; z < SAMPLES_PER_FRAME; z += 1) {
+        mtx[x][y] += history[base + z - x] * history[base + z - y];
+      }
+    }
+  }
+  return mtx;
+}
+
+// LU-decompose `mtx` in place with partial pivoting. Returns the pivot indices,
+// or null when the system is singular or badly conditioned.
+function analyzeRanges(mtx) {
+  const recips = [0, 0, 0];
+  const pivots = [0, 0, 0];
+
+  for (let x = 1; x <= 2; x += 1) {
+    const value = Math.max(Math.abs(mtx[x][1]), Math.abs(mtx[x][2]));
+    if (value < Number.EPSILON) {
+      return null;
+    }
+    recips[x] = 1 / value;
+  }
+
+  let maxIndex = 0;
+  for (let i = 1; i <= 2; i += 1) {
+    for (let x = 1; x < i; x += 1) {
+      let tmp = mtx[x][i];
+      for (let y = 1; y < x; y += 1) {
+        tmp -= mtx[x][y] * mtx[y][i];
+      }
+      mtx[x][i] = tmp;
+    }
+
+    let best = 0;
+    for (let x = i; x <= 2; x += 1) {
+      let tmp = mtx[x][i];
+      for (let y = 1; y < i; y += 1) {
+        tmp -= mtx[x][y] * mtx[y][i];
+      }
+      mtx[x][i] = tmp;
+      tmp = Math.abs(tmp) * recips[x];
+      if (tmp >= best) {
+        best = tmp;
+        maxIndex = x;
+      }
+    }
+
+    if (maxIndex !== i) {
+      [mtx[maxIndex], mtx[i]] = [mtx[i], mtx[maxIndex]];
+      recips[maxIndex] = recips[i];
+    }
+    pivots[i] = maxIndex;
+
+    if (mtx[i][i] === 0) {
+      return null;
+    }
+    if (i !== 2) {
+      const tmp = 1 / mtx[i][i];
+      for (let x = i + 1; x <= 2; x += 1) {
+        mtx[x][i] *= tmp;
+      }
+    }
+  }
+
+  let min = 1e10;
+  let max = 0;
+  for (let i = 1; i <= 2; i += 1) {
+    const tmp = Math.abs(mtx[i][i]);
+    min = Math.min(min, tmp);
+    max = Math.max(max, tmp);
+  }
+  return min / max < 1e-10 ? null : pivots;
+}
+
+// Solve the decomposed system for `vec` in place.
+function bidirectionalFilter(mtx, pivots, vec) {
+  for (let i = 1, x = 0; i <= 2; i += 1) {
+    const index = pivots[i];
+    let tmp = vec[index];
+    vec[index] = vec[i];
+    if (x !== 0) {
+      for (let y = x; y <= i - 1; y += 1) {
+        tmp -= vec[y] * mtx[i][y];
+      }
+    } else if (tmp !== 0) {
+      x = i;
+    }
+    vec[i] = tmp;
+  }
+
+  for (let i = 2; i > 0; i -= 1) {
+    let tmp = vec[i];
+    for (let y = i + 1; y <= 2; y += 1) {
+      tmp -= vec[y] * mtx[i][y];
+    }
+    vec[i] = tmp / mtx[i][i];
+  }
+  vec[0] = 1;
+}
+
+// Convert predictor coefficients to reflection form in place. Returns false when
+// the predictor is unstable.
+function quadraticMerge(vec) {
+  const v2 = vec[2];
+  const tmp = 1 - v2 * v2;
+  if (tmp === 0) {
+    return false;
+  }
+  const v0 = (vec[0] - v2 * v2) / tmp;
+  const v1 = (vec[1] - vec[1] * v2) / tmp;
+  vec[0] = v0;
+  vec[1] = v1;
+  return Math.abs(v1) <= 1;
+}
+
+function finishRecord(input) {
+  for (let z = 1; z <= 2; z += 1) {
+    if (input[z] >= 1) {
+      input[z] = 0.9999999999;
+    } else if (input[z] <= -1) {
+      input[z] = -0.9999999999;
+    }
+  }
+  return [1, input[2] * input[1] + input[1], input[2]];
+}
+
+// Autocorrelation of the predictor described by reflection record `src`.
+function matrixFilter(src) {
+  const mtx = [[0, 0, 0], [0, 0, 0], [1, -src[1], -src[2]]];
+  for (let i = 2; i > 0; i -= 1) {
+    const value = 1 - mtx[i][i] * mtx[i][i];
+    for (let y = 1; y <= i; y += 1) {
+      mtx[i - 1][y] = (mtx[i][i] * mtx[i][i - y] + mtx[i][y]) / value;
+    }
+  }
+
+  const dst = [1, 0, 0];
+  for (let i = 1; i <= 2; i += 1) {
+    for (let y = 1; y <= i; y += 1) {
+      dst[i] += mtx[i][y] * dst[i - y];
+    }
+  }
+  return dst;
+}
+
+// Levinson-Durbin on an averaged autocorrelation, back to a reflection record.
+function mergeFinishRecord(src) {
+  const dst = [1, 0, 0];
+  const tmp = [0, 0, 0];
+  let value = src[0];
+  for (let i = 1; i <= 2; i += 1) {
+    let sum = 0;
+    for (let y = 1; y < i; y += 1) {
+      sum += dst[y] * src[i - y];
+    }
+    dst[i] = value > 0 ? -(sum + src[i]) / value : 0;
+    tmp[i] = dst[i];
+    for (let y = 1; y < i; y += 1) {
+      dst[y] += dst[i] * dst[i - y];
+    }
+    value *= 1 - dst[i] * dst[i];
+  }
+  return finishRecord(tmp);
+}
+
+// Prediction error of applying predictor `best` to a frame described by `record`.
+function contrastVectors(best, record) {
+  const value = (record[2] * record[1] - record[1]) / (1 - record[2] * record[2]);
+  const value1 = best[0] * best[0] + best[1] * best[1] + best[2] * best[2];
+  const value2 = best[0] * best[1] + best[1] * best[2];
+  const value3 = best[0] * best[2];
+  return value1 + 2 * value * value2 + 2 * (-record[1] * value - record[2]) * value3;
+}
+
+// Two rounds of k-means: assign each record to its closest predictor, then
+// replace every predictor with its cluster's average.
+function filterRecords(best, count, records) {
+  for (let round = 0; round < 2; round += 1) {
+    const sums = Array.from({ length: count }, () => [0, 0, 0]);
+    const members = new Array(count).fill(0);
+
+    for (const record of records) {
+      let index = 0;
+      let min = 1e30;
+      for (let i = 0; i < count; i += 1) {
+        const error = contrastVectors(best[i], record);
+        if (error < min) {
+          min = error;
+          index = i;
+        }
+      }
+      members[index] += 1;
+      const correlation = matrixFilter(record);
+      for (let i = 0; i <= 2; i += 1) {
+        sums[index][i] += correlation[i];
+      }
+    }
+
+    for (let i = 0; i < count; i += 1) {
+      if (members[i] > 0) {
+        for (let y = 0; y <= 2; y += 1) {
+          sums[i][y] /= members[i];
+        }
+      }
+      best[i] = mergeFinishRecord(sums[i]);
+    }
+  }
+}
+
+function toCoefficient(value) {
+  // Round half away from zero, like lround().
+  const scaled = -value * 2048;
+  return clampSample16(Math.sign(scaled) * Math.round(Math.abs(scaled)));
+}
+
+/**
+ * Solve the 8 DSP-ADPCM predictor pairs for one channel.
+ *
+ * @param {Int16Array} samples
+ * @returns {Int16Array} 16 coefficients, as stored in the DSP info block
+ */
+export function computeDspCoefficients(samples) {
+  // Samples [0, 14) hold the previous frame so products can reach back two samples.
+  const history = new Float64Array(SAMPLES_PER_FRAME * 2);
+  const records = [];
+
+  for (let blockStart = 0; blockStart < samples.length; blockStart += CORRELATE_BLOCK_SAMPLES) {
+    const blockEnd = Math.min(samples.length, blockStart + CORRELATE_BLOCK_SAMPLES);
+    for (let i = blockStart; i < blockEnd; i += SAMPLES_PER_FRAME) {
+      history.copyWithin(0, SAMPLES_PER_FRAME);
+      for (let z = 0; z < SAMPLES_PER_FRAME; z += 1) {
+        history[SAMPLES_PER_FRAME + z] = i + z < blockEnd ? samples[i + z] : 0;
+      }
+
+      const vec = innerProductMerge(history, SAMPLES_PER_FRAME);
+      if (Math.abs(vec[0]) <= 10) {
+        continue;
+      }
+      const mtx = outerProductMerge(history, SAMPLES_PER_FRAME);
+      const pivots = analyzeRanges(mtx);
+      if (!pivots) {
+        continue;
+      }
+      bidirectionalFilter(mtx, pivots, vec);
+      if (quadraticMerge(vec)) {
+        records.push(finishRecord(vec));
+      }
+    }
+  }
+
+  const coefficients = new Int16Array(16);
+  if (records.length === 0) {
+    // Silence: every pair is zero and frames carry the signal in their nibbles.
+    return coefficients;
+  }
+
+  const average = [1, 0, 0];
+  for (const record of records) {
+    const correlation = matrixFilter(record);
+    average[1] += correlation[1];
+    average[2] += correlation[2];
+  }
+  average[1] /= records.length;
+  average[2] /= records.length;
+
+  // Split 1 -> 2 -> 4 -> 8 predictors, refining the clusters after each split.
+  const best = [mergeFinishRecord(average)];
+  for (let count = 1; count < 8; count *= 2) {
+    for (let i = 0; i < count; i += 1) {
+      best[count + i] = [best[i][0], best[i][1] - 0.01, best[i][2]];
+    }
+    filterRecords(best, count * 2, records);
+  }
+
+  for (let i = 0; i < 8; i += 1) {
+    coefficients[i * 2] = toCoefficient(best[i][1]);
+    coefficients[i * 2 + 1] = toCoefficient(best[i][2]);
+  }
+  return coefficients;
+}
+
+// --- Frame encoding -----------------------------------------------------------
+
+function roundAwayFromHalf(value) {
+  return Math.trunc(value > 0 ? value + 0.4999999 : value - 0.4999999);
+}
+
+// Try one predictor pair on a frame. `block` is [hist2, hist1, ...samples].
+function encodeFrameWithPair(block, count, coef1, coef2) {
+  const decoded = new Int32Array(SAMPLES_PER_FRAME + 2);
+  const nibbles = new Int8Array(SAMPLES_PER_FRAME);
+  decoded[0] = block[0];
+  decoded[1] = block[1];
+
+  // Starting scale from the largest prediction error against the source.
+  let distance = 0;
+  for (let s = 0; s < count; s += 1) {
+    const predicted = Math.trunc((block[s] * coef2 + block[s + 1] * coef1) / 2048);
+    const error = clampSample16(block[s + 2] - predicted);
+    if (Math.abs(error) > Math.abs(distance)) {
+      distance = error;
+    }
+  }
+  let scale = 0;
+  while (scale <= 12 && (distance > 7 || distance < -8)) {
+    scale += 1;
+    distance = Math.trunc(distance / 2);
+  }
+  scale = scale <= 1 ? -1 : scale - 2;
+
+  let errorSum;
+  let overflow;
+  do {
+    scale += 1;
+    errorSum = 0;
+    overflow = 0;
+    for (let s = 0; s < count; s += 1) {
+      const prediction = decoded[s] * coef2 + decoded[s + 1] * coef1;
+      const residual = Math.trunc((block[s + 2] * 2048 - prediction) / 2048);
+      let nibble = roundAwayFromHalf(residual / 2 ** scale);
+      if (nibble < -8) {
+        overflow = Math.max(overflow, -8 - nibble);
+        nibble = -8;
+      } else if (nibble > 7) {
+        overflow = Math.max(overflow, nibble - 7);
+        nibble = 7;
+      }
+      nibbles[s] = nibble;
+      // Exactly what parseBNS computes for this nibble.
+      decoded[s + 2] = clampSample16(nibble * 2 ** scale + ((1024 + prediction) >> 11));
+      const error = block[s + 2] - decoded[s + 2];
+      errorSum += error * error;
+    }
+    for (let x = overflow + 8; x > 256; x >>= 1) {
+      scale += 1;
+      if (scale >= 12) {
+        scale = 11;
+      }
+    }
+  } while (scale < 12 && overflow > 1);
+
+  return { scale, nibbles, decoded, errorSum };
+}
+
+function encodeFrame(block, count, coefficients, out, offset) {
+  let best = null;
+  let bestIndex = 0;
+  for (let i = 0; i < 8; i += 1) {
+    const candidate = encodeFrameWithPair(block, count, coefficients[i * 2], coefficients[i * 2 + 1]);
+    if (!best || candidate.errorSum < best.errorSum) {
+      best = candidate;
+      bestIndex = i;
+    }
+  }
+
+  out[offset] = (bestIndex << 4) | (best.scale & 0x0f);
+  for (let y = 0; y < 7; y += 1) {
+    out[offset + 1 + y] = ((best.nibbles[y * 2] & 0x0f) << 4) | (best.nibbles[y * 2 + 1] & 0x0f);
+  }
+  for (let s = 0; s < count; s += 1) {
+    block[s + 2] = best.decoded[s + 2];
+  }
+}
+
+/**
+ * DSP-ADPCM encode one channel, starting from zero history.
+ *
+ * @param {Int16Array} samples
+ * @param {Int16Array} coefficients - From computeDspCoefficients
+ * @returns {{data: Uint8Array, decoded: Int16Array}} Frames, and the samples the decoder will produce
+ */
+export function encodeDspAdpcmChannel(samples, coefficients) {
+  const frameCount = Math.ceil(samples.length / SAMPLES_PER_FRAME);
+  const data = new Uint8Array(frameCount * BYTES_PER_FRAME);
+  const decoded = new Int16Array(samples.length);
+  const block = new Int32Array(SAMPLES_PER_FRAME + 2);
+
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    const start = frame * SAMPLES_PER_FRAME;
+    const count = Math.min(SAMPLES_PER_FRAME, samples.length - start);
+    block.fill(0, 2);
+    for (let s = 0; s < count; s += 1) {
+      block[s + 2] = samples[start + s];
+    }
+
+    encodeFrame(block, count, coefficients, data, frame * BYTES_PER_FRAME);
+
+    for (let s = 0; s < count; s += 1) {
+      decoded[start + s] = block[s + 2];
+    }
+    // Carry the last two decoded samples as history.
+    block[0] = block[count];
+    block[1] = block[count + 1];
+  }
+
+  return { data, decoded };
+}
+
+function normalizeChannels(pcm) {
+  const channels = ArrayBuffer.isView(pcm) ? [pcm] : Array.from(pcm ?? []);
+  if (channels.length < 1 || channels.length > 8) {
+    throw new Error(`BNS needs 1-8 channels (got ${channels.length})`);
+  }
+  const sampleCount = channels[0].length;
+  for (const channel of channels) {
+    if (!(channel instanceof Int16Array)) {
+      throw new Error("BNS channel data must be Int16Array");
+    }
+    if (channel.length !== sampleCount) {
+      throw new Error("BNS channels must have the same sample count");
+    }
+  }
+  if (sampleCount === 0) {
+    throw new Error("BNS needs at least one sample");
+  }
+  return { channels, sampleCount };
+}
+
+function writeAscii(out, offset, text) {
+  for (let i = 0; i < text.length; i += 1) {
+    out[offset + i] = text.charCodeAt(i);
+  }
+}
+
+/**
+ * Encode 16-bit PCM into a BNS stream that parseBNS reads back.
+ *
+ * @param {Int16Array|Int16Array[]} pcm - One Int16Array per channel (1-8), equal lengths
+ * @param {object} options
+ * @param {number} options.sampleRate - 1-65535 Hz (BNS stores it as u16; banners use 32000)
+ * @param {number} [options.loopStart=0] - First sample of the loop
+ * @param {boolean} [options.loop=false]
+ * @returns {ArrayBuffer}
+ */
+export function encodeBNS(pcm, { sampleRate, loopStart = 0, loop = false } = {}) {
+  const { channels, sampleCount } = normalizeChannels(pcm);
+  if (!Number.isInteger(sampleRate) || sampleRate < 1 || sampleRate > 0xffff) {
+    throw new Error(`Invalid BNS sample rate ${sampleRate}`);
+  }
+  if (!Number.isInteger(loopStart) || loopStart < 0 || loopStart >= sampleCount) {
+    throw new Error(`BNS loop start ${loopStart} outside 0-${sampleCount - 1}`);
+  }
+
+  const channelCount = channels.length;
+  const bytesPerChannel = Math.ceil(sampleCount / SAMPLES_PER_FRAME) * BYTES_PER_FRAME;
+  const channelListOffset = INFO_HEADER_SIZE;
+  const channelInfoOffset = channelListOffset + channelCount * 4;
+  const dspInfoOffset = channelInfoOffset + channelCount * CHANNEL_INFO_SIZE;
+  const infoChunkSize = align(8 + dspInfoOffset + channelCount * DSP_INFO_SIZE, CHUNK_ALIGNMENT);
+  const dataChunkOffset = BNS_HEADER_SIZE + infoChunkSize;
+  const dataChunkSize = align(8 + bytesPerChannel * channelCount, CHUNK_ALIGNMENT);
+  const fileSize = dataChunkOffset + dataChunkSize;
+
+  const out = new Uint8Array(fileSize);
+  const view = new DataView(out.buffer);
+
+  writeAscii(out, 0x00, "BNS ");
+  view.setUint32(0x04, 0xfeff0100, false);
+  view.setUint32(0x08, fileSize, false);
+  view.setUint16(0x0c, BNS_HEADER_SIZE, false);
+  view.setUint16(0x0e, 2, false);
+  view.setUint32(0x10, BNS_HEADER_SIZE, false);
+  view.setUint32(0x14, infoChunkSize, false);
+  view.setUint32(0x18, dataChunkOffset, false);
+  view.setUint32(0x1c, dataChunkSize, false);
+
+  const info = BNS_HEADER_SIZE + 8;
+  writeAscii(out, BNS_HEADER_SIZE, "INFO");
+  view.setUint32(BNS_HEADER_SIZE + 4, infoChunkSize, false);
+  view.setUint8(info + 0x00, 0);
+  view.setUint8(info + 0x01, loop ? 1 : 0);
+  view.setUint8(info + 0x02, channelCount);
+  view.setUint16(info + 0x04, sampleRate, false);
+  view.setUint32(info + 0x08, loopStart, false);
+  view.setUint32(info + 0x0c, sampleCount, false);
+  view.setUint32(info + 0x10, channelListOffset, false);
+
+  const data = dataChunkOffset + 8;
+  writeAscii(out, dataChunkOffset, "DATA");
+  view.setUint32(dataChunkOffset + 4, dataChunkSize, false);
+
+  channels.forEach((samples, channelIndex) => {
+    const coefficients = computeDspCoefficients(samples);
+    const encoded = encodeDspAdpcmChannel(samples, coefficients);
+    const frames = encoded.data;
+    const channelData = channelIndex * bytesPerChannel;
+    out.set(frames, data + channelData);
+
+    const entry = channelInfoOffset + channelIndex * CHANNEL_INFO_SIZE;
+    const dsp = dspInfoOffset + channelIndex * DSP_INFO_SIZE;
+    view.setUint32(info + channelListOffset + channelIndex * 4, entry, false);
+    view.setUint32(info + entry + 0x00, channelData, false);
+    view.setUint32(info + entry + 0x04, dsp, false);
+
+    for (let i = 0; i < 16; i += 1) {
+      view.setInt16(info + dsp + i * 2, coefficients[i], false);
+    }
+    // Gain 0; initial predictor/scale from the first frame, zero history.
+    view.setUint16(info + dsp + 0x22, frames[0], false);
+    // Loop context: the loop frame's header and the two samples decoded before it.
+    const loopFrame = Math.floor(loopStart / SAMPLES_PER_FRAME);
+    view.setUint16(info + dsp + 0x28, frames[loopFrame * BYTES_PER_FRAME], false);
+    view.setInt16(info + dsp + 0x2a, loopStart >= 1 ? encoded.decoded[loopStart - 1] : 0, false);
+    view.setInt16(info + dsp + 0x2c, loopStart >= 2 ? encoded.decoded[loopStart - 2] : 0, false);
+  });
+
+  return out.buffer;
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import { parseBNS } from "../parsers/bns.js";
+import { computeDspCoefficients, encodeBNS, encodeDspAdpcmChannel } from "./bns.js";
+
+function tone(sampleCount, sampleRate, frequencies, amplitude = 12000) {
+  const samples = new Int16Array(sampleCount);
+  for (let i = 0; i < sampleCount; i += 1) {
+    let value = 0;
+    for (const frequency of frequencies) {
+      value += Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+    samples[i] = Math.round((value / frequencies.length) * amplitude);
+  }
+  return samples;
+}
+
+function signalToNoiseDb(reference, decoded) {
+  let signal = 0;
+  let noise = 0;
+  for (let i = 0; i < reference.length; i += 1) {
+    signal += reference[i] * reference[i];
+    noise += (reference[i] - decoded[i]) ** 2;
+  }
+  return 10 * Math.log10(signal / Math.max(1, noise));
+}
+
+describe("encodeBNS", () => {
+  it("round-trips through parseBNS with the stream metadata", () => {
+    const left = tone(32000, 32000, [440, 660]);
+    const right = tone(32000, 32000, [220, 1250], 8000);
+    const bns = encodeBNS([left, right], { sampleRate: 32000, loopStart: 7000, loop: true });
+    const parsed = parseBNS(bns);
+
+    expect(parsed).toMatchObject({
+      channelCount: 2,
+      sampleRate: 32000,
+      sampleCount: 32000,
+      loopFlag: true,
+      loopStart: 7000,
+      durationSeconds: 1,
+    });
+    expect(parsed.pcm16).toHaveLength(2);
+    expect(signalToNoiseDb(left, parsed.pcm16[0])).toBeGreaterThan(30);
+    expect(signalToNoiseDb(right, parsed.pcm16[1])).toBeGreaterThan(30);
+  });
+
+  it("decodes to exactly the samples the encoder tracked as history", () => {
+    const samples = tone(1000, 32000, [300, 2900]);
+    const coefficients = computeDspCoefficients(samples);
+    const { decoded } = encodeDspAdpcmChannel(samples, coefficients);
+    const parsed = parseBNS(encodeBNS(samples, { sampleRate: 32000 }));
+
+    expect(parsed.channelCount).toBe(1);
+    expect(parsed.loopFlag).toBe(false);
+    expect(Array.from(parsed.pcm16[0])).toEqual(Array.from(decoded));
+  });
+
+  it("writes the loop context and aligned chunks", () => {
+    const samples = tone(500, 32000, [500]);
+    const buffer = encodeBNS(samples, { sampleRate: 32000, loopStart: 100, loop: true });
+    const view = new DataView(buffer);
+    const infoSize = view.getUint32(0x14, false);
+    const dataOffset = view.getUint32(0x18, false);
+    const info = 0x28;
+    const channelInfo = info + view.getUint32(info + view.getUint32(info + 0x10, false), false);
+    const dsp = info + view.getUint32(channelInfo + 0x04, false);
+    const decoded = parseBNS(buffer).pcm16[0];
+
+    expect(view.getUint32(0x08, false)).toBe(buffer.byteLength);
+    expect(infoSize % 0x20).toBe(0);
+    expect(dataOffset).toBe(0x20 + infoSize);
+    expect(buffer.byteLength % 0x20).toBe(0);
+    // Loop predictor/scale is the header of the frame holding sample 100 (frame 7).
+    expect(view.getUint16(dsp + 0x28, false)).toBe(view.getUint8(dataOffset + 8 + 7 * 8));
+    expect(view.getInt16(dsp + 0x2a, false)).toBe(decoded[99]);
+    expect(view.getInt16(dsp + 0x2c, false)).toBe(decoded[98]);
+  });
+
+  it("encodes silence and partial final frames", () => {
+    const parsed = parseBNS(encodeBNS(new Int16Array(20), { sampleRate: 32000 }));
+    expect(Array.from(parsed.pcm16[0])).toEqual(new Array(20).fill(0));
+  });
+
+  it("rejects input BNS cannot store", () => {
+    const samples = new Int16Array(28);
+    expect(() => encodeBNS(samples, { sampleRate: 96000 })).toThrow(/sample rate/);
+    expect(() => encodeBNS([samples, new Int16Array(14)], { sampleRate: 32000 })).toThrow(/same sample count/);
+    expect(() => encodeBNS(samples, { sampleRate: 32000, loopStart: 28 })).toThrow(/loop start/);
+    expect(() => encodeBNS([], { sampleRate: 32000 })).toThrow(/1-8 channels/);
+  });
+});
@@ -0,0 +1,140 @@
+import { BinaryWriter } from "../shared/index.js";
+
+// BRLAN writer — the inverse of parseBRLAN.
+//
+//   header  "RLAN" 0xfeff 0x0008, file size, header size 0x10, 1 section
+//   pai1    frame size, flags, timg count, pane count, pane table offset,
+//           timg name table, pane table, then per pane:
+//             name[20], tag count, is-material flag, tag offsets
+//               -> tag: type, entry count, entry offsets
+//               -> entry: target group, type, data type, key count, key offset, keys
+// Every offset is relative to the structure that owns the table (section, pane,
+// tag, entry), as the parser reads them.
+
+const RLAN_HEADER_SIZE = 0x10;
+const RLAN_VERSION = 0x0008;
+export const PANE_NAME_LENGTH = 20;
+const ENTRY_HEADER_SIZE = 0x0c;
+
+const DATA_TYPE_BY_INTERPOLATION = { step: 1, hermite: 2 };
+
+function resolveDataType(entry) {
+  if (Number.isInteger(entry.dataType)) {
+    return entry.dataType;
+  }
+  return DATA_TYPE_BY_INTERPOLATION[entry.interpolation] ?? 2;
+}
+
+function writeEntry(writer, entry) {
+  const entryStart = writer.offset;
+  const dataType = resolveDataType(entry);
+  const keyframes = entry.keyframes ?? [];
+
+  writer.u8(entry.targetGroup ?? 0);
+  writer.u8(entry.type ?? 0);
+  writer.u8(dataType);
+  writer.zeros(1);
+  writer.u16(keyframes.length);
+  writer.zeros(2);
+  writer.u32(ENTRY_HEADER_SIZE);
+
+  for (const keyframe of keyframes) {
+    writer.f32(keyframe.frame);
+    if (dataType === 1) {
+      // Integer keys (RLVI visibility, RLTP texture indices): u16 value + padding.
+      writer.u16(Math.max(0, Math.min(0xffff, Math.round(keyframe.value))));
+      writer.zeros(2);
+    } else if (dataType === 2) {
+      writer.f32(keyframe.value);
+      writer.f32(keyframe.blend ?? 0);
+    } else {
+      writer.f32(keyframe.value);
+    }
+  }
+
+  return entryStart;
+}
+
+function writeOffsetTable(writer, count) {
+  const tableStart = writer.offset;
+  writer.zeros(count * 4);
+  return tableStart;
+}
+
+function writeTag(writer, tag) {
+  const tagStart = writer.offset;
+  const entries = tag.entries ?? [];
+  writer.string(tag.type, 4);
+  writer.u8(entries.length);
+  writer.zeros(3);
+  const table = writeOffsetTable(writer, entries.length);
+
+  entries.forEach((entry, index) => {
+    const entryStart = writeEntry(writer, entry);
+    writer.setU32At(table + index * 4, entryStart - tagStart);
+  });
+}
+
+function writePane(writer, pane) {
+  const paneStart = writer.offset;
+  const tags = pane.tags ?? [];
+  writer.string(pane.name, PANE_NAME_LENGTH);
+  writer.u8(tags.length);
+  writer.u8(pane.isMaterial ? 1 : 0);
+  writer.zeros(2);
+  const table = writeOffsetTable(writer, tags.length);
+
+  tags.forEach((tag, index) => {
+    writer.setU32At(table + index * 4, writer.offset - paneStart);
+    writeTag(writer, tag);
+  });
+}
+
+/**
+ * Serialize an animation (the shape parseBRLAN returns) into a BRLAN file.
+ *
+ * @param {{frameSize: number, flags?: number, timgNames?: string[], panes: Array<{name: string,
+ *   isMaterial?: boolean, tags: Array<{type: string, entries: Array<object>}>}>}} animation
+ * @returns {ArrayBuffer}
+ */
+export function buildBRLAN(animation) {
+  const panes = animation?.panes ?? [];
+  const timgNames = animation?.timgNames ?? [];
+  const writer = new BinaryWriter(1024);
+
+  writer.string("RLAN", 4);
+  writer.u16(0xfeff);
+  writer.u16(RLAN_VERSION);
+  writer.zeros(4); // file size
+  writer.u16(RLAN_HEADER_SIZE);
+  writer.u16(1);
+
+  const sectionStart = writer.offset;
+  writer.string("pai1", 4);
+  writer.zeros(4); // section size
+  writer.u16(animation?.frameSize ?? 0);
+  writer.u8(animation?.flags ?? 0);
+  writer.zeros(1);
+  writer.u16(timgNames.length);
+  writer.u16(panes.length);
+  writer.zeros(4); // pane table offset
+
+  const timgTable = writeOffsetTable(writer, timgNames.length);
+  timgNames.forEach((name, index) => {
+    writer.setU32At(timgTable + index * 4, writer.offset - timgTable);
+    writer.nullString(name);
+  });
+  writer.padTo(4);
+
+  writer.setU32At(sectionStart + 0x10, writer.offset - sectionStart);
+  const paneTable = writeOffsetTable(writer, panes.length);
+  panes.forEach((pane, index) => {
+    writer.setU32At(paneTable + index * 4, writer.offset - sectionStart);
+    writePane(writer, pane);
+  });
+  writer.padTo(4);
+
+  writer.setU32At(sectionStart + 4, writer.offset - sectionStart);
+  writer.setU32At(0x08, writer.offset);
+  return writer.toArrayBuffer();
+}
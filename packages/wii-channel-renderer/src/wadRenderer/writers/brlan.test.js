@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { parseBRLAN } from "../parsers/brlan.js";
+import { buildBRLAN } from "./brlan.js";
+
+function entry(type, dataType, keyframes, targetGroup = 0) {
+  return { targetGroup, type, dataType, keyframes };
+}
+
+const animation = {
+  frameSize: 120,
+  flags: 1,
+  timgNames: ["logo_a.tpl", "logo_b.tpl", "c.tpl"],
+  panes: [
+    {
+      name: "N_Root",
+      isMaterial: false,
+      tags: [
+        {
+          type: "RLPA",
+          entries: [
+            entry(0x00, 2, [{ frame: 0, value: -40, blend: 0 }, { frame: 60, value: 40, blend: 1.5 }, { frame: 120, value: -40, blend: 0 }]),
+            entry(0x0a, 2, [{ frame: 10, value: 0, blend: 0.25 }]),
+          ],
+        },
+        { type: "RLVI", entries: [entry(0x00, 1, [{ frame: 0, value: 1, blend: 0 }, { frame: 30, value: 0, blend: 0 }])] },
+      ],
+    },
+    {
+      name: "P_LongPaneName_0123",
+      isMaterial: true,
+      tags: [
+        { type: "RLTP", entries: [entry(0x00, 1, [{ frame: 0, value: 0, blend: 0 }, { frame: 15, value: 2, blend: 0 }])] },
+        { type: "RLTS", entries: [entry(0x01, 2, [{ frame: 5, value: 0.5, blend: -0.125 }], 1)] },
+        { type: "RLMC", entries: [entry(0x03, 2, [{ frame: 0, value: 255, blend: 0 }, { frame: 50, value: 0, blend: 0 }])] },
+        { type: "RLVC", entries: [entry(0x10, 2, [{ frame: 8, value: 128, blend: 0 }])] },
+      ],
+    },
+  ],
+};
+
+function comparable(parsed) {
+  return {
+    frameSize: parsed.frameSize,
+    flags: parsed.flags,
+    timgNames: parsed.timgNames,
+    panes: parsed.panes.map((pane) => ({
+      name: pane.name,
+      isMaterial: pane.isMaterial,
+      tags: pane.tags.map((tag) => ({
+        type: tag.type,
+        entries: tag.entries.map(({ targetGroup, type, dataType, keyframes }) => ({ targetGroup, type, dataType, keyframes })),
+      })),
+    })),
+  };
+}
+
+describe("buildBRLAN", () => {
+  it("round-trips every tag, timg names, hermite slopes and step keys", () => {
+    const parsed = parseBRLAN(buildBRLAN(animation));
+
+    expect(comparable(parsed)).toEqual(animation);
+    expect(parsed.panes[0].tags[0].entries[0].interpolation).toBe("hermite");
+    expect(parsed.panes[0].tags[1].entries[0].interpolation).toBe("step");
+  });
+
+  it("is stable through a second parse/build cycle", () => {
+    const first = buildBRLAN(animation);
+    const second = buildBRLAN(parseBRLAN(first));
+    expect(new Uint8Array(second)).toEqual(new Uint8Array(first));
+  });
+
+  it("writes a well-formed header", () => {
+    const buffer = buildBRLAN(animation);
+    const view = new DataView(buffer);
+
+    expect(String.fromCharCode(...new Uint8Array(buffer, 0, 4))).toBe("RLAN");
+    expect(view.getUint16(0x04, false)).toBe(0xfeff);
+    expect(view.getUint32(0x08, false)).toBe(buffer.byteLength);
+    expect(view.getUint32(0x14, false)).toBe(buffer.byteLength - 0x10);
+    expect(buffer.byteLength % 4).toBe(0);
+  });
+
+  it("writes an empty animation", () => {
+    const parsed = parseBRLAN(buildBRLAN({ frameSize: 30, panes: [] }));
+    expect(comparable(parsed)).toEqual({ frameSize: 30, flags: 0, timgNames: [], panes: [] });
+  });
+});
@@ -0,0 +1,168 @@
+import { ANIM_TYPES } from "../parsers/constants.js";
+import { PANE_NAME_LENGTH, buildBRLAN } from "./brlan.js";
+
+// BRLAN authoring API on top of buildBRLAN: tracks are collected in the shape
+// parseBRLAN returns and serialized on build().
+
+// Named tracks for addTrack. Anything else can be passed as { tag, type, targetGroup? }.
+export const BRLAN_TRACK_TYPES = {
+  translateX: { tag: "RLPA", type: 0x00 },
+  translateY: { tag: "RLPA", type: 0x01 },
+  translateZ: { tag: "RLPA", type: 0x02 },
+  rotateX: { tag: "RLPA", type: 0x03 },
+  rotateY: { tag: "RLPA", type: 0x04 },
+  rotateZ: { tag: "RLPA", type: 0x05 },
+  scaleX: { tag: "RLPA", type: 0x06 },
+  scaleY: { tag: "RLPA", type: 0x07 },
+  width: { tag: "RLPA", type: 0x08 },
+  height: { tag: "RLPA", type: 0x09 },
+  textureTranslateS: { tag: "RLTS", type: 0x00 },
+  textureTranslateT: { tag: "RLTS", type: 0x01 },
+  textureRotate: { tag: "RLTS", type: 0x02 },
+  textureScaleS: { tag: "RLTS", type: 0x03 },
+  textureScaleT: { tag: "RLTS", type: 0x04 },
+  alpha: { tag: "RLVC", type: 0x10 },
+  materialR: { tag: "RLMC", type: 0x00 },
+  materialG: { tag: "RLMC", type: 0x01 },
+  materialB: { tag: "RLMC", type: 0x02 },
+  materialA: { tag: "RLMC", type: 0x03 },
+  texturePattern: { tag: "RLTP", type: 0x00 },
+  visible: { tag: "RLVI", type: 0x00 },
+};
+
+const TAG_ORDER = ["RLPA", "RLTS", "RLVI", "RLVC", "RLMC", "RLTP"];
+
+// RLVI and RLTP are integer step tracks; everything else is hermite.
+const STEP_TAGS = new Set(["RLVI", "RLTP"]);
+// Material tracks live in entries flagged as materials, apart from pane tracks
+// even when a pane and a material share a name.
+const MATERIAL_TAGS = new Set(["RLMC", "RLTS", "RLTP"]);
+
+function resolveTrackType(type) {
+  const resolved = typeof type === "string" ? BRLAN_TRACK_TYPES[type] : type;
+  if (!resolved || !TAG_ORDER.includes(resolved.tag) || !Number.isInteger(resolved.type)) {
+    throw new Error(`Unknown BRLAN track type: ${typeof type === "string" ? type : JSON.stringify(type)}`);
+  }
+  return resolved;
+}
+
+function normalizeKeyframe(keyframe) {
+  const [frame, value, blend = 0] = Array.isArray(keyframe)
+    ? keyframe
+    : [keyframe?.frame, keyframe?.value, keyframe?.blend];
+  if (!Number.isFinite(frame) || (!Number.isFinite(value) && typeof value !== "string")) {
+    throw new Error(`Invalid keyframe: ${JSON.stringify(keyframe)}`);
+  }
+  return { frame, value, blend: Number.isFinite(blend) ? blend : 0 };
+}
+
+/**
+ * Author a BRLAN programmatically. Tracks are stored in the shape parseBRLAN
+ * returns, so `animation` can be handed to BannerRenderer as-is or written out
+ * with `build()`.
+ *
+ *   const builder = createAnimationBuilder({ frameSize: 120, loop: true });
+ *   builder
+ *     .addTrack("N_Logo", "translateY", [[0, -200, 0], [30, 0, 0]])
+ *     .addTrack("P_Icon", "texturePattern", [[0, "icon_a.tpl"], [60, "icon_b.tpl"]]);
+ *   const brlan = builder.build();
+ *
+ * Keyframes are `{ frame, value, blend? }` objects or `[frame, value, blend?]`
+ * tuples; `blend` is the hermite slope in value units per frame. Texture pattern
+ * values may be timg names, which are added to the name table on first use.
+ *
+ * @param {{frameSize: number, loop?: boolean, timgNames?: string[]}} options
+ */
+export function createAnimationBuilder({ frameSize, loop = false, timgNames = [] } = {}) {
+  if (!Number.isInteger(frameSize) || frameSize < 1 || frameSize > 0xffff) {
+    throw new Error(`BRLAN frame size must be 1-65535, got ${frameSize}`);
+  }
+
+  const animation = { frameSize, flags: loop ? 1 : 0, timgNames: [...timgNames], panes: [] };
+
+  function getTimgIndex(name) {
+    let index = animation.timgNames.indexOf(name);
+    if (index < 0) {
+      index = animation.timgNames.push(name) - 1;
+    }
+    return index;
+  }
+
+  function getTag(paneName, tagType) {
+    const isMaterial = MATERIAL_TAGS.has(tagType);
+    let pane = animation.panes.find((candidate) => candidate.name === paneName && candidate.isMaterial === isMaterial);
+    if (!pane) {
+      pane = { name: paneName, isMaterial, tags: [] };
+      animation.panes.push(pane);
+    }
+    let tag = pane.tags.find((candidate) => candidate.type === tagType);
+    if (!tag) {
+      tag = { type: tagType, entries: [] };
+      pane.tags.push(tag);
+      pane.tags.sort((left, right) => TAG_ORDER.indexOf(left.type) - TAG_ORDER.indexOf(right.type));
+    }
+    return tag;
+  }
+
+  const builder = {
+    animation,
+
+    /**
+     * Add (or replace) one animated property of a pane.
+     *
+     * @param {string} paneName - Pane (or material, for RLMC/RLTS/RLTP) name
+     * @param {string|{tag: string, type: number, targetGroup?: number}} type - A BRLAN_TRACK_TYPES key or raw tag/type
+     * @param {Array<object|number[]>} keyframes
+     * @param {{targetGroup?: number}} [options] - Texture map / material slot for RLTS and RLTP
+     */
+    addTrack(paneName, type, keyframes, { targetGroup } = {}) {
+      if (!paneName || paneName.length > PANE_NAME_LENGTH) {
+        throw new Error(`BRLAN pane names must be 1-${PANE_NAME_LENGTH} characters: "${paneName}"`);
+      }
+      const track = resolveTrackType(type);
+      const isStep = STEP_TAGS.has(track.tag);
+      const normalized = (keyframes ?? []).map(normalizeKeyframe).map((keyframe) => {
+        if (typeof keyframe.value === "string") {
+          if (track.tag !== "RLTP") {
+            throw new Error(`Only texture pattern keys may name a texture: "${keyframe.value}"`);
+          }
+          return { ...keyframe, value: getTimgIndex(keyframe.value), blend: 0 };
+        }
+        return isStep ? { ...keyframe, value: Math.round(keyframe.value), blend: 0 } : keyframe;
+      });
+      if (normalized.length === 0) {
+        throw new Error(`Track ${paneName}/${track.tag} needs at least one keyframe`);
+      }
+      normalized.sort((left, right) => left.frame - right.frame);
+
+      const dataType = isStep ? 1 : 2;
+      const entry = {
+        targetGroup: targetGroup ?? track.targetGroup ?? 0,
+        type: track.type,
+        dataType,
+        typeName: ANIM_TYPES[track.type] ?? `0x${track.type.toString(16)}`,
+        interpolation: isStep ? "step" : "hermite",
+        preExtrapolation: "clamp",
+        postExtrapolation: "clamp",
+        keyframes: normalized,
+      };
+
+      const tag = getTag(paneName, track.tag);
+      const existing = tag.entries.findIndex(
+        (candidate) => candidate.type === entry.type && candidate.targetGroup === entry.targetGroup,
+      );
+      if (existing >= 0) {
+        tag.entries[existing] = entry;
+      } else {
+        tag.entries.push(entry);
+      }
+      return builder;
+    },
+
+    build() {
+      return buildBRLAN(animation);
+    },
+  };
+
+  return builder;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { parseBRLAN } from "../parsers/brlan.js";
+import { createAnimationBuilder } from "./brlanBuilder.js";
+
+function comparable(parsed) {
+  return {
+    frameSize: parsed.frameSize,
+    flags: parsed.flags,
+    timgNames: parsed.timgNames,
+    panes: parsed.panes.map((pane) => ({
+      name: pane.name,
+      isMaterial: pane.isMaterial,
+      tags: pane.tags.map((tag) => ({
+        type: tag.type,
+        entries: tag.entries.map(({ targetGroup, type, dataType, keyframes }) => ({ targetGroup, type, dataType, keyframes })),
+      })),
+    })),
+  };
+}
+
+describe("createAnimationBuilder", () => {
+  it("authors tracks that parse back as written", () => {
+    const builder = createAnimationBuilder({ frameSize: 90, loop: true })
+      .addTrack("N_Logo", "translateY", [[0, -200, 0], [30, 0, 2.5], { frame: 60, value: 10 }])
+      .addTrack("N_Logo", "visible", [[0, 0], [10, 1]])
+      .addTrack("N_Logo", "alpha", [[10, 0], [40, 255]])
+      .addTrack("M_Icon", "texturePattern", [[0, "icon_a.tpl"], [45, "icon_b.tpl"], [80, "icon_a.tpl"]])
+      .addTrack("M_Icon", "textureRotate", [[0, 0], [90, 360]], { targetGroup: 1 })
+      .addTrack("M_Icon", { tag: "RLMC", type: 0x07 }, [[5, 128]]);
+    const parsed = parseBRLAN(builder.build());
+
+    expect(parsed.frameSize).toBe(90);
+    expect(parsed.flags).toBe(1);
+    expect(parsed.timgNames).toEqual(["icon_a.tpl", "icon_b.tpl"]);
+    expect(comparable(parsed)).toEqual(comparable(builder.animation));
+
+    const [logo, icon] = parsed.panes;
+    expect(logo.tags.map((tag) => tag.type)).toEqual(["RLPA", "RLVI", "RLVC"]);
+    expect(logo.tags[0].entries[0]).toMatchObject({ type: 0x01, interpolation: "hermite" });
+    expect(logo.tags[0].entries[0].keyframes[1]).toEqual({ frame: 30, value: 0, blend: 2.5 });
+    expect(logo.tags[1].entries[0]).toMatchObject({ dataType: 1, interpolation: "step" });
+    expect(icon.tags.map((tag) => tag.type)).toEqual(["RLTS", "RLMC", "RLTP"]);
+    expect(icon.tags[0].entries[0]).toMatchObject({ targetGroup: 1, type: 0x02 });
+    expect(icon.tags[2].entries[0].keyframes.map((keyframe) => keyframe.value)).toEqual([0, 1, 0]);
+  });
+
+  it("keeps a pane and a material that share a name in separate entries", () => {
+    const builder = createAnimationBuilder({ frameSize: 30 })
+      .addTrack("P_Icon", "translateX", [[0, 4]])
+      .addTrack("P_Icon", "materialA", [[0, 255]])
+      .addTrack("P_Icon", "textureScaleS", [[0, 2]])
+      .addTrack("P_Icon", "alpha", [[0, 128]]);
+    const parsed = parseBRLAN(builder.build());
+
+    expect(parsed.panes.map((pane) => [pane.name, pane.isMaterial, pane.tags.map((tag) => tag.type)])).toEqual([
+      ["P_Icon", false, ["RLPA", "RLVC"]],
+      ["P_Icon", true, ["RLTS", "RLMC"]],
+    ]);
+    const bytes = new Uint8Array(builder.build());
+    const view = new DataView(bytes.buffer);
+    const paneTable = 0x10 + view.getUint32(0x10 + 0x10, false);
+    // Byte 0x15 of each pai1 entry is the is-material flag.
+    expect([0, 1].map((index) => bytes[0x10 + view.getUint32(paneTable + index * 4, false) + 0x15])).toEqual([0, 1]);
+  });
+
+  it("replaces a track that is added twice", () => {
+    const builder = createAnimationBuilder({ frameSize: 30 })
+      .addTrack("P_Back", "scaleX", [[0, 1]])
+      .addTrack("P_Back", "scaleX", [[0, 2], [29, 1]]);
+
+    expect(builder.animation.panes[0].tags[0].entries).toHaveLength(1);
+    expect(builder.animation.panes[0].tags[0].entries[0].keyframes).toHaveLength(2);
+  });
+
+  it("rejects tracks BRLAN cannot store", () => {
+    expect(() => createAnimationBuilder({ frameSize: 0 })).toThrow(/frame size/);
+    const builder = createAnimationBuilder({ frameSize: 30 });
+    expect(() => builder.addTrack("P_Back", "wobble", [[0, 1]])).toThrow(/Unknown BRLAN track type/);
+    expect(() => builder.addTrack("P_Back", "scaleX", [])).toThrow(/at least one keyframe/);
+    expect(() => builder.addTrack("P_Back", "scaleX", [[0, "big"]])).toThrow(/texture pattern/);
+    expect(() => builder.addTrack("P_ThisNameIsFarTooLong", "scaleX", [[0, 1]])).toThrow(/pane names/);
+  });
+});
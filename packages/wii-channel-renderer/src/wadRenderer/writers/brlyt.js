@@ -0,0 +1,444 @@
+import { BinaryWriter } from "../shared/index.js";
+
+// BRLYT writer — the inverse of parseBRLYT.
+//
+//   header  "RLYT" 0xfeff 0x000a, file size, header size 0x10, section count
+//   lyt1    layout size; txl1/fnl1 name tables; mat1 materials
+//   pan1/pic1/txt1/wnd1/bnd1 panes, children bracketed by pas1/pae1
+//   grp1 groups, children bracketed by grs1/gre1
+// Every section is padded to 4 bytes.
+
+const RLYT_HEADER_SIZE = 0x10;
+const RLYT_VERSION = 0x000a;
+const PANE_NAME_LENGTH = 16;
+const MATERIAL_NAME_LENGTH = 20;
+
+// mat1 flag bits the parser does not model (AAAA and C of AAAA BCDE ...) pass
+// through unchanged.
+const MATERIAL_FLAGS_PRESERVED_MASK = 0xf4000000;
+
+const WHITE = { r: 255, g: 255, b: 255, a: 255 };
+
+function beginSection(writer, magic) {
+  const start = writer.offset;
+  writer.string(magic, 4);
+  writer.zeros(4); // section size
+  return start;
+}
+
+function endSection(writer, start) {
+  writer.padTo(4);
+  writer.setU32At(start + 4, writer.offset - start);
+}
+
+function writeColor(writer, color) {
+  writer.u8(color?.r ?? 0);
+  writer.u8(color?.g ?? 0);
+  writer.u8(color?.b ?? 0);
+  writer.u8(color?.a ?? 0);
+}
+
+function writeSrt(writer, srt) {
+  writer.f32(srt?.xTrans ?? 0);
+  writer.f32(srt?.yTrans ?? 0);
+  writer.f32(srt?.rotation ?? 0);
+  writer.f32(srt?.xScale ?? 1);
+  writer.f32(srt?.yScale ?? 1);
+}
+
+function writeTexCoords(writer, texCoords) {
+  for (const quad of texCoords) {
+    for (const corner of [quad.tl, quad.tr, quad.bl, quad.br]) {
+      writer.f32(corner?.s ?? 0);
+      writer.f32(corner?.t ?? 0);
+    }
+  }
+}
+
+function writeU16Index(writer, index) {
+  writer.u16(Number.isInteger(index) && index >= 0 ? index : 0xffff);
+}
+
+function writeNameTable(writer, magic, names) {
+  const start = beginSection(writer, magic);
+  writer.u16(names.length);
+  writer.zeros(2);
+  const table = writer.offset;
+  writer.zeros(names.length * 8);
+  names.forEach((name, index) => {
+    writer.setU32At(table + index * 8, writer.offset - table);
+    writer.nullString(name);
+  });
+  endSection(writer, start);
+}
+
+function encodeMaterialFlags(material) {
+  const textureMapCount = material.textureMaps?.length ?? 0;
+  const textureSrtCount = material.textureSRTs?.length ?? 0;
+  const texCoordGenCount = material.texCoordGens?.length ?? 0;
+  const indTexMatrixCount = material.indTexMatrices?.length ?? 0;
+  const indTexStageCount = material.indTexStages?.length ?? 0;
+  const tevStageCount = material.tevStages?.length ?? 0;
+  if (textureMapCount > 0x0f || textureSrtCount > 0x0f || texCoordGenCount > 0x0f) {
+    throw new Error(`Material ${material.name}: at most 15 texture maps, SRTs and tex coord gens`);
+  }
+  if (indTexMatrixCount > 3 || indTexStageCount > 7 || tevStageCount > 0x1f) {
+    throw new Error(`Material ${material.name}: too many indirect matrices/stages or TEV stages`);
+  }
+
+  return (
+    ((material.flags ?? 0) & MATERIAL_FLAGS_PRESERVED_MASK) |
+    textureMapCount |
+    (textureSrtCount << 4) |
+    (texCoordGenCount << 8) |
+    ((material.tevSwapTable ? 1 : 0) << 12) |
+    (indTexMatrixCount << 13) |
+    (indTexStageCount << 15) |
+    (tevStageCount << 18) |
+    ((material.alphaCompare ? 1 : 0) << 23) |
+    ((material.blendMode ? 1 : 0) << 24) |
+    ((material.channelControl ? 1 : 0) << 25) |
+    ((material.materialColor ? 1 : 0) << 27)
+  ) >>> 0;
+}
+
+// 16 bytes, LSB-first bitfields — the exact inverse of the parser's unpacking.
+function writeTevStage(writer, stage) {
+  const texMap = stage.texMap ?? 0xff;
+  writer.u8(stage.texCoord ?? 0xff);
+  writer.u8(stage.colorChan ?? 0xff);
+  writer.u8(texMap & 0xff);
+  writer.u8(((texMap >> 8) & 1) | ((stage.rasSel ?? 0) << 1) | ((stage.texSel ?? 0) << 3));
+  writer.u8((stage.aC & 0xf) | ((stage.bC & 0xf) << 4));
+  writer.u8((stage.cC & 0xf) | ((stage.dC & 0xf) << 4));
+  writer.u8((stage.tevOpC & 0xf) | ((stage.tevBiasC & 3) << 4) | ((stage.tevScaleC & 3) << 6));
+  writer.u8((stage.clampC & 1) | ((stage.tevRegIdC & 3) << 1) | ((stage.kColorSelC & 0x1f) << 3));
+  writer.u8((stage.aA & 0xf) | ((stage.bA & 0xf) << 4));
+  writer.u8((stage.cA & 0xf) | ((stage.dA & 0xf) << 4));
+  writer.u8((stage.tevOpA & 0xf) | ((stage.tevBiasA & 3) << 4) | ((stage.tevScaleA & 3) << 6));
+  writer.u8((stage.clampA & 1) | ((stage.tevRegIdA & 3) << 1) | ((stage.kAlphaSelA & 0x1f) << 3));
+  writer.u8((stage.indTexId ?? 0) & 3);
+  writer.u8(((stage.indBias ?? 0) & 7) | (((stage.indMtxId ?? 0) & 0xf) << 3));
+  writer.u8(((stage.indWrapS ?? 0) & 7) | (((stage.indWrapT ?? 0) & 7) << 3));
+  writer.u8(
+    ((stage.indFormat ?? 0) & 3) |
+    (((stage.indAddPrev ?? 0) & 1) << 2) |
+    (((stage.indUtcLod ?? 0) & 1) << 3) |
+    (((stage.indAlpha ?? 0) & 3) << 4),
+  );
+}
+
+function writeMaterial(writer, material) {
+  writer.string(material.name, MATERIAL_NAME_LENGTH);
+  for (const color of [material.color1, material.color2, material.color3]) {
+    for (let channel = 0; channel < 4; channel += 1) {
+      writer.s16(color?.[channel] ?? 0);
+    }
+  }
+  for (let index = 0; index < 4; index += 1) {
+    writeColor(writer, material.tevColors?.[index]);
+  }
+  writer.u32(encodeMaterialFlags(material));
+
+  for (const textureMap of material.textureMaps ?? []) {
+    writeU16Index(writer, textureMap.textureIndex);
+    // AAAB BBCC DDDD EEFF: BBB=minFilter, CC=wrapS, EE=magFilter, FF=wrapT.
+    writer.u8((((textureMap.minFilter ?? 0) & 0x07) << 2) | ((textureMap.wrapS ?? 0) & 0x03));
+    writer.u8((((textureMap.magFilter ?? 0) & 0x03) << 2) | ((textureMap.wrapT ?? 0) & 0x03));
+  }
+  for (const srt of material.textureSRTs ?? []) {
+    writeSrt(writer, srt);
+  }
+  for (const texCoordGen of material.texCoordGens ?? []) {
+    writer.u8(texCoordGen.texGenType ?? 1);
+    writer.u8(texCoordGen.texGenSrc ?? 4);
+    writer.u8(texCoordGen.mtxSrc ?? 60);
+    writer.zeros(1);
+  }
+  if (material.channelControl) {
+    writer.u8(material.channelControl.colorSource ?? 0);
+    writer.u8(material.channelControl.alphaSource ?? 0);
+    writer.zeros(2);
+  }
+  if (material.materialColor) {
+    writeColor(writer, material.materialColor);
+  }
+  if (material.tevSwapTable) {
+    for (let index = 0; index < 4; index += 1) {
+      const swap = material.tevSwapTable[index] ?? { r: 0, g: 1, b: 2, a: 3 };
+      writer.u8((swap.r & 3) | ((swap.g & 3) << 2) | ((swap.b & 3) << 4) | ((swap.a & 3) << 6));
+    }
+  }
+  for (const matrix of material.indTexMatrices ?? []) {
+    writeSrt(writer, matrix);
+  }
+  for (const stage of material.indTexStages ?? []) {
+    writer.u8(stage.texMap ?? 0);
+    writer.u8(stage.texCoord ?? 0);
+    writer.u8(stage.scaleS ?? 0);
+    writer.u8(stage.scaleT ?? 0);
+  }
+  for (const stage of material.tevStages ?? []) {
+    writeTevStage(writer, stage);
+  }
+  if (material.alphaCompare) {
+    const compare = material.alphaCompare;
+    writer.u8((compare.condition0 & 0x0f) | ((compare.condition1 & 0x0f) << 4));
+    writer.u8(compare.operation ?? 0);
+    writer.u8(compare.value0 ?? 0);
+    writer.u8(compare.value1 ?? 0);
+  }
+  if (material.blendMode) {
+    writer.u8(material.blendMode.func ?? 0);
+    writer.u8(material.blendMode.srcFactor ?? 0);
+    writer.u8(material.blendMode.dstFactor ?? 0);
+    writer.u8(material.blendMode.logicOp ?? 0);
+  }
+}
+
+function writeMaterials(writer, materials) {
+  const start = beginSection(writer, "mat1");
+  writer.u16(materials.length);
+  writer.zeros(2);
+  const table = writer.offset;
+  writer.zeros(materials.length * 4);
+  materials.forEach((material, index) => {
+    writer.setU32At(table + index * 4, writer.offset - start);
+    writeMaterial(writer, material);
+    writer.padTo(4);
+  });
+  endSection(writer, start);
+}
+
+// Flags byte: keep bits the parser does not decode, take the rest from the
+// editable booleans.
+function getPaneFlags(pane) {
+  return ((pane.flags ?? 0) & ~0x07) |
+    ((pane.visible ?? true) ? 0x01 : 0) |
+    (pane.influencedAlpha ? 0x02 : 0) |
+    (pane.widescreen ? 0x04 : 0);
+}
+
+function writePaneHeader(writer, pane) {
+  writer.u8(getPaneFlags(pane) & 0xff);
+  writer.u8(pane.origin ?? 4);
+  writer.u8(pane.alpha ?? 255);
+  writer.zeros(1);
+  writer.string(pane.name, PANE_NAME_LENGTH);
+  for (let index = 0; index < 8; index += 1) {
+    writer.u8(pane.userData?.[index] ?? 0);
+  }
+  writer.f32(pane.translate?.x ?? 0);
+  writer.f32(pane.translate?.y ?? 0);
+  writer.f32(pane.translate?.z ?? 0);
+  writer.f32(pane.rotate?.x ?? 0);
+  writer.f32(pane.rotate?.y ?? 0);
+  writer.f32(pane.rotate?.z ?? 0);
+  writer.f32(pane.scale?.x ?? 1);
+  writer.f32(pane.scale?.y ?? 1);
+  writer.f32(pane.size?.w ?? 0);
+  writer.f32(pane.size?.h ?? 0);
+}
+
+function writeQuadContent(writer, pane) {
+  for (let corner = 0; corner < 4; corner += 1) {
+    writeColor(writer, pane.vertexColors?.[corner] ?? WHITE);
+  }
+  writeU16Index(writer, pane.materialIndex);
+  const texCoords = pane.texCoords ?? [];
+  writer.u8(texCoords.length);
+  writer.zeros(1);
+  writeTexCoords(writer, texCoords);
+}
+
+function isDefaultQuad(pane) {
+  const whiteCorners = (pane.vertexColors ?? []).every((color) =>
+    color.r === 255 && color.g === 255 && color.b === 255 && color.a === 255);
+  return whiteCorners && !(pane.materialIndex >= 0) && !(pane.texCoords?.length);
+}
+
+function writeWindow(writer, pane, start) {
+  const inflation = pane.inflation ?? { l: 0, r: 0, t: 0, b: 0 };
+  const frames = pane.windowFrames ?? [];
+  writer.f32(inflation.l);
+  writer.f32(inflation.r);
+  writer.f32(inflation.t);
+  writer.f32(inflation.b);
+  writer.u8(frames.length);
+  writer.zeros(3);
+  const offsetsAt = writer.offset;
+  writer.zeros(8); // content offset, frame table offset
+
+  writer.setU32At(offsetsAt, writer.offset - start);
+  writeQuadContent(writer, pane);
+
+  writer.setU32At(offsetsAt + 4, writer.offset - start);
+  const table = writer.offset;
+  writer.zeros(frames.length * 4);
+  frames.forEach((frame, index) => {
+    writer.setU32At(table + index * 4, writer.offset - start);
+    writeU16Index(writer, frame.materialIndex);
+    writer.u8(frame.textureFlip ?? 0);
+    writer.zeros(1);
+  });
+}
+
+function encodeUtf16Be(text) {
+  const bytes = new Uint8Array(text.length * 2);
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    bytes[i * 2] = code >> 8;
+    bytes[i * 2 + 1] = code & 0xff;
+  }
+  return bytes;
+}
+
+function writeText(writer, pane, start) {
+  const text = pane.text ?? "";
+  const encoded = encodeUtf16Be(text);
+  // Keep the file's convention for whether the length counts the terminator.
+  const textLengthBytes = pane.textLengthBytes === encoded.length || pane.textLengthBytes === encoded.length + 2
+    ? pane.textLengthBytes
+    : (text.length > 0 ? encoded.length + 2 : 0);
+  const textBufferBytes = Math.max(pane.textBufferBytes ?? 0, text.length > 0 ? encoded.length + 2 : 0);
+
+  writer.u16(textBufferBytes);
+  writer.u16(textLengthBytes);
+  writeU16Index(writer, pane.materialIndex);
+  writer.u16(pane.fontIndex ?? 0);
+  writer.u8(pane.textPositionFlags ?? 0);
+  writer.u8(pane.textAlignment ?? 0);
+  writer.zeros(2);
+  const textOffsetAt = writer.offset;
+  writer.zeros(4);
+  writeColor(writer, pane.textTopColor ?? WHITE);
+  writeColor(writer, pane.textBottomColor ?? WHITE);
+  writer.f32(pane.textSize?.x ?? 0);
+  writer.f32(pane.textSize?.y ?? 0);
+  writer.f32(pane.charSpacing ?? 0);
+  writer.f32(pane.lineSpacing ?? 0);
+
+  writer.setU32At(textOffsetAt, writer.offset - start);
+  const textStart = writer.offset;
+  writer.ensure(textBufferBytes);
+  writer.bytes.set(encoded, textStart);
+  writer.offset = textStart + encoded.length;
+  writer.zeros(textStart + textBufferBytes - writer.offset);
+}
+
+function writePane(writer, pane) {
+  const start = beginSection(writer, pane.type);
+  writePaneHeader(writer, pane);
+
+  if (pane.type === "pic1" || (pane.type === "bnd1" && !isDefaultQuad(pane))) {
+    writeQuadContent(writer, pane);
+  } else if (pane.type === "wnd1") {
+    if (pane.inflation) {
+      writeWindow(writer, pane, start);
+    } else {
+      writeQuadContent(writer, pane);
+    }
+  } else if (pane.type === "txt1" && (pane.text != null || pane.textBufferBytes != null)) {
+    writeText(writer, pane, start);
+  }
+
+  endSection(writer, start);
+}
+
+// pas1/pae1 are emitted whenever the parent chain changes, so any file-order
+// pane list whose parents come before their children nests back the same way.
+function writeHierarchy(writer, items, writeItem, openMagic, closeMagic) {
+  const stack = [];
+  let sectionCount = 0;
+  items.forEach((item, index) => {
+    const parent = item.parent ?? null;
+    const parentDepth = parent ? stack.lastIndexOf(parent) : -1;
+    while (stack.length > parentDepth + 1) {
+      endSection(writer, beginSection(writer, closeMagic));
+      stack.pop();
+      sectionCount += 1;
+    }
+
+    writeItem(writer, item);
+    sectionCount += 1;
+
+    const next = items[index + 1];
+    if (next && (next.parent ?? null) === item.name) {
+      endSection(writer, beginSection(writer, openMagic));
+      stack.push(item.name);
+      sectionCount += 1;
+    }
+  });
+  while (stack.length > 0) {
+    endSection(writer, beginSection(writer, closeMagic));
+    stack.pop();
+    sectionCount += 1;
+  }
+  return sectionCount;
+}
+
+function writeGroup(writer, group) {
+  const start = beginSection(writer, "grp1");
+  const paneNames = group.paneNames ?? [];
+  writer.string(group.name, PANE_NAME_LENGTH);
+  writer.u16(paneNames.length);
+  writer.zeros(2);
+  for (const paneName of paneNames) {
+    writer.string(paneName, PANE_NAME_LENGTH);
+  }
+  endSection(writer, start);
+}
+
+/**
+ * Serialize a layout (the shape parseBRLYT returns) into a BRLYT file.
+ *
+ * Derived fields (`materials[].flags` counts, `textureIndices`, pane `flags`
+ * visibility bits, `fontName`) are recomputed from the editable ones.
+ *
+ * @param {object} layout
+ * @returns {ArrayBuffer}
+ */
+export function buildBRLYT(layout) {
+  const textures = layout?.textures ?? [];
+  const fonts = layout?.fonts ?? [];
+  const materials = layout?.materials ?? [];
+  const panes = layout?.panes ?? [];
+  const groups = layout?.groups ?? [];
+  const writer = new BinaryWriter(4096);
+
+  writer.string("RLYT", 4);
+  writer.u16(0xfeff);
+  writer.u16(RLYT_VERSION);
+  writer.zeros(4); // file size
+  writer.u16(RLYT_HEADER_SIZE);
+  writer.zeros(2); // section count
+  let sectionCount = 0;
+
+  const lyt1 = beginSection(writer, "lyt1");
+  writer.u8(layout?.drawFromCenter === false ? 0 : 1);
+  writer.zeros(3);
+  writer.f32(layout?.width ?? 608);
+  writer.f32(layout?.height ?? 456);
+  endSection(writer, lyt1);
+  sectionCount += 1;
+
+  if (textures.length > 0) {
+    writeNameTable(writer, "txl1", textures);
+    sectionCount += 1;
+  }
+  if (fonts.length > 0) {
+    writeNameTable(writer, "fnl1", fonts);
+    sectionCount += 1;
+  }
+  if (materials.length > 0) {
+    writeMaterials(writer, materials);
+    sectionCount += 1;
+  }
+
+  sectionCount += writeHierarchy(writer, panes, writePane, "pas1", "pae1");
+  sectionCount += writeHierarchy(writer, groups, writeGroup, "grs1", "gre1");
+
+  writer.setU16At(0x0e, sectionCount);
+  writer.setU32At(0x08, writer.offset);
+  return writer.toArrayBuffer();
+}
@@ -0,0 +1,159 @@
+import { describe, expect, it } from "vitest";
+import { parseBRLYT } from "../parsers/brlyt.js";
+import { buildBRLYT } from "./brlyt.js";
+
+const white = { r: 255, g: 255, b: 255, a: 255 };
+const quad = { tl: { s: 0, t: 0 }, tr: { s: 1, t: 0 }, bl: { s: 0, t: 1 }, br: { s: 1, t: 1 } };
+
+function pane(type, name, parent, extra = {}) {
+  return {
+    type,
+    name,
+    parent,
+    flags: 0x01,
+    origin: 4,
+    alpha: 255,
+    visible: true,
+    influencedAlpha: false,
+    widescreen: false,
+    translate: { x: 0, y: 0, z: 0 },
+    rotate: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1 },
+    size: { w: 64, h: 32 },
+    ...extra,
+  };
+}
+
+const tevStage = {
+  texCoord: 0, colorChan: 4, texMap: 0x100, rasSel: 2, texSel: 1,
+  aC: 15, bC: 8, cC: 10, dC: 15, tevOpC: 1, tevBiasC: 2, tevScaleC: 3, clampC: 1, tevRegIdC: 2, kColorSelC: 12,
+  aA: 7, bA: 4, cA: 5, dA: 7, tevOpA: 0, tevBiasA: 1, tevScaleA: 2, clampA: 1, tevRegIdA: 3, kAlphaSelA: 28,
+  indTexId: 1, indBias: 7, indMtxId: 9, indWrapS: 6, indWrapT: 5, indFormat: 3, indAddPrev: 1, indUtcLod: 1, indAlpha: 2,
+};
+
+const layout = {
+  width: 608,
+  height: 456,
+  drawFromCenter: true,
+  textures: ["back.tpl", "logo.tpl"],
+  fonts: ["wbf1.brfna"],
+  materials: [
+    {
+      name: "mat_back",
+      flags: 0x10000000,
+      color1: [0, 0, 0, 0],
+      color2: [255, 255, 255, 255],
+      color3: [-12, 300, 0, 1023],
+      tevColors: [white, { r: 1, g: 2, b: 3, a: 4 }, white, white],
+      textureMaps: [
+        { textureIndex: 0, wrapS: 1, wrapT: 2, minFilter: 5, magFilter: 1 },
+        { textureIndex: 1, wrapS: 0, wrapT: 0, minFilter: 1, magFilter: 0 },
+      ],
+      textureSRTs: [{ xTrans: 0.5, yTrans: -0.25, rotation: 90, xScale: 2, yScale: 1 }],
+      texCoordGens: [{ texGenType: 1, texGenSrc: 4, mtxSrc: 30 }],
+      channelControl: { colorSource: 1, alphaSource: 0 },
+      materialColor: { r: 10, g: 20, b: 30, a: 40 },
+      tevSwapTable: [{ r: 0, g: 1, b: 2, a: 3 }, { r: 3, g: 3, b: 3, a: 0 }, { r: 1, g: 1, b: 1, a: 1 }, { r: 2, g: 2, b: 2, a: 2 }],
+      indTexMatrices: [{ xTrans: 0, yTrans: 0, rotation: 0, xScale: 0.5, yScale: 0.5 }],
+      indTexStages: [{ texMap: 1, texCoord: 0, scaleS: 2, scaleT: 3 }],
+      tevStages: [tevStage, { ...tevStage, texMap: 0xff, texCoord: 0xff, colorChan: 0xff }],
+      alphaCompare: { condition0: 6, condition1: 7, operation: 1, value0: 16, value1: 240 },
+      blendMode: { func: 1, srcFactor: 4, dstFactor: 5, logicOp: 15 },
+    },
+    { name: "mat_text", color1: [0, 0, 0, 255], color2: [255, 255, 255, 255], color3: [0, 0, 0, 0] },
+  ],
+  panes: [
+    pane("pan1", "RootPane", null, { size: { w: 608, h: 456 } }),
+    pane("pic1", "Back", "RootPane", {
+      flags: 0x07, widescreen: true, influencedAlpha: true, alpha: 128,
+      translate: { x: -12.5, y: 40, z: 0 }, rotate: { x: 0, y: 0, z: 33 }, scale: { x: 1.5, y: 0.75 },
+      vertexColors: [white, { r: 255, g: 0, b: 0, a: 255 }, white, { r: 0, g: 0, b: 0, a: 0 }],
+      materialIndex: 0,
+      texCoords: [quad, quad],
+    }),
+    pane("pan1", "N_Logo", "RootPane", { userData: [0x4c, 0x6f, 0x67, 0x6f, 0, 0xff, 1, 2] }),
+    pane("txt1", "T_Title", "N_Logo", {
+      flags: 0x00, visible: false,
+      materialIndex: 1, fontIndex: 0, textPositionFlags: 4, textAlignment: 1,
+      textTopColor: white, textBottomColor: { r: 200, g: 200, b: 255, a: 255 },
+      textSize: { x: 24, y: 26 }, charSpacing: 1, lineSpacing: 2,
+      textBufferBytes: 64, textLengthBytes: 12, text: "Hello",
+    }),
+    pane("wnd1", "W_Frame", "N_Logo", {
+      inflation: { l: -4, r: 4, t: 2, b: -2 },
+      vertexColors: [white, white, white, white],
+      materialIndex: 0,
+      texCoords: [quad],
+      windowFrames: [{ materialIndex: 0, textureFlip: 0 }, { materialIndex: 1, textureFlip: 1 }, { materialIndex: 1, textureFlip: 2 }, { materialIndex: 0, textureFlip: 5 }],
+    }),
+    pane("bnd1", "B_Hit", "RootPane"),
+  ],
+  groups: [
+    { name: "RootGroup", paneNames: [], parent: null },
+    { name: "G_Logo", paneNames: ["N_Logo", "T_Title"], parent: "RootGroup" },
+    { name: "G_Sub", paneNames: ["W_Frame"], parent: "G_Logo" },
+    { name: "G_Back", paneNames: ["Back"], parent: "RootGroup" },
+  ],
+};
+
+describe("buildBRLYT", () => {
+  it("round-trips through parseBRLYT deep-equal", () => {
+    const parsed = parseBRLYT(buildBRLYT(layout));
+    const reparsed = parseBRLYT(buildBRLYT(parsed));
+
+    expect(reparsed).toEqual(parsed);
+    expect(new Uint8Array(buildBRLYT(parsed))).toEqual(new Uint8Array(buildBRLYT(layout)));
+  });
+
+  it("re-encodes the mat1 flags bitfield and every material block", () => {
+    const [material, textMaterial] = parseBRLYT(buildBRLYT(layout)).materials;
+    const { flags, ...expected } = layout.materials[0];
+
+    expect(material).toMatchObject(expected);
+    expect(material.textureIndices).toEqual([0, 1]);
+    // AAAA BCDE FGGG GGHH HIIJ KKKK LLLL MMMM, with the unmodelled A bits kept.
+    expect(material.flags).toBe(
+      (0x10000000 | (1 << 27) | (1 << 25) | (1 << 24) | (1 << 23) | (2 << 18) | (1 << 15) | (1 << 13) | (1 << 12) | (1 << 8) | (1 << 4) | 2) >>> 0,
+    );
+    expect(textMaterial.flags).toBe(0);
+  });
+
+  it("rebuilds pane and group nesting", () => {
+    const parsed = parseBRLYT(buildBRLYT(layout));
+
+    expect(parsed.panes.map((entry) => [entry.name, entry.parent])).toEqual(
+      layout.panes.map((entry) => [entry.name, entry.parent]),
+    );
+    expect(parsed.groups).toEqual(layout.groups);
+  });
+
+  it("keeps pane state, text and window frames", () => {
+    const panes = Object.fromEntries(parseBRLYT(buildBRLYT(layout)).panes.map((entry) => [entry.name, entry]));
+
+    expect(panes.Back).toMatchObject({ alpha: 128, widescreen: true, influencedAlpha: true, rotate: { z: 33 }, texCoords: [quad, quad] });
+    expect(panes.T_Title).toMatchObject({ visible: false, text: "Hello", fontName: "wbf1.brfna", textBufferBytes: 64, textLengthBytes: 12 });
+    expect(panes.W_Frame.inflation).toEqual({ l: -4, r: 4, t: 2, b: -2 });
+    expect(panes.W_Frame.windowFrames).toEqual(layout.panes[4].windowFrames);
+    expect(panes.B_Hit).toMatchObject({ materialIndex: -1, texCoords: [] });
+  });
+
+  it("keeps texture filters and pane user data", () => {
+    const parsed = parseBRLYT(buildBRLYT(layout));
+
+    expect(parsed.materials[0].textureMaps).toEqual(layout.materials[0].textureMaps);
+    expect(parsed.panes.find((entry) => entry.name === "N_Logo").userData).toEqual(layout.panes[2].userData);
+    expect(parsed.panes.find((entry) => entry.name === "B_Hit").userData).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  it("writes edited visibility and grows the text buffer for longer text", () => {
+    const parsed = parseBRLYT(buildBRLYT(layout));
+    const title = parsed.panes.find((entry) => entry.name === "T_Title");
+    title.visible = true;
+    title.text = "A much longer channel title than before";
+
+    const edited = parseBRLYT(buildBRLYT(parsed)).panes.find((entry) => entry.name === "T_Title");
+    expect(edited.visible).toBe(true);
+    expect(edited.text).toBe(title.text);
+    expect(edited.textBufferBytes).toBeGreaterThanOrEqual((title.text.length + 1) * 2);
+  });
+});
@@ -0,0 +1,17 @@
+import { md5 } from "../shared/index.js";
+
+// IMD5 wrapper used by banner.bin / icon.bin / sound.bin:
+//   0x00 "IMD5"  0x04 payload size  0x08 8 zero bytes  0x10 MD5 of payload
+export const IMD5_HEADER_SIZE = 0x20;
+
+export function wrapIMD5(payload) {
+  const bytes = payload instanceof Uint8Array ? payload : new Uint8Array(payload);
+  const out = new Uint8Array(IMD5_HEADER_SIZE + bytes.length);
+  const view = new DataView(out.buffer);
+
+  out.set([0x49, 0x4d, 0x44, 0x35], 0);
+  view.setUint32(0x04, bytes.length, false);
+  out.set(md5(bytes), 0x10);
+  out.set(bytes, IMD5_HEADER_SIZE);
+  return out.buffer;
+}
@@ -0,0 +1,55 @@
+import { IMET_HEADER_SIZE, findIMETOffset } from "../parsers/imet.js";
+import { parseU8 } from "../parsers/u8.js";
+import { NOOP_LOGGER, md5 } from "../shared/index.js";
+import { buildU8 } from "./u8.js";
+
+const IMET_SIZE_FIELDS = [
+  ["icon.bin", 0x4c],
+  ["banner.bin", 0x50],
+  ["sound.bin", 0x54],
+];
+const IMET_MD5_OFFSET = 0x5f0;
+
+/**
+ * Rebuild an IMET content (00000000.app or opening.bnr) with files of its meta
+ * archive replaced. The header keeps its titles and flags; the icon, banner and
+ * sound sizes and the header MD5 are recomputed.
+ *
+ * @param {ArrayBuffer} content - The original content, IMET header included
+ * @param {Record<string, ArrayBuffer|Uint8Array>} replacements - Meta archive files by path ("meta/banner.bin")
+ * @returns {ArrayBuffer}
+ */
+export function repackIMET(content, replacements = {}) {
+  const magicOffset = findIMETOffset(content);
+  if (magicOffset < 0) {
+    throw new Error("Content has no IMET header");
+  }
+
+  const baseOffset = magicOffset - 0x40;
+  const payloadOffset = baseOffset + IMET_HEADER_SIZE;
+  const files = parseU8(content.slice(payloadOffset), NOOP_LOGGER);
+  for (const [path, data] of Object.entries(replacements)) {
+    if (!(path in files)) {
+      throw new Error(`Meta archive has no file "${path}"`);
+    }
+    files[path] = data;
+  }
+
+  const archive = new Uint8Array(buildU8(files));
+  const out = new Uint8Array(payloadOffset + archive.length);
+  out.set(new Uint8Array(content, 0, payloadOffset), 0);
+  out.set(archive, payloadOffset);
+
+  const view = new DataView(out.buffer);
+  for (const [name, fieldOffset] of IMET_SIZE_FIELDS) {
+    const path = Object.keys(files).find((candidate) => candidate.toLowerCase().endsWith(name));
+    if (path) {
+      view.setUint32(baseOffset + fieldOffset, files[path].byteLength, false);
+    }
+  }
+
+  const header = out.subarray(baseOffset, payloadOffset);
+  header.fill(0, IMET_MD5_OFFSET, IMET_MD5_OFFSET + 16);
+  header.set(md5(header), IMET_MD5_OFFSET);
+  return out.buffer;
+}
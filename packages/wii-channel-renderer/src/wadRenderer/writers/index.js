@@ -0,0 +1,10 @@
+export { IMD5_HEADER_SIZE, wrapIMD5 } from "./imd5.js";
+export { buildBRLAN } from "./brlan.js";
+export { BRLAN_TRACK_TYPES, createAnimationBuilder } from "./brlanBuilder.js";
+export { buildBRLYT } from "./brlyt.js";
+export { detectU8Wrapping, repackBannerBin } from "./banner.js";
+export { computeDspCoefficients, encodeBNS, encodeDspAdpcmChannel } from "./bns.js";
+export { repackIMET } from "./imet.js";
+export { buildU8 } from "./u8.js";
+export { encodeTPL, encodeTPLImage } from "./tpl.js";
+export { buildWAD, fakesignTMD, fakesignTicket, repackWAD } from "./wad.js";
@@ -0,0 +1,641 @@
+import { align } from "../shared/index.js";
+import { TPL_FORMATS, TPL_PALETTE_FORMATS } from "../parsers/constants.js";
+
+// TPL encoder — the inverse of decodeTPLImage / parseTPL.
+// Channel quantization mirrors the decoder exactly (e.g. RGB565 expands with
+// `value * 8`, RGB5A3 with `trunc(value * 255 / 31)`), so re-encoding a decoded
+// texture in the same (non-CMPR) format reproduces the same pixels.
+
+const TPL_MAGIC = 0x0020af30;
+const IMAGE_HEADER_SIZE = 0x24;
+const PALETTE_HEADER_SIZE = 0x0c;
+const DATA_ALIGNMENT = 0x20;
+
+// Block width, block height and bytes per block for every encodable format.
+const BLOCK_LAYOUTS = {
+  0: { blockWidth: 8, blockHeight: 8, blockSize: 32 },
+  1: { blockWidth: 8, blockHeight: 4, blockSize: 32 },
+  2: { blockWidth: 8, blockHeight: 4, blockSize: 32 },
+  3: { blockWidth: 4, blockHeight: 4, blockSize: 32 },
+  4: { blockWidth: 4, blockHeight: 4, blockSize: 32 },
+  5: { blockWidth: 4, blockHeight: 4, blockSize: 32 },
+  6: { blockWidth: 4, blockHeight: 4, blockSize: 64 },
+  8: { blockWidth: 8, blockHeight: 8, blockSize: 32 },
+  9: { blockWidth: 8, blockHeight: 4, blockSize: 32 },
+  10: { blockWidth: 4, blockHeight: 4, blockSize: 32 },
+  14: { blockWidth: 8, blockHeight: 8, blockSize: 32 },
+};
+
+const PALETTE_CAPACITY = { 8: 16, 9: 256, 10: 16384 };
+
+function resolveFormatCode(format, names, label) {
+  if (typeof format === "number" && names[format]) {
+    return format;
+  }
+
+  const upper = String(format).toUpperCase();
+  for (const [code, name] of Object.entries(names)) {
+    if (name === upper) {
+      return Number(code);
+    }
+  }
+
+  throw new Error(`Unsupported ${label} ${JSON.stringify(format)}`);
+}
+
+function clamp(value, max) {
+  return value < 0 ? 0 : value > max ? max : value;
+}
+
+function luminance(red, green, blue) {
+  return clamp(Math.round(red * 0.299 + green * 0.587 + blue * 0.114), 255);
+}
+
+function encodeRGB565(red, green, blue) {
+  return (
+    (clamp(Math.round(red / 8), 31) << 11) |
+    (clamp(Math.round(green / 4), 63) << 5) |
+    clamp(Math.round(blue / 8), 31)
+  );
+}
+
+function decodeRGB565(value) {
+  return [((value >> 11) & 0x1f) * 8, ((value >> 5) & 0x3f) * 4, (value & 0x1f) * 8, 255];
+}
+
+function encodeRGB5A3(red, green, blue, alpha) {
+  const alpha3 = Math.round((alpha * 7) / 255);
+  if (alpha3 >= 7) {
+    return (
+      0x8000 |
+      (Math.round((red * 31) / 255) << 10) |
+      (Math.round((green * 31) / 255) << 5) |
+      Math.round((blue * 31) / 255)
+    );
+  }
+
+  return (
+    (alpha3 << 12) |
+    (Math.round((red * 15) / 255) << 8) |
+    (Math.round((green * 15) / 255) << 4) |
+    Math.round((blue * 15) / 255)
+  );
+}
+
+function decodeRGB5A3(value) {
+  if (value & 0x8000) {
+    return [
+      Math.trunc((((value >> 10) & 0x1f) * 255) / 31),
+      Math.trunc((((value >> 5) & 0x1f) * 255) / 31),
+      Math.trunc(((value & 0x1f) * 255) / 31),
+      255,
+    ];
+  }
+
+  return [
+    Math.trunc((((value >> 8) & 0xf) * 255) / 15),
+    Math.trunc((((value >> 4) & 0xf) * 255) / 15),
+    Math.trunc(((value & 0xf) * 255) / 15),
+    Math.trunc((((value >> 12) & 0x7) * 255) / 7),
+  ];
+}
+
+const PALETTE_CODECS = {
+  0: {
+    encode: (red, green, blue, alpha) => (luminance(red, green, blue) << 8) | alpha,
+    decode: (value) => {
+      const intensity = (value >> 8) & 0xff;
+      return [intensity, intensity, intensity, value & 0xff];
+    },
+  },
+  1: {
+    encode: (red, green, blue) => encodeRGB565(red, green, blue),
+    decode: decodeRGB565,
+  },
+  2: {
+    encode: encodeRGB5A3,
+    decode: decodeRGB5A3,
+  },
+};
+
+function colorDistance(left, right) {
+  const dr = left[0] - right[0];
+  const dg = left[1] - right[1];
+  const db = left[2] - right[2];
+  const da = left[3] - right[3];
+  return dr * dr + dg * dg + db * db + da * da;
+}
+
+function createPixelReader(pixels, width, height) {
+  // Pixels outside the image (partial edge blocks) repeat the nearest edge.
+  return (x, y) => {
+    const index = (clamp(y, height - 1) * width + clamp(x, width - 1)) * 4;
+    return [pixels[index], pixels[index + 1], pixels[index + 2], pixels[index + 3]];
+  };
+}
+
+// Median-cut palette generation over the palette-format colors of the image.
+// Returns the palette entries and the entry each image color was cut into.
+function buildPalette(pixels, maxColors, codec) {
+  const counts = new Map();
+  for (let i = 0; i < pixels.length; i += 4) {
+    const value = codec.encode(pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]);
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+
+  if (counts.size <= maxColors) {
+    const entries = [...counts.keys()];
+    return { entries, assignments: new Map(entries.map((value, index) => [value, index])) };
+  }
+
+  // Each box caches its best split so CI14X2's thousands of boxes stay cheap.
+  const createBox = (colors) => {
+    const box = { colors, score: 0, channel: 0 };
+    if (colors.length < 2) {
+      return box;
+    }
+    let weight = 0;
+    for (const color of colors) {
+      weight += color.count;
+    }
+    for (let channel = 0; channel < 4; channel += 1) {
+      let min = 255;
+      let max = 0;
+      for (const color of colors) {
+        min = Math.min(min, color.rgba[channel]);
+        max = Math.max(max, color.rgba[channel]);
+      }
+      const score = (max - min) * Math.sqrt(weight);
+      if (score > box.score) {
+        box.score = score;
+        box.channel = channel;
+      }
+    }
+    return box;
+  };
+
+  const colors = [...counts.entries()].map(([value, count]) => ({ value, rgba: codec.decode(value), count }));
+  const boxes = [createBox(colors)];
+
+  while (boxes.length < maxColors) {
+    let bestIndex = -1;
+    let bestScore = 0;
+    boxes.forEach((box, index) => {
+      if (box.score > bestScore) {
+        bestScore = box.score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex < 0) {
+      break;
+    }
+
+    const bestChannel = boxes[bestIndex].channel;
+    const box = boxes[bestIndex].colors.sort((left, right) => left.rgba[bestChannel] - right.rgba[bestChannel]);
+    const total = box.reduce((sum, color) => sum + color.count, 0);
+    let running = 0;
+    let split = 1;
+    for (let i = 0; i < box.length - 1; i += 1) {
+      running += box[i].count;
+      split = i + 1;
+      if (running >= total / 2) {
+        break;
+      }
+    }
+
+    boxes.splice(bestIndex, 1, createBox(box.slice(0, split)), createBox(box.slice(split)));
+  }
+
+  const palette = new Map();
+  const assignments = new Map();
+  for (const { colors: box } of boxes) {
+    const sum = [0, 0, 0, 0];
+    let weight = 0;
+    for (const color of box) {
+      for (let channel = 0; channel < 4; channel += 1) {
+        sum[channel] += color.rgba[channel] * color.count;
+      }
+      weight += color.count;
+    }
+    const [red, green, blue, alpha] = sum.map((value) => Math.round(value / weight));
+    const entry = codec.encode(red, green, blue, alpha);
+    if (!palette.has(entry)) {
+      palette.set(entry, palette.size);
+    }
+    for (const color of box) {
+      assignments.set(color.value, palette.get(entry));
+    }
+  }
+
+  return { entries: [...palette.keys()], assignments };
+}
+
+function createPaletteIndexer(palette, codec, assignments) {
+  const decodedPalette = palette.map((value) => codec.decode(value));
+  // Colors seen while building the palette already know their entry; only
+  // colors from elsewhere need the nearest-entry search.
+  const cache = new Map(assignments);
+
+  return (red, green, blue, alpha) => {
+    const value = codec.encode(red, green, blue, alpha);
+    let index = cache.get(value);
+    if (index === undefined) {
+      const rgba = codec.decode(value);
+      let bestDistance = Infinity;
+      index = 0;
+      for (let i = 0; i < decodedPalette.length; i += 1) {
+        const distance = colorDistance(rgba, decodedPalette[i]);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          index = i;
+        }
+      }
+      cache.set(value, index);
+    }
+    return index;
+  };
+}
+
+// Benzin-style weighted average in RGB565 space, identical to the decoder.
+function avg565(w0, w1, c0, c1) {
+  const r = Math.trunc((w0 * (c0 >> 11) + w1 * (c1 >> 11)) / (w0 + w1));
+  const g = Math.trunc((w0 * ((c0 >> 5) & 63) + w1 * ((c1 >> 5) & 63)) / (w0 + w1));
+  const b = Math.trunc((w0 * (c0 & 31) + w1 * (c1 & 31)) / (w0 + w1));
+  return (r << 11) | (g << 5) | b;
+}
+
+function expand565(raw) {
+  return [(raw >> 8) & 0xf8, (raw >> 3) & 0xf8, (raw << 3) & 0xf8];
+}
+
+// Pick DXT1 endpoints along the principal axis of the opaque block colors.
+function selectEndpoints(colors) {
+  const mean = [0, 0, 0];
+  for (const color of colors) {
+    mean[0] += color[0];
+    mean[1] += color[1];
+    mean[2] += color[2];
+  }
+  mean[0] /= colors.length;
+  mean[1] /= colors.length;
+  mean[2] /= colors.length;
+
+  const cov = [0, 0, 0, 0, 0, 0];
+  for (const color of colors) {
+    const dr = color[0] - mean[0];
+    const dg = color[1] - mean[1];
+    const db = color[2] - mean[2];
+    cov[0] += dr * dr;
+    cov[1] += dr * dg;
+    cov[2] += dr * db;
+    cov[3] += dg * dg;
+    cov[4] += dg * db;
+    cov[5] += db * db;
+  }
+
+  let axis = [1, 1, 1];
+  for (let iteration = 0; iteration < 8; iteration += 1) {
+    const next = [
+      cov[0] * axis[0] + cov[1] * axis[1] + cov[2] * axis[2],
+      cov[1] * axis[0] + cov[3] * axis[1] + cov[4] * axis[2],
+      cov[2] * axis[0] + cov[4] * axis[1] + cov[5] * axis[2],
+    ];
+    const length = Math.hypot(next[0], next[1], next[2]);
+    if (length === 0) {
+      break;
+    }
+    axis = next.map((value) => value / length);
+  }
+
+  let minColor = colors[0];
+  let maxColor = colors[0];
+  let minProjection = Infinity;
+  let maxProjection = -Infinity;
+  for (const color of colors) {
+    const projection = color[0] * axis[0] + color[1] * axis[1] + color[2] * axis[2];
+    if (projection < minProjection) {
+      minProjection = projection;
+      minColor = color;
+    }
+    if (projection > maxProjection) {
+      maxProjection = projection;
+      maxColor = color;
+    }
+  }
+
+  return [encodeRGB565(maxColor[0], maxColor[1], maxColor[2]), encodeRGB565(minColor[0], minColor[1], minColor[2])];
+}
+
+function encodeDXT1Block(readPixel, x0, y0, out, offset) {
+  const pixels = [];
+  for (let y = 0; y < 4; y += 1) {
+    for (let x = 0; x < 4; x += 1) {
+      pixels.push(readPixel(x0 + x, y0 + y));
+    }
+  }
+
+  const opaque = pixels.filter((pixel) => pixel[3] >= 128);
+  const hasTransparency = opaque.length < pixels.length;
+  let c0 = 0;
+  let c1 = 0;
+
+  if (opaque.length > 0) {
+    const [high, low] = selectEndpoints(opaque);
+    if (hasTransparency || high === low) {
+      // c0 <= c1 selects the 3-color mode where index 3 is transparent.
+      c0 = Math.min(high, low);
+      c1 = Math.max(high, low);
+    } else {
+      c0 = Math.max(high, low);
+      c1 = Math.min(high, low);
+    }
+  }
+
+  const rawColors = c0 > c1
+    ? [c0, c1, avg565(2, 1, c0, c1), avg565(1, 2, c0, c1)]
+    : [c0, c1, avg565(1, 1, c0, c1)];
+  const palette = rawColors.map(expand565);
+
+  out[offset] = c0 >> 8;
+  out[offset + 1] = c0 & 0xff;
+  out[offset + 2] = c1 >> 8;
+  out[offset + 3] = c1 & 0xff;
+
+  for (let row = 0; row < 4; row += 1) {
+    let byte = 0;
+    for (let column = 0; column < 4; column += 1) {
+      const pixel = pixels[row * 4 + column];
+      let index = 3;
+      if (!(c0 <= c1 && pixel[3] < 128)) {
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i += 1) {
+          const dr = pixel[0] - palette[i][0];
+          const dg = pixel[1] - palette[i][1];
+          const db = pixel[2] - palette[i][2];
+          const distance = dr * dr + dg * dg + db * db;
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            index = i;
+          }
+        }
+      }
+      byte |= index << (6 - column * 2);
+    }
+    out[offset + 4 + row] = byte;
+  }
+}
+
+/**
+ * Encode RGBA pixels into GX texture data.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} pixels - Row-major RGBA8 pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} format - TPL format code (see TPL_FORMATS)
+ * @param {number} [paletteFormat=2] - Palette format code for CI4/CI8/CI14X2
+ * @returns {{ data: Uint8Array, palette: { format: number, count: number, data: Uint8Array } | null }}
+ */
+export function encodeTPLImage(pixels, width, height, format, paletteFormat = 2) {
+  const layout = BLOCK_LAYOUTS[format];
+  if (!layout) {
+    throw new Error(`Unsupported TPL format for encoding: ${format} (${TPL_FORMATS[format] ?? "unknown"})`);
+  }
+
+  const { blockWidth, blockHeight, blockSize } = layout;
+  const blocksX = Math.ceil(width / blockWidth);
+  const blocksY = Math.ceil(height / blockHeight);
+  const data = new Uint8Array(blocksX * blocksY * blockSize);
+  const readPixel = createPixelReader(pixels, width, height);
+
+  let palette = null;
+  let paletteIndexOf = null;
+  if (PALETTE_CAPACITY[format]) {
+    const codec = PALETTE_CODECS[paletteFormat];
+    if (!codec) {
+      throw new Error(`Unsupported TPL palette format ${paletteFormat}`);
+    }
+    const { entries, assignments } = buildPalette(pixels, PALETTE_CAPACITY[format], codec);
+    const paletteData = new Uint8Array(entries.length * 2);
+    entries.forEach((value, i) => {
+      paletteData[i * 2] = value >> 8;
+      paletteData[i * 2 + 1] = value & 0xff;
+    });
+    palette = { format: paletteFormat, count: entries.length, data: paletteData };
+    paletteIndexOf = createPaletteIndexer(entries, codec, assignments);
+  }
+
+  let dst = 0;
+  for (let blockY = 0; blockY < height; blockY += blockHeight) {
+    for (let blockX = 0; blockX < width; blockX += blockWidth) {
+      switch (format) {
+        case 0: {
+          for (let y = 0; y < 8; y += 1) {
+            for (let x = 0; x < 8; x += 2) {
+              const [r1, g1, b1] = readPixel(blockX + x, blockY + y);
+              const [r2, g2, b2] = readPixel(blockX + x + 1, blockY + y);
+              const i1 = Math.round(luminance(r1, g1, b1) / 17);
+              const i2 = Math.round(luminance(r2, g2, b2) / 17);
+              data[dst] = (i1 << 4) | i2;
+              dst += 1;
+            }
+          }
+          break;
+        }
+
+        case 1: {
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 8; x += 1) {
+              const [red, green, blue] = readPixel(blockX + x, blockY + y);
+              data[dst] = luminance(red, green, blue);
+              dst += 1;
+            }
+          }
+          break;
+        }
+
+        case 2: {
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 8; x += 1) {
+              const [red, green, blue, alpha] = readPixel(blockX + x, blockY + y);
+              data[dst] = (Math.round(alpha / 17) << 4) | Math.round(luminance(red, green, blue) / 17);
+              dst += 1;
+            }
+          }
+          break;
+        }
+
+        case 3: {
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 4; x += 1) {
+              const [red, green, blue, alpha] = readPixel(blockX + x, blockY + y);
+              data[dst] = alpha;
+              data[dst + 1] = luminance(red, green, blue);
+              dst += 2;
+            }
+          }
+          break;
+        }
+
+        case 4:
+        case 5: {
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 4; x += 1) {
+              const [red, green, blue, alpha] = readPixel(blockX + x, blockY + y);
+              const value = format === 4
+                ? encodeRGB565(red, green, blue)
+                : encodeRGB5A3(red, green, blue, alpha);
+              data[dst] = value >> 8;
+              data[dst + 1] = value & 0xff;
+              dst += 2;
+            }
+          }
+          break;
+        }
+
+        case 6: {
+          for (let i = 0; i < 16; i += 1) {
+            const [red, green, blue, alpha] = readPixel(blockX + (i & 3), blockY + (i >> 2));
+            data[dst + i * 2] = alpha;
+            data[dst + i * 2 + 1] = red;
+            data[dst + 32 + i * 2] = green;
+            data[dst + 32 + i * 2 + 1] = blue;
+          }
+          dst += 64;
+          break;
+        }
+
+        case 8: {
+          for (let y = 0; y < 8; y += 1) {
+            for (let x = 0; x < 8; x += 2) {
+              const i1 = paletteIndexOf(...readPixel(blockX + x, blockY + y));
+              const i2 = paletteIndexOf(...readPixel(blockX + x + 1, blockY + y));
+              data[dst] = (i1 << 4) | i2;
+              dst += 1;
+            }
+          }
+          break;
+        }
+
+        case 9: {
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 8; x += 1) {
+              data[dst] = paletteIndexOf(...readPixel(blockX + x, blockY + y));
+              dst += 1;
+            }
+          }
+          break;
+        }
+
+        case 10: {
+          // 14-bit index in the top bits of a u16, where decodeTPLImage reads it.
+          for (let y = 0; y < 4; y += 1) {
+            for (let x = 0; x < 4; x += 1) {
+              const value = paletteIndexOf(...readPixel(blockX + x, blockY + y)) << 2;
+              data[dst] = value >> 8;
+              data[dst + 1] = value & 0xff;
+              dst += 2;
+            }
+          }
+          break;
+        }
+
+        case 14: {
+          for (let subBlock = 0; subBlock < 4; subBlock += 1) {
+            encodeDXT1Block(readPixel, blockX + (subBlock & 1) * 4, blockY + (subBlock >> 1) * 4, data, dst);
+            dst += 8;
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    }
+  }
+
+  return { data, palette };
+}
+
+function getPixels(image) {
+  const pixels = image.imageData?.data ?? image.imageData ?? image.data;
+  if (!pixels || pixels.length < image.width * image.height * 4) {
+    throw new Error(`TPL image ${image.width}x${image.height} is missing RGBA pixel data`);
+  }
+  return pixels;
+}
+
+/**
+ * Encode one or more RGBA images into a TPL file that parseTPL reads back.
+ *
+ * @param {Array<{ width: number, height: number, imageData: Uint8ClampedArray|ImageData, format?: number|string }>} images
+ * @param {object} [options]
+ * @param {number|string} [options.format] - Format for every image ("I4" … "CMPR" or a TPL_FORMATS code).
+ *   Falls back to each image's own `format`, then RGBA8.
+ * @param {number|string} [options.paletteFormat="RGB5A3"] - Palette format for CI4/CI8/CI14X2 ("IA8", "RGB565", "RGB5A3")
+ * @returns {ArrayBuffer}
+ */
+export function encodeTPL(images, options = {}) {
+  const list = Array.isArray(images) ? images : [images];
+  if (list.length === 0) {
+    throw new Error("encodeTPL needs at least one image");
+  }
+
+  const paletteFormat = resolveFormatCode(options.paletteFormat ?? "RGB5A3", TPL_PALETTE_FORMATS, "TPL palette format");
+  const encoded = list.map((image) => {
+    const format = resolveFormatCode(options.format ?? image.format ?? "RGBA8", TPL_FORMATS, "TPL format");
+    return { image, format, ...encodeTPLImage(getPixels(image), image.width, image.height, format, paletteFormat) };
+  });
+
+  // Header, image table, then palette + image headers; data blocks follow, 32-byte aligned.
+  let cursor = 0x0c + list.length * 8;
+  for (const entry of encoded) {
+    if (entry.palette) {
+      entry.paletteHeaderOffset = cursor;
+      cursor += PALETTE_HEADER_SIZE;
+    }
+    entry.imageHeaderOffset = cursor;
+    cursor += IMAGE_HEADER_SIZE;
+  }
+  for (const entry of encoded) {
+    if (entry.palette) {
+      entry.paletteDataOffset = align(cursor, DATA_ALIGNMENT);
+      cursor = entry.paletteDataOffset + entry.palette.data.length;
+    }
+    entry.dataOffset = align(cursor, DATA_ALIGNMENT);
+    cursor = entry.dataOffset + entry.data.length;
+  }
+
+  const out = new Uint8Array(cursor);
+  const view = new DataView(out.buffer);
+  view.setUint32(0x00, TPL_MAGIC, false);
+  view.setUint32(0x04, list.length, false);
+  view.setUint32(0x08, 0x0c, false);
+
+  encoded.forEach((entry, index) => {
+    view.setUint32(0x0c + index * 8, entry.imageHeaderOffset, false);
+    view.setUint32(0x0c + index * 8 + 4, entry.paletteHeaderOffset ?? 0, false);
+
+    if (entry.palette) {
+      view.setUint16(entry.paletteHeaderOffset, entry.palette.count, false);
+      view.setUint32(entry.paletteHeaderOffset + 4, entry.palette.format, false);
+      view.setUint32(entry.paletteHeaderOffset + 8, entry.paletteDataOffset, false);
+      out.set(entry.palette.data, entry.paletteDataOffset);
+    }
+
+    const { image } = entry;
+    const headerOffset = entry.imageHeaderOffset;
+    view.setUint16(headerOffset, image.height, false);
+    view.setUint16(headerOffset + 2, image.width, false);
+    view.setUint32(headerOffset + 4, entry.format, false);
+    view.setUint32(headerOffset + 8, entry.dataOffset, false);
+    view.setUint32(headerOffset + 0x0c, image.wrapS ?? 0, false);
+    view.setUint32(headerOffset + 0x10, image.wrapT ?? 0, false);
+    view.setUint32(headerOffset + 0x14, image.minFilter ?? 1, false);
+    view.setUint32(headerOffset + 0x18, image.magFilter ?? 1, false);
+    view.setFloat32(headerOffset + 0x1c, image.lodBias ?? 0, false);
+    out.set(entry.data, entry.dataOffset);
+  });
+
+  return out.buffer;
+}
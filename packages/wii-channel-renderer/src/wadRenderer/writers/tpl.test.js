@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { parseTPL } from "../parsers/tpl.js";
+import { encodeTPL } from "./tpl.js";
+
+function makeImage(width, height, pixelAt) {
+  const imageData = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      imageData.set(pixelAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, imageData };
+}
+
+const gradient = makeImage(20, 12, (x, y) => [x * 12, y * 20, (x + y) * 8, 255 - x * 10]);
+
+function maxChannelError(left, right) {
+  let max = 0;
+  for (let i = 0; i < left.length; i += 1) {
+    max = Math.max(max, Math.abs(left[i] - right[i]));
+  }
+  return max;
+}
+
+describe("encodeTPL", () => {
+  // CMPR is lossy block compression, so only the direct formats are expected to
+  // survive a decode/encode cycle unchanged.
+  it.each(["I4", "I8", "IA4", "IA8", "RGB565", "RGB5A3", "RGBA8", "CI4", "CI8", "CI14X2"])(
+    "%s output is stable through parseTPL",
+    (format) => {
+      const [decoded] = parseTPL(encodeTPL([gradient], { format }));
+      expect(decoded).toMatchObject({ width: 20, height: 12 });
+
+      const [again] = parseTPL(encodeTPL([decoded], { format }));
+      expect(Array.from(again.imageData)).toEqual(Array.from(decoded.imageData));
+    },
+  );
+
+  it("stores RGBA8 losslessly and keeps the format code", () => {
+    const [decoded] = parseTPL(encodeTPL(gradient, { format: "RGBA8" }));
+    expect(decoded.format).toBe(6);
+    expect(Array.from(decoded.imageData)).toEqual(Array.from(gradient.imageData));
+  });
+
+  it("quantizes RGB565 and RGB5A3 within one channel step", () => {
+    const [rgb565] = parseTPL(encodeTPL([makeImage(8, 8, (x, y) => [x * 30, y * 30, 100, 255])], { format: 4 }));
+    expect(maxChannelError(rgb565.imageData, makeImage(8, 8, (x, y) => [x * 30, y * 30, 100, 255]).imageData)).toBeLessThanOrEqual(7);
+
+    const [rgb5a3] = parseTPL(encodeTPL([gradient], { format: "RGB5A3" }));
+    expect(maxChannelError(rgb5a3.imageData, gradient.imageData)).toBeLessThanOrEqual(36);
+  });
+
+  it("builds exact palettes when the image fits and quantizes when it does not", () => {
+    const stripes = makeImage(16, 8, (x) => (x % 2 === 0 ? [255, 0, 0, 255] : [0, 0, 255, 128]));
+    const [ci4] = parseTPL(encodeTPL([stripes], { format: "CI4", paletteFormat: "RGB5A3" }));
+    expect(Array.from(ci4.imageData.slice(0, 8))).toEqual([255, 0, 0, 255, 0, 0, 255, 145]);
+
+    const [ci8] = parseTPL(encodeTPL([gradient], { format: "CI8", paletteFormat: "RGB565" }));
+    expect(maxChannelError(ci8.imageData.filter((_, i) => i % 4 !== 3), gradient.imageData.filter((_, i) => i % 4 !== 3)))
+      .toBeLessThanOrEqual(40);
+  });
+
+  it("gives CI14X2 a palette entry per distinct color", () => {
+    const [decoded] = parseTPL(encodeTPL([gradient], { format: "CI14X2", paletteFormat: "RGB5A3" }));
+    const [rgb5a3] = parseTPL(encodeTPL([gradient], { format: "RGB5A3" }));
+    expect(decoded.format).toBe(10);
+    expect(Array.from(decoded.imageData)).toEqual(Array.from(rgb5a3.imageData));
+  });
+
+  it("keeps CMPR transparency and approximate colors", () => {
+    const image = makeImage(16, 16, (x, y) => (x < 8 ? [200, 40, 40, 255] : y < 8 ? [40, 200, 40, 255] : [0, 0, 0, 0]));
+    const [decoded] = parseTPL(encodeTPL([image], { format: "CMPR" }));
+    const pixel = (x, y) => Array.from(decoded.imageData.slice((y * 16 + x) * 4, (y * 16 + x) * 4 + 4));
+
+    expect(pixel(12, 12)[3]).toBe(0);
+    expect(maxChannelError(pixel(2, 2), [200, 40, 40, 255])).toBeLessThanOrEqual(8);
+    expect(maxChannelError(pixel(12, 2), [40, 200, 40, 255])).toBeLessThanOrEqual(8);
+  });
+
+  it("writes multi-image files with mixed formats", () => {
+    const images = parseTPL(encodeTPL([
+      { ...gradient, format: "IA8" },
+      { ...makeImage(4, 4, () => [1, 2, 3, 4]), format: 9 },
+    ]));
+    expect(images.map((image) => [image.width, image.height, image.format])).toEqual([[20, 12, 3], [4, 4, 9]]);
+  });
+});
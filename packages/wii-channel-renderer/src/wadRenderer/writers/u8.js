@@ -0,0 +1,149 @@
+import { align, encodeLz77 } from "../shared/index.js";
+import { wrapIMD5 } from "./imd5.js";
+
+const U8_MAGIC = 0x55aa382d;
+const U8_HEADER_SIZE = 0x20;
+const U8_NODE_SIZE = 12;
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  throw new Error("U8 file data must be an ArrayBuffer or typed array");
+}
+
+// Rebuild the directory tree from flat "dir/sub/file" paths. Insertion order is
+// kept, so the node table of an archive that went through parseU8 comes back in
+// the same order it was read.
+function buildTree(files) {
+  const root = { name: "", isDir: true, children: new Map() };
+
+  for (const [path, data] of Object.entries(files)) {
+    const segments = path.split("/").filter(Boolean);
+    if (segments.length === 0) {
+      throw new Error(`Invalid U8 path "${path}"`);
+    }
+
+    let dir = root;
+    for (const segment of segments.slice(0, -1)) {
+      let child = dir.children.get(segment);
+      if (!child) {
+        child = { name: segment, isDir: true, children: new Map() };
+        dir.children.set(segment, child);
+      } else if (!child.isDir) {
+        throw new Error(`U8 path "${path}" conflicts with file "${segment}"`);
+      }
+      dir = child;
+    }
+
+    const fileName = segments[segments.length - 1];
+    if (dir.children.has(fileName)) {
+      throw new Error(`Duplicate U8 path "${path}"`);
+    }
+    dir.children.set(fileName, { name: fileName, isDir: false, data: toBytes(data) });
+  }
+
+  return root;
+}
+
+function flattenTree(root) {
+  const nodes = [];
+
+  function visit(entry, parentIndex) {
+    const node = { entry, parentIndex, end: 0 };
+    const index = nodes.length;
+    nodes.push(node);
+
+    if (entry.isDir) {
+      for (const child of entry.children.values()) {
+        visit(child, index);
+      }
+      node.end = nodes.length;
+    }
+  }
+
+  visit(root, 0);
+  return nodes;
+}
+
+/**
+ * Build a U8 archive from a `{ path: ArrayBuffer }` map (the shape parseU8 returns).
+ *
+ * @param {Record<string, ArrayBuffer|Uint8Array>} files
+ * @param {object} [options]
+ * @param {number} [options.alignment=32] - Alignment of the data section and each file
+ * @param {boolean} [options.lz77=false] - Wrap the archive in an "LZ77" stream
+ * @param {"le"|"be"} [options.lz77SizeMode="le"] - Byte order of the LZ77 size field
+ * @param {boolean} [options.imd5=false] - Prefix an IMD5 header (after compression)
+ * @returns {ArrayBuffer}
+ */
+export function buildU8(files, options = {}) {
+  const { alignment = 0x20, lz77 = false, lz77SizeMode = "le", imd5 = false } = options;
+  const nodes = flattenTree(buildTree(files));
+
+  const nameBytes = [];
+  let stringTableSize = 0;
+  for (const node of nodes) {
+    node.nameOffset = stringTableSize;
+    const name = node.entry.name;
+    const bytes = new Uint8Array(name.length + 1);
+    for (let i = 0; i < name.length; i += 1) {
+      bytes[i] = name.charCodeAt(i) & 0xff;
+    }
+    nameBytes.push(bytes);
+    stringTableSize += bytes.length;
+  }
+
+  const nodeTableSize = nodes.length * U8_NODE_SIZE + stringTableSize;
+  const dataOffset = align(U8_HEADER_SIZE + nodeTableSize, alignment);
+
+  let cursor = dataOffset;
+  for (const node of nodes) {
+    if (node.entry.isDir) {
+      continue;
+    }
+    node.dataOffset = align(cursor, alignment);
+    cursor = node.dataOffset + node.entry.data.length;
+  }
+
+  const out = new Uint8Array(Math.max(cursor, dataOffset));
+  const view = new DataView(out.buffer);
+  view.setUint32(0x00, U8_MAGIC, false);
+  view.setUint32(0x04, U8_HEADER_SIZE, false);
+  view.setUint32(0x08, nodeTableSize, false);
+  view.setUint32(0x0c, dataOffset, false);
+
+  const stringTableOffset = U8_HEADER_SIZE + nodes.length * U8_NODE_SIZE;
+  nodes.forEach((node, index) => {
+    const nodeOffset = U8_HEADER_SIZE + index * U8_NODE_SIZE;
+    view.setUint8(nodeOffset, node.entry.isDir ? 1 : 0);
+    view.setUint8(nodeOffset + 1, (node.nameOffset >> 16) & 0xff);
+    view.setUint16(nodeOffset + 2, node.nameOffset & 0xffff, false);
+
+    if (node.entry.isDir) {
+      view.setUint32(nodeOffset + 4, node.parentIndex, false);
+      view.setUint32(nodeOffset + 8, node.end, false);
+    } else {
+      view.setUint32(nodeOffset + 4, node.dataOffset, false);
+      view.setUint32(nodeOffset + 8, node.entry.data.length, false);
+      out.set(node.entry.data, node.dataOffset);
+    }
+
+    out.set(nameBytes[index], stringTableOffset + node.nameOffset);
+  });
+
+  let result = out.buffer;
+  if (lz77) {
+    result = encodeLz77(out, lz77SizeMode);
+  }
+  if (imd5) {
+    result = wrapIMD5(result);
+  }
+  return result;
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { parseU8 } from "../parsers/u8.js";
+import { bytesToHex, decodeLz77, md5 } from "../shared/index.js";
+import { buildU8 } from "./u8.js";
+
+function bytes(text) {
+  return new TextEncoder().encode(text).buffer;
+}
+
+function toHexMap(files) {
+  return Object.fromEntries(Object.entries(files).map(([path, data]) => [path, bytesToHex(new Uint8Array(data))]));
+}
+
+function bannerFiles() {
+  const pattern = new Uint8Array(4096);
+  for (let i = 0; i < pattern.length; i += 1) {
+    pattern[i] = (i * 7) % 13;
+  }
+
+  return {
+    "arc/anim/banner_Start.brlan": bytes("RLAN start"),
+    "arc/anim/banner_Loop.brlan": bytes("RLAN loop loop loop loop"),
+    "arc/blyt/banner.brlyt": bytes("RLYT"),
+    "arc/timg/back.tpl": pattern.buffer,
+    "arc/timg/empty.tpl": new ArrayBuffer(0),
+  };
+}
+
+describe("buildU8", () => {
+  it("computes RFC 1321 MD5 digests", () => {
+    expect(bytesToHex(md5(new Uint8Array(0)))).toBe("d41d8cd98f00b204e9800998ecf8427e");
+    expect(bytesToHex(md5(bytes("abc")))).toBe("900150983cd24fb0d6963f7d28e17f72");
+  });
+
+  it("round-trips through parseU8 with identical node order and bytes", () => {
+    const files = bannerFiles();
+    const archive = buildU8(files);
+    const parsed = parseU8(archive);
+
+    expect(Object.keys(parsed)).toEqual(Object.keys(files));
+    expect(toHexMap(parsed)).toEqual(toHexMap(files));
+    expect(bytesToHex(new Uint8Array(buildU8(parsed)))).toBe(bytesToHex(new Uint8Array(archive)));
+  });
+
+  it("writes a correct node table", () => {
+    const view = new DataView(buildU8({ "a/x.bin": bytes("x"), "b.bin": bytes("bb") }));
+    expect(view.getUint32(0, false)).toBe(0x55aa382d);
+    expect(view.getUint32(4, false)).toBe(0x20);
+
+    // root, a/, x.bin, b.bin
+    const node = (i) => ({
+      type: view.getUint8(0x20 + i * 12),
+      data: view.getUint32(0x20 + i * 12 + 4, false),
+      size: view.getUint32(0x20 + i * 12 + 8, false),
+    });
+    expect(node(0)).toMatchObject({ type: 1, data: 0, size: 4 });
+    expect(node(1)).toMatchObject({ type: 1, data: 0, size: 3 });
+    expect(node(2)).toMatchObject({ type: 0, size: 1 });
+    expect(node(3)).toMatchObject({ type: 0, size: 2 });
+    expect(node(2).data % 0x20).toBe(0);
+    expect(node(3).data % 0x20).toBe(0);
+  });
+
+  it("wraps in LZ77 and IMD5 like retail banner.bin", () => {
+    const files = bannerFiles();
+    const plain = new Uint8Array(buildU8(files));
+    const packed = buildU8(files, { lz77: true, imd5: true });
+    const packedBytes = new Uint8Array(packed);
+    const view = new DataView(packed);
+
+    expect(String.fromCharCode(...packedBytes.slice(0, 4))).toBe("IMD5");
+    expect(view.getUint32(4, false)).toBe(packed.byteLength - 0x20);
+    expect(bytesToHex(packedBytes.slice(0x10, 0x20))).toBe(bytesToHex(md5(packedBytes.slice(0x20))));
+    expect(String.fromCharCode(...packedBytes.slice(0x20, 0x24))).toBe("LZ77");
+    expect(packed.byteLength).toBeLessThan(plain.byteLength);
+
+    const decompressed = new Uint8Array(decodeLz77(packedBytes.slice(0x20), "le"));
+    expect(bytesToHex(decompressed)).toBe(bytesToHex(plain));
+    expect(toHexMap(parseU8(packed))).toEqual(toHexMap(files));
+  });
+});
@@ -0,0 +1,183 @@
+import {
+  align,
+  createContentIv,
+  decryptTitleKey,
+  encryptAesCbcNoPadding,
+  importAesCbcKey,
+  sha1,
+} from "../shared/index.js";
+import { TMD_CONTENT_RECORDS_OFFSET, TMD_CONTENT_RECORD_SIZE, parseTMD, parseTicket } from "../parsers/wad.js";
+
+const WAD_HEADER_SIZE = 0x20;
+const WAD_TYPE_INSTALLABLE = 0x49730000; // 'Is\0\0'
+
+// RSA-2048 signed blobs: signature type u32, 256-byte signature, 60 bytes of
+// padding, then the signed body starting with the issuer at 0x140.
+const SIGNATURE_OFFSET = 0x04;
+const SIGNATURE_SIZE = 0x100;
+const SIGNED_BODY_OFFSET = 0x140;
+
+// Unused u16 fields that fakesigning rewrites until the body hash starts with 0x00.
+const TICKET_FAKESIGN_FIELD = 0x262;
+const TMD_FAKESIGN_FIELD = 0x1e2;
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+function copyBytes(data) {
+  return toBytes(data).slice();
+}
+
+/**
+ * Zero the RSA signature and brute-force an unused u16 so the SHA-1 of the
+ * signed body starts with a zero byte (the "trucha" bug: IOS compares the
+ * hashes with strncmp).
+ *
+ * @param {Uint8Array} bytes - Ticket or TMD, modified in place
+ * @param {number} fieldOffset - Offset of the u16 to brute-force
+ * @returns {Promise<boolean>} Whether a matching value was found
+ */
+export async function fakesignSignedBlob(bytes, fieldOffset) {
+  bytes.fill(0, SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_SIZE);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  for (let value = 0; value <= 0xffff; value += 1) {
+    view.setUint16(fieldOffset, value, false);
+    const digest = await sha1(bytes.subarray(SIGNED_BODY_OFFSET));
+    if (digest[0] === 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+export function fakesignTicket(ticketBytes) {
+  return fakesignSignedBlob(ticketBytes, TICKET_FAKESIGN_FIELD);
+}
+
+export function fakesignTMD(tmdBytes) {
+  return fakesignSignedBlob(tmdBytes, TMD_FAKESIGN_FIELD);
+}
+
+function resolveContentData(contents, record, position) {
+  const data = Array.isArray(contents) ? contents[position] : contents[record.name];
+  if (!data) {
+    throw new Error(`Missing data for content ${record.name} (index ${record.index})`);
+  }
+  return toBytes(data);
+}
+
+/**
+ * Build an installable WAD from its parts.
+ *
+ * Content sizes and SHA-1 hashes in the TMD are recomputed from the supplied
+ * decrypted contents, which are then encrypted with the ticket's title key.
+ * Every section and content is aligned to 64 bytes.
+ *
+ * @param {object} params
+ * @param {ArrayBuffer|Uint8Array} params.ticket - Raw ticket
+ * @param {ArrayBuffer|Uint8Array} params.tmd - Raw TMD; its content records decide order, IDs and indices
+ * @param {ArrayBuffer|Uint8Array} params.certChain - Raw certificate chain
+ * @param {Record<string, ArrayBuffer|Uint8Array>|Array<ArrayBuffer|Uint8Array>} params.contents -
+ *   Decrypted contents keyed by app name ("00000000.app", the shape decryptWadContents returns)
+ *   or listed in TMD record order
+ * @param {Uint8Array} [params.titleKey] - Decrypted title key (derived from the ticket when omitted)
+ * @param {boolean} [params.fakesign=false] - Zero the signatures and brute-force trucha hashes
+ * @param {number} [params.wadType] - WAD header type (defaults to "Is")
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function buildWAD({ ticket, tmd, certChain, contents, titleKey, fakesign = false, wadType }) {
+  const ticketBytes = copyBytes(ticket);
+  const certChainBytes = toBytes(certChain ?? new Uint8Array());
+  const { contentRecords } = parseTMD(tmd);
+  const tmdBytes = copyBytes(tmd).slice(0, TMD_CONTENT_RECORDS_OFFSET + contentRecords.length * TMD_CONTENT_RECORD_SIZE);
+  const tmdView = new DataView(tmdBytes.buffer);
+
+  const titleKeyBytes = titleKey ?? (await decryptTitleKey(parseTicket(ticketBytes)));
+  const key = await importAesCbcKey(titleKeyBytes);
+
+  const encryptedContents = [];
+  for (let position = 0; position < contentRecords.length; position += 1) {
+    const record = contentRecords[position];
+    const plain = resolveContentData(contents, record, position);
+    const hash = await sha1(plain);
+
+    const recordOffset = TMD_CONTENT_RECORDS_OFFSET + position * TMD_CONTENT_RECORD_SIZE;
+    tmdView.setUint32(recordOffset + 8, Math.floor(plain.length / 2 ** 32), false);
+    tmdView.setUint32(recordOffset + 12, plain.length >>> 0, false);
+    tmdBytes.set(hash, recordOffset + 16);
+
+    const padded = new Uint8Array(align(plain.length, 16));
+    padded.set(plain);
+    encryptedContents.push(await encryptAesCbcNoPadding(key, padded, createContentIv(record.index)));
+  }
+
+  if (fakesign) {
+    if (!(await fakesignTicket(ticketBytes))) {
+      throw new Error("Failed to fakesign ticket");
+    }
+    if (!(await fakesignTMD(tmdBytes))) {
+      throw new Error("Failed to fakesign TMD");
+    }
+  }
+
+  const dataSize = encryptedContents.reduce((total, bytes) => total + align(bytes.length, 64), 0);
+  const certChainOffset = align(WAD_HEADER_SIZE, 64);
+  const ticketOffset = certChainOffset + align(certChainBytes.length, 64);
+  const tmdOffset = ticketOffset + align(ticketBytes.length, 64);
+  const dataOffset = tmdOffset + align(tmdBytes.length, 64);
+
+  const out = new Uint8Array(dataOffset + dataSize);
+  const view = new DataView(out.buffer);
+  view.setUint32(0x00, WAD_HEADER_SIZE, false);
+  view.setUint32(0x04, wadType ?? WAD_TYPE_INSTALLABLE, false);
+  view.setUint32(0x08, certChainBytes.length, false);
+  view.setUint32(0x10, ticketBytes.length, false);
+  view.setUint32(0x14, tmdBytes.length, false);
+  view.setUint32(0x18, dataSize, false);
+
+  out.set(certChainBytes, certChainOffset);
+  out.set(ticketBytes, ticketOffset);
+  out.set(tmdBytes, tmdOffset);
+
+  let contentOffset = dataOffset;
+  for (const bytes of encryptedContents) {
+    out.set(bytes, contentOffset);
+    contentOffset += align(bytes.length, 64);
+  }
+
+  return out.buffer;
+}
+
+/**
+ * Rebuild a WAD returned by parseWAD around replacement (decrypted) contents,
+ * reusing its certificate chain, ticket and TMD.
+ *
+ * @param {object} wad - Result of parseWAD()
+ * @param {Record<string, ArrayBuffer|Uint8Array>} contents - Decrypted contents keyed by app name
+ * @param {object} [options] - Forwarded to buildWAD (titleKey, fakesign)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function repackWAD(wad, contents, options = {}) {
+  const source = wad.sourceBuffer;
+  const { certChainOffset, certChainSize } = wad.certChain;
+  const { ticketOffset, ticketSize } = wad.ticket;
+  const { tmdOffset, tmdSize } = wad.tmd;
+
+  return buildWAD({
+    ...options,
+    certChain: new Uint8Array(source, certChainOffset, certChainSize),
+    ticket: new Uint8Array(source, ticketOffset, ticketSize),
+    tmd: new Uint8Array(source, tmdOffset, tmdSize),
+    contents,
+    wadType: options.wadType ?? wad.wadType,
+  });
+}
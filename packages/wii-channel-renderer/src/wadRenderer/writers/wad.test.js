@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import { parseWAD } from "../parsers/wad.js";
+import { decryptWadContents } from "../pipeline/decryption.js";
+import {
+  WII_COMMON_KEYS,
+  bytesToHex,
+  encryptAesCbcNoPadding,
+  hexToBytes,
+  importAesCbcKey,
+  sha1,
+} from "../shared/index.js";
+import { buildWAD, repackWAD } from "./wad.js";
+
+const TITLE_KEY = hexToBytes("00112233445566778899aabbccddeeff");
+const TITLE_ID = hexToBytes("0001000148414241"); // 00010001-HABA
+
+async function makeTicket() {
+  const ticket = new Uint8Array(0x2a4);
+  new DataView(ticket.buffer).setUint32(0, 0x10001, false);
+  ticket.set(TITLE_ID, 0x1dc);
+  ticket[0x1f5] = 0;
+
+  const commonKey = await importAesCbcKey(hexToBytes(WII_COMMON_KEYS[0]));
+  const iv = new Uint8Array(16);
+  iv.set(TITLE_ID, 0);
+  ticket.set(await encryptAesCbcNoPadding(commonKey, TITLE_KEY, iv), 0x1bf);
+  return ticket;
+}
+
+function makeTmd(records) {
+  const tmd = new Uint8Array(0x1e4 + records.length * 36);
+  const view = new DataView(tmd.buffer);
+  view.setUint32(0, 0x10001, false);
+  tmd.fill(0xee, 4, 0x104); // stale signature
+  tmd.set(TITLE_ID, 0x18c);
+  view.setUint16(0x1de, records.length, false);
+  records.forEach(([contentId, index], i) => {
+    view.setUint32(0x1e4 + i * 36, contentId, false);
+    view.setUint16(0x1e4 + i * 36 + 4, index, false);
+    view.setUint16(0x1e4 + i * 36 + 6, 1, false);
+  });
+  return tmd;
+}
+
+function patternBytes(length, seed) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 1) {
+    bytes[i] = (i * seed + 3) & 0xff;
+  }
+  return bytes;
+}
+
+describe("buildWAD", () => {
+  it("encrypts contents that decryptWadContents recovers and rewrites TMD sizes and hashes", async () => {
+    const contents = {
+      "00000000.app": patternBytes(1000, 7).buffer,
+      "00000001.app": patternBytes(77, 13).buffer,
+    };
+    const wadBuffer = await buildWAD({
+      ticket: await makeTicket(),
+      tmd: makeTmd([[0, 0], [1, 1]]),
+      certChain: patternBytes(0xa00, 5),
+      contents,
+    });
+
+    const wad = parseWAD(wadBuffer);
+    expect(wad.titleId).toBe("HABA");
+    expect(wad.contentRecords.map((record) => record.size)).toEqual([1000, 77]);
+    for (const record of wad.contentRecords) {
+      expect(record.offset % 64).toBe(0);
+      expect(bytesToHex(record.hash)).toBe(bytesToHex(await sha1(new Uint8Array(contents[record.name]))));
+    }
+
+    const decrypted = await decryptWadContents(wad);
+    expect(bytesToHex(new Uint8Array(decrypted["00000000.app"]))).toBe(bytesToHex(new Uint8Array(contents["00000000.app"])));
+    expect(bytesToHex(new Uint8Array(decrypted["00000001.app"]))).toBe(bytesToHex(new Uint8Array(contents["00000001.app"])));
+  });
+
+  it("repacks a parsed WAD with replaced contents and fakesigns it", async () => {
+    const original = parseWAD(await buildWAD({
+      ticket: await makeTicket(),
+      tmd: makeTmd([[0x10, 0]]),
+      certChain: new Uint8Array(0x100),
+      contents: [patternBytes(64, 3)],
+    }));
+
+    const replacement = patternBytes(4099, 11);
+    const repacked = parseWAD(await repackWAD(original, { "00000010.app": replacement }, { fakesign: true }));
+    expect(repacked.contentRecords[0].size).toBe(4099);
+
+    const source = new Uint8Array(repacked.sourceBuffer);
+    for (const [offset, size] of [
+      [repacked.ticket.ticketOffset, repacked.ticket.ticketSize],
+      [repacked.tmd.tmdOffset, repacked.tmd.tmdSize],
+    ]) {
+      const blob = source.slice(offset, offset + size);
+      expect(blob.slice(4, 0x104).every((byte) => byte === 0)).toBe(true);
+      expect((await sha1(blob.slice(0x140)))[0]).toBe(0);
+    }
+
+    const decrypted = await decryptWadContents(repacked);
+    expect(bytesToHex(new Uint8Array(decrypted["00000010.app"]))).toBe(bytesToHex(replacement));
+  });
+
+  it("rejects TMD records without content data", async () => {
+    await expect(buildWAD({
+      ticket: await makeTicket(),
+      tmd: makeTmd([[0, 0], [1, 1]]),
+      certChain: new Uint8Array(0),
+      contents: { "00000000.app": new Uint8Array(16) },
+    })).rejects.toThrow("Missing data for content 00000001.app");
+  });
+});
@@ -0,0 +1,257 @@
+// @vitest-environment happy-dom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { loadRendererBundle } from "./bundleLoader.js";
+import { createRendererFromBundle } from "./bundleRenderer.js";
+import { isWebGlSupported } from "./wadRenderer/glRenderer/createGlBannerRenderer.js";
+import "./wiiBannerElement.js";
+
+// Decoding a bundle and drawing it need a real canvas; the element's job is
+// deciding when to load, which backend to ask for and when to play.
+vi.mock("./bundleLoader.js", () => ({ loadRendererBundle: vi.fn() }));
+vi.mock("./bundleRenderer.js", () => ({ createRendererFromBundle: vi.fn() }));
+vi.mock("./wadRenderer/glRenderer/createGlBannerRenderer.js", () => ({ isWebGlSupported: vi.fn() }));
+
+function createFakeRenderer() {
+  const renderer = {
+    playing: false,
+    playbackMode: "loop",
+    render: vi.fn(),
+    play: vi.fn(() => {
+      renderer.playing = true;
+    }),
+    stop: vi.fn(() => {
+      renderer.playing = false;
+    }),
+    dispose: vi.fn(),
+    getPlaybackInfo: () => ({ fps: 60, audioFrame: 0 }),
+  };
+  return renderer;
+}
+
+// IntersectionObserver stand-in the tests scroll by hand.
+function stubIntersectionObserver() {
+  const observers = [];
+  class FakeIntersectionObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = [];
+      observers.push(this);
+    }
+
+    observe(target) {
+      this.targets.push(target);
+    }
+
+    disconnect() {
+      this.targets = [];
+    }
+  }
+  vi.stubGlobal("IntersectionObserver", FakeIntersectionObserver);
+  return (element, isIntersecting) => {
+    for (const observer of observers.filter((entry) => entry.targets.includes(element))) {
+      observer.callback([{ target: element, isIntersecting }]);
+    }
+  };
+}
+
+// Web Audio stand-in: decodes every WAV to 2 s at 1 kHz and records started sources.
+function stubAudioContext() {
+  const sources = [];
+  class FakeAudioContext {
+    constructor() {
+      this.currentTime = 0;
+      this.state = "running";
+      this.destination = {};
+    }
+
+    async resume() {}
+
+    async decodeAudioData() {
+      return { length: 2000, sampleRate: 1000, numberOfChannels: 1 };
+    }
+
+    createGain() {
+      return { gain: { value: 1 }, connect() {}, disconnect() {} };
+    }
+
+    createBufferSource() {
+      const source = { loop: false, loopStart: 0, loopEnd: 0, connect() {}, disconnect() {}, start() {}, stop() {} };
+      sources.push(source);
+      return source;
+    }
+  }
+  vi.stubGlobal("AudioContext", FakeAudioContext);
+  return sources;
+}
+
+let nextBundle = 0;
+
+function mount(attributes) {
+  const element = document.createElement("wii-banner");
+  // The element caches downloads by URL, so every test gets its own.
+  element.setAttribute("src", `bundle-${(nextBundle += 1)}.zip`);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  document.body.append(element);
+  return element;
+}
+
+function loaded(element) {
+  return new Promise((resolve, reject) => {
+    element.addEventListener("load", resolve, { once: true });
+    element.addEventListener("error", (event) => reject(event.detail), { once: true });
+  });
+}
+
+describe("<wii-banner> in the DOM", () => {
+  let scroll;
+  let renderers;
+
+  beforeEach(() => {
+    scroll = stubIntersectionObserver();
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(new ArrayBuffer(8))));
+    renderers = [];
+    vi.mocked(loadRendererBundle).mockImplementation(async () => ({ manifest: {} }));
+    vi.mocked(createRendererFromBundle).mockImplementation(() => {
+      const renderer = createFakeRenderer();
+      renderers.push(renderer);
+      return { renderer };
+    });
+    vi.mocked(isWebGlSupported).mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    document.body.replaceChildren();
+    vi.unstubAllGlobals();
+    vi.clearAllMocks();
+  });
+
+  it("waits until it scrolls into view before fetching, then renders and autoplays", async () => {
+    const element = mount({ autoplay: "", aspect: "16:9", locale: "US" });
+    await Promise.resolve();
+    expect(fetch).not.toHaveBeenCalled();
+
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+
+    expect(fetch).toHaveBeenCalledWith(new URL(element.getAttribute("src"), document.baseURI).href);
+    expect(loadRendererBundle).toHaveBeenCalledWith(expect.any(ArrayBuffer));
+    const [canvas, bundle, target, settings] = vi.mocked(createRendererFromBundle).mock.calls[0];
+    expect(canvas.parentNode).toBe(element.shadowRoot);
+    expect(bundle).toBe(element.bundle);
+    expect(target).toBe("banner");
+    expect(settings).toMatchObject({ displayAspect: "16:9", titleLocale: "US" });
+    expect(element.renderer).toBe(renderers[0]);
+    expect(renderers[0].play).toHaveBeenCalledTimes(1);
+  });
+
+  it("pauses while offscreen and resumes without reloading", async () => {
+    const element = mount({ autoplay: "" });
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+    const [renderer] = renderers;
+
+    scroll(element, false);
+    expect(renderer.stop).toHaveBeenCalledTimes(1);
+    expect(renderer.playing).toBe(false);
+
+    scroll(element, true);
+    expect(renderer.play).toHaveBeenCalledTimes(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(renderers).toHaveLength(1);
+  });
+
+  it("stays paused without autoplay until play() is called", async () => {
+    const element = mount({});
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+
+    expect(element.paused).toBe(true);
+    expect(renderers[0].render).toHaveBeenCalled();
+    expect(renderers[0].play).not.toHaveBeenCalled();
+    element.play();
+    expect(renderers[0].play).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    [true, null, "auto"],
+    [false, null, "canvas"],
+    [false, "webgl", "webgl"],
+    [true, "canvas", "canvas"],
+  ])("asks for the right backend (WebGL supported: %s, renderer=%s)", async (supported, attribute, backend) => {
+    vi.mocked(isWebGlSupported).mockReturnValue(supported);
+    const element = mount(attribute ? { renderer: attribute } : {});
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+
+    expect(vi.mocked(createRendererFromBundle).mock.calls[0][3].rendererBackend).toBe(backend);
+  });
+
+  it("rebuilds the renderer on a fresh canvas when a setting attribute changes", async () => {
+    const element = mount({ autoplay: "", aspect: "4:3" });
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+    const firstCanvas = element.shadowRoot.querySelector("canvas");
+
+    element.setAttribute("aspect", "16:9");
+
+    expect(renderers).toHaveLength(2);
+    expect(renderers[0].dispose).toHaveBeenCalledTimes(1);
+    expect(vi.mocked(createRendererFromBundle).mock.calls[1][3]).toMatchObject({ displayAspect: "16:9" });
+    const canvases = element.shadowRoot.querySelectorAll("canvas");
+    expect(canvases).toHaveLength(1);
+    expect(canvases[0]).not.toBe(firstCanvas);
+    expect(element.renderer).toBe(renderers[1]);
+    expect(renderers[1].play).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("loads the new bundle when src changes", async () => {
+    const element = mount({});
+    let done = loaded(element);
+    scroll(element, true);
+    await done;
+
+    done = loaded(element);
+    element.setAttribute("src", `bundle-${(nextBundle += 1)}.zip`);
+    await done;
+
+    expect(renderers[0].dispose).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(element.renderer).toBe(renderers[1]);
+  });
+
+  it("tears the renderer down when removed from the page", async () => {
+    const element = mount({ autoplay: "" });
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+
+    element.remove();
+
+    expect(renderers[0].dispose).toHaveBeenCalledTimes(1);
+    expect(element.renderer).toBeNull();
+  });
+
+  it("loops the bundle's audio from the manifest loop point", async () => {
+    const sources = stubAudioContext();
+    vi.mocked(loadRendererBundle).mockImplementation(async () => ({
+      audioWav: new ArrayBuffer(44),
+      manifest: { audio: { file: "audio.wav", sampleRate: 1000, channels: 1, durationSeconds: 2, loopFlag: true, loopStart: 500 } },
+    }));
+    const element = mount({ autoplay: "" });
+    const done = loaded(element);
+    scroll(element, true);
+    await done;
+    await vi.waitFor(() => expect(sources).not.toHaveLength(0));
+
+    expect(sources.at(-1)).toMatchObject({ loop: true, loopStart: 0.5, loopEnd: 2 });
+    expect(element._audio.getExpectedAudioTime(150)).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * <wii-banner> — Framework-free custom element that plays a renderer bundle.
+ *
+ * Usage:
+ *   import '@firstform/wii-channel-renderer/wii-banner';
+ *
+ *   <wii-banner src="bundle.zip" target="banner" aspect="16:9" locale="US" autoplay muted></wii-banner>
+ *
+ * The bundle is fetched when the element first scrolls into view, playback
+ * pauses while it is offscreen, and channel audio follows the banner's frame
+ * clock. Every createRendererFromBundle setting has a matching attribute
+ * (see SETTING_ATTRIBUTES); changing one rebuilds the renderer in place.
+ */
+
+import { createAudioSyncController, getSharedAudioContext } from "./audioSync.js";
+import { loadRendererBundle } from "./bundleLoader.js";
+import { createRendererFromBundle } from "./bundleRenderer.js";
+import { isWebGlSupported } from "./wadRenderer/glRenderer/createGlBannerRenderer.js";
+
+// ---------------------------------------------------------------------------
+// Attribute parsing
+// ---------------------------------------------------------------------------
+
+function parseString(value) {
+  return value || undefined;
+}
+
+function parseNumber(value) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function parseBoolean(value) {
+  return value !== "false";
+}
+
+// Attribute -> [createRendererFromBundle setting, parser]
+const SETTING_ATTRIBUTES = {
+  aspect: ["displayAspect", parseString],
+  locale: ["titleLocale", parseString],
+  anim: ["animOverride", parseString],
+  "disc-type": ["discType", parseString],
+  scene: ["scene", parseString],
+  "tev-quality": ["tevQuality", parseString],
+  "render-state": ["renderState", parseString],
+  "playback-mode": ["playbackMode", parseString],
+  fps: ["fps", parseNumber],
+  "max-render-fps": ["maxRenderFps", parseNumber],
+  "max-device-pixel-ratio": ["maxDevicePixelRatio", parseNumber],
+  "subframe-playback": ["subframePlayback", parseBoolean],
+};
+
+// "auto" keeps createRendererFromBundle's Canvas fallback for when a WebGL
+// context cannot be created even though the browser reports support.
+function resolveRendererBackend(value) {
+  if (value === "canvas" || value === "webgl") return value;
+  return isWebGlSupported() ? "auto" : "canvas";
+}
+
+// ---------------------------------------------------------------------------
+// Bundle fetching
+// ---------------------------------------------------------------------------
+
+// Raw ZIPs by absolute URL, so several elements showing one bundle download it
+// once. Each element still decodes its own copy: renderers mutate their layout.
+const bundleDataCache = new Map();
+
+function fetchBundleData(src) {
+  const url = new URL(src, document.baseURI).href;
+  let pending = bundleDataCache.get(url);
+  if (!pending) {
+    pending = fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${url} (${response.status})`);
+      }
+      return response.arrayBuffer();
+    });
+    pending.catch(() => bundleDataCache.delete(url));
+    bundleDataCache.set(url, pending);
+  }
+  return pending;
+}
+
+// ---------------------------------------------------------------------------
+// Element
+// ---------------------------------------------------------------------------
+
+// The renderer sizes the canvas inline at its native output size; let it shrink
+// to fit the page, with the height following the backing store's aspect.
+const STYLE = `
+  :host { display: inline-block; max-width: 100%; line-height: 0; }
+  :host([hidden]) { display: none; }
+  canvas { display: block; max-width: 100%; height: auto !important; }
+`;
+
+// Outside the browser (SSR, Node) the module still imports; it just defines nothing.
+const BaseElement = globalThis.HTMLElement ?? class {};
+
+export class WiiBannerElement extends BaseElement {
+  static get observedAttributes() {
+    return ["src", "target", "renderer", "autoplay", "muted", "volume", ...Object.keys(SETTING_ATTRIBUTES)];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = `<style>${STYLE}</style>`;
+    this._bundle = null;
+    this._pendingLoad = null;
+    this._loadToken = 0;
+    this._renderer = null;
+    this._audio = null;
+    this._observer = null;
+    this._visible = false;
+    this._wantsPlayback = false;
+  }
+
+  /** The active BannerRenderer, or null until the bundle has loaded. */
+  get renderer() {
+    return this._renderer;
+  }
+
+  /** The loaded renderer bundle, or null. */
+  get bundle() {
+    return this._bundle;
+  }
+
+  get paused() {
+    return !this._wantsPlayback;
+  }
+
+  play() {
+    this._wantsPlayback = true;
+    this._resume();
+  }
+
+  pause() {
+    this._wantsPlayback = false;
+    this._suspend();
+  }
+
+  connectedCallback() {
+    if (typeof IntersectionObserver === "undefined") {
+      this._setVisible(true);
+      return;
+    }
+    this._observer = new IntersectionObserver((entries) => {
+      this._setVisible(entries[entries.length - 1].isIntersecting);
+    });
+    this._observer.observe(this);
+  }
+
+  disconnectedCallback() {
+    this._observer?.disconnect();
+    this._observer = null;
+    this._visible = false;
+    this._loadToken += 1;
+    this._pendingLoad = null;
+    this._destroyRenderer();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    if (name === "src") {
+      this._loadToken += 1;
+      this._pendingLoad = null;
+      this._bundle = null;
+      this._destroyRenderer();
+      if (this._visible) this._load();
+      return;
+    }
+    if (!this.isConnected) return;
+
+    if (name === "autoplay") {
+      if (newValue !== null) this.play();
+    } else if (name === "muted") {
+      if (newValue !== null) {
+        this._audio?.dispose();
+        this._audio = null;
+      } else {
+        void this._createAudio();
+      }
+    } else if (name === "volume") {
+      this._audio?.setVolume(this._getVolume());
+    } else if (this._bundle) {
+      this._createRenderer();
+    }
+  }
+
+  _setVisible(visible) {
+    this._visible = visible;
+    if (!visible) {
+      this._suspend();
+      return;
+    }
+    if (this._renderer) {
+      this._resume();
+    } else if (this._bundle) {
+      this._createRenderer();
+    } else if (!this._pendingLoad) {
+      this._load();
+    }
+  }
+
+  _load() {
+    const src = this.getAttribute("src");
+    if (!src) return;
+
+    const token = ++this._loadToken;
+    this._pendingLoad = fetchBundleData(src)
+      .then((data) => loadRendererBundle(data))
+      .then((bundle) => {
+        if (token !== this._loadToken) return;
+        this._pendingLoad = null;
+        this._bundle = bundle;
+        this._wantsPlayback ||= this.hasAttribute("autoplay");
+        this._createRenderer();
+        this.dispatchEvent(new Event("load"));
+      })
+      .catch((error) => {
+        if (token !== this._loadToken) return;
+        this._pendingLoad = null;
+        this.dispatchEvent(new CustomEvent("error", { detail: error }));
+      });
+  }
+
+  _readSettings() {
+    const settings = {};
+    for (const [attribute, [setting, parse]] of Object.entries(SETTING_ATTRIBUTES)) {
+      if (this.hasAttribute(attribute)) {
+        const value = parse(this.getAttribute(attribute));
+        if (value !== undefined) settings[setting] = value;
+      }
+    }
+    return settings;
+  }
+
+  _getVolume() {
+    return parseNumber(this.getAttribute("volume")) ?? 1;
+  }
+
+  _createRenderer() {
+    this._destroyRenderer();
+
+    // A fresh canvas each time: one that held a WebGL context cannot switch to 2D.
+    const canvas = document.createElement("canvas");
+    canvas.setAttribute("part", "canvas");
+    this.shadowRoot.querySelector("canvas")?.remove();
+    this.shadowRoot.append(canvas);
+
+    const target = this.getAttribute("target") || "banner";
+    try {
+      const { renderer } = createRendererFromBundle(canvas, this._bundle, target, {
+        ...this._readSettings(),
+        rendererBackend: resolveRendererBackend(this.getAttribute("renderer")),
+        onFrame: (_frame, _total, _phase, _globalFrame, audioFrame) => this._audio?.syncFrame(audioFrame),
+      });
+      this._renderer = renderer;
+    } catch (error) {
+      this.dispatchEvent(new CustomEvent("error", { detail: error }));
+      return;
+    }
+
+    this._renderer.render();
+    if (target === "banner") void this._createAudio();
+    this._resume();
+  }
+
+  async _createAudio() {
+    const renderer = this._renderer;
+    const { audioWav, manifest } = this._bundle ?? {};
+    if (!renderer || this._audio || !audioWav || !manifest?.audio || this.hasAttribute("muted")) return;
+    if ((this.getAttribute("target") || "banner") !== "banner") return;
+
+    const context = getSharedAudioContext();
+    if (!context) return;
+
+    let audioBuffer;
+    try {
+      audioBuffer = await context.decodeAudioData(audioWav.slice(0));
+    } catch {
+      // The banner plays on without sound.
+      return;
+    }
+    if (renderer !== this._renderer || this._audio || this.hasAttribute("muted")) return;
+
+    const { sampleRate, loopFlag, loopStart } = manifest.audio;
+    this._audio = createAudioSyncController(
+      { audioBuffer, sampleRate, loopFlag, loopStart },
+      renderer.getPlaybackInfo().fps,
+      { animationLoops: renderer.playbackMode === "loop", volume: this._getVolume() },
+    );
+    if (renderer.playing) this._resumeAudio();
+  }
+
+  _resumeAudio() {
+    if (!this._audio || !this._renderer) return;
+    this._audio.seekToFrame(this._renderer.getPlaybackInfo().audioFrame);
+    void this._audio.play(this._audio.currentTime);
+  }
+
+  _resume() {
+    if (!this._renderer || !this._visible || !this._wantsPlayback) return;
+    this._renderer.play();
+    this._resumeAudio();
+  }
+
+  _suspend() {
+    this._renderer?.stop();
+    this._audio?.pause();
+  }
+
+  _destroyRenderer() {
+    this._audio?.dispose();
+    this._audio = null;
+    this._renderer?.dispose();
+    this._renderer = null;
+  }
+}
+
+/**
+ * Register the element (idempotent). Importing this module already registers
+ * it as <wii-banner>; call this to use another tag name.
+ *
+ * @param {string} [tagName="wii-banner"]
+ * @returns {typeof WiiBannerElement|undefined}
+ */
+export function defineWiiBannerElement(tagName = "wii-banner") {
+  const registry = globalThis.customElements;
+  if (!registry) return undefined;
+  const existing = registry.get(tagName);
+  if (existing) return existing;
+  // A custom element constructor can only be registered once.
+  const ElementClass = tagName === "wii-banner" ? WiiBannerElement : class extends WiiBannerElement {};
+  registry.define(tagName, ElementClass);
+  return ElementClass;
+}
+
+defineWiiBannerElement();
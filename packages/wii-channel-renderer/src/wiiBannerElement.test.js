@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { WiiBannerElement, defineWiiBannerElement } from "./wiiBannerElement.js";
+
+// Lifecycle behaviour (lazy loading, offscreen pause, backend choice, rebuilds,
+// audio) is covered with a DOM in wiiBannerElement.dom.test.js.
+describe("<wii-banner>", () => {
+  it("observes an attribute for every createRendererFromBundle setting", () => {
+    expect(WiiBannerElement.observedAttributes).toEqual(expect.arrayContaining([
+      "src", "target", "aspect", "locale", "autoplay", "muted",
+      "anim", "disc-type", "scene", "tev-quality", "render-state", "playback-mode",
+      "fps", "max-render-fps", "max-device-pixel-ratio", "subframe-playback", "renderer",
+    ]));
+  });
+
+  it("imports outside the browser without registering anything", () => {
+    expect(globalThis.customElements).toBeUndefined();
+    expect(defineWiiBannerElement()).toBeUndefined();
+  });
+});
@@ -1,29 +1,42 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   BannerRenderer,
+  buildWiiShopIconOverrides,
+  collectRenderStateOptions,
+  createArrayLogger,
+  createAudioSyncController,
   createGlBannerRenderer,
   flattenTextures,
+  formatAnimationInfo,
+  formatDuration,
+  formatLayoutInfo,
+  mergeRelatedRsoAnimations,
   processArchive,
+  processDiscImage,
+  processOpeningBnr,
   processWAD,
   processZipBundle,
+  resolveAnimationSelection,
+  suggestInitialFrame,
+  verifyWAD,
 } from "@firstform/wii-channel-renderer";
 
-import { TABS, PREVIEW_QUALITY_OPTIONS, DEFAULT_PREVIEW_QUALITY, resolvePreviewQuality } from "./constants";
-import { createArrayLogger, formatLayoutInfo, formatAnimationInfo, formatDuration } from "./utils/formatters";
-import { suggestInitialFrame, resolveAnimationSelection } from "./utils/animation";
-import { buildWiiShopIconOverrides, collectRenderStateOptions, mergeRelatedRsoAnimations } from "./utils/renderState";
+import { TABS, DISC_IMAGE_EXTENSIONS, PREVIEW_QUALITY_OPTIONS, DEFAULT_PREVIEW_QUALITY, resolvePreviewQuality } from "./constants";
 import { resolveWeatherRenderState, resolveCustomWeatherBannerFrame } from "./utils/weather";
 import { getUsedTextureNames, resolveIconViewport, createRecentIconPreview } from "./utils/layout";
-import { createAudioSyncController } from "./utils/audioSync";
 import { saveRecentWad } from "./utils/recentWads";
+import { findMissingFonts } from "./utils/sharedFonts";
 import { sortTitleLocales, arePaneStateGroupsEqual, shallowEqualSelections, normalizePaneStateSelections } from "./utils/misc";
 
 import { useTheme } from "./hooks/useTheme";
 import { useRecentWads } from "./hooks/useRecentWads";
+import { useSharedFonts } from "./hooks/useSharedFonts";
 import { useCustomizationSettings } from "./hooks/useCustomizationSettings";
 import { useExportSettings } from "./hooks/useExportSettings";
 import { useRendererPlayback } from "./hooks/useRendererPlayback";
 import { useBundleExportActions } from "./hooks/useBundleExportActions";
+import { useChannelAudioImport } from "./hooks/useChannelAudioImport";
+import { useLayoutEditor } from "./hooks/useLayoutEditor";
 
 import { Sidebar } from "./components/Sidebar";
 import { PreviewTab } from "./components/tabs/PreviewTab";
@@ -31,6 +44,7 @@ import { ExportTab } from "./components/tabs/ExportTab";
 import { TexturesTab } from "./components/tabs/TexturesTab";
 import { DebugTab } from "./components/tabs/DebugTab";
 import { LayoutTab } from "./components/tabs/LayoutTab";
+import { AnimationTab } from "./components/tabs/AnimationTab";
 import { LogTab } from "./components/tabs/LogTab";
 
 export default function App() {
@@ -38,8 +52,9 @@ export default function App() {
   const fileInputRef = useRef(null);
   const bannerCanvasRef = useRef(null);
   const iconCanvasRef = useRef(null);
-  const previewAudioRef = useRef(null);
   const bannerRendererRef = useRef(null);
+  // Arguments the banner renderer was created with, for the backend parity debug view.
+  const bannerRendererSourceRef = useRef(null);
   const iconRendererRef = useRef(null);
   const bundleFileInputRef = useRef(null);
 
@@ -58,7 +73,11 @@ export default function App() {
   const [selectedFileName, setSelectedFileName] = useState("");
   const [parsed, setParsed] = useState(null);
   const [hasAudio, setHasAudio] = useState(false);
+  const [audioVolume, setAudioVolume] = useState(1);
+  // Read when a controller is created, so a volume change doesn't rebuild it.
+  const audioVolumeRef = useRef(audioVolume);
   const [logEntries, setLogEntries] = useState([]);
+  const [wadVerification, setWadVerification] = useState(null);
 
   // --- Render state & locale ---
   const [bannerRenderState, setBannerRenderState] = useState("auto");
@@ -93,7 +112,12 @@ export default function App() {
       isProcessing,
     );
 
+  const { sharedFonts, sharedFontEntries, sharedFontError, addSharedFontFiles, removeSharedFont } = useSharedFonts();
+
   // --- Derived / memoized values ---
+  const missingFonts = useMemo(() => findMissingFonts(parsed?.results, sharedFonts), [parsed, sharedFonts]);
+  const { channelAudio, exportParsed, audioImport } = useChannelAudioImport(parsed);
+  const layoutEditor = useLayoutEditor(parsed, bannerRendererRef);
   const bannerRenderStateOptions = useMemo(
     () => collectRenderStateOptions(parsed?.results?.banner),
     [parsed],
@@ -407,11 +431,11 @@ export default function App() {
   const layoutInfo = useMemo(() => formatLayoutInfo(parsed?.results.banner?.layout), [parsed]);
   const animationInfo = useMemo(() => formatAnimationInfo(parsed?.results.banner?.anim), [parsed]);
   const audioInfo = useMemo(() => {
-    const audio = parsed?.results?.audio;
+    const audio = channelAudio;
     if (!audio) return "No channel audio decoded.";
     const loopText = audio.loopFlag ? `loop starts at sample ${audio.loopStart}` : "no loop";
     return `${audio.channelCount} channel(s), ${audio.sampleRate} Hz, ${audio.sampleCount} samples, ${formatDuration(audio.durationSeconds)}, ${loopText}`;
-  }, [parsed]);
+  }, [channelAudio]);
 
   const showRenderArea = Boolean(parsed || logEntries.length > 0);
 
@@ -429,6 +453,7 @@ export default function App() {
     bannerRendererRef.current?.dispose();
     iconRendererRef.current?.dispose();
     bannerRendererRef.current = null;
+    bannerRendererSourceRef.current = null;
     iconRendererRef.current = null;
     audioSyncRef.current?.stop();
   }, []);
@@ -455,6 +480,7 @@ export default function App() {
       setIconPaneStateGroups([]);
       setBannerPaneStateSelections({});
       setIconPaneStateSelections({});
+      setWadVerification(null);
       resetCustomization();
 
       stopRenderers();
@@ -464,17 +490,31 @@ export default function App() {
       logger.info(`Loading ${file.name}`);
 
       try {
-        const buffer = await file.arrayBuffer();
         const ext = file.name.toLowerCase().split(".").pop();
+        const isDiscImage = DISC_IMAGE_EXTENSIONS.includes(ext);
+        const buffer = isDiscImage ? null : await file.arrayBuffer();
         let result;
-        if (ext === "arc") {
+        if (isDiscImage) {
+          result = await processDiscImage(file, logger);
+        } else if (ext === "arc") {
           result = processArchive(buffer, logger);
         } else if (ext === "zip") {
           result = await processZipBundle(buffer, logger);
+        } else if (ext === "bnr") {
+          result = processOpeningBnr(buffer, logger);
         } else {
           result = await processWAD(buffer, logger);
         }
 
+        // Only real WADs: renderer bundles carry a `wad: { titleId }` stub.
+        if (result.wad?.sourceBuffer) {
+          try {
+            setWadVerification(await verifyWAD(buffer, logger, { decryptedContents: result.decryptedContents }));
+          } catch (verifyError) {
+            logger.warn(`WAD verification failed: ${verifyError.message}`);
+          }
+        }
+
         if (!result.results.banner && !result.results.icon) {
           logger.warn("No banner or icon content could be rendered.");
         }
@@ -488,7 +528,11 @@ export default function App() {
 
         try {
           const iconPreviewUrl = createRecentIconPreview(result, BannerRenderer);
-          const nextRecentWads = await saveRecentWad(file, { iconPreviewUrl });
+          // Keep only the extracted opening.bnr of disc images in the recent list.
+          const recentFile = result.openingBnr
+            ? new File([result.openingBnr], `${file.name.replace(/\.[^.]+$/, "")}.bnr`, { lastModified: file.lastModified })
+            : file;
+          const nextRecentWads = await saveRecentWad(recentFile, { iconPreviewUrl });
           setRecentWads(nextRecentWads);
         } catch (recentError) {
           logger.warn(`Unable to store recent WAD: ${recentError.message}`);
@@ -532,7 +576,7 @@ export default function App() {
   }, []);
 
   const exportActions = useBundleExportActions({
-    parsed,
+    parsed: exportParsed,
     selectedFileName,
     bannerCanvasRef,
     iconCanvasRef,
@@ -543,6 +587,7 @@ export default function App() {
     tevQuality,
     titleLocale,
     bannerPaneStateSelections,
+    sharedFonts,
   });
 
   // --- Effects ---
@@ -560,9 +605,9 @@ export default function App() {
     }
   }, [iconRenderState, iconRenderStateOptions]);
 
-  // Web Audio controller (replaces HTML <audio> + sync)
+  // Web Audio playback, kept in step with the banner renderer's audioFrame
   useEffect(() => {
-    const audio = parsed?.results?.audio;
+    const audio = channelAudio;
     if (!audio?.pcm16?.length) {
       audioSyncRef.current?.dispose();
       audioSyncRef.current = null;
@@ -570,7 +615,7 @@ export default function App() {
       return undefined;
     }
     const animationLoops = phaseMode !== "startOnly";
-    const controller = createAudioSyncController(previewAudioRef.current, audio, 60, { animationLoops });
+    const controller = createAudioSyncController(audio, 60, { animationLoops, volume: audioVolumeRef.current });
     audioSyncRef.current = controller;
     setHasAudio(Boolean(controller));
     return () => {
@@ -578,14 +623,19 @@ export default function App() {
       audioSyncRef.current = null;
       setHasAudio(false);
     };
-  }, [parsed, phaseMode]);
+  }, [channelAudio, phaseMode]);
+
+  useEffect(() => {
+    audioVolumeRef.current = audioVolume;
+    audioSyncRef.current?.setVolume(audioVolume);
+  }, [audioVolume]);
 
   // Main renderer setup
   useEffect(() => {
     stopRenderers();
     stopPlaybackState();
 
-    if (!parsed || activeTab !== "preview") {
+    if (!parsed || (activeTab !== "preview" && activeTab !== "layout" && activeTab !== "animation")) {
       return () => stopRenderers();
     }
 
@@ -633,37 +683,45 @@ export default function App() {
 
     if (bannerResult && bannerCanvasRef.current) {
       const bannerPhaseOpts = resolvePhaseModeOptions(bannerAnimSelection);
+      const bannerOptions = {
+        initialFrame: effectiveBannerStartFrame,
+        maxRenderFps: qualityPreset.maxRenderFps,
+        maxDevicePixelRatio: qualityPreset.maxDevicePixelRatio,
+        enableWiiShopBackdropMask: bannerBackdropMask,
+        startAnim: bannerPhaseOpts.startAnim,
+        loopAnim: bannerPhaseOpts.loopAnim,
+        renderState: bannerAnimSelection.renderState,
+        playbackMode: bannerPhaseOpts.playbackMode,
+        paneStateSelections: customWeatherData ? null : bannerPaneStateSelections,
+        titleLocale: requestedLocale,
+        customWeather: customWeatherData,
+        paneVisibilityOverrides: bannerPaneVisibilityOverrides,
+        paneAlphaMaskFromFirstTexture: bannerAlphaMaskPanes,
+        textOverrides: bannerTextOverrides,
+        displayAspect: previewDisplayAspect,
+        tevQuality,
+        fonts: bannerResult.fonts,
+        sharedFonts,
+        onFrame: (frame, total, phase, globalFrame, audioFrame) => {
+          timelineRef.current?.updatePlayhead("banner", globalFrame);
+          audioSyncRef.current?.syncFrame(audioFrame);
+        },
+      };
       const bannerRenderer = makeRenderer(
         bannerCanvasRef.current,
         bannerResult.renderLayout,
         bannerPhaseOpts.anim,
         bannerResult.tplImages,
-        {
-          initialFrame: effectiveBannerStartFrame,
-          maxRenderFps: qualityPreset.maxRenderFps,
-          maxDevicePixelRatio: qualityPreset.maxDevicePixelRatio,
-          enableWiiShopBackdropMask: bannerBackdropMask,
-          startAnim: bannerPhaseOpts.startAnim,
-          loopAnim: bannerPhaseOpts.loopAnim,
-          renderState: bannerAnimSelection.renderState,
-          playbackMode: bannerPhaseOpts.playbackMode,
-          paneStateSelections: customWeatherData ? null : bannerPaneStateSelections,
-          titleLocale: requestedLocale,
-          customWeather: customWeatherData,
-          paneVisibilityOverrides: bannerPaneVisibilityOverrides,
-          paneAlphaMaskFromFirstTexture: bannerAlphaMaskPanes,
-          textOverrides: bannerTextOverrides,
-          displayAspect: previewDisplayAspect,
-          tevQuality,
-          fonts: bannerResult.fonts,
-          onFrame: (frame, total, phase, globalFrame, audioFrame) => {
-            timelineRef.current?.updatePlayhead("banner", globalFrame);
-            audioSyncRef.current?.syncFrame(audioFrame);
-          },
-        },
+        bannerOptions,
       );
       bannerRenderer.render();
       bannerRendererRef.current = bannerRenderer;
+      bannerRendererSourceRef.current = {
+        layout: bannerResult.renderLayout,
+        anim: bannerPhaseOpts.anim,
+        tplImages: bannerResult.tplImages,
+        options: bannerOptions,
+      };
     }
 
     if (iconResult && iconCanvasRef.current) {
@@ -693,6 +751,7 @@ export default function App() {
           referenceAspectRatio: iconViewport.width / iconViewport.height,
           tevQuality,
           fonts: iconResult.fonts,
+          sharedFonts,
           onFrame: (frame, total, phase, globalFrame, _audioFrame) => {
             timelineRef.current?.updatePlayhead("icon", globalFrame);
           },
@@ -728,7 +787,7 @@ export default function App() {
     stopRenderers, bannerAnimSelection, iconAnimSelection, titleLocale,
     bannerPaneStateSelections, iconPaneStateSelections, customWeatherData, customNewsData,
     previewDisplayAspect, tevQuality, previewQuality, bannerBackdropMask, rendererBackend, phaseMode, bannerPaneVisibilityOverrides, bannerAlphaMaskPanes, bannerTextOverrides,
-    iconPaneVisibilityOverrides, iconScene, stopPlaybackState,
+    iconPaneVisibilityOverrides, iconScene, stopPlaybackState, sharedFonts,
   ]);
 
   // Start frame sync
@@ -765,6 +824,11 @@ export default function App() {
         isLoadingRecentId={isLoadingRecentId}
         loadRecentWad={loadRecentWad}
         clearRecentWadsList={clearRecentWadsList}
+        sharedFontEntries={sharedFontEntries}
+        sharedFontError={sharedFontError}
+        missingFonts={missingFonts}
+        addSharedFontFiles={addSharedFontFiles}
+        removeSharedFont={removeSharedFont}
         themePreference={themePreference}
         setThemePreference={setThemePreference}
       />
@@ -794,7 +858,6 @@ export default function App() {
                   canvases={{
                     bannerCanvasRef,
                     iconCanvasRef,
-                    audioElementRef: previewAudioRef,
                     exportCanvas,
                   }}
                   playback={{ isPlaying, togglePlayback, resetPlayback }}
@@ -846,7 +909,8 @@ export default function App() {
                     showBackdropMaskOption,
                   }}
                   customization={customizationSettings}
-                  status={{ animStatus, hasAudio, audioInfo }}
+                  status={{ animStatus, hasAudio, audioInfo, audioVolume, setAudioVolume }}
+                  audioImport={audioImport}
                   parsed={parsed}
                   timeline={{
                     phaseMode,
@@ -861,6 +925,7 @@ export default function App() {
                     onTrackTogglePlay: handleTrackTogglePlay,
                     onTrackSeek: handleTrackSeek,
                   }}
+                  parity={{ bannerRendererRef, bannerRendererSourceRef }}
                 />
               ) : null}
 
@@ -868,7 +933,7 @@ export default function App() {
                 <ExportTab
                   exportState={exportSettings}
                   exportActions={exportActions}
-                  parsed={parsed}
+                  parsed={exportParsed}
                   renderSettings={{
                     tevQuality,
                     setTevQuality,
@@ -909,11 +974,31 @@ export default function App() {
               ) : null}
 
               {activeTab === "layout" ? (
-                <LayoutTab layoutInfo={layoutInfo} animationInfo={animationInfo} />
+                <LayoutTab
+                  layout={parsed?.results.banner?.renderLayout ?? null}
+                  layoutInfo={layoutInfo}
+                  animationInfo={animationInfo}
+                  bannerCanvasRef={bannerCanvasRef}
+                  bannerRendererRef={bannerRendererRef}
+                  rendererBackend={rendererBackend}
+                  playback={{ isPlaying, togglePlayback }}
+                  editor={layoutEditor}
+                />
+              ) : null}
+
+              {activeTab === "animation" ? (
+                <AnimationTab
+                  banner={parsed?.results.banner ?? null}
+                  bannerAnimSelection={bannerAnimSelection}
+                  bannerCanvasRef={bannerCanvasRef}
+                  bannerRendererRef={bannerRendererRef}
+                  rendererBackend={rendererBackend}
+                  playback={{ isPlaying, togglePlayback }}
+                />
               ) : null}
 
               {activeTab === "log" ? (
-                <LogTab logEntries={logEntries} />
+                <LogTab logEntries={logEntries} verification={wadVerification} />
               ) : null}
             </div>
           ) : (
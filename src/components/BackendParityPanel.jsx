@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from "react";
+import { getRendererGlobalFrame, renderBackendParity } from "../utils/backendParity";
+
+function ParityImage({ label, image }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+  }, [image]);
+
+  return (
+    <div className="parity-image">
+      <label>{label}</label>
+      {image ? <canvas ref={canvasRef} /> : <div className="empty-state">Unavailable</div>}
+    </div>
+  );
+}
+
+// Debug view: renders the banner's current frame through the Canvas and WebGL
+// backends, shows both with a difference heatmap, and lists the GPU path each
+// pane took in the WebGL backend.
+export function BackendParityPanel({ rendererRef, sourceRef }) {
+  const [open, setOpen] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const compare = () => {
+    const source = sourceRef.current;
+    if (!source) {
+      setError("No banner loaded.");
+      return;
+    }
+    const frame = getRendererGlobalFrame(rendererRef.current);
+    try {
+      setReport({ frame, ...renderBackendParity(source, frame) });
+      setError(null);
+    } catch (compareError) {
+      setReport(null);
+      setError(compareError?.message ?? String(compareError));
+    }
+  };
+
+  const fallbackCount = report?.rows.filter((row) => row.path === "canvas-raster").length ?? 0;
+
+  return (
+    <div className="settings-json-section">
+      <button type="button" className="settings-json-toggle" onClick={() => setOpen((prev) => !prev)}>
+        {open ? "Hide" : "Show"} Backend Parity Debug
+      </button>
+      {open ? (
+        <div className="settings-json-panel parity-panel">
+          <div className="settings-json-actions">
+            <button type="button" onClick={compare}>
+              Compare Current Frame
+            </button>
+          </div>
+          {error ? <div className="empty-state">{error}</div> : null}
+          {report ? (
+            <>
+              <div className="parity-summary">
+                Frame {Math.floor(report.frame)} at {report.width}x{report.height}:{" "}
+                {report.glError
+                  ? `WebGL unavailable (${report.glError})`
+                  : `${report.diffCount} pixels differ (${(report.diffRatio * 100).toFixed(2)}%), ` +
+                    `${fallbackCount} of ${report.rows.length} quads on the Canvas fallback`}
+                {report.unowned > 0 ? `, ${report.unowned} changed pixels outside any pane` : ""}
+              </div>
+              <div className="parity-images">
+                <ParityImage label="Canvas" image={report.canvasImage} />
+                <ParityImage label="WebGL" image={report.glImage} />
+                <ParityImage label="Difference" image={report.heatmap} />
+              </div>
+              {report.rows.length > 0 ? (
+                <table className="verify-table">
+                  <thead>
+                    <tr>
+                      <th>Pane</th>
+                      <th>Type</th>
+                      <th>WebGL Path</th>
+                      <th>Fallback Reason</th>
+                      <th>Changed px</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((row, index) => (
+                      <tr key={`${row.name}-${index}`}>
+                        <td>{row.name}</td>
+                        <td>{row.type}</td>
+                        <td className={`parity-path ${row.path}`}>{row.label}</td>
+                        <td>{row.reason ?? "-"}</td>
+                        <td>{row.changedPixels || "-"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : null}
+            </>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
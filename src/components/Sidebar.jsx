@@ -1,4 +1,6 @@
-import { formatByteSize } from "../utils/formatters";
+import { useRef } from "react";
+import { SHARED_FONT_EXTENSIONS } from "../constants";
+import { formatByteSize } from "@firstform/wii-channel-renderer";
 
 export function Sidebar({
   fileInputRef,
@@ -11,9 +13,16 @@ export function Sidebar({
   isLoadingRecentId,
   loadRecentWad,
   clearRecentWadsList,
+  sharedFontEntries,
+  sharedFontError,
+  missingFonts,
+  addSharedFontFiles,
+  removeSharedFont,
   themePreference,
   setThemePreference,
 }) {
+  const fontInputRef = useRef(null);
+
   return (
     <aside className="sidebar">
       <header>
@@ -49,7 +58,7 @@ export function Sidebar({
         <input
           ref={fileInputRef}
           type="file"
-          accept=".wad,.arc,.zip"
+          accept=".wad,.arc,.zip,.bnr,.iso,.gcm,.wbfs,.rvz,.wia"
           onChange={(event) => {
             const file = event.target.files?.[0];
             if (file) {
@@ -106,6 +115,60 @@ export function Sidebar({
         </div>
       ) : null}
 
+      <div className="recent-wads shared-fonts">
+        <div className="recent-wads-header">
+          <div className="recent-wads-title">System Fonts</div>
+          <button
+            className="clear-recent-button"
+            onClick={() => fontInputRef.current?.click()}
+            type="button"
+            title="Add fonts dumped from the Wii System Menu (e.g. wbf1.brfna) for banners that use them"
+          >
+            Add
+          </button>
+          <input
+            ref={fontInputRef}
+            type="file"
+            multiple
+            hidden
+            accept={SHARED_FONT_EXTENSIONS.map((extension) => `.${extension}`).join(",")}
+            onChange={(event) => {
+              const files = [...(event.target.files ?? [])];
+              if (files.length > 0) {
+                void addSharedFontFiles(files);
+              }
+              event.target.value = "";
+            }}
+          />
+        </div>
+        {sharedFontEntries.length > 0 ? (
+          <div className="recent-wads-list">
+            {sharedFontEntries.map((entry) => (
+              <div className="shared-font-item" key={entry.name}>
+                <span className="recent-wad-info">
+                  <span className="recent-wad-name">{entry.name}</span>
+                  <span className="recent-wad-meta">{formatByteSize(entry.size)}</span>
+                </span>
+                <button
+                  className="shared-font-remove"
+                  onClick={() => void removeSharedFont(entry.name)}
+                  type="button"
+                  title={`Remove ${entry.name}`}
+                >
+                  {"\u00D7"}
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="shared-fonts-hint">No shared fonts. Text in banners that use System Menu fonts is drawn with a browser font.</div>
+        )}
+        {missingFonts.length > 0 ? (
+          <div className="shared-fonts-hint">Missing: {missingFonts.join(", ")}</div>
+        ) : null}
+        {sharedFontError ? <div className="shared-fonts-hint error">{sharedFontError}</div> : null}
+      </div>
+
       <div className="sidebar-footer">
         <button
           className="theme-toggle"
@@ -0,0 +1,465 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { buildBRLAN } from "@firstform/wii-channel-renderer";
+import { downloadBlob } from "@firstform/wii-channel-renderer/export-bundle";
+import {
+  buildCurvePath,
+  getTrackFrameRange,
+  getTrackValueRange,
+  hasTangents,
+  insertKeyframe,
+  listAnimationTracks,
+  removeKeyframe,
+  restoreAnimationKeyframes,
+  snapshotAnimationKeyframes,
+  updateKeyframe,
+} from "../../utils/animationCurves";
+
+const PLOT_WIDTH = 760;
+const PLOT_HEIGHT = 280;
+const PLOT_PADDING = { left: 52, right: 14, top: 14, bottom: 26 };
+const TANGENT_HANDLE_LENGTH = 36;
+
+// Original keyframes of every animation edited in this session, keyed by its pane
+// list (shared with the render-state copies of the animation) so "Discard Edits"
+// survives tab switches.
+const originalKeyframesByPanes = new WeakMap();
+
+function sameAnimation(left, right) {
+  return Boolean(left && right && (left === right || left.panes === right.panes));
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, "");
+}
+
+function collectAnimOptions(banner, selection) {
+  const options = [];
+  const add = (anim, role) => {
+    if (!anim || options.some((option) => sameAnimation(option.anim, anim))) return;
+    const source = banner?.animEntries?.find((entry) => sameAnimation(entry.anim, anim)) ?? null;
+    const fileName = source?.path?.split("/").pop() ?? `${role}.brlan`;
+    options.push({ anim, role, fileName, sourceAnim: source?.anim ?? anim });
+  };
+  add(selection?.startAnim, "start");
+  add(selection?.loopAnim, "loop");
+  add(selection?.anim, "anim");
+  return options;
+}
+
+function KeyframeFields({ keyframe, showTangent, onChange }) {
+  const field = (name, label, step) => (
+    <label className="curve-key-field">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={formatNumber(keyframe[name])}
+        onChange={(event) => {
+          const next = Number.parseFloat(event.target.value);
+          if (Number.isFinite(next)) onChange({ [name]: next });
+        }}
+      />
+    </label>
+  );
+  return (
+    <>
+      {field("frame", "Frame", "1")}
+      {field("value", "Value", "any")}
+      {showTangent ? field("blend", "Slope", "any") : null}
+    </>
+  );
+}
+
+export function AnimationTab({
+  banner, bannerAnimSelection,
+  bannerCanvasRef, bannerRendererRef, rendererBackend,
+  playback,
+}) {
+  const { isPlaying, togglePlayback } = playback;
+  const animOptions = useMemo(() => collectAnimOptions(banner, bannerAnimSelection), [banner, bannerAnimSelection]);
+  const [animIndex, setAnimIndex] = useState(0);
+  const animOption = animOptions[Math.min(animIndex, animOptions.length - 1)] ?? null;
+  const anim = animOption?.anim ?? null;
+  const frameSize = Math.max(1, anim?.frameSize ?? 1);
+
+  // Bumped after every in-place edit so the plot re-reads the keyframes.
+  const [revision, setRevision] = useState(0);
+  const tracks = useMemo(() => listAnimationTracks(anim), [anim]);
+  const [trackId, setTrackId] = useState(null);
+  const track = tracks.find((candidate) => candidate.id === trackId) ?? tracks[0] ?? null;
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [playheadFrame, setPlayheadFrame] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    setAnimIndex(0);
+  }, [banner]);
+
+  useEffect(() => {
+    setSelectedKey(null);
+  }, [track]);
+
+  const frameRange = useMemo(
+    () => getTrackFrameRange(track?.entry, frameSize),
+    [track, frameSize, revision],
+  );
+  const liveValueRange = useMemo(
+    () => getTrackValueRange(track?.tagType, track?.entry, frameRange.start, frameRange.end),
+    [track, frameRange, revision],
+  );
+  // Hold the axes still while dragging so the curve doesn't slide under the cursor.
+  const valueRange = drag?.valueRange ?? liveValueRange;
+  const plotFrameRange = drag?.frameRange ?? frameRange;
+
+  const innerWidth = PLOT_WIDTH - PLOT_PADDING.left - PLOT_PADDING.right;
+  const innerHeight = PLOT_HEIGHT - PLOT_PADDING.top - PLOT_PADDING.bottom;
+  const frameSpan = plotFrameRange.end - plotFrameRange.start;
+  const valueSpan = valueRange.max - valueRange.min;
+  const toX = useCallback(
+    (frame) => PLOT_PADDING.left + ((frame - plotFrameRange.start) / frameSpan) * innerWidth,
+    [plotFrameRange.start, frameSpan, innerWidth],
+  );
+  const toY = useCallback(
+    (value) => PLOT_PADDING.top + (1 - (value - valueRange.min) / valueSpan) * innerHeight,
+    [valueRange.min, valueSpan, innerHeight],
+  );
+
+  const curvePath = useMemo(
+    () => (track ? buildCurvePath(track.tagType, track.entry, plotFrameRange.start, plotFrameRange.end, toX, toY) : ""),
+    [track, plotFrameRange, toX, toY, revision],
+  );
+
+  // Renderer frame for the selected animation, when it is the one being drawn.
+  useEffect(() => {
+    let handle = 0;
+    let last = null;
+    const tick = () => {
+      const renderer = bannerRendererRef.current;
+      const next = renderer && sameAnimation(renderer.anim, anim) ? Math.round(renderer.frame * 10) / 10 : null;
+      if (next !== last) {
+        last = next;
+        setPlayheadFrame(next);
+      }
+      handle = requestAnimationFrame(tick);
+    };
+    tick();
+    return () => cancelAnimationFrame(handle);
+  }, [anim, bannerRendererRef]);
+
+  const seekRenderer = useCallback((frame) => {
+    const renderer = bannerRendererRef.current;
+    if (!renderer || !anim) return;
+    if (isPlaying) togglePlayback();
+    const localFrame = Math.max(0, Math.min(frameSize - 1, frame));
+    const info = renderer.getPlaybackInfo?.();
+    const isLoopPhase = renderer.sequenceEnabled && sameAnimation(renderer.loopAnim, anim) && !sameAnimation(renderer.startAnim, anim);
+    const globalFrame = isLoopPhase
+      ? (info?.startFrames ?? 0) + Math.max(0, localFrame - (renderer.loopPlaybackStartFrame ?? 0))
+      : localFrame;
+    renderer.seekToFrame(globalFrame);
+  }, [anim, bannerRendererRef, frameSize, isPlaying, togglePlayback]);
+
+  const commitEdit = useCallback(() => {
+    bannerRendererRef.current?.refreshAnimations?.();
+    setRevision((value) => value + 1);
+  }, [bannerRendererRef]);
+
+  const beginEdit = useCallback(() => {
+    if (anim && !originalKeyframesByPanes.has(anim.panes)) {
+      originalKeyframesByPanes.set(anim.panes, snapshotAnimationKeyframes(anim));
+    }
+  }, [anim]);
+
+  const editKey = useCallback((index, changes) => {
+    if (!track) return;
+    beginEdit();
+    updateKeyframe(track.tagType, track.entry, index, changes);
+    commitEdit();
+  }, [beginEdit, commitEdit, track]);
+
+  const addKey = useCallback((frame) => {
+    if (!track) return;
+    beginEdit();
+    const index = insertKeyframe(track.tagType, track.entry, frame);
+    setSelectedKey(index);
+    commitEdit();
+    seekRenderer(frame);
+  }, [beginEdit, commitEdit, seekRenderer, track]);
+
+  const deleteKey = useCallback((index) => {
+    if (!track || index == null) return;
+    beginEdit();
+    removeKeyframe(track.entry, index);
+    setSelectedKey(null);
+    commitEdit();
+  }, [beginEdit, commitEdit, track]);
+
+  const discardEdits = useCallback(() => {
+    const snapshot = anim ? originalKeyframesByPanes.get(anim.panes) : null;
+    if (!snapshot) return;
+    restoreAnimationKeyframes(snapshot);
+    originalKeyframesByPanes.delete(anim.panes);
+    setSelectedKey(null);
+    commitEdit();
+  }, [anim, commitEdit]);
+
+  const exportBrlan = useCallback(() => {
+    if (!animOption) return;
+    const buffer = buildBRLAN(animOption.sourceAnim);
+    downloadBlob(new Blob([buffer], { type: "application/octet-stream" }), animOption.fileName);
+  }, [animOption]);
+
+  const toPlotPoint = useCallback((event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * PLOT_WIDTH;
+    const y = ((event.clientY - rect.top) / rect.height) * PLOT_HEIGHT;
+    return {
+      frame: plotFrameRange.start + ((x - PLOT_PADDING.left) / innerWidth) * frameSpan,
+      value: valueRange.min + (1 - (y - PLOT_PADDING.top) / innerHeight) * valueSpan,
+    };
+  }, [frameSpan, innerHeight, innerWidth, plotFrameRange.start, valueRange.min, valueSpan]);
+
+  const startDrag = (event, index, kind) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    svgRef.current?.setPointerCapture(event.pointerId);
+    setSelectedKey(index);
+    setDrag({ index, kind, valueRange: liveValueRange, frameRange });
+    seekRenderer(track.entry.keyframes[index].frame);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag || !track) return;
+    const point = toPlotPoint(event);
+    const keyframe = track.entry.keyframes[drag.index];
+    if (!keyframe) return;
+    if (drag.kind === "key") {
+      // Snap to whole frames unless Alt is held.
+      const frame = event.altKey ? point.frame : Math.round(point.frame);
+      editKey(drag.index, { frame, value: point.value });
+      seekRenderer(keyframe.frame);
+      return;
+    }
+    const deltaFrames = point.frame - keyframe.frame;
+    if (Math.abs(deltaFrames) < 1e-3) return;
+    editKey(drag.index, { blend: (point.value - keyframe.value) / deltaFrames });
+  };
+
+  const endDrag = (event) => {
+    if (!drag) return;
+    svgRef.current?.releasePointerCapture?.(event.pointerId);
+    setDrag(null);
+  };
+
+  const handleDoubleClick = (event) => {
+    if (!track) return;
+    const { frame } = toPlotPoint(event);
+    addKey(event.altKey ? frame : Math.round(frame));
+  };
+
+  const handleKeyDown = (event) => {
+    if ((event.key === "Delete" || event.key === "Backspace") && selectedKey != null) {
+      event.preventDefault();
+      deleteKey(selectedKey);
+    }
+  };
+
+  // Screen-space tangent handles, drawn at a fixed length whatever the slope.
+  const tangentHandles = (keyframe) => {
+    const pixelsPerFrame = innerWidth / frameSpan;
+    const pixelsPerValue = innerHeight / valueSpan;
+    const dx = pixelsPerFrame;
+    const dy = -(keyframe.blend ?? 0) * pixelsPerValue;
+    const length = Math.hypot(dx, dy) || 1;
+    const ux = (dx / length) * TANGENT_HANDLE_LENGTH;
+    const uy = (dy / length) * TANGENT_HANDLE_LENGTH;
+    const x = toX(keyframe.frame);
+    const y = toY(keyframe.value);
+    return [{ x: x - ux, y: y - uy }, { x: x + ux, y: y + uy }];
+  };
+
+  const frameTickStep = frameSpan > 240 ? 60 : frameSpan > 90 ? 30 : 10;
+  const frameTicks = [];
+  for (let frame = Math.ceil(plotFrameRange.start / frameTickStep) * frameTickStep; frame <= plotFrameRange.end; frame += frameTickStep) {
+    frameTicks.push(frame);
+  }
+  const valueTicks = [valueRange.min, (valueRange.min + valueRange.max) / 2, valueRange.max];
+
+  const keyframes = track?.entry.keyframes ?? [];
+  const selectedKeyframe = selectedKey != null ? keyframes[selectedKey] ?? null : null;
+  const showTangents = track ? hasTangents(track.tagType, track.entry) : false;
+  const hasEdits = anim ? originalKeyframesByPanes.has(anim.panes) : false;
+
+  const tracksByPane = useMemo(() => {
+    const groups = new Map();
+    for (const candidate of tracks) {
+      if (!groups.has(candidate.paneName)) groups.set(candidate.paneName, []);
+      groups.get(candidate.paneName).push(candidate);
+    }
+    return [...groups];
+  }, [tracks]);
+
+  return (
+    <div className="tab-content active">
+      <div className="section-title">Animation Curves</div>
+      <div className="curve-editor">
+        <div className="curve-editor-main">
+          <div className="pane-inspector-stage curve-editor-stage">
+            <canvas key={`banner-${rendererBackend}`} ref={bannerCanvasRef} width="608" height="456" />
+          </div>
+          <div className="controls">
+            <button className="primary" onClick={togglePlayback} type="button">
+              {isPlaying ? "Pause Animation" : "Play Animation"}
+            </button>
+            {animOptions.length > 1 ? (
+              <select value={animIndex} onChange={(event) => setAnimIndex(Number(event.target.value))}>
+                {animOptions.map((option, index) => (
+                  <option key={`${option.role}-${option.fileName}`} value={index}>
+                    {option.fileName} ({option.role}, {option.anim.frameSize}f)
+                  </option>
+                ))}
+              </select>
+            ) : null}
+            <button onClick={exportBrlan} type="button" disabled={!animOption}>
+              Export BRLAN
+            </button>
+            <button onClick={discardEdits} type="button" disabled={!hasEdits}>
+              Discard Edits
+            </button>
+          </div>
+
+          {track ? (
+            <>
+              <div className="curve-editor-heading">
+                {track.paneName} · {track.tagType} · {track.label}
+                <span className="curve-editor-meta">
+                  {keyframes.length} key{keyframes.length === 1 ? "" : "s"}, {showTangents ? "hermite" : "step"}
+                </span>
+              </div>
+              <svg
+                ref={svgRef}
+                className="curve-editor-plot"
+                viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`}
+                preserveAspectRatio="none"
+                tabIndex={0}
+                onPointerMove={handlePointerMove}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+                onDoubleClick={handleDoubleClick}
+                onKeyDown={handleKeyDown}
+              >
+                {frameTicks.map((frame) => (
+                  <g key={`f${frame}`} className="curve-grid">
+                    <line x1={toX(frame)} x2={toX(frame)} y1={PLOT_PADDING.top} y2={PLOT_HEIGHT - PLOT_PADDING.bottom} />
+                    <text x={toX(frame)} y={PLOT_HEIGHT - 8} textAnchor="middle">{frame}</text>
+                  </g>
+                ))}
+                {valueTicks.map((value) => (
+                  <g key={`v${value}`} className="curve-grid">
+                    <line x1={PLOT_PADDING.left} x2={PLOT_WIDTH - PLOT_PADDING.right} y1={toY(value)} y2={toY(value)} />
+                    <text x={PLOT_PADDING.left - 6} y={toY(value) + 4} textAnchor="end">{value.toFixed(1)}</text>
+                  </g>
+                ))}
+                <rect
+                  className="curve-frame-range"
+                  x={toX(0)}
+                  y={PLOT_PADDING.top}
+                  width={Math.max(0, toX(frameSize) - toX(0))}
+                  height={innerHeight}
+                />
+                {playheadFrame != null ? (
+                  <line
+                    className="curve-playhead"
+                    x1={toX(playheadFrame)}
+                    x2={toX(playheadFrame)}
+                    y1={PLOT_PADDING.top}
+                    y2={PLOT_HEIGHT - PLOT_PADDING.bottom}
+                  />
+                ) : null}
+                <path className="curve-path" d={curvePath} />
+                {selectedKeyframe && showTangents
+                  ? tangentHandles(selectedKeyframe).map((handle, side) => (
+                    <g key={side === 0 ? "in" : "out"}>
+                      <line
+                        className="curve-tangent-line"
+                        x1={toX(selectedKeyframe.frame)}
+                        y1={toY(selectedKeyframe.value)}
+                        x2={handle.x}
+                        y2={handle.y}
+                      />
+                      <circle
+                        className="curve-tangent-handle"
+                        cx={handle.x}
+                        cy={handle.y}
+                        r="4"
+                        onPointerDown={(event) => startDrag(event, selectedKey, "tangent")}
+                      />
+                    </g>
+                  ))
+                  : null}
+                {keyframes.map((keyframe, index) => (
+                  <rect
+                    key={index}
+                    className={`curve-key ${index === selectedKey ? "selected" : ""}`}
+                    x={toX(keyframe.frame) - 4}
+                    y={toY(keyframe.value) - 4}
+                    width="8"
+                    height="8"
+                    transform={`rotate(45 ${toX(keyframe.frame)} ${toY(keyframe.value)})`}
+                    onPointerDown={(event) => startDrag(event, index, "key")}
+                    onDoubleClick={(event) => event.stopPropagation()}
+                    onContextMenu={(event) => {
+                      event.preventDefault();
+                      deleteKey(index);
+                    }}
+                  />
+                ))}
+              </svg>
+              <div className="pane-inspector-hint">
+                Drag keys to move them (Alt for sub-frame), drag the handles of a selected key to change its slope,
+                double-click to add a key, right-click or Delete to remove one.
+              </div>
+              {selectedKeyframe ? (
+                <div className="curve-key-editor">
+                  <span className="curve-key-title">Key {selectedKey + 1}</span>
+                  <KeyframeFields
+                    keyframe={selectedKeyframe}
+                    showTangent={showTangents}
+                    onChange={(changes) => {
+                      editKey(selectedKey, changes);
+                      if (changes.frame != null) seekRenderer(selectedKeyframe.frame);
+                    }}
+                  />
+                  <button type="button" onClick={() => deleteKey(selectedKey)}>Delete Key</button>
+                </div>
+              ) : null}
+            </>
+          ) : (
+            <div className="empty-state">This animation has no pane tracks.</div>
+          )}
+        </div>
+
+        <div className="pane-inspector-tree curve-track-list">
+          {tracksByPane.map(([paneName, paneTracks]) => (
+            <div key={paneName}>
+              <div className="pane-tree-heading">{paneName}</div>
+              {paneTracks.map((candidate) => (
+                <button
+                  key={candidate.id}
+                  type="button"
+                  className={`curve-track ${candidate === track ? "selected" : ""}`}
+                  onClick={() => setTrackId(candidate.id)}
+                >
+                  <span className="pane-type">{candidate.tagType}</span>
+                  {candidate.label}
+                  <span className="curve-track-count">{candidate.entry.keyframes.length}</span>
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
+import { isVideoExportSupported } from "@firstform/wii-channel-renderer/export-video";
 import { TITLE_LOCALE_LABELS } from "../../constants";
 import { normalizeDomId } from "../../utils/misc";
 
@@ -13,10 +14,18 @@ export function ExportTab({
     isExporting, exportProgress,
     bundlePreview,
     bundlePreviewSection, setBundlePreviewSection,
+    videoContainer, setVideoContainer,
+    videoResolution, setVideoResolution,
+    videoAspect, setVideoAspect,
+    videoLoopCount, setVideoLoopCount,
+    videoIncludeAudio, setVideoIncludeAudio,
   } = exportState;
   const {
     handleExportBundle,
     handleExportGsap,
+    handleExportVideo,
+    handleExportIconAnimation,
+    handleExportChannel,
     bundleFileInputRef,
     handleLoadBundleZip,
   } = exportActions;
@@ -31,6 +40,14 @@ export function ExportTab({
   } = renderSettings;
   const bannerAnimEntries = parsed?.results?.banner?.animEntries ?? [];
   const iconAnimEntries = parsed?.results?.icon?.animEntries ?? [];
+  const videoSupported = isVideoExportSupported();
+  const hasBanner = Boolean(parsed?.results?.banner);
+  const hasAudio = Boolean(parsed?.results?.audio);
+  const hasIcon = Boolean(parsed?.results?.icon);
+  const hasBannerBin = hasBanner
+    && Object.keys(parsed?.archive?.files ?? {}).some((path) => path.toLowerCase().endsWith("banner.bin"));
+  const hasMetaContent = hasBannerBin && Boolean(parsed?.archive?.content);
+  const hasWad = hasMetaContent && Boolean(parsed?.wad?.sourceBuffer);
   const hasStateSettings = bannerAnimEntries.length > 2 || iconAnimEntries.length > 1
     || showDiscTypeOption || (availableTitleLocales?.length ?? 0) > 1
     || bannerPaneStateGroups?.length > 0 || iconPaneStateGroups?.length > 0;
@@ -64,6 +81,46 @@ export function ExportTab({
             >
               {isExporting ? "Exporting..." : "Export with All Frames"}
             </button>
+            <button
+              onClick={() => handleExportIconAnimation("gif")}
+              disabled={isExporting || !hasIcon}
+              type="button"
+              title="Looping animated GIF of the icon (loop animation, cropped to the icon viewport)"
+            >
+              {isExporting ? "Exporting..." : "Export Icon GIF"}
+            </button>
+            <button
+              onClick={() => handleExportIconAnimation("apng")}
+              disabled={isExporting || !hasIcon}
+              type="button"
+              title="Looping animated PNG of the icon — full alpha and exact 60 fps timing"
+            >
+              {isExporting ? "Exporting..." : "Export Icon APNG"}
+            </button>
+            <button
+              onClick={() => handleExportChannel("banner-bin")}
+              disabled={isExporting || !hasBannerBin}
+              type="button"
+              title="Repack the banner with its current layout, animations and textures, compressed like the original"
+            >
+              {isExporting ? "Exporting..." : "Export as banner.bin"}
+            </button>
+            <button
+              onClick={() => handleExportChannel("imet")}
+              disabled={isExporting || !hasMetaContent}
+              type="button"
+              title="Rebuild the IMET content around the repacked banner.bin, with updated sizes and MD5"
+            >
+              {isExporting ? "Exporting..." : "Export as 00000000.app (IMET)"}
+            </button>
+            <button
+              onClick={() => handleExportChannel("wad")}
+              disabled={isExporting || !hasWad}
+              type="button"
+              title="Rebuild and fakesign the WAD with the repacked 00000000.app — other contents are unchanged"
+            >
+              {isExporting ? "Exporting..." : "Export as WAD"}
+            </button>
             {exportProgress && <span className="export-progress">{exportProgress}</span>}
           </div>
           <div className="export-option-row">
@@ -97,6 +154,88 @@ export function ExportTab({
                 : "Only the currently selected animation is included in the bundle."}
             </span>
           </div>
+          <div className="export-video-settings">
+            <div className="export-settings-label">Video</div>
+            <div className="export-option-row">
+              <label htmlFor="export-video-container">Format</label>
+              <select
+                id="export-video-container"
+                value={videoContainer}
+                onChange={(event) => setVideoContainer(event.target.value)}
+              >
+                <option value="webm">WebM (VP9/VP8, Opus)</option>
+                <option value="mp4">MP4 (H.264, AAC)</option>
+              </select>
+            </div>
+            <div className="export-option-row">
+              <label htmlFor="export-video-resolution">Resolution</label>
+              <select
+                id="export-video-resolution"
+                value={videoResolution}
+                onChange={(event) => setVideoResolution(event.target.value)}
+              >
+                <option value="native">Native (456p)</option>
+                <option value="480p">480p</option>
+                <option value="720p">720p</option>
+                <option value="1080p">1080p</option>
+              </select>
+            </div>
+            <div className="export-option-row">
+              <label htmlFor="export-video-aspect">Aspect</label>
+              <select
+                id="export-video-aspect"
+                value={videoAspect}
+                onChange={(event) => setVideoAspect(event.target.value)}
+              >
+                <option value="4:3">4:3 (Wii Standard)</option>
+                <option value="16:9">16:9 (Wii Widescreen)</option>
+                <option value="16:10">16:10</option>
+              </select>
+            </div>
+            <div className="export-option-row">
+              <label htmlFor="export-video-loops">Loops</label>
+              <input
+                id="export-video-loops"
+                type="number"
+                min={1}
+                max={20}
+                value={videoLoopCount}
+                onChange={(event) => {
+                  const next = Number.parseInt(event.target.value, 10);
+                  setVideoLoopCount(Number.isFinite(next) ? Math.max(1, Math.min(20, next)) : 1);
+                }}
+              />
+              <span className="export-option-hint">
+                Start animation plays once, then the loop animation repeats this many times.
+              </span>
+            </div>
+            <div className="export-option-row">
+              <label htmlFor="export-video-audio">Channel Audio</label>
+              <input
+                id="export-video-audio"
+                type="checkbox"
+                checked={videoIncludeAudio && hasAudio}
+                disabled={!hasAudio}
+                onChange={(event) => setVideoIncludeAudio(event.target.checked)}
+              />
+              <span className="export-option-hint">
+                {hasAudio ? "Looping BNS audio continues from its loop start." : "This channel has no audio."}
+              </span>
+            </div>
+            <div className="export-actions">
+              <button
+                onClick={handleExportVideo}
+                disabled={isExporting || !hasBanner || !videoSupported}
+                type="button"
+                title={videoSupported ? `Encode the banner animation to ${videoContainer === "mp4" ? "an MP4" : "a WebM"} video` : "Video export needs WebCodecs support"}
+              >
+                {isExporting ? "Exporting..." : `Export Video (.${videoContainer})`}
+              </button>
+              {!videoSupported && (
+                <span className="export-option-hint">This browser does not support WebCodecs video encoding.</span>
+              )}
+            </div>
+          </div>
           {hasStateSettings && (
             <div className="export-state-settings">
               <div className="export-settings-label">Channel Settings</div>
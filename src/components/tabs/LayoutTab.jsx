@@ -1,10 +1,369 @@
-export function LayoutTab({ layoutInfo, animationInfo }) {
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { buildPaneTree, getPaneAncestors } from "../../utils/paneTree";
+import { EDITABLE_PANE_FIELDS, getPaneFieldValue } from "../../utils/layoutEdits";
+
+function formatVec(vec, digits = 1) {
+  return vec ? `${vec.x.toFixed(digits)}, ${vec.y.toFixed(digits)}` : "-";
+}
+
+function formatNumber(value) {
+  if (!Number.isFinite(value)) return "";
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, "");
+}
+
+function PaneEditor({ pane, editor }) {
+  const textureInputRef = useRef(null);
+  return (
+    <div className="info-panel pane-editor">
+      <div className="pane-editor-fields">
+        {EDITABLE_PANE_FIELDS.map(({ path, label, step }) => (
+          <label key={path} className="curve-key-field">
+            {label}
+            <input
+              type="number"
+              step={step}
+              value={formatNumber(getPaneFieldValue(pane, path))}
+              onChange={(event) => {
+                const next = Number.parseFloat(event.target.value);
+                if (Number.isFinite(next)) editor.setPaneField(pane.name, path, next);
+              }}
+            />
+          </label>
+        ))}
+        <label className="curve-key-field">
+          Visible
+          <input
+            type="checkbox"
+            checked={pane.visible !== false}
+            onChange={(event) => editor.setPaneField(pane.name, "visible", event.target.checked)}
+          />
+        </label>
+      </div>
+      {pane.type === "txt1" ? (
+        <label className="pane-editor-text">
+          Text
+          <textarea
+            rows={2}
+            value={pane.text ?? ""}
+            onChange={(event) => editor.setPaneField(pane.name, "text", event.target.value)}
+          />
+        </label>
+      ) : null}
+      {pane.type === "pic1" ? (
+        <div className="controls">
+          <button type="button" onClick={() => textureInputRef.current?.click()}>
+            Replace Texture (PNG)
+          </button>
+          <input
+            ref={textureInputRef}
+            type="file"
+            accept="image/png"
+            hidden
+            onChange={(event) => {
+              editor.replaceTexture(pane.name, event.target.files?.[0]);
+              event.target.value = "";
+            }}
+          />
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function PaneNode({ node, depth, selectedName, collapsed, onToggle, onSelect }) {
+  const { pane, children } = node;
+  const isCollapsed = collapsed.has(node.index);
+  return (
+    <li className="pane-tree-item">
+      <div
+        className={`pane-tree-row ${selectedName === pane.name ? "selected" : ""}`}
+        style={{ paddingLeft: `${depth * 14}px` }}
+        data-pane-name={pane.name}
+      >
+        {children.length > 0 ? (
+          <button type="button" className="pane-tree-toggle" onClick={() => onToggle(node.index)}>
+            {isCollapsed ? "▸" : "▾"}
+          </button>
+        ) : (
+          <span className="pane-tree-toggle" />
+        )}
+        <button type="button" className="pane-tree-label" onClick={() => onSelect(pane.name)}>
+          <span className={`pane-type pane-type-${pane.type}`}>{pane.type}</span>
+          {pane.name}
+        </button>
+      </div>
+      {children.length > 0 && !isCollapsed ? (
+        <ul className="pane-tree-list">
+          {children.map((child) => (
+            <PaneNode
+              key={child.index}
+              node={child}
+              depth={depth + 1}
+              selectedName={selectedName}
+              collapsed={collapsed}
+              onToggle={onToggle}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      ) : null}
+    </li>
+  );
+}
+
+export function LayoutTab({
+  layout, layoutInfo, animationInfo,
+  bannerCanvasRef, bannerRendererRef, rendererBackend,
+  playback, editor,
+}) {
+  const { isPlaying, togglePlayback } = playback;
+  const tree = useMemo(() => buildPaneTree(layout), [layout]);
+  const [selectedName, setSelectedName] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [quad, setQuad] = useState(null);
+  const [editMode, setEditMode] = useState(false);
+  const treeRef = useRef(null);
+  const patchInputRef = useRef(null);
+
+  const selectedPane = useMemo(
+    () => layout?.panes?.find((pane) => pane.name === selectedName) ?? null,
+    [layout, selectedName],
+  );
+
+  useEffect(() => {
+    setSelectedName(null);
+    setCollapsed(new Set());
+  }, [layout]);
+
+  // Follow the renderer: recompute the outline whenever a new frame is prepared.
+  useEffect(() => {
+    if (!selectedName) {
+      setQuad(null);
+      return undefined;
+    }
+    let lastPrepared = null;
+    let handle = 0;
+    const tick = () => {
+      const renderer = bannerRendererRef.current;
+      const prepared = renderer?.preparedFrame ?? null;
+      if (prepared !== lastPrepared) {
+        lastPrepared = prepared;
+        const next = renderer?.getPaneQuad?.(selectedName) ?? null;
+        setQuad(next ? { ...next, outputWidth: prepared.metrics.outputWidth, outputHeight: prepared.metrics.outputHeight } : null);
+      }
+      handle = requestAnimationFrame(tick);
+    };
+    tick();
+    return () => cancelAnimationFrame(handle);
+  }, [selectedName, bannerRendererRef]);
+
+  const selectPane = useCallback((name) => {
+    setSelectedName((current) => (current === name ? null : name));
+  }, []);
+
+  const toggleCollapsed = useCallback((index) => {
+    setCollapsed((current) => {
+      const next = new Set(current);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  }, []);
+
+  const handleCanvasClick = useCallback((event) => {
+    const renderer = bannerRendererRef.current;
+    const metrics = renderer?.preparedFrame?.metrics;
+    if (!renderer?.pickPaneAt || !metrics) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * metrics.outputWidth;
+    const y = ((event.clientY - rect.top) / rect.height) * metrics.outputHeight;
+    const pane = renderer.pickPaneAt(x, y);
+    if (!pane) {
+      setSelectedName(null);
+      return;
+    }
+    // Reveal the picked pane in the tree.
+    const panes = layout?.panes ?? [];
+    const paneIndex = panes.includes(pane) ? panes.indexOf(pane) : panes.findIndex((entry) => entry.name === pane.name);
+    const ancestors = getPaneAncestors(layout, paneIndex);
+    setCollapsed((current) => {
+      if (!ancestors.some((index) => current.has(index))) return current;
+      const next = new Set(current);
+      for (const index of ancestors) next.delete(index);
+      return next;
+    });
+    setSelectedName(pane.name);
+  }, [bannerRendererRef, layout]);
+
+  useEffect(() => {
+    if (!selectedName) return;
+    const row = treeRef.current?.querySelector(`[data-pane-name="${CSS.escape(selectedName)}"]`);
+    row?.scrollIntoView({ block: "nearest" });
+  }, [selectedName]);
+
+  const selectedMaterial = selectedPane && selectedPane.materialIndex >= 0
+    ? layout?.materials?.[selectedPane.materialIndex]
+    : null;
+
   return (
     <div className="tab-content active">
-      <div className="section-title">BRLYT Layout Data</div>
-      <pre className="info-panel info-pre">{layoutInfo}</pre>
-      <div className="section-title icon-title">BRLAN Animation Data</div>
-      <pre className="info-panel info-pre">{animationInfo}</pre>
+      <div className="section-title">Pane Inspector</div>
+      <div className="pane-inspector">
+        <div className="pane-inspector-canvas">
+          <div className="pane-inspector-stage">
+            <canvas
+              key={`banner-${rendererBackend}`}
+              ref={bannerCanvasRef}
+              width="608"
+              height="456"
+              onClick={handleCanvasClick}
+            />
+            {quad ? (
+              <svg
+                className="pane-inspector-overlay"
+                viewBox={`0 0 ${quad.outputWidth} ${quad.outputHeight}`}
+                preserveAspectRatio="none"
+              >
+                <polygon
+                  className={quad.drawable ? "" : "hidden-pane"}
+                  points={quad.corners.map((corner) => `${corner.x},${corner.y}`).join(" ")}
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            ) : null}
+          </div>
+          <div className="controls">
+            <button className="primary" onClick={togglePlayback} type="button">
+              {isPlaying ? "Pause Animation" : "Play Animation"}
+            </button>
+            <button type="button" onClick={() => setEditMode((value) => !value)}>
+              {editMode ? "Done Editing" : "Edit Panes"}
+            </button>
+          </div>
+          <div className="pane-inspector-hint">Click the banner to select the topmost pane under the cursor.</div>
+          {editMode ? (
+            <div className="controls">
+              <button type="button" onClick={editor.undo} disabled={editor.edits.length === 0}>
+                Undo
+              </button>
+              <button type="button" onClick={editor.revertAll} disabled={editor.edits.length === 0}>
+                Discard Edits
+              </button>
+              <button type="button" onClick={editor.exportPatch} disabled={editor.edits.length === 0}>
+                Export Patch
+              </button>
+              <button type="button" onClick={() => patchInputRef.current?.click()}>
+                Import Patch
+              </button>
+              <input
+                ref={patchInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={(event) => {
+                  editor.importPatch(event.target.files?.[0]);
+                  event.target.value = "";
+                }}
+              />
+              <span className="pane-inspector-hint">
+                {editor.edits.length} edit{editor.edits.length === 1 ? "" : "s"}. Animated values still override edited ones.
+              </span>
+            </div>
+          ) : null}
+          {editMode && editor.error ? <div className="pane-editor-error">{editor.error}</div> : null}
+          {editMode && selectedPane ? <PaneEditor pane={selectedPane} editor={editor} /> : null}
+          {selectedPane ? (
+            <div className="info-panel pane-inspector-details">
+              <div><span className="key">Pane: </span><span className="val">{selectedPane.name} ({selectedPane.type})</span></div>
+              <div><span className="key">Parent: </span><span className="val">{selectedPane.parent ?? "-"}</span></div>
+              <div><span className="key">Translate: </span><span className="val">{formatVec(selectedPane.translate)}</span></div>
+              <div><span className="key">Scale: </span><span className="val">{formatVec(selectedPane.scale, 2)}</span></div>
+              <div><span className="key">Size: </span><span className="val">{selectedPane.size ? `${selectedPane.size.w.toFixed(0)}x${selectedPane.size.h.toFixed(0)}` : "-"}</span></div>
+              <div><span className="key">Material: </span><span className="val">{selectedMaterial ? `${selectedMaterial.name} (#${selectedPane.materialIndex})` : "-"}</span></div>
+              {quad ? (
+                <div>
+                  <span className="key">Frame state: </span>
+                  <span className="val">
+                    {quad.drawable ? "drawn" : quad.visible ? "not drawn" : "hidden"}, alpha {quad.alpha.toFixed(2)}
+                  </span>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+        </div>
+
+        <div className="pane-inspector-tree" ref={treeRef}>
+          <div className="pane-tree-heading">Panes</div>
+          {tree.roots.length === 0 ? (
+            <div className="empty-state">No panes.</div>
+          ) : (
+            <ul className="pane-tree-list">
+              {tree.roots.map((node) => (
+                <PaneNode
+                  key={node.index}
+                  node={node}
+                  depth={0}
+                  selectedName={selectedName}
+                  collapsed={collapsed}
+                  onToggle={toggleCollapsed}
+                  onSelect={selectPane}
+                />
+              ))}
+            </ul>
+          )}
+
+          <div className="pane-tree-heading">Groups</div>
+          {tree.groups.length === 0 ? (
+            <div className="empty-state">No groups.</div>
+          ) : (
+            tree.groups.map((group) => (
+              <div key={group.name} className="pane-tree-group">
+                <span className="pane-tree-group-name">{group.name}</span>
+                {group.paneNames.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    className={`pane-tree-chip ${selectedName === name ? "selected" : ""}`}
+                    onClick={() => selectPane(name)}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            ))
+          )}
+
+          <div className="pane-tree-heading">Materials</div>
+          {tree.materials.length === 0 ? (
+            <div className="empty-state">No materials.</div>
+          ) : (
+            tree.materials.map(({ material, index, paneNames }) => (
+              <div key={`${index}-${material.name}`} className="pane-tree-group">
+                <span className="pane-tree-group-name">#{index} {material.name}</span>
+                {paneNames.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    className={`pane-tree-chip ${selectedName === name ? "selected" : ""}`}
+                    onClick={() => selectPane(name)}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      <details className="layout-raw-details">
+        <summary className="section-title">BRLYT Layout Data</summary>
+        <pre className="info-panel info-pre">{layoutInfo}</pre>
+      </details>
+      <details className="layout-raw-details">
+        <summary className="section-title icon-title">BRLAN Animation Data</summary>
+        <pre className="info-panel info-pre">{animationInfo}</pre>
+      </details>
     </div>
   );
 }
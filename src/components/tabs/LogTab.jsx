@@ -1,6 +1,68 @@
-export function LogTab({ logEntries }) {
+const ISSUE_CLASS = { error: "error", warning: "warn", info: "info" };
+
+function WadVerification({ verification }) {
+  const { ok, titleId, wadType, ticket, tmd, contents, issues } = verification;
+
+  return (
+    <>
+      <div className="section-title">WAD Integrity</div>
+      <div className="info-panel">
+        <span className="key">Result:</span>{" "}
+        <span className={`verify-status ${ok ? "pass" : "fail"}`}>{ok ? "PASS" : "FAIL"}</span>
+        <br />
+        <span className="key">Title ID:</span> <span className="val">{titleId ?? "-"}</span>
+        {"  "}
+        <span className="key">Type:</span> <span className="val">{wadType ?? "-"}</span>
+        {[["Ticket", ticket], ["TMD", tmd]].map(([label, signature]) => (
+          <div key={label}>
+            <span className="key">{label}:</span>{" "}
+            <span className="val">
+              {signature ? `${signature.status} (${signature.signatureName ?? "unknown"}, ${signature.issuer || "no issuer"})` : "-"}
+            </span>
+          </div>
+        ))}
+      </div>
+      {contents.length > 0 && (
+        <table className="verify-table">
+          <thead>
+            <tr>
+              <th>Content</th>
+              <th>Index</th>
+              <th>Size</th>
+              <th>Status</th>
+              <th>SHA-1</th>
+            </tr>
+          </thead>
+          <tbody>
+            {contents.map((entry) => (
+              <tr key={entry.name}>
+                <td>{entry.name}</td>
+                <td>{entry.index}</td>
+                <td>{entry.size}</td>
+                <td className={`verify-status ${entry.pass ? "pass" : "fail"}`}>{entry.status}</td>
+                <td title={entry.actualHash ? `actual ${entry.actualHash}` : undefined}>{entry.expectedHash}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {issues.length > 0 && (
+        <div className="log">
+          {issues.map((issue, index) => (
+            <div className={ISSUE_CLASS[issue.severity]} key={`${issue.scope}-${index}`}>
+              [{issue.severity.toUpperCase()}] {issue.scope}: {issue.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export function LogTab({ logEntries, verification }) {
   return (
     <div className="tab-content active">
+      {verification && <WadVerification verification={verification} />}
       <div className="section-title">Parse Log</div>
       <div className="log">
         {logEntries.map((entry, index) => (
@@ -1,6 +1,7 @@
-import { useCallback, useMemo, useState } from "react";
+import { useCallback, useMemo, useRef, useState } from "react";
 import { DISPLAY_ASPECT_OPTIONS, PREVIEW_QUALITY_OPTIONS, RENDERER_BACKEND_OPTIONS, TITLE_LOCALE_LABELS, WEATHER_CONDITION_OPTIONS } from "../../constants";
 import { normalizeDomId } from "../../utils/misc";
+import { BackendParityPanel } from "../BackendParityPanel";
 import { PlaybackTimeline } from "../PlaybackTimeline";
 
 export function PreviewTab({
@@ -14,9 +15,11 @@ export function PreviewTab({
   status,
   parsed,
   timeline,
+  parity,
+  audioImport,
 }) {
   const { previewDisplay, setPreviewDisplay } = preview;
-  const { bannerCanvasRef, iconCanvasRef, audioElementRef, exportCanvas } = canvases;
+  const { bannerCanvasRef, iconCanvasRef, exportCanvas } = canvases;
   const { isPlaying, togglePlayback, resetPlayback } = playback;
   const { startFrameInput, setStartFrameInput, maxStartFrame, applyStartFrame, useCurrentFrame } = frameControls;
   const {
@@ -38,7 +41,7 @@ export function PreviewTab({
     bannerBackdropMask, setBannerBackdropMask, showBackdropMaskOption,
   } = renderSettings;
   const { weather, news } = customization;
-  const { animStatus, hasAudio, audioInfo } = status;
+  const { animStatus, hasAudio, audioInfo, audioVolume, setAudioVolume } = status;
   const {
     phaseMode, setPhaseMode,
     hasStartAnim, hasLoopAnim,
@@ -49,6 +52,7 @@ export function PreviewTab({
   } = timeline;
   const [showSettingsJson, setShowSettingsJson] = useState(false);
   const [copiedSettings, setCopiedSettings] = useState(false);
+  const audioFileInputRef = useRef(null);
 
   const settingsJson = useMemo(() => {
     const settings = {};
@@ -461,6 +465,7 @@ export function PreviewTab({
             </div>
           ) : null}
         </div>
+        <BackendParityPanel rendererRef={parity.bannerRendererRef} sourceRef={parity.bannerRendererSourceRef} />
         {weather.canCustomize ? (
           <div className="custom-weather-settings">
             <label className="custom-weather-toggle">
@@ -557,12 +562,66 @@ export function PreviewTab({
           <label>Channel Audio</label>
           {hasAudio ? (
             <>
-              <audio ref={audioElementRef} controls preload="auto" />
+              <div className="audio-volume">
+                <span>Volume</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={audioVolume}
+                  aria-label="Channel audio volume"
+                  onChange={(event) => setAudioVolume(Number(event.target.value))}
+                />
+              </div>
               <div className="audio-meta">{audioInfo}</div>
             </>
           ) : (
             <div className="empty-state">No channel audio decoded.</div>
           )}
+          <div className="audio-import">
+            <button
+              type="button"
+              disabled={!parsed || audioImport.isEncoding}
+              onClick={() => audioFileInputRef.current?.click()}
+            >
+              {audioImport.isEncoding ? "Encoding..." : "Import WAV"}
+            </button>
+            <input
+              ref={audioFileInputRef}
+              type="file"
+              accept=".wav,audio/wav,audio/x-wav"
+              style={{ display: "none" }}
+              onChange={(event) => {
+                const file = event.target.files?.[0];
+                if (file) void audioImport.importFile(file);
+                event.target.value = "";
+              }}
+            />
+            <span className="audio-import-loop">
+              <input
+                id="audio-import-loop"
+                type="checkbox"
+                checked={audioImport.loop}
+                onChange={(event) => audioImport.setLoop(event.target.checked)}
+              />
+              <label htmlFor="audio-import-loop">Loop</label>
+            </span>
+            {audioImport.importedAudio ? (
+              <>
+                <button type="button" onClick={audioImport.downloadBns}>
+                  Download BNS
+                </button>
+                <button type="button" onClick={audioImport.revert}>
+                  Revert to Original
+                </button>
+              </>
+            ) : null}
+          </div>
+          {audioImport.importedAudio ? (
+            <div className="audio-meta">Imported from {audioImport.importedAudio.fileName} (DSP-ADPCM re-encoded)</div>
+          ) : null}
+          {audioImport.error ? <div className="audio-meta audio-import-error">{audioImport.error}</div> : null}
         </div>
       </div>
 
@@ -573,6 +632,12 @@ export function PreviewTab({
               <div>
                 <span className="key">Title ID:</span> <span className="val">{parsed.wad.titleId}</span>
               </div>
+              {parsed.imet ? (
+                <div>
+                  <span className="key">Channel Name:</span>{" "}
+                  <span className="val">{parsed.imet.titles.EN || parsed.imet.titles.JP || "N/A"}</span>
+                </div>
+              ) : null}
               <div>
                 <span className="key">WAD Type:</span>{" "}
                 <span className="val">{parsed.wad.wadType != null ? `0x${parsed.wad.wadType.toString(16)}` : "N/A"}</span>
@@ -582,6 +647,24 @@ export function PreviewTab({
                 <span className="val">{parsed.wad.numContents} file(s)</span>
               </div>
             </>
+          ) : parsed.disc ? (
+            <>
+              <div>
+                <span className="key">Game ID:</span> <span className="val">{parsed.disc.gameId}</span>
+              </div>
+              <div>
+                <span className="key">Disc Title:</span>{" "}
+                <span className="val">
+                  {parsed.imet?.titles.EN || parsed.imet?.titles.JP || parsed.gameCubeBanner?.entries[0]?.title || parsed.disc.title || "N/A"}
+                </span>
+              </div>
+              <div>
+                <span className="key">Disc Image:</span>{" "}
+                <span className="val">
+                  {parsed.disc.platform === "wii" ? "Wii" : "GameCube"} {parsed.disc.container.toUpperCase()}
+                </span>
+              </div>
+            </>
           ) : (
             <span className="val">Archive loaded (no WAD metadata)</span>
           )
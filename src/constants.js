@@ -4,6 +4,7 @@ export const TABS = [
   { id: "textures", label: "Textures" },
   { id: "debug", label: "Debug" },
   { id: "layout", label: "Layout Info" },
+  { id: "animation", label: "Animation" },
   { id: "log", label: "Parse Log" },
 ];
 
@@ -45,9 +46,17 @@ export function resolvePreviewQuality(value) {
   );
 }
 
+// Disc images can be several GB, so they are read slice by slice instead of
+// being loaded into memory. RVZ/WIA are accepted only so processDiscImage can
+// explain that they need converting.
+export const DISC_IMAGE_EXTENSIONS = ["iso", "gcm", "wbfs", "rvz", "wia"];
+
 export const RECENT_WAD_DB_NAME = "wewad";
 export const RECENT_WAD_STORE_NAME = "recentWads";
-export const RECENT_WAD_DB_VERSION = 1;
+// System Menu fonts (wbf1.brfna, ...) supplied by the user, shared by every channel.
+export const SHARED_FONT_STORE_NAME = "sharedFonts";
+export const RECENT_WAD_DB_VERSION = 2;
+export const SHARED_FONT_EXTENSIONS = ["brfna", "brfnt"];
 export const MAX_RECENT_WADS = 8;
 
 export const TITLE_LOCALE_LABELS = {
@@ -1,7 +1,38 @@
 import { useCallback, useMemo } from "react";
-import { BannerRenderer } from "@firstform/wii-channel-renderer";
-import { downloadBlob, exportBundle, loadBundle, revokeBundle } from "@firstform/wii-channel-renderer/export-bundle";
-import { exportGsapBundle } from "../lib/gsapExport";
+import {
+  BannerRenderer,
+  rebuildBannerBin,
+  rebuildChannelWAD,
+  rebuildMetaContent,
+} from "@firstform/wii-channel-renderer";
+import {
+  ICON_ANIMATION_FORMATS,
+  downloadBlob,
+  exportBundle,
+  exportIconAnimation,
+  loadBundle,
+  revokeBundle,
+} from "@firstform/wii-channel-renderer/export-bundle";
+import { exportGsapBundle } from "@firstform/wii-channel-renderer/export-renderer-bundle";
+import { exportVideo } from "@firstform/wii-channel-renderer/export-video";
+
+const CHANNEL_EXPORTS = {
+  "banner-bin": {
+    label: "banner.bin",
+    build: (parsed) => rebuildBannerBin(parsed),
+    fileName: () => "banner.bin",
+  },
+  imet: {
+    label: "00000000.app",
+    build: (parsed) => rebuildMetaContent(parsed),
+    fileName: (parsed) => parsed.archive?.appName ?? "00000000.app",
+  },
+  wad: {
+    label: "WAD",
+    build: (parsed) => rebuildChannelWAD(parsed, { fakesign: true }),
+    fileName: (parsed, baseName) => `${baseName}.wad`,
+  },
+};
 
 function getExportFileBaseName(parsed, selectedFileName) {
   const titleId = parsed.wad?.titleId ?? "export";
@@ -22,6 +53,7 @@ export function useBundleExportActions({
   tevQuality,
   titleLocale,
   bannerPaneStateSelections,
+  sharedFonts,
 }) {
   const {
     isExporting,
@@ -31,13 +63,19 @@ export function useBundleExportActions({
     exportAnimMode,
     bundlePreview,
     setBundlePreview,
+    videoContainer,
+    videoResolution,
+    videoAspect,
+    videoLoopCount,
+    videoIncludeAudio,
   } = exportSettings;
 
   const rendererOptions = useMemo(() => ({
     tevQuality,
     titleLocale: titleLocale === "auto" ? undefined : titleLocale,
     paneStateSelections: bannerPaneStateSelections,
-  }), [bannerPaneStateSelections, tevQuality, titleLocale]);
+    sharedFonts,
+  }), [bannerPaneStateSelections, sharedFonts, tevQuality, titleLocale]);
 
   const handleExportBundle = useCallback(async (includeFrames = false) => {
     if (!parsed || isExporting) return;
@@ -142,6 +180,119 @@ export function useBundleExportActions({
     setIsExporting,
   ]);
 
+  const handleExportVideo = useCallback(async () => {
+    if (!parsed?.results?.banner || isExporting) return;
+    setIsExporting(true);
+    setExportProgress("Preparing video...");
+
+    try {
+      const blob = await exportVideo({
+        parsed,
+        BannerRenderer,
+        animSelection: bannerAnimSelection,
+        options: {
+          container: videoContainer,
+          resolution: videoResolution,
+          aspect: videoAspect,
+          loopCount: videoLoopCount,
+          includeAudio: videoIncludeAudio,
+        },
+        rendererOptions,
+        onProgress: (stage, current, total) => {
+          const labels = {
+            preparing: "Configuring encoder...",
+            frames: `Encoding frames (${current}/${total})...`,
+            audio: "Encoding audio...",
+            muxing: `Writing ${videoContainer === "mp4" ? "MP4" : "WebM"}...`,
+            done: "Done!",
+          };
+          setExportProgress(labels[stage] ?? `${stage} ${current}/${total}`);
+        },
+      });
+
+      downloadBlob(blob, `${getExportFileBaseName(parsed, selectedFileName)}-banner.${videoContainer}`);
+    } catch (error) {
+      console.error("Video export failed:", error);
+      setExportProgress(`Export failed: ${error.message}`);
+    } finally {
+      setTimeout(() => { setIsExporting(false); setExportProgress(""); }, 2000);
+    }
+  }, [
+    bannerAnimSelection,
+    isExporting,
+    parsed,
+    rendererOptions,
+    selectedFileName,
+    setExportProgress,
+    setIsExporting,
+    videoAspect,
+    videoContainer,
+    videoIncludeAudio,
+    videoLoopCount,
+    videoResolution,
+  ]);
+
+  const handleExportIconAnimation = useCallback(async (format) => {
+    if (!parsed?.results?.icon || isExporting) return;
+    setIsExporting(true);
+    setExportProgress("Rendering icon...");
+
+    try {
+      const blob = await exportIconAnimation({
+        parsed,
+        BannerRenderer,
+        iconAnimSelection,
+        format,
+        rendererOptions,
+        onProgress: (stage, current, total) => {
+          const labels = {
+            "icon-frames": `Rendering icon frames (${current}/${total})...`,
+            "encoding-gif": "Encoding GIF...",
+            "encoding-apng": "Encoding APNG...",
+          };
+          setExportProgress(labels[stage] ?? `${stage} ${current}/${total}`);
+        },
+      });
+
+      const extension = ICON_ANIMATION_FORMATS[format].file.replace(/^icon/, "");
+      downloadBlob(blob, `${getExportFileBaseName(parsed, selectedFileName)}-icon${extension}`);
+      setExportProgress("Done!");
+    } catch (error) {
+      console.error("Icon animation export failed:", error);
+      setExportProgress(`Export failed: ${error.message}`);
+    } finally {
+      setTimeout(() => { setIsExporting(false); setExportProgress(""); }, 2000);
+    }
+  }, [
+    iconAnimSelection,
+    isExporting,
+    parsed,
+    rendererOptions,
+    selectedFileName,
+    setExportProgress,
+    setIsExporting,
+  ]);
+
+  // Writes the edited layout, animations and textures back into the channel.
+  const handleExportChannel = useCallback(async (kind) => {
+    const target = CHANNEL_EXPORTS[kind];
+    if (!parsed || !target || isExporting) return;
+    setIsExporting(true);
+    setExportProgress(`Rebuilding ${target.label}...`);
+
+    try {
+      const buffer = await target.build(parsed);
+      const baseName = getExportFileBaseName(parsed, selectedFileName);
+      downloadBlob(new Blob([buffer], { type: "application/octet-stream" }), target.fileName(parsed, baseName));
+      setExportProgress("Done!");
+    } catch (error) {
+      console.error("Channel export failed:", error);
+      setExportProgress(`Export failed: ${error.message}`);
+    } finally {
+      setTimeout(() => { setIsExporting(false); setExportProgress(""); }, 2000);
+    }
+  }, [isExporting, parsed, selectedFileName, setExportProgress, setIsExporting]);
+
   const handleLoadBundleZip = useCallback(async (file) => {
     if (!file) return;
     try {
@@ -156,6 +307,9 @@ export function useBundleExportActions({
   return {
     handleExportBundle,
     handleExportGsap,
+    handleExportVideo,
+    handleExportIconAnimation,
+    handleExportChannel,
     bundleFileInputRef,
     handleLoadBundleZip,
   };
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { encodeBNS, parseBNS } from "@firstform/wii-channel-renderer";
+import { downloadBlob } from "@firstform/wii-channel-renderer/export-bundle";
+import { parseWavBuffer } from "../utils/audio";
+
+// Replacement channel audio imported from a WAV. The track is encoded to BNS and
+// decoded back, so the preview and exports play what the Wii would.
+export function useChannelAudioImport(parsed) {
+  const [importedAudio, setImportedAudio] = useState(null);
+  const [audioImportLoop, setAudioImportLoop] = useState(true);
+  const [audioImportError, setAudioImportError] = useState("");
+  const [isEncodingAudio, setIsEncodingAudio] = useState(false);
+
+  // A new file brings its own audio.
+  useEffect(() => {
+    setImportedAudio(null);
+    setAudioImportError("");
+  }, [parsed]);
+
+  const channelAudio = importedAudio?.audio ?? parsed?.results?.audio ?? null;
+
+  // `parsed` with the imported track swapped in, for the export actions.
+  // `soundBns` makes the channel rebuilds write it into meta/sound.bin.
+  const exportParsed = useMemo(() => {
+    if (!parsed || !importedAudio) return parsed;
+    return { ...parsed, soundBns: importedAudio.bns, results: { ...parsed.results, audio: importedAudio.audio } };
+  }, [parsed, importedAudio]);
+
+  const importAudioFile = useCallback(async (file) => {
+    if (!file) return;
+    setIsEncodingAudio(true);
+    setAudioImportError("");
+    try {
+      const wav = parseWavBuffer(await file.arrayBuffer());
+      // Let the "Encoding..." state paint before the synchronous encode.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const bns = encodeBNS(wav.pcm16, { sampleRate: wav.sampleRate, loop: audioImportLoop, loopStart: 0 });
+      setImportedAudio({ fileName: file.name, bns, audio: parseBNS(bns) });
+    } catch (error) {
+      setAudioImportError(`Unable to import ${file.name}: ${error.message}`);
+    } finally {
+      setIsEncodingAudio(false);
+    }
+  }, [audioImportLoop]);
+
+  const revertImportedAudio = useCallback(() => {
+    setImportedAudio(null);
+    setAudioImportError("");
+  }, []);
+
+  const downloadImportedBns = useCallback(() => {
+    if (!importedAudio) return;
+    const baseName = importedAudio.fileName.replace(/\.[^.]+$/, "");
+    downloadBlob(new Blob([importedAudio.bns], { type: "application/octet-stream" }), `${baseName}.bns`);
+  }, [importedAudio]);
+
+  return {
+    channelAudio,
+    exportParsed,
+    audioImport: {
+      importedAudio,
+      loop: audioImportLoop,
+      setLoop: setAudioImportLoop,
+      error: audioImportError,
+      isEncoding: isEncodingAudio,
+      importFile: importAudioFile,
+      revert: revertImportedAudio,
+      downloadBns: downloadImportedBns,
+    },
+  };
+}
@@ -7,6 +7,11 @@ export function useExportSettings() {
   const [exportAnimMode, setExportAnimMode] = useState("all");
   const [bundlePreview, setBundlePreview] = useState(null);
   const [bundlePreviewSection, setBundlePreviewSection] = useState("snapshots");
+  const [videoContainer, setVideoContainer] = useState("webm");
+  const [videoResolution, setVideoResolution] = useState("native");
+  const [videoAspect, setVideoAspect] = useState("4:3");
+  const [videoLoopCount, setVideoLoopCount] = useState(3);
+  const [videoIncludeAudio, setVideoIncludeAudio] = useState(true);
 
   return {
     isExporting,
@@ -21,5 +26,15 @@ export function useExportSettings() {
     setBundlePreview,
     bundlePreviewSection,
     setBundlePreviewSection,
+    videoContainer,
+    setVideoContainer,
+    videoResolution,
+    setVideoResolution,
+    videoAspect,
+    setVideoAspect,
+    videoLoopCount,
+    setVideoLoopCount,
+    videoIncludeAudio,
+    setVideoIncludeAudio,
   };
 }
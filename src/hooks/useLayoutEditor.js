@@ -0,0 +1,164 @@
+import { useCallback, useEffect, useState } from "react";
+import { downloadBlob } from "@firstform/wii-channel-renderer/export-bundle";
+import {
+  applyLayoutEdit,
+  createEditTextureName,
+  createLayoutPatch,
+  parseLayoutPatch,
+  pushLayoutEdit,
+  undoLayoutEdit,
+} from "../utils/layoutEdits";
+
+// Undo history of every layout edited in this session, keyed by the parsed
+// render layout so edits survive tab switches and renderer re-creation.
+const historyByLayout = new WeakMap();
+
+function getHistory(layout) {
+  let history = historyByLayout.get(layout);
+  if (!history) {
+    history = { edits: [], inverses: [] };
+    historyByLayout.set(layout, history);
+  }
+  return history;
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// PNG data URL -> a decoded texture in the shape parseTPL produces (RGBA8).
+async function decodePngTexture(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return { width: canvas.width, height: canvas.height, format: 6, imageData: new Uint8Array(data.buffer) };
+}
+
+/**
+ * Live pane editing on top of the parsed banner layout. Edits mutate
+ * `banner.renderLayout` in place, redraw the banner renderer and are kept as a
+ * JSON patch that can be exported and reapplied to the same WAD.
+ */
+export function useLayoutEditor(parsed, bannerRendererRef) {
+  const banner = parsed?.results?.banner ?? null;
+  const layout = banner?.renderLayout ?? null;
+  const titleId = parsed?.wad?.titleId ?? null;
+  const [, setRevision] = useState(0);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setError("");
+  }, [layout]);
+
+  const history = layout ? getHistory(layout) : null;
+
+  const commit = useCallback(() => {
+    bannerRendererRef.current?.refreshLayout?.();
+    setRevision((value) => value + 1);
+  }, [bannerRendererRef]);
+
+  const registerTexture = useCallback(async (name, dataUrl) => {
+    const image = await decodePngTexture(dataUrl);
+    banner.tplImages[name] = [image];
+    bannerRendererRef.current?.registerTexture?.(name, image);
+  }, [banner, bannerRendererRef]);
+
+  const applyEdit = useCallback((edit) => {
+    if (!layout) return;
+    try {
+      pushLayoutEdit(history, edit, applyLayoutEdit(layout, edit));
+      setError("");
+    } catch (editError) {
+      setError(editError.message);
+    }
+    commit();
+  }, [layout, history, commit]);
+
+  const setPaneField = useCallback((paneName, path, value) => {
+    applyEdit({ type: "set", pane: paneName, path, value });
+  }, [applyEdit]);
+
+  const replaceTexture = useCallback(async (paneName, file) => {
+    if (!layout || !file) return;
+    try {
+      const png = await readFileAsDataUrl(file);
+      const texture = createEditTextureName(layout, paneName);
+      await registerTexture(texture, png);
+      applyEdit({ type: "texture", pane: paneName, texture, png });
+    } catch (textureError) {
+      setError(`Unable to use ${file.name}: ${textureError.message}`);
+    }
+  }, [layout, registerTexture, applyEdit]);
+
+  const undo = useCallback(() => {
+    if (!layout) return;
+    undoLayoutEdit(layout, history);
+    commit();
+  }, [layout, history, commit]);
+
+  const revertAll = useCallback(() => {
+    if (!layout) return;
+    // Newest first, so texture edits release the materials they added.
+    while (history.edits.length > 0) {
+      undoLayoutEdit(layout, history);
+    }
+    setError("");
+    commit();
+  }, [layout, history, commit]);
+
+  const exportPatch = useCallback(() => {
+    if (!history?.edits.length) return;
+    const patch = createLayoutPatch(history.edits, { titleId });
+    const baseName = titleId || "banner";
+    downloadBlob(new Blob([JSON.stringify(patch, null, 2)], { type: "application/json" }), `${baseName}.layout-patch.json`);
+  }, [history, titleId]);
+
+  const importPatch = useCallback(async (file) => {
+    if (!layout || !file) return;
+    const startLength = history.edits.length;
+    try {
+      const patch = parseLayoutPatch(await file.text());
+      if (patch.titleId && titleId && patch.titleId !== titleId) {
+        throw new Error(`patch was made for ${patch.titleId}, not ${titleId}`);
+      }
+      for (const edit of patch.edits) {
+        if (edit.type === "texture") {
+          await registerTexture(edit.texture, edit.png);
+        }
+        // Kept as separate steps so a failed import can be unwound exactly.
+        history.inverses.push(applyLayoutEdit(layout, edit));
+        history.edits.push(edit);
+      }
+      setError("");
+    } catch (patchError) {
+      // Leave the layout as it was before the import.
+      while (history.edits.length > startLength) {
+        undoLayoutEdit(layout, history);
+      }
+      setError(`Unable to apply ${file.name}: ${patchError.message}`);
+    }
+    commit();
+  }, [layout, history, titleId, registerTexture, commit]);
+
+  return {
+    edits: history?.edits ?? [],
+    error,
+    setPaneField,
+    replaceTexture,
+    undo,
+    revertAll,
+    exportPatch,
+    importPatch,
+  };
+}
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { parseBRFNT } from "@firstform/wii-channel-renderer";
+import { deleteSharedFontRow, listSharedFontRows, normalizeSharedFontName, saveSharedFontRows } from "../utils/sharedFonts";
+
+function toSharedFontEntry(row) {
+  return { name: row.name, size: Number(row.size ?? 0), font: parseBRFNT(row.data) };
+}
+
+export function useSharedFonts() {
+  const [sharedFontEntries, setSharedFontEntries] = useState([]);
+  const [sharedFontError, setSharedFontError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    void (async () => {
+      try {
+        const rows = await listSharedFontRows();
+        if (!cancelled) {
+          setSharedFontEntries(rows.map(toSharedFontEntry).filter((entry) => entry.font));
+        }
+      } catch {
+        if (!cancelled) {
+          setSharedFontEntries([]);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Keyed by fnl1 file name, the shape BannerRenderer's `sharedFonts` option takes.
+  const sharedFonts = useMemo(
+    () => Object.fromEntries(sharedFontEntries.map((entry) => [entry.name, entry.font])),
+    [sharedFontEntries],
+  );
+
+  const addSharedFontFiles = useCallback(async (files) => {
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+      const data = await file.arrayBuffer();
+      if (parseBRFNT(data)) {
+        accepted.push({ name: file.name, data });
+      } else {
+        rejected.push(file.name);
+      }
+    }
+
+    setSharedFontError(rejected.length > 0 ? `Not a usable font: ${rejected.join(", ")}` : "");
+    if (accepted.length === 0) {
+      return;
+    }
+
+    const rows = await saveSharedFontRows(accepted);
+    const saved = rows.length > 0 ? rows : accepted.map(({ name, data }) => ({ name: normalizeSharedFontName(name), size: data.byteLength, data }));
+    setSharedFontEntries((current) => {
+      const byName = new Map(current.map((entry) => [entry.name, entry]));
+      for (const row of saved) {
+        byName.set(row.name, toSharedFontEntry(row));
+      }
+      return [...byName.values()].sort((left, right) => left.name.localeCompare(right.name));
+    });
+  }, []);
+
+  const removeSharedFont = useCallback(async (name) => {
+    await deleteSharedFontRow(name);
+    setSharedFontEntries((current) => current.filter((entry) => entry.name !== name));
+  }, []);
+
+  return { sharedFonts, sharedFontEntries, sharedFontError, addSharedFontFiles, removeSharedFont };
+}
@@ -0,0 +1,212 @@
+import { interpolateKeyframes } from "@firstform/wii-channel-renderer";
+
+export const CURVE_TAG_TYPES = ["RLPA", "RLTS", "RLVC", "RLMC", "RLTP", "RLVI"];
+
+const RLPA_TYPE_NAMES = [
+  "Translate X", "Translate Y", "Translate Z",
+  "Rotate X", "Rotate Y", "Rotate Z",
+  "Scale X", "Scale Y",
+  "Width", "Height",
+];
+const RLTS_TYPE_NAMES = ["Translate S", "Translate T", "Rotate", "Scale S", "Scale T"];
+const RGBA = ["R", "G", "B", "A"];
+const VERTEX_CORNERS = ["Top-Left", "Top-Right", "Bottom-Left", "Bottom-Right"];
+const MATERIAL_COLOR_SLOTS = ["Material", "C0", "C1", "C2", "K0", "K1", "K2", "K3"];
+
+function formatType(type) {
+  return `0x${(type ?? 0).toString(16).padStart(2, "0")}`;
+}
+
+export function describeTrack(tagType, entry) {
+  const type = entry?.type ?? 0;
+  switch (tagType) {
+    case "RLPA":
+      return RLPA_TYPE_NAMES[type] ?? (type === 0x0a ? "Alpha" : formatType(type));
+    case "RLTS":
+      return `TexMap ${entry.targetGroup ?? 0} ${RLTS_TYPE_NAMES[type] ?? formatType(type)}`;
+    case "RLVC":
+      if (type === 0x10) return "Pane Alpha";
+      return type < 0x10 ? `${VERTEX_CORNERS[Math.floor(type / 4)]} ${RGBA[type % 4]}` : formatType(type);
+    case "RLMC": {
+      const slot = MATERIAL_COLOR_SLOTS[Math.floor(type / 4)];
+      return slot ? `${slot} ${RGBA[type % 4]}` : formatType(type);
+    }
+    case "RLTP":
+      return `TexMap ${entry.targetGroup ?? 0} Pattern`;
+    case "RLVI":
+      return "Visible";
+    default:
+      return entry?.typeName ?? formatType(type);
+  }
+}
+
+/**
+ * Flatten an animation into one editable track per BRLAN entry. Each track keeps
+ * a reference to the parsed entry, so edits land in the animation itself.
+ */
+export function listAnimationTracks(anim) {
+  const tracks = [];
+  (anim?.panes ?? []).forEach((pane, paneIndex) => {
+    (pane.tags ?? []).forEach((tag, tagIndex) => {
+      if (!CURVE_TAG_TYPES.includes(tag.type)) return;
+      (tag.entries ?? []).forEach((entry, entryIndex) => {
+        tracks.push({
+          id: `${paneIndex}:${tagIndex}:${entryIndex}`,
+          paneName: pane.name,
+          tagType: tag.type,
+          label: describeTrack(tag.type, entry),
+          entry,
+        });
+      });
+    });
+  });
+  return tracks;
+}
+
+// RLTP and RLVI are always sampled as steps by the renderer, whatever the data type.
+export function isStepTrack(tagType, entry) {
+  return entry?.dataType === 1 || entry?.interpolation === "step" || tagType === "RLTP" || tagType === "RLVI";
+}
+
+export function hasTangents(tagType, entry) {
+  return !isStepTrack(tagType, entry) && (entry?.dataType ?? 2) === 2;
+}
+
+export function sampleTrack(tagType, entry, frame) {
+  const keyframes = entry?.keyframes ?? [];
+  if (keyframes.length === 0) return null;
+  return interpolateKeyframes(keyframes, frame, {
+    mode: isStepTrack(tagType, entry) ? "step" : entry.interpolation ?? "hermite",
+    scaleTangents: true,
+  });
+}
+
+/**
+ * SVG path data for a track over [startFrame, endFrame], in the caller's screen space.
+ */
+export function buildCurvePath(tagType, entry, startFrame, endFrame, toX, toY) {
+  const keyframes = entry?.keyframes ?? [];
+  if (keyframes.length === 0 || !(endFrame > startFrame)) return "";
+
+  if (isStepTrack(tagType, entry)) {
+    let value = sampleTrack(tagType, entry, startFrame);
+    let path = `M${toX(startFrame)},${toY(value)}`;
+    for (const keyframe of keyframes) {
+      if (keyframe.frame <= startFrame || keyframe.frame > endFrame) continue;
+      path += ` L${toX(keyframe.frame)},${toY(value)} L${toX(keyframe.frame)},${toY(keyframe.value)}`;
+      value = keyframe.value;
+    }
+    return `${path} L${toX(endFrame)},${toY(value)}`;
+  }
+
+  const span = endFrame - startFrame;
+  const steps = Math.min(1024, Math.max(64, Math.ceil(span * 2)));
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const frame = startFrame + (i / steps) * span;
+    points.push(`${toX(frame)},${toY(sampleTrack(tagType, entry, frame))}`);
+  }
+  return `M${points.join(" L")}`;
+}
+
+// Frames to plot: the animation's range, widened to any keys outside it.
+export function getTrackFrameRange(entry, frameSize) {
+  const frames = (entry?.keyframes ?? []).map((keyframe) => keyframe.frame);
+  return {
+    start: Math.min(0, ...frames),
+    end: Math.max(1, frameSize, ...frames),
+  };
+}
+
+export function getTrackValueRange(tagType, entry, startFrame, endFrame) {
+  let min = Infinity;
+  let max = -Infinity;
+  const include = (value) => {
+    if (!Number.isFinite(value)) return;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  };
+  for (const keyframe of entry?.keyframes ?? []) include(keyframe.value);
+  for (let i = 0; i <= 128; i += 1) {
+    include(sampleTrack(tagType, entry, startFrame + (i / 128) * (endFrame - startFrame)));
+  }
+
+  if (!Number.isFinite(min)) return { min: 0, max: 1 };
+  const span = max - min;
+  const pad = span > 1e-6 ? span * 0.1 : Math.max(1, Math.abs(max) * 0.1);
+  return { min: min - pad, max: max + pad };
+}
+
+/**
+ * Update one key in place. Frames are clamped between the neighbouring keys so
+ * the array stays sorted; step tracks keep integer values.
+ */
+export function updateKeyframe(tagType, entry, index, changes) {
+  const keyframes = entry.keyframes;
+  const keyframe = keyframes[index];
+  if (!keyframe) return;
+
+  if (Number.isFinite(changes.frame)) {
+    const lower = index > 0 ? keyframes[index - 1].frame : -Infinity;
+    const upper = index < keyframes.length - 1 ? keyframes[index + 1].frame : Infinity;
+    keyframe.frame = Math.max(lower, Math.min(upper, changes.frame));
+  }
+  if (Number.isFinite(changes.value)) {
+    keyframe.value = isStepTrack(tagType, entry) ? Math.max(0, Math.round(changes.value)) : changes.value;
+  }
+  if (Number.isFinite(changes.blend) && hasTangents(tagType, entry)) {
+    keyframe.blend = changes.blend;
+  }
+}
+
+/**
+ * Insert a key on the current curve at `frame`, with the curve's local slope as
+ * its tangent so the shape is preserved. Returns the new key's index.
+ */
+export function insertKeyframe(tagType, entry, frame) {
+  const keyframes = entry.keyframes;
+  const existing = keyframes.findIndex((keyframe) => Math.abs(keyframe.frame - frame) < 1e-4);
+  if (existing >= 0) return existing;
+
+  const value = sampleTrack(tagType, entry, frame) ?? 0;
+  let blend = 0;
+  if (hasTangents(tagType, entry) && keyframes.length > 0) {
+    const delta = 0.01;
+    blend = (sampleTrack(tagType, entry, frame + delta) - sampleTrack(tagType, entry, frame - delta)) / (2 * delta);
+  }
+
+  const keyframe = {
+    frame,
+    value: isStepTrack(tagType, entry) ? Math.max(0, Math.round(value)) : value,
+    blend,
+  };
+  let index = keyframes.findIndex((candidate) => candidate.frame > frame);
+  if (index < 0) index = keyframes.length;
+  keyframes.splice(index, 0, keyframe);
+  return index;
+}
+
+export function removeKeyframe(entry, index) {
+  if (index >= 0 && index < entry.keyframes.length) {
+    entry.keyframes.splice(index, 1);
+  }
+}
+
+// Keyframe copies for every entry, so edits can be discarded in place.
+export function snapshotAnimationKeyframes(anim) {
+  const snapshot = new Map();
+  for (const pane of anim?.panes ?? []) {
+    for (const tag of pane.tags ?? []) {
+      for (const entry of tag.entries ?? []) {
+        snapshot.set(entry, entry.keyframes.map((keyframe) => ({ ...keyframe })));
+      }
+    }
+  }
+  return snapshot;
+}
+
+export function restoreAnimationKeyframes(snapshot) {
+  for (const [entry, keyframes] of snapshot) {
+    entry.keyframes.splice(0, entry.keyframes.length, ...keyframes.map((keyframe) => ({ ...keyframe })));
+  }
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import {
+  insertKeyframe,
+  listAnimationTracks,
+  removeKeyframe,
+  restoreAnimationKeyframes,
+  sampleTrack,
+  snapshotAnimationKeyframes,
+  updateKeyframe,
+} from "./animationCurves";
+
+function createAnimation() {
+  return {
+    frameSize: 60,
+    panes: [
+      {
+        name: "Logo",
+        tags: [
+          {
+            type: "RLPA",
+            entries: [{
+              targetGroup: 0,
+              type: 0x00,
+              dataType: 2,
+              interpolation: "hermite",
+              keyframes: [{ frame: 0, value: 0, blend: 0 }, { frame: 30, value: 100, blend: 0 }, { frame: 60, value: 0, blend: 0 }],
+            }],
+          },
+          {
+            type: "RLVI",
+            entries: [{
+              targetGroup: 0,
+              type: 0x00,
+              dataType: 1,
+              interpolation: "step",
+              keyframes: [{ frame: 0, value: 1, blend: 0 }, { frame: 40, value: 0, blend: 0 }],
+            }],
+          },
+          { type: "RLIM", entries: [{ type: 0, keyframes: [] }] },
+        ],
+      },
+      {
+        name: "Glow",
+        tags: [{ type: "RLVC", entries: [{ targetGroup: 0, type: 0x07, dataType: 2, keyframes: [] }] }],
+      },
+    ],
+  };
+}
+
+describe("listAnimationTracks", () => {
+  it("lists one labelled track per curve entry", () => {
+    const anim = createAnimation();
+    const tracks = listAnimationTracks(anim);
+
+    expect(tracks.map(({ paneName, tagType, label }) => `${paneName} ${tagType} ${label}`)).toEqual([
+      "Logo RLPA Translate X",
+      "Logo RLVI Visible",
+      "Glow RLVC Top-Right A",
+    ]);
+    expect(tracks[0].entry).toBe(anim.panes[0].tags[0].entries[0]);
+  });
+});
+
+describe("keyframe editing", () => {
+  it("keeps keys sorted when dragging past a neighbour", () => {
+    const entry = createAnimation().panes[0].tags[0].entries[0];
+    updateKeyframe("RLPA", entry, 1, { frame: 75, value: 50, blend: 2 });
+
+    expect(entry.keyframes[1]).toEqual({ frame: 60, value: 50, blend: 2 });
+  });
+
+  it("rounds step values and ignores tangents on step tracks", () => {
+    const entry = createAnimation().panes[0].tags[1].entries[0];
+    updateKeyframe("RLVI", entry, 1, { value: 0.7, blend: 3 });
+
+    expect(entry.keyframes[1]).toEqual({ frame: 40, value: 1, blend: 0 });
+  });
+
+  it("inserts a key on the curve without changing its shape", () => {
+    const entry = createAnimation().panes[0].tags[0].entries[0];
+    const before = [10, 15, 20, 25].map((frame) => sampleTrack("RLPA", entry, frame));
+    const index = insertKeyframe("RLPA", entry, 15);
+
+    expect(index).toBe(1);
+    expect(entry.keyframes).toHaveLength(4);
+    expect(entry.keyframes[1].value).toBeCloseTo(50, 5);
+    [10, 15, 20, 25].forEach((frame, i) => {
+      expect(sampleTrack("RLPA", entry, frame)).toBeCloseTo(before[i], 1);
+    });
+
+    removeKeyframe(entry, index);
+    expect(entry.keyframes.map((keyframe) => keyframe.frame)).toEqual([0, 30, 60]);
+  });
+
+  it("samples step tracks as steps", () => {
+    const entry = createAnimation().panes[0].tags[1].entries[0];
+    expect(sampleTrack("RLVI", entry, 39.9)).toBe(1);
+    expect(sampleTrack("RLVI", entry, 40)).toBe(0);
+  });
+
+  it("restores a snapshot into the same keyframe arrays", () => {
+    const anim = createAnimation();
+    const entry = anim.panes[0].tags[0].entries[0];
+    const keyframes = entry.keyframes;
+    const snapshot = snapshotAnimationKeyframes(anim);
+
+    updateKeyframe("RLPA", entry, 0, { value: 12 });
+    insertKeyframe("RLPA", entry, 45);
+    restoreAnimationKeyframes(snapshot);
+
+    expect(entry.keyframes).toBe(keyframes);
+    expect(entry.keyframes).toEqual(createAnimation().panes[0].tags[0].entries[0].keyframes);
+  });
+});
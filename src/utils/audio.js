@@ -47,3 +47,95 @@ export function createWavBuffer(audio) {
 
   return buffer;
 }
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+function readFourCC(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+function readWavSample(view, offset, bitsPerSample, isFloat) {
+  if (isFloat) {
+    const value = bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+    return Math.max(-32768, Math.min(32767, Math.round(value * 32767)));
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) << 8;
+    case 16:
+      return view.getInt16(offset, true);
+    case 24:
+      return ((view.getUint8(offset + 2) << 24) | (view.getUint8(offset + 1) << 16) | (view.getUint8(offset) << 8)) >> 16;
+    default:
+      return view.getInt32(offset, true) >> 16;
+  }
+}
+
+// Decode a RIFF WAVE file (8/16/24/32-bit PCM or 32/64-bit float) into the
+// { channelCount, sampleRate, sampleCount, pcm16 } shape parseBNS returns.
+export function parseWavBuffer(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12 || readFourCC(view, 0) !== "RIFF" || readFourCC(view, 8) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buffer.byteLength;) {
+    const id = readFourCC(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        formatTag = view.getUint16(body + 24, true);
+      }
+      format = {
+        formatTag,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, buffer.byteLength - body) };
+    }
+    // Chunks are padded to an even size.
+    offset = body + size + (size & 1);
+  }
+
+  if (!format || !data) {
+    throw new Error("WAV file is missing its fmt or data chunk");
+  }
+  const { formatTag, channelCount, sampleRate, blockAlign, bitsPerSample } = format;
+  const isFloat = formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  if (
+    (formatTag !== WAVE_FORMAT_PCM && !isFloat)
+    || (isFloat && bitsPerSample !== 32 && bitsPerSample !== 64)
+    || (!isFloat && ![8, 16, 24, 32].includes(bitsPerSample))
+  ) {
+    throw new Error(`Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`);
+  }
+  if (channelCount < 1 || blockAlign < channelCount * (bitsPerSample / 8)) {
+    throw new Error("Invalid WAV channel layout");
+  }
+
+  const sampleCount = Math.floor(data.size / blockAlign);
+  const bytesPerSample = bitsPerSample / 8;
+  const pcm16 = Array.from({ length: channelCount }, () => new Int16Array(sampleCount));
+  for (let frame = 0; frame < sampleCount; frame += 1) {
+    const frameOffset = data.offset + frame * blockAlign;
+    for (let channel = 0; channel < channelCount; channel += 1) {
+      pcm16[channel][frame] = readWavSample(view, frameOffset + channel * bytesPerSample, bitsPerSample, isFloat);
+    }
+  }
+
+  return { channelCount, sampleRate, sampleCount, pcm16 };
+}
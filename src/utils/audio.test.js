@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { createWavBuffer, parseWavBuffer } from "./audio";
+
+function wavHeader(view, { formatTag, channelCount, sampleRate, bitsPerSample, dataSize }) {
+  const blockAlign = channelCount * (bitsPerSample / 8);
+  const tags = [[0, "RIFF"], [8, "WAVE"], [12, "fmt "], [36, "data"]];
+  for (const [offset, tag] of tags) {
+    for (let i = 0; i < 4; i += 1) view.setUint8(offset + i, tag.charCodeAt(i));
+  }
+  view.setUint32(4, 36 + dataSize, true);
+  view.setUint32(16, 16, true);
+  view.setUint16(20, formatTag, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  view.setUint32(40, dataSize, true);
+}
+
+describe("parseWavBuffer", () => {
+  it("reads back what createWavBuffer writes", () => {
+    const audio = {
+      channelCount: 2,
+      sampleRate: 32000,
+      pcm16: [Int16Array.from([0, 1000, -32768, 32767]), Int16Array.from([5, -5, 12, -12])],
+    };
+    const parsed = parseWavBuffer(createWavBuffer(audio));
+
+    expect(parsed.channelCount).toBe(2);
+    expect(parsed.sampleRate).toBe(32000);
+    expect(parsed.sampleCount).toBe(4);
+    expect(Array.from(parsed.pcm16[0])).toEqual([0, 1000, -32768, 32767]);
+    expect(Array.from(parsed.pcm16[1])).toEqual([5, -5, 12, -12]);
+  });
+
+  it("converts 8-bit, 24-bit and float samples to 16-bit", () => {
+    const byte = new DataView(new ArrayBuffer(44 + 2));
+    wavHeader(byte, { formatTag: 1, channelCount: 1, sampleRate: 8000, bitsPerSample: 8, dataSize: 2 });
+    byte.setUint8(44, 0);
+    byte.setUint8(45, 192);
+    expect(Array.from(parseWavBuffer(byte.buffer).pcm16[0])).toEqual([-32768, 16384]);
+
+    const wide = new DataView(new ArrayBuffer(44 + 6));
+    wavHeader(wide, { formatTag: 1, channelCount: 1, sampleRate: 48000, bitsPerSample: 24, dataSize: 6 });
+    [0x00, 0x34, 0x12, 0x00, 0x00, 0x80].forEach((value, index) => wide.setUint8(44 + index, value));
+    expect(Array.from(parseWavBuffer(wide.buffer).pcm16[0])).toEqual([0x1234, -32768]);
+
+    const float = new DataView(new ArrayBuffer(44 + 8));
+    wavHeader(float, { formatTag: 3, channelCount: 1, sampleRate: 44100, bitsPerSample: 32, dataSize: 8 });
+    float.setFloat32(44, 0.5, true);
+    float.setFloat32(48, -2, true);
+    expect(Array.from(parseWavBuffer(float.buffer).pcm16[0])).toEqual([16384, -32768]);
+  });
+
+  it("rejects files it cannot decode", () => {
+    expect(() => parseWavBuffer(new ArrayBuffer(16))).toThrow(/Not a WAV/);
+    const adpcm = new DataView(new ArrayBuffer(44));
+    wavHeader(adpcm, { formatTag: 2, channelCount: 1, sampleRate: 8000, bitsPerSample: 4, dataSize: 0 });
+    expect(() => parseWavBuffer(adpcm.buffer)).toThrow(/Unsupported WAV encoding/);
+  });
+});
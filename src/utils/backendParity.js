@@ -0,0 +1,139 @@
+import { BannerRenderer, compareImages, createGlBannerRenderer } from "@firstform/wii-channel-renderer";
+
+export const PANE_PATH_LABELS = {
+  "tev-gpu": "Generated TEV program",
+  "direct-gpu": "Direct GPU",
+  "canvas-raster": "Canvas raster fallback",
+};
+
+// One GL canvas for every comparison: the backend caches its context and
+// programs on the canvas, and browsers cap the number of live WebGL contexts.
+let parityGlCanvas = null;
+
+// Global (start + loop) frame of a live renderer, as seekToFrame() takes it.
+export function getRendererGlobalFrame(renderer) {
+  if (!renderer) {
+    return 0;
+  }
+  if (renderer.sequenceEnabled && renderer.phase === "loop") {
+    return renderer.startFrameCount + Math.max(0, renderer.frame - renderer.loopPlaybackStartFrame);
+  }
+  return renderer.frame ?? 0;
+}
+
+function readCanvasPixels(canvas) {
+  // Works for 2D and WebGL canvases (the GL backend preserves its drawing buffer).
+  const copy = document.createElement("canvas");
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  const context = copy.getContext("2d", { willReadFrequently: true });
+  context.drawImage(canvas, 0, 0);
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+  return { width: canvas.width, height: canvas.height, data: imageData.data };
+}
+
+/**
+ * Per-pixel difference heatmap: unchanged pixels are the reference faded to
+ * grey, changed ones run blue -> yellow -> red with the largest channel delta.
+ */
+export function buildDifferenceHeatmap(reference, actual) {
+  const { width, height } = reference;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    let delta = 0;
+    for (let channel = 0; channel < 4; channel += 1) {
+      delta = Math.max(delta, Math.abs(reference.data[i + channel] - actual.data[i + channel]));
+    }
+    if (delta === 0) {
+      const luma = reference.data[i] * 0.299 + reference.data[i + 1] * 0.587 + reference.data[i + 2] * 0.114;
+      const faded = 24 + (luma * reference.data[i + 3]) / 255 * 0.25;
+      data[i] = faded;
+      data[i + 1] = faded;
+      data[i + 2] = faded;
+    } else {
+      // sqrt keeps small (rounding-level) deltas visible.
+      const t = Math.sqrt(delta / 255);
+      data[i] = t < 0.5 ? t * 2 * 255 : 255;
+      data[i + 1] = t < 0.5 ? t * 2 * 255 : (1 - t) * 2 * 255;
+      data[i + 2] = t < 0.5 ? (1 - t * 2) * 255 : 0;
+    }
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+/**
+ * Join the GL backend's per-pane paths with the changed-pixel blame from the
+ * Canvas renderer. Window frame parts ("Window/Material") carry no blame of
+ * their own; the window's row does.
+ */
+export function summarizePanePaths(panePaths, blame) {
+  const changedByName = new Map((blame?.panes ?? []).map((entry) => [entry.name, entry.pixels]));
+  return (panePaths ?? []).map((entry) => ({
+    ...entry,
+    label: PANE_PATH_LABELS[entry.path] ?? entry.path,
+    changedPixels: changedByName.get(entry.name) ?? 0,
+  }));
+}
+
+/**
+ * Render one frame of a banner with both backends and diff them.
+ *
+ * @param {{layout: object, anim: object|null, tplImages: object, options: object}} source -
+ *   The arguments the live preview renderer was created with
+ * @param {number} globalFrame
+ * @returns {{width: number, height: number, canvasImage: object, glImage: object|null, heatmap: object|null,
+ *   diffCount: number, diffRatio: number, rows: Array<object>, unowned: number, glError: string|null}}
+ */
+export function renderBackendParity(source, globalFrame) {
+  const { layout, anim, tplImages, options } = source;
+  // Same settings as the preview, at 1x so both backings have identical sizes.
+  const rendererOptions = {
+    ...options,
+    initialFrame: 0,
+    maxDevicePixelRatio: 1,
+    maxRenderFps: 0,
+    onFrame: () => {},
+  };
+
+  const canvasRenderer = new BannerRenderer(document.createElement("canvas"), layout, anim, tplImages, rendererOptions);
+  let glRenderer = null;
+  try {
+    canvasRenderer.seekToFrame(globalFrame);
+    const canvasImage = readCanvasPixels(canvasRenderer.canvas);
+    const { width, height } = canvasImage;
+
+    let glImage = null;
+    try {
+      parityGlCanvas ??= document.createElement("canvas");
+      const glCanvas = parityGlCanvas;
+      glRenderer = createGlBannerRenderer(glCanvas, layout, anim, tplImages, rendererOptions);
+      glRenderer.seekToFrame(globalFrame);
+      glImage = readCanvasPixels(glCanvas);
+    } catch (error) {
+      return {
+        width, height, canvasImage, glImage: null, heatmap: null,
+        diffCount: 0, diffRatio: 0, rows: [], unowned: 0,
+        glError: error?.message ?? String(error),
+      };
+    }
+
+    const comparison = compareImages(glImage, canvasImage);
+    const blame = canvasRenderer.blamePaneDiff(comparison.mask, width, height);
+    return {
+      width,
+      height,
+      canvasImage,
+      glImage,
+      heatmap: buildDifferenceHeatmap(canvasImage, glImage),
+      diffCount: comparison.diffCount,
+      diffRatio: comparison.diffCount / Math.max(1, width * height),
+      rows: summarizePanePaths(glRenderer._glLastFrameStats?.panePaths, blame),
+      unowned: blame?.unowned ?? 0,
+      glError: null,
+    };
+  } finally {
+    canvasRenderer.dispose();
+    glRenderer?.dispose();
+  }
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { buildDifferenceHeatmap, getRendererGlobalFrame, summarizePanePaths } from "./backendParity";
+
+function image(pixels) {
+  return { width: pixels.length, height: 1, data: new Uint8ClampedArray(pixels.flat()) };
+}
+
+describe("buildDifferenceHeatmap", () => {
+  it("fades unchanged pixels and ramps changed ones from blue to red", () => {
+    const reference = image([[255, 255, 255, 255], [0, 0, 0, 255], [0, 0, 0, 255]]);
+    const actual = image([[255, 255, 255, 255], [1, 0, 0, 255], [255, 0, 0, 255]]);
+
+    const heatmap = buildDifferenceHeatmap(reference, actual);
+    const pixel = (index) => Array.from(heatmap.data.subarray(index * 4, index * 4 + 4));
+
+    expect(pixel(0)).toEqual([88, 88, 88, 255]);
+    // A one-step rounding difference is still clearly visible (blue-ish).
+    expect(pixel(1)[2]).toBeGreaterThan(pixel(1)[0]);
+    expect(pixel(2)).toEqual([255, 0, 0, 255]);
+  });
+});
+
+describe("summarizePanePaths", () => {
+  it("labels each pane's path and joins the changed-pixel blame by name", () => {
+    const rows = summarizePanePaths(
+      [
+        { name: "P_Back", type: "pic1", path: "direct-gpu", reason: null },
+        { name: "ch2", type: "pic1", path: "canvas-raster", reason: "luma mask" },
+        { name: "W_Dialog/M_Frame", type: "pic1", path: "tev-gpu", reason: null },
+      ],
+      { panes: [{ name: "ch2", pixels: 40 }], unowned: 0 },
+    );
+
+    expect(rows.map(({ name, label, reason, changedPixels }) => [name, label, reason, changedPixels])).toEqual([
+      ["P_Back", "Direct GPU", null, 0],
+      ["ch2", "Canvas raster fallback", "luma mask", 40],
+      ["W_Dialog/M_Frame", "Generated TEV program", null, 0],
+    ]);
+  });
+});
+
+describe("getRendererGlobalFrame", () => {
+  it("adds the start animation length once a sequence reaches its loop", () => {
+    expect(getRendererGlobalFrame({ frame: 12, sequenceEnabled: false, phase: "loop" })).toBe(12);
+    expect(
+      getRendererGlobalFrame({ frame: 7, sequenceEnabled: true, phase: "loop", startFrameCount: 30, loopPlaybackStartFrame: 2 }),
+    ).toBe(35);
+  });
+});
@@ -1,4 +1,4 @@
-import { resolveAnimationSelection } from "./animation";
+import { resolveAnimationSelection } from "@firstform/wii-channel-renderer";
 import { resolveIconViewport } from "./iconViewport";
 
 export function getUsedTextureNames(layout) {
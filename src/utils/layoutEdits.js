@@ -0,0 +1,190 @@
+export const LAYOUT_PATCH_FORMAT = "wii-banner-layout-patch";
+export const LAYOUT_PATCH_VERSION = 1;
+
+// Pane fields the editor can set, as `object.key` paths into the parsed pane.
+export const EDITABLE_PANE_FIELDS = [
+  { path: "translate.x", label: "Translate X", step: 1 },
+  { path: "translate.y", label: "Translate Y", step: 1 },
+  { path: "translate.z", label: "Translate Z", step: 1 },
+  { path: "rotate.x", label: "Rotate X", step: 1 },
+  { path: "rotate.y", label: "Rotate Y", step: 1 },
+  { path: "rotate.z", label: "Rotate Z", step: 1 },
+  { path: "scale.x", label: "Scale X", step: 0.05 },
+  { path: "scale.y", label: "Scale Y", step: 0.05 },
+  { path: "size.w", label: "Width", step: 1 },
+  { path: "size.h", label: "Height", step: 1 },
+  { path: "alpha", label: "Alpha", step: 1 },
+];
+
+const NUMERIC_PATHS = new Set(EDITABLE_PANE_FIELDS.map((field) => field.path));
+
+function findPane(layout, paneName) {
+  const pane = layout?.panes?.find((candidate) => candidate.name === paneName);
+  if (!pane) {
+    throw new Error(`Pane "${paneName}" does not exist in this layout`);
+  }
+  return pane;
+}
+
+export function getPaneFieldValue(pane, path) {
+  const [head, key] = path.split(".");
+  return key ? pane?.[head]?.[key] : pane?.[head];
+}
+
+function setPaneFieldValue(pane, path, value) {
+  const [head, key] = path.split(".");
+  if (key) {
+    pane[head] = { ...pane[head], [key]: value };
+  } else {
+    pane[head] = value;
+  }
+}
+
+function normalizeSetValue(pane, path, value) {
+  if (NUMERIC_PATHS.has(path)) {
+    if (!Number.isFinite(value)) {
+      throw new Error(`${path} must be a finite number`);
+    }
+    return path === "alpha" ? Math.max(0, Math.min(255, Math.round(value))) : value;
+  }
+  if (path === "visible") {
+    return Boolean(value);
+  }
+  if (path === "text") {
+    if (pane.type !== "txt1") {
+      throw new Error(`Pane "${pane.name}" is not a text pane`);
+    }
+    return String(value ?? "");
+  }
+  throw new Error(`Unsupported pane field "${path}"`);
+}
+
+// A texture name that is not used by the layout yet, derived from the pane name.
+export function createEditTextureName(layout, paneName) {
+  const textures = layout?.textures ?? [];
+  for (let index = 0; ; index += 1) {
+    const name = `${paneName}_edit${index}.tpl`;
+    if (!textures.includes(name)) {
+      return name;
+    }
+  }
+}
+
+/**
+ * Apply one edit to the parsed layout in place and return the edit that undoes
+ * it. Edits are plain JSON:
+ *
+ * - `{ type: "set", pane, path, value }` sets a transform/size/alpha/visible
+ *   field (see EDITABLE_PANE_FIELDS) or a txt1 pane's `text`.
+ * - `{ type: "texture", pane, texture, png }` points a pic1 pane at `texture`.
+ *   The pane gets its own copy of its material, so other panes sharing the
+ *   material keep their texture. The caller decodes `png` (a data URL) and
+ *   registers the pixels under `texture`.
+ */
+export function applyLayoutEdit(layout, edit) {
+  const pane = findPane(layout, edit?.pane);
+
+  if (edit.type === "set") {
+    const value = normalizeSetValue(pane, edit.path, edit.value);
+    const previous = getPaneFieldValue(pane, edit.path);
+    setPaneFieldValue(pane, edit.path, value);
+    return { type: "set", pane: pane.name, path: edit.path, value: previous };
+  }
+
+  if (edit.type === "texture") {
+    const material = pane.type === "pic1" ? layout.materials?.[pane.materialIndex] : null;
+    if (!material?.textureMaps?.length) {
+      throw new Error(`Pane "${pane.name}" has no texture to replace`);
+    }
+    if (!edit.texture) {
+      throw new Error("Texture edits need a texture name");
+    }
+
+    let textureIndex = layout.textures.indexOf(edit.texture);
+    if (textureIndex < 0) {
+      textureIndex = layout.textures.push(edit.texture) - 1;
+    }
+    const [firstMap, ...otherMaps] = material.textureMaps;
+    layout.materials.push({
+      ...material,
+      textureMaps: [{ ...firstMap, textureIndex }, ...otherMaps.map((map) => ({ ...map }))],
+    });
+    const previous = pane.materialIndex;
+    pane.materialIndex = layout.materials.length - 1;
+    return { type: "material", pane: pane.name, materialIndex: previous, discardMaterial: pane.materialIndex };
+  }
+
+  // Only produced as the inverse of a texture edit.
+  if (edit.type === "material") {
+    const previous = pane.materialIndex;
+    pane.materialIndex = edit.materialIndex;
+    const discard = edit.discardMaterial;
+    if (
+      discard === layout.materials.length - 1 &&
+      !layout.panes.some((candidate) => candidate.materialIndex === discard)
+    ) {
+      layout.materials.pop();
+    }
+    return { type: "material", pane: pane.name, materialIndex: previous };
+  }
+
+  throw new Error(`Unsupported layout edit "${edit.type}"`);
+}
+
+/**
+ * Record an edit on an undo history (`{ edits, inverses }`). Consecutive `set`
+ * edits of the same field collapse into one step, so typing into a field or
+ * dragging a slider is undone in one go.
+ */
+export function pushLayoutEdit(history, edit, inverse) {
+  const last = history.edits[history.edits.length - 1];
+  if (
+    edit.type === "set" &&
+    last?.type === "set" &&
+    last.pane === edit.pane &&
+    last.path === edit.path
+  ) {
+    history.edits[history.edits.length - 1] = edit;
+    return;
+  }
+  history.edits.push(edit);
+  history.inverses.push(inverse);
+}
+
+// Undo the newest edit. Returns it, or null when there is nothing to undo.
+export function undoLayoutEdit(layout, history) {
+  const edit = history.edits.pop();
+  if (!edit) {
+    return null;
+  }
+  applyLayoutEdit(layout, history.inverses.pop());
+  return edit;
+}
+
+export function createLayoutPatch(edits, { titleId = null } = {}) {
+  return {
+    format: LAYOUT_PATCH_FORMAT,
+    version: LAYOUT_PATCH_VERSION,
+    titleId,
+    edits: edits.map((edit) => ({ ...edit })),
+  };
+}
+
+export function parseLayoutPatch(text) {
+  const patch = typeof text === "string" ? JSON.parse(text) : text;
+  if (patch?.format !== LAYOUT_PATCH_FORMAT || !Array.isArray(patch.edits)) {
+    throw new Error("Not a banner layout patch");
+  }
+  if (patch.version !== LAYOUT_PATCH_VERSION) {
+    throw new Error(`Unsupported layout patch version ${patch.version}`);
+  }
+  for (const edit of patch.edits) {
+    if (edit?.type !== "set" && edit?.type !== "texture") {
+      throw new Error(`Unsupported layout edit "${edit?.type}"`);
+    }
+    if (edit.type === "texture" && typeof edit.png !== "string") {
+      throw new Error(`Texture edit for "${edit.pane}" has no PNG data`);
+    }
+  }
+  return patch;
+}
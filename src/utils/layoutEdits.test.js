@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyLayoutEdit,
+  createEditTextureName,
+  createLayoutPatch,
+  parseLayoutPatch,
+  pushLayoutEdit,
+  undoLayoutEdit,
+} from "./layoutEdits";
+
+function createLayout() {
+  return {
+    textures: ["back.tpl"],
+    materials: [{ name: "mat_back", textureMaps: [{ textureIndex: 0, wrapS: 0, wrapT: 0 }] }],
+    panes: [
+      {
+        name: "Back",
+        type: "pic1",
+        materialIndex: 0,
+        alpha: 255,
+        visible: true,
+        translate: { x: 0, y: 0, z: 0 },
+        size: { w: 64, h: 32 },
+      },
+      { name: "Back2", type: "pic1", materialIndex: 0, alpha: 255, visible: true },
+      { name: "Title", type: "txt1", materialIndex: -1, text: "Hello" },
+    ],
+  };
+}
+
+function applyAll(layout, history, edits) {
+  for (const edit of edits) {
+    pushLayoutEdit(history, edit, applyLayoutEdit(layout, edit));
+  }
+}
+
+describe("applyLayoutEdit", () => {
+  it("sets pane fields and returns the inverse edit", () => {
+    const layout = createLayout();
+    const inverse = applyLayoutEdit(layout, { type: "set", pane: "Back", path: "translate.x", value: 12 });
+
+    expect(layout.panes[0].translate).toEqual({ x: 12, y: 0, z: 0 });
+    expect(inverse).toEqual({ type: "set", pane: "Back", path: "translate.x", value: 0 });
+
+    applyLayoutEdit(layout, { type: "set", pane: "Back", path: "alpha", value: 300.4 });
+    applyLayoutEdit(layout, { type: "set", pane: "Title", path: "text", value: "Bye" });
+    expect(layout.panes[0].alpha).toBe(255);
+    expect(layout.panes[2].text).toBe("Bye");
+  });
+
+  it("rejects unknown panes, fields and text on non-text panes", () => {
+    const layout = createLayout();
+
+    expect(() => applyLayoutEdit(layout, { type: "set", pane: "Missing", path: "alpha", value: 1 })).toThrow(/Missing/);
+    expect(() => applyLayoutEdit(layout, { type: "set", pane: "Back", path: "parent", value: "x" })).toThrow(/parent/);
+    expect(() => applyLayoutEdit(layout, { type: "set", pane: "Back", path: "text", value: "x" })).toThrow(/text pane/);
+  });
+
+  it("gives a pane its own material when its texture is replaced", () => {
+    const layout = createLayout();
+    const texture = createEditTextureName(layout, "Back");
+    const inverse = applyLayoutEdit(layout, { type: "texture", pane: "Back", texture, png: "data:" });
+
+    expect(texture).toBe("Back_edit0.tpl");
+    expect(layout.textures).toEqual(["back.tpl", "Back_edit0.tpl"]);
+    expect(layout.panes[0].materialIndex).toBe(1);
+    expect(layout.materials[1].textureMaps[0].textureIndex).toBe(1);
+    expect(layout.materials[0].textureMaps[0].textureIndex).toBe(0);
+    expect(layout.panes[1].materialIndex).toBe(0);
+
+    applyLayoutEdit(layout, inverse);
+    expect(layout.panes[0].materialIndex).toBe(0);
+    expect(layout.materials).toHaveLength(1);
+  });
+});
+
+describe("layout edit history", () => {
+  it("collapses consecutive edits of one field and undoes in order", () => {
+    const layout = createLayout();
+    const history = { edits: [], inverses: [] };
+    applyAll(layout, history, [
+      { type: "set", pane: "Back", path: "size.w", value: 70 },
+      { type: "set", pane: "Back", path: "size.w", value: 80 },
+      { type: "set", pane: "Back", path: "visible", value: false },
+    ]);
+
+    expect(history.edits).toHaveLength(2);
+    expect(undoLayoutEdit(layout, history)).toMatchObject({ path: "visible" });
+    expect(layout.panes[0].visible).toBe(true);
+    undoLayoutEdit(layout, history);
+    expect(layout.panes[0].size).toEqual({ w: 64, h: 32 });
+    expect(undoLayoutEdit(layout, history)).toBeNull();
+  });
+
+  it("reapplies an exported patch to a fresh copy of the layout", () => {
+    const layout = createLayout();
+    const history = { edits: [], inverses: [] };
+    applyAll(layout, history, [
+      { type: "set", pane: "Title", path: "text", value: "Patched" },
+      { type: "texture", pane: "Back", texture: "Back_edit0.tpl", png: "data:image/png;base64," },
+    ]);
+
+    const patch = parseLayoutPatch(JSON.stringify(createLayoutPatch(history.edits, { titleId: "HAAA" })));
+    const fresh = createLayout();
+    patch.edits.forEach((edit) => applyLayoutEdit(fresh, edit));
+
+    expect(patch.titleId).toBe("HAAA");
+    expect(fresh).toEqual(layout);
+  });
+
+  it("rejects files that are not layout patches", () => {
+    expect(() => parseLayoutPatch("{}")).toThrow(/layout patch/);
+    expect(() => parseLayoutPatch({ format: "wii-banner-layout-patch", version: 1, edits: [{ type: "texture", pane: "Back" }] })).toThrow(/PNG/);
+  });
+});
@@ -0,0 +1,64 @@
+// Pane hierarchy for the Layout tab, built from the parent links the BRLYT
+// parser records on each pane (pas1/pae1 nesting).
+//
+// Parent links are pane names, and names are not unique in every layout, so
+// nodes are keyed by pane index. As in the BRLYT writer, each pane's parent is
+// the nearest open ancestor with that name in file order.
+
+function resolveParentIndices(panes) {
+  const stack = [];
+  return panes.map((pane, index) => {
+    let depth = -1;
+    if (pane.parent) {
+      for (let i = stack.length - 1; i >= 0; i -= 1) {
+        if (panes[stack[i]].name === pane.parent) {
+          depth = i;
+          break;
+        }
+      }
+    }
+    stack.length = depth + 1;
+    const parentIndex = depth >= 0 ? stack[depth] : -1;
+    stack.push(index);
+    return parentIndex;
+  });
+}
+
+export function buildPaneTree(layout) {
+  const panes = layout?.panes ?? [];
+  const parentIndices = resolveParentIndices(panes);
+  const nodes = panes.map((pane, index) => ({ pane, index, parentIndex: parentIndices[index], children: [] }));
+  const roots = [];
+
+  for (const node of nodes) {
+    if (node.parentIndex >= 0) {
+      nodes[node.parentIndex].children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const materials = (layout?.materials ?? []).map((material, index) => ({
+    material,
+    index,
+    paneNames: panes.filter((pane) => pane.materialIndex === index).map((pane) => pane.name),
+  }));
+
+  return {
+    roots,
+    groups: layout?.groups ?? [],
+    materials,
+  };
+}
+
+/** Indices of every ancestor of the pane at `paneIndex`, root first. */
+export function getPaneAncestors(layout, paneIndex) {
+  const parentIndices = resolveParentIndices(layout?.panes ?? []);
+  const ancestors = [];
+  let current = parentIndices[paneIndex] ?? -1;
+  while (current >= 0) {
+    ancestors.unshift(current);
+    current = parentIndices[current];
+  }
+  return ancestors;
+}
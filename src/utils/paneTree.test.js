@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { buildPaneTree, getPaneAncestors } from "./paneTree";
+
+const layout = {
+  panes: [
+    { type: "pan1", name: "RootPane", parent: null, materialIndex: -1 },
+    { type: "pic1", name: "Back", parent: "RootPane", materialIndex: 0 },
+    { type: "pan1", name: "Logo", parent: "RootPane", materialIndex: -1 },
+    { type: "txt1", name: "Title", parent: "Logo", materialIndex: 1 },
+    { type: "pic1", name: "Shine", parent: "Logo", materialIndex: 0 },
+  ],
+  materials: [{ name: "mat_back" }, { name: "mat_title" }],
+  groups: [{ name: "RootGroup", paneNames: ["Back", "Logo"] }],
+};
+
+describe("buildPaneTree", () => {
+  it("nests panes under their parents in file order", () => {
+    const tree = buildPaneTree(layout);
+
+    expect(tree.roots).toHaveLength(1);
+    const [root] = tree.roots;
+    expect(root.children.map((node) => node.pane.name)).toEqual(["Back", "Logo"]);
+    expect(root.children[1].children.map((node) => node.pane.name)).toEqual(["Title", "Shine"]);
+    expect(tree.groups).toBe(layout.groups);
+  });
+
+  it("lists the panes using each material", () => {
+    const { materials } = buildPaneTree(layout);
+
+    expect(materials.map((entry) => [entry.material.name, entry.paneNames])).toEqual([
+      ["mat_back", ["Back", "Shine"]],
+      ["mat_title", ["Title"]],
+    ]);
+  });
+
+  it("keeps panes that share a name apart and nests each under its own parent", () => {
+    const tree = buildPaneTree({
+      panes: [
+        { name: "RootPane", parent: null },
+        { name: "Item", parent: "RootPane" },
+        { name: "Icon", parent: "Item" },
+        { name: "Item", parent: "RootPane" },
+        { name: "Icon", parent: "Item" },
+      ],
+    });
+
+    const [root] = tree.roots;
+    expect(root.children.map((node) => node.index)).toEqual([1, 3]);
+    expect(root.children.map((node) => node.children.map((child) => child.index))).toEqual([[2], [4]]);
+  });
+
+  it("treats panes with unknown parents as roots", () => {
+    const tree = buildPaneTree({ panes: [{ name: "Orphan", parent: "Missing" }] });
+    expect(tree.roots.map((node) => node.pane.name)).toEqual(["Orphan"]);
+    expect(buildPaneTree(null)).toEqual({ roots: [], groups: [], materials: [] });
+  });
+});
+
+describe("getPaneAncestors", () => {
+  it("returns the parent chain as pane indices, root first", () => {
+    expect(getPaneAncestors(layout, 3)).toEqual([0, 2]);
+    expect(getPaneAncestors(layout, 0)).toEqual([]);
+    expect(getPaneAncestors(layout, -1)).toEqual([]);
+  });
+});
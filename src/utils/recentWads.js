@@ -2,6 +2,7 @@ import {
   RECENT_WAD_DB_NAME,
   RECENT_WAD_STORE_NAME,
   RECENT_WAD_DB_VERSION,
+  SHARED_FONT_STORE_NAME,
   MAX_RECENT_WADS,
 } from "../constants";
 
@@ -56,6 +57,9 @@ export async function openRecentWadDatabase() {
     if (!db.objectStoreNames.contains(RECENT_WAD_STORE_NAME)) {
       db.createObjectStore(RECENT_WAD_STORE_NAME, { keyPath: "id" });
     }
+    if (!db.objectStoreNames.contains(SHARED_FONT_STORE_NAME)) {
+      db.createObjectStore(SHARED_FONT_STORE_NAME, { keyPath: "name" });
+    }
   };
 
   return requestToPromise(request);
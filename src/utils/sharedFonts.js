@@ -0,0 +1,91 @@
+import { SHARED_FONT_STORE_NAME } from "../constants";
+import { openRecentWadDatabase, requestToPromise, transactionToPromise } from "./recentWads";
+
+// Shared font rows live in the same IndexedDB database as the recent WADs:
+// { name, size, addedAt, data: ArrayBuffer }, keyed by lower-case file name.
+
+export function normalizeSharedFontName(name) {
+  return String(name ?? "").split(/[\\/]/).pop().toLowerCase();
+}
+
+export async function listSharedFontRows() {
+  const db = await openRecentWadDatabase();
+  if (!db) {
+    return [];
+  }
+
+  try {
+    const transaction = db.transaction(SHARED_FONT_STORE_NAME, "readonly");
+    const store = transaction.objectStore(SHARED_FONT_STORE_NAME);
+    const rows = await requestToPromise(store.getAll());
+    await transactionToPromise(transaction);
+    return rows.sort((left, right) => left.name.localeCompare(right.name));
+  } finally {
+    db.close();
+  }
+}
+
+export async function saveSharedFontRows(entries) {
+  const db = await openRecentWadDatabase();
+  if (!db) {
+    return [];
+  }
+
+  try {
+    const transaction = db.transaction(SHARED_FONT_STORE_NAME, "readwrite");
+    const store = transaction.objectStore(SHARED_FONT_STORE_NAME);
+    const now = Date.now();
+    const rows = entries.map(({ name, data }) => ({
+      name: normalizeSharedFontName(name),
+      size: data.byteLength,
+      addedAt: now,
+      data,
+    }));
+    for (const row of rows) {
+      store.put(row);
+    }
+    await transactionToPromise(transaction);
+    return rows;
+  } finally {
+    db.close();
+  }
+}
+
+export async function deleteSharedFontRow(name) {
+  const db = await openRecentWadDatabase();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const transaction = db.transaction(SHARED_FONT_STORE_NAME, "readwrite");
+    transaction.objectStore(SHARED_FONT_STORE_NAME).delete(normalizeSharedFontName(name));
+    await transactionToPromise(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+function fontStem(name) {
+  return normalizeSharedFontName(name).replace(/\.[^.]+$/, "");
+}
+
+// Font files the banner/icon layouts reference but neither the channel nor the
+// shared registry provides; their text panes fall back to fillText.
+export function findMissingFonts(results, sharedFonts = {}) {
+  const available = new Set(Object.keys(sharedFonts).map(fontStem));
+  const missing = new Set();
+  for (const result of [results?.banner, results?.icon]) {
+    if (!result) {
+      continue;
+    }
+    const channelFonts = new Set(Object.keys(result.fonts ?? {}).map(fontStem));
+    for (const name of result.renderLayout?.fonts ?? []) {
+      const stem = fontStem(name);
+      if (!channelFonts.has(stem) && !available.has(stem)) {
+        missing.add(normalizeSharedFontName(name));
+      }
+    }
+  }
+  return [...missing].sort();
+}
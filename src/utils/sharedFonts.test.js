@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { findMissingFonts, normalizeSharedFontName } from "./sharedFonts";
+
+const results = {
+  banner: {
+    renderLayout: { fonts: ["wbf1.brfna", "channel.brfnt"] },
+    fonts: { "arc/font/channel.brfnt": {} },
+  },
+  icon: {
+    renderLayout: { fonts: ["wbf2.brfna"] },
+    fonts: {},
+  },
+};
+
+describe("normalizeSharedFontName", () => {
+  it("keeps only the lower-case file name", () => {
+    expect(normalizeSharedFontName("C:\\dump\\WBF1.BRFNA")).toBe("wbf1.brfna");
+  });
+});
+
+describe("findMissingFonts", () => {
+  it("lists fonts that neither the channel nor the shared registry provide", () => {
+    expect(findMissingFonts(results)).toEqual(["wbf1.brfna", "wbf2.brfna"]);
+  });
+
+  it("matches shared fonts by name without extension", () => {
+    expect(findMissingFonts(results, { "wbf1.brfnt": {} })).toEqual(["wbf2.brfna"]);
+  });
+});
@@ -1,5 +1,9 @@
-import { normalizeRenderState, collectRenderStateOptions } from "./renderState";
-import { findAlphaRevealFrame, clampFrame } from "./animation";
+import {
+  clampFrame,
+  collectRenderStateOptions,
+  findAlphaRevealFrame,
+  normalizeRenderState,
+} from "@firstform/wii-channel-renderer";
 
 export function hasWeatherScene(layout) {
   const panes = layout?.panes ?? [];
@@ -0,0 +1,37 @@
+import { playwright } from "@vitest/browser-playwright";
+import { configDefaults, defineConfig, mergeConfig } from "vitest/config";
+import { createGoldenBrowserCommands } from "./packages/wii-channel-renderer/goldens/nodeIo.js";
+import viteConfig from "./vite.config.js";
+
+// *.browser.test.js files need a real browser (WebGL); everything else runs in Node.
+const BROWSER_TESTS = "**/*.browser.test.js";
+
+export default mergeConfig(viteConfig, defineConfig({
+  test: {
+    projects: [
+      {
+        extends: true,
+        test: {
+          name: "node",
+          exclude: [...configDefaults.exclude, BROWSER_TESTS],
+        },
+      },
+      {
+        extends: true,
+        test: {
+          name: "webgl",
+          include: [BROWSER_TESTS],
+          provide: { updateGoldens: process.env.UPDATE_GOLDENS === "1" },
+          browser: {
+            enabled: true,
+            provider: playwright(),
+            headless: true,
+            screenshotFailures: false,
+            instances: [{ browser: "chromium" }],
+            commands: createGoldenBrowserCommands(),
+          },
+        },
+      },
+    ],
+  },
+}));